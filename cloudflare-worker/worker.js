@@ -10,11 +10,94 @@
  * 3. wrangler deploy --env=""
  * 4. wrangler secret put API_KEY
  *
+ * Requests are GET with query parameters, or POST with the same parameters as a
+ * JSON body. POST bodies may also carry authentication for private dashboards:
+ * cookies, headers, basicAuth and login (see lib/browser-auth.js in web2fb).
+ *
  * Cost: ~$5 per million requests (~$0.11/month for typical usage)
  */
 
 import puppeteer from "@cloudflare/puppeteer";
 
+const LOGIN_STEP_ACTIONS = ['goto', 'fill', 'click', 'waitFor', 'wait'];
+
+/**
+ * Apply headers, basic auth credentials and cookies before navigation
+ * Same behavior as applyAuth() in web2fb's lib/browser-auth.js
+ */
+async function applyAuth(page, auth, url) {
+  if (Object.keys(auth.headers).length > 0) {
+    await page.setExtraHTTPHeaders(auth.headers);
+  }
+
+  if (auth.basicAuth) {
+    await page.authenticate({ username: auth.basicAuth.username, password: auth.basicAuth.password });
+  }
+
+  if (auth.cookies.length > 0) {
+    await page.setCookie(...auth.cookies.map(cookie => (
+      cookie.domain ? cookie : { ...cookie, url }
+    )));
+  }
+}
+
+/**
+ * Run the login sequence
+ * Same steps as runLoginSteps() in web2fb's lib/browser-auth.js
+ */
+async function runLoginSteps(page, login, url) {
+  const timeout = login.timeout || 30000;
+
+  console.log(`Login: Opening ${login.url || url} (${login.steps.length} steps)...`);
+  await page.goto(login.url || url, { waitUntil: 'load', timeout });
+
+  for (const [index, step] of login.steps.entries()) {
+    const action = LOGIN_STEP_ACTIONS.find(name => step[name] !== undefined);
+    const stepTimeout = step.timeout || timeout;
+
+    try {
+      switch (action) {
+        case 'goto':
+          await page.goto(step.goto, { waitUntil: 'load', timeout: stepTimeout });
+          break;
+
+        case 'fill':
+          await page.waitForSelector(step.fill, { visible: true, timeout: stepTimeout });
+          await page.$eval(step.fill, el => { el.value = ''; });
+          await page.type(step.fill, String(step.value));
+          break;
+
+        case 'click':
+          await page.waitForSelector(step.click, { visible: true, timeout: stepTimeout });
+          if (step.waitForNavigation) {
+            await Promise.all([
+              page.waitForNavigation({ waitUntil: 'load', timeout: stepTimeout }),
+              page.click(step.click)
+            ]);
+          } else {
+            await page.click(step.click);
+          }
+          break;
+
+        case 'waitFor':
+          await page.waitForSelector(step.waitFor, { visible: true, timeout: stepTimeout });
+          break;
+
+        case 'wait':
+          await new Promise(resolve => setTimeout(resolve, step.wait));
+          break;
+
+        default:
+          throw new Error(`must have exactly one of ${LOGIN_STEP_ACTIONS.join(', ')}`);
+      }
+    } catch (err) {
+      throw new Error(`Login step ${index + 1} (${action}) failed: ${err.message}`);
+    }
+  }
+
+  console.log('Login: Complete');
+}
+
 export default {
   async fetch(request, env, ctx) {
     // CORS headers for Pi requests
@@ -41,19 +124,30 @@ export default {
     }
 
     try {
-      // Parse request parameters
+      // Parse request parameters (query string, or JSON body for POST)
       const url = new URL(request.url);
-      const targetUrl = url.searchParams.get('url');
-      const width = parseInt(url.searchParams.get('width') || '1920');
-      const height = parseInt(url.searchParams.get('height') || '1080');
-      const userAgent = url.searchParams.get('userAgent') ||
+      const body = request.method === 'POST' ? await request.json() : {};
+      const param = name => body[name] !== undefined ? String(body[name]) : url.searchParams.get(name);
+
+      const targetUrl = param('url');
+      const width = parseInt(param('width') || '1920');
+      const height = parseInt(param('height') || '1080');
+      const userAgent = param('userAgent') ||
         'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-      const timeout = parseInt(url.searchParams.get('timeout') || '180000');
-      const waitForImages = url.searchParams.get('waitForImages') !== 'false';
-      const waitForSelector = url.searchParams.get('waitForSelector');
-      const waitDelay = parseInt(url.searchParams.get('waitDelay') || '0');
-      const waitForNetworkIdle = url.searchParams.get('waitForNetworkIdle') === 'true';
-      const hideSelectors = url.searchParams.get('hideSelectors')?.split(',').filter(Boolean) || [];
+      const timeout = parseInt(param('timeout') || '180000');
+      const waitForImages = param('waitForImages') !== 'false';
+      const waitForSelector = param('waitForSelector');
+      const waitDelay = parseInt(param('waitDelay') || '0');
+      const waitForNetworkIdle = param('waitForNetworkIdle') === 'true';
+      const hideSelectors = param('hideSelectors')?.split(',').filter(Boolean) || [];
+
+      // Authentication (POST only, so credentials never appear in URLs)
+      const auth = {
+        cookies: body.cookies || [],
+        headers: body.headers || {},
+        basicAuth: body.basicAuth || null,
+        login: body.login || null
+      };
 
       if (!targetUrl) {
         return new Response('Missing url parameter', {
@@ -73,6 +167,12 @@ export default {
       await page.setViewport({ width, height });
       await page.setUserAgent(userAgent);
 
+      // Authenticate and log in
+      await applyAuth(page, auth, targetUrl);
+      if (auth.login) {
+        await runLoginSteps(page, auth.login, targetUrl);
+      }
+
       // Navigate to page
       // Use networkidle2 (2 connections) by default, or networkidle0 if explicitly requested
       const waitUntil = waitForNetworkIdle ? 'networkidle0' : 'networkidle2';
@@ -80,6 +80,10 @@ function setupFramebuffer() {
     path.join(SYSFS_DIR, 'bits_per_pixel'),
     `${FB_BPP}`
   );
+  fs.writeFileSync(
+    path.join(SYSFS_DIR, 'stride'),
+    `${FB_WIDTH * (FB_BPP / 8)}`
+  );
 
   // Calculate framebuffer size
   const fbSize = FB_WIDTH * FB_HEIGHT * (FB_BPP / 8);
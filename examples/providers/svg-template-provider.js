@@ -0,0 +1,80 @@
+/**
+ * Example custom screenshot provider: renders an SVG template instead of a web page
+ *
+ * Useful for simple status screens that don't need a browser at all.
+ * {{date}}, {{time}} and {{url}} in the template are replaced on each capture.
+ *
+ * Usage (browser.mode is resolved relative to the config file):
+ *
+ *   display:
+ *     url: https://example.com   # Available to the template as {{url}}
+ *   browser:
+ *     mode: ./providers/svg-template-provider.js
+ *     providerOptions:
+ *       template: /etc/web2fb/status.svg   # Optional, defaults to a built-in template
+ *
+ * Providers outside this repository require the base class from their
+ * web2fb install, e.g. require('/opt/web2fb/lib/screenshot-providers').
+ */
+
+const fs = require('fs');
+const sharp = require('sharp');
+const { ScreenshotProvider } = require('../../lib/screenshot-providers');
+
+const DEFAULT_TEMPLATE = `
+<svg xmlns="http://www.w3.org/2000/svg" width="{{width}}" height="{{height}}">
+  <rect width="100%" height="100%" fill="#101820"/>
+  <text x="50%" y="45%" font-family="sans-serif" font-size="64" fill="#ffffff" text-anchor="middle">{{time}}</text>
+  <text x="50%" y="60%" font-family="sans-serif" font-size="32" fill="#a0a0a0" text-anchor="middle">{{date}}</text>
+</svg>`;
+
+class SvgTemplateProvider extends ScreenshotProvider {
+  constructor(config) {
+    super(config);
+    this.template = null;
+    this.captures = 0;
+  }
+
+  getType() {
+    return 'svg-template';
+  }
+
+  async initialize() {
+    const templatePath = ((this.config.browser || {}).providerOptions || {}).template;
+    this.template = templatePath ? await fs.promises.readFile(templatePath, 'utf8') : DEFAULT_TEMPLATE;
+    console.log(`✓ SVG template provider initialized (${templatePath || 'built-in template'})`);
+  }
+
+  async captureScreenshot(_hideSelectors = [], options = {}) {
+    const { width, height } = this.getCaptureSize(options);
+    const now = new Date();
+    const values = {
+      width,
+      height,
+      url: escapeXml(options.url || this.config.display.url || ''),
+      date: now.toDateString(),
+      time: now.toLocaleTimeString()
+    };
+
+    const svg = this.template.replace(/\{\{(\w+)\}\}/g, (match, key) => (
+      values[key] !== undefined ? String(values[key]) : match
+    ));
+
+    this.captures++;
+    return sharp(Buffer.from(svg)).resize(width, height, { fit: 'fill' }).png().toBuffer();
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), captures: this.captures };
+  }
+
+  async cleanup() {
+    console.log('✓ SVG template provider cleaned up');
+  }
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+module.exports = SvgTemplateProvider;
@@ -0,0 +1,199 @@
+/**
+ * Browser Authentication
+ *
+ * Cookies, extra HTTP headers, HTTP basic auth and scripted login steps for
+ * dashboards that need a session (Grafana, Home Assistant, private DakBoard
+ * screens). Used by the local provider; the remote provider forwards the same
+ * settings to cloudflare-worker/worker.js, which implements identical step
+ * semantics (keep the two in sync).
+ *
+ * Login steps run in order, each with exactly one action:
+ *   { goto: url }                          Navigate
+ *   { fill: selector, value: text }        Clear an input and type into it
+ *   { click: selector, waitForNavigation } Click (optionally wait for the page load it causes)
+ *   { waitFor: selector }                  Wait for an element to appear
+ *   { wait: ms }                           Fixed delay
+ *
+ * String values may reference environment variables as ${NAME} so passwords
+ * can stay out of the config file.
+ */
+
+const STEP_ACTIONS = ['goto', 'fill', 'click', 'waitFor', 'wait'];
+const DEFAULT_STEP_TIMEOUT = 30000;
+
+/**
+ * Extract and validate auth settings from the browser config
+ * @param {Object} browserConfig - `browser:` config section
+ * @returns {Object|null} { cookies, headers, basicAuth, login } with ${ENV} expanded,
+ *   or null when no authentication is configured
+ * @throws {Error} If a setting is invalid or references an unset environment variable
+ */
+function normalizeAuth(browserConfig = {}) {
+  const { cookies, headers, basicAuth, login } = browserConfig;
+  if (!cookies && !headers && !basicAuth && !login) {
+    return null;
+  }
+
+  const auth = {
+    cookies: (cookies || []).map((cookie, index) => {
+      const path = `browser.cookies[${index}]`;
+      if (!cookie || !cookie.name || cookie.value === undefined) {
+        throw new Error(`${path} requires name and value`);
+      }
+      return expandEnv(cookie, path);
+    }),
+    headers: expandEnv(headers || {}, 'browser.headers'),
+    basicAuth: null,
+    login: null
+  };
+
+  if (basicAuth) {
+    if (!basicAuth.username || basicAuth.password === undefined) {
+      throw new Error('browser.basicAuth requires username and password');
+    }
+    auth.basicAuth = expandEnv(basicAuth, 'browser.basicAuth');
+  }
+
+  if (login) {
+    if (!Array.isArray(login.steps) || login.steps.length === 0) {
+      throw new Error('browser.login.steps must be a non-empty list');
+    }
+    login.steps.forEach((step, index) => validateStep(step, `browser.login.steps[${index}]`));
+    auth.login = expandEnv(login, 'browser.login');
+  }
+
+  return auth;
+}
+
+/**
+ * Apply headers, basic auth credentials and cookies to a page before navigation
+ * @param {Page} page - Puppeteer page
+ * @param {Object|null} auth - Result of normalizeAuth()
+ * @param {string} url - Page URL (cookies without a domain are set for this URL)
+ */
+async function applyAuth(page, auth, url) {
+  if (!auth) {
+    return;
+  }
+
+  if (Object.keys(auth.headers).length > 0) {
+    await page.setExtraHTTPHeaders(auth.headers);
+  }
+
+  if (auth.basicAuth) {
+    await page.authenticate({ username: auth.basicAuth.username, password: auth.basicAuth.password });
+  }
+
+  if (auth.cookies.length > 0) {
+    await page.setCookie(...auth.cookies.map(cookie => (
+      cookie.domain ? cookie : { ...cookie, url }
+    )));
+  }
+}
+
+/**
+ * Run the login sequence
+ * @param {Page} page - Puppeteer page (auth already applied)
+ * @param {Object} login - auth.login ({ url, steps, timeout })
+ * @param {string} url - Page URL, opened first when login.url isn't set
+ */
+async function runLoginSteps(page, login, url) {
+  const timeout = login.timeout || DEFAULT_STEP_TIMEOUT;
+
+  console.log(`Login: Opening ${login.url || url} (${login.steps.length} steps)...`);
+  await page.goto(login.url || url, { waitUntil: 'load', timeout });
+
+  for (const [index, step] of login.steps.entries()) {
+    const action = STEP_ACTIONS.find(name => step[name] !== undefined);
+    const stepTimeout = step.timeout || timeout;
+
+    try {
+      switch (action) {
+        case 'goto':
+          await page.goto(step.goto, { waitUntil: 'load', timeout: stepTimeout });
+          break;
+
+        case 'fill':
+          await page.waitForSelector(step.fill, { visible: true, timeout: stepTimeout });
+          await page.$eval(step.fill, el => { el.value = ''; });
+          await page.type(step.fill, String(step.value));
+          break;
+
+        case 'click':
+          await page.waitForSelector(step.click, { visible: true, timeout: stepTimeout });
+          if (step.waitForNavigation) {
+            await Promise.all([
+              page.waitForNavigation({ waitUntil: 'load', timeout: stepTimeout }),
+              page.click(step.click)
+            ]);
+          } else {
+            await page.click(step.click);
+          }
+          break;
+
+        case 'waitFor':
+          await page.waitForSelector(step.waitFor, { visible: true, timeout: stepTimeout });
+          break;
+
+        case 'wait':
+          await new Promise(resolve => setTimeout(resolve, step.wait));
+          break;
+      }
+    } catch (err) {
+      throw new Error(`Login step ${index + 1} (${action}) failed: ${err.message}`);
+    }
+  }
+
+  console.log('Login: Complete');
+}
+
+/**
+ * Check a login step has exactly one known action and the fields it needs
+ * @private
+ */
+function validateStep(step, path) {
+  const actions = STEP_ACTIONS.filter(name => step && step[name] !== undefined);
+
+  if (actions.length !== 1) {
+    throw new Error(`${path} must have exactly one of ${STEP_ACTIONS.join(', ')}`);
+  }
+  if (actions[0] === 'fill' && step.value === undefined) {
+    throw new Error(`${path}: fill requires a value`);
+  }
+  if (actions[0] === 'wait' && (!Number.isInteger(step.wait) || step.wait < 0)) {
+    throw new Error(`${path}: wait must be a number of milliseconds`);
+  }
+}
+
+/**
+ * Replace ${NAME} in strings (recursively) with environment variables
+ * @private
+ */
+function expandEnv(value, path) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`${path} references environment variable ${name}, which is not set`);
+      }
+      return process.env[name];
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => expandEnv(item, `${path}[${index}]`));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, expandEnv(item, `${path}.${key}`)])
+    );
+  }
+
+  return value;
+}
+
+module.exports = {
+  normalizeAuth,
+  applyAuth,
+  runLoginSteps
+};
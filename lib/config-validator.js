@@ -0,0 +1,342 @@
+/**
+ * Config Schema Validation
+ *
+ * Validates a loaded config against config.schema.json. Implements the subset
+ * of JSON Schema draft-07 the schema uses (no remote $refs, no network access)
+ * and maps every violation back to its line in the YAML/JSON source.
+ */
+
+const yaml = require('js-yaml');
+const { URL } = require('url');
+const schema = require('../config.schema.json');
+
+/**
+ * Validate a config object
+ * @param {Object} config - Parsed config (before defaults are applied)
+ * @param {Object} options
+ * @param {string} options.source - Raw file contents, used for line numbers
+ * @param {Object} options.schema - Schema to validate against (default: config.schema.json)
+ * @param {Array} options.ignoreRequired - Property names whose absence isn't an error
+ *   (e.g. overlay region/style before tools/detect-overlays.js has filled them in)
+ * @returns {Object} { errors, warnings } - Arrays of { path, message, line }
+ */
+function validateConfig(config, options = {}) {
+  const rootSchema = options.schema || schema;
+  const issues = { errors: [], warnings: [], ignoreRequired: options.ignoreRequired || [] };
+
+  validateNode(config, rootSchema, '', issues, rootSchema);
+
+  const lines = options.source ? buildLineMap(options.source) : new Map();
+  const withLine = issue => ({ ...issue, line: findLine(lines, issue.path) });
+
+  return {
+    errors: issues.errors.map(withLine),
+    warnings: issues.warnings.map(withLine)
+  };
+}
+
+/**
+ * Format an issue as "file:line: path: message"
+ */
+function formatIssue(issue, filePath = null) {
+  let location = filePath || '';
+  if (location && issue.line) {
+    location += `:${issue.line}`;
+  }
+
+  const parts = [location, issue.path, issue.message].filter(Boolean);
+  return parts.join(': ');
+}
+
+/**
+ * Validate a value against a schema node, collecting errors and warnings
+ * @private
+ */
+function validateNode(value, node, path, issues, rootSchema) {
+  if (node.$ref) {
+    node = resolveRef(node.$ref, rootSchema);
+  }
+
+  const error = message => issues.errors.push({ path, message });
+
+  // YAML reads unquoted timestamps as dates
+  if (value instanceof Date && node.format === 'date-time') {
+    value = value.toISOString();
+  }
+
+  if (node.type && !matchesType(value, node.type)) {
+    error(`must be ${[].concat(node.type).join(' or ')} (got ${describeType(value)})`);
+    return; // Other keywords assume the right type
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    error(`must be one of ${node.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) {
+      error(`must be >= ${node.minimum} (got ${value})`);
+    }
+    if (node.maximum !== undefined && value > node.maximum) {
+      error(`must be <= ${node.maximum} (got ${value})`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      error(`must match pattern ${node.pattern} (got ${JSON.stringify(value)})`);
+    }
+    if (node.format === 'uri' && !isUri(value)) {
+      error(`must be a URL (got ${JSON.stringify(value)})`);
+    }
+    if (node.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      error(`must be an ISO timestamp (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      error(`must have at least ${node.minItems} item(s)`);
+    }
+    if (node.items) {
+      value.forEach((item, index) => validateNode(item, node.items, `${path}[${index}]`, issues, rootSchema));
+    }
+  }
+
+  if (isObject(value)) {
+    for (const key of node.required || []) {
+      if (value[key] === undefined && !issues.ignoreRequired.includes(key)) {
+        error(`missing required property '${key}'`);
+      }
+    }
+
+    if (node.properties) {
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (node.properties[key]) {
+          validateNode(child, node.properties[key], childPath, issues, rootSchema);
+        } else {
+          const suggestion = closestKey(key, Object.keys(node.properties));
+          issues.warnings.push({
+            path: childPath,
+            message: `unknown property '${key}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`
+          });
+        }
+      }
+    }
+  }
+
+  if (node.anyOf || node.oneOf) {
+    const branches = node.anyOf || node.oneOf;
+    const results = branches.map(branch => {
+      const branchIssues = { errors: [], warnings: [], ignoreRequired: issues.ignoreRequired };
+      validateNode(value, branch, path, branchIssues, rootSchema);
+      return branchIssues.errors;
+    });
+    const matching = results.filter(errors => errors.length === 0).length;
+
+    if (matching === 0) {
+      const alternatives = results
+        .map((errors, index) => `alternative ${index + 1}: ${errors.map(e => formatIssue(e)).join(', ')}`)
+        .join('; ');
+      error(`must match one of the alternatives (${alternatives})`);
+    } else if (node.oneOf && matching > 1) {
+      error('matches more than one alternative');
+    }
+  }
+}
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ * @private
+ */
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference '${ref}' (only local references are supported)`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || node[key] === undefined) {
+      throw new Error(`Unresolved schema reference '${ref}'`);
+    }
+    return node[key];
+  }, rootSchema);
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'object': return isObject(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'null': return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isInteger(value)) return `number ${value}`;
+  return typeof value === 'string' ? `string ${JSON.stringify(value)}` : typeof value;
+}
+
+/**
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function isUri(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Suggest a known key for a likely typo (edit distance <= 2)
+ * @private
+ */
+function closestKey(key, candidates) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Map config paths ("overlays[0].region.x") to 1-based source lines
+ * Uses js-yaml's node open/close events, which also cover JSON input.
+ * @private
+ */
+function buildLineMap(source) {
+  const lines = new Map();
+  const root = { children: [] };
+  const stack = [root];
+
+  try {
+    yaml.load(source, {
+      listener(eventType, state) {
+        if (eventType === 'open') {
+          stack.push({ position: state.position, children: [] });
+        } else {
+          const node = stack.pop();
+          node.kind = state.kind;
+          node.result = state.result;
+          stack[stack.length - 1].children.push(node);
+        }
+      }
+    });
+  } catch (_err) {
+    return lines; // Parse errors are reported by the loader
+  }
+
+  // Line starts for position -> line lookups
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineOf = position => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= position) line++;
+    return line + 1;
+  };
+
+  const walk = (node, path) => {
+    // Flow collections ({...} / JSON) can be wrapped in a node with the same result
+    while (node.children.length === 1 && node.children[0].result === node.result) {
+      node = node.children[0];
+    }
+
+    if (node.kind === 'mapping' && node.children.length % 2 === 0) {
+      for (let i = 0; i < node.children.length; i += 2) {
+        const keyNode = node.children[i];
+        const childPath = path ? `${path}.${keyNode.result}` : String(keyNode.result);
+        lines.set(childPath, lineOf(keyNode.position));
+        walk(node.children[i + 1], childPath);
+      }
+    } else if (node.kind === 'sequence') {
+      node.children.forEach((item, index) => {
+        const childPath = `${path}[${index}]`;
+        lines.set(childPath, lineOf(item.position));
+        walk(item, childPath);
+      });
+    }
+  };
+
+  if (root.children[0]) {
+    lines.set('', lineOf(root.children[0].position));
+    walk(root.children[0], '');
+  }
+
+  return lines;
+}
+
+/**
+ * Find the line for a path, falling back to the nearest parent that has one
+ * (e.g. a missing required key is reported at its parent object)
+ * @private
+ */
+function findLine(lines, path) {
+  let current = path;
+
+  while (true) {
+    if (lines.has(current)) {
+      return lines.get(current);
+    }
+    if (!current) {
+      return null;
+    }
+    current = current.replace(/(^|\.)[^.[\]]+$|\[\d+\]$/, '');
+  }
+}
+
+module.exports = {
+  validateConfig,
+  formatIssue
+};
@@ -1,42 +1,57 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { normalizeSchedule } = require('./schedule');
+const { validateConfig, formatIssue } = require('./config-validator');
+const { normalizeAuth } = require('./browser-auth');
+const { getPixelFormat } = require('./pixel-format');
+const { normalizeUpdateMode } = require('./epaper');
+const { isTimerOverlay, normalizeTimer } = require('./countdown');
+
+// Config file locations searched when no path is given (YAML first, then JSON)
+const DEFAULT_CONFIG_PATHS = [
+  './config.yaml',
+  './config.yml',
+  './web2fb.config.yaml',
+  './web2fb.config.yml',
+  './config.json',
+  './web2fb.config.json',
+  './.web2fb.json'
+];
 
 /**
  * Load and validate configuration
  * Supports both JSON and YAML formats
  * Priority: CLI arg > config file > environment variables > defaults
+ * @param {string|null} configPath - Config file, or null to search the default locations
+ * @param {Object} options - Passed to validateConfig() (e.g. ignoreRequired)
  */
-function loadConfig(configPath = null) {
+function loadConfig(configPath = null, options = {}) {
   let config = {};
+  let source = null;
+  let loadedPath = null;
 
   // Try to load from config file
   if (configPath) {
     try {
       const configFile = fs.readFileSync(configPath, 'utf8');
       config = parseConfig(configFile, configPath);
+      source = configFile;
+      loadedPath = configPath;
       console.log(`Loaded configuration from: ${configPath}`);
     } catch (err) {
       console.error(`Error loading config file ${configPath}:`, err.message);
       process.exit(1);
     }
   } else {
-    // Try default config locations (YAML first, then JSON)
-    const defaultPaths = [
-      './config.yaml',
-      './config.yml',
-      './web2fb.config.yaml',
-      './web2fb.config.yml',
-      './config.json',
-      './web2fb.config.json',
-      './.web2fb.json'
-    ];
-
-    for (const defaultPath of defaultPaths) {
+    // Try default config locations
+    for (const defaultPath of DEFAULT_CONFIG_PATHS) {
       if (fs.existsSync(defaultPath)) {
         try {
           const configFile = fs.readFileSync(defaultPath, 'utf8');
           config = parseConfig(configFile, defaultPath);
+          source = configFile;
+          loadedPath = defaultPath;
           console.log(`Loaded configuration from: ${defaultPath}`);
           break;
         } catch (err) {
@@ -46,18 +61,219 @@ function loadConfig(configPath = null) {
     }
   }
 
-  // Merge with environment variables and defaults
+  // Merge with environment variables
   config = mergeWithEnv(config);
 
-  // Validate required fields
-  if (!config.display || !config.display.url) {
-    console.error('ERROR: display.url is required (set in config file or DISPLAY_URL environment variable)');
+  // Validate against config.schema.json (reports every violation)
+  const { errors, warnings } = validateConfig(config, { ...options, source });
+  warnings.forEach(issue => console.warn(`⚠️  Config warning: ${formatIssue(issue, loadedPath)}`));
+  if (errors.length > 0) {
+    errors.forEach(issue => console.error(`ERROR: ${formatIssue(issue, loadedPath)}`));
+    process.exit(1);
+  }
+
+  // Validate required fields and apply defaults
+  try {
+    return finalizeConfig(config);
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
     process.exit(1);
   }
+}
+
+/**
+ * Re-read a config file for hot reload
+ * Unlike loadConfig(), errors are thrown so the caller can keep the running config.
+ * @param {string} configPath - Path returned by resolveConfigPath()
+ * @returns {Object} Validated config with defaults applied
+ * @throws {Error} If the file can't be read or parsed, or is invalid
+ */
+function reloadConfig(configPath) {
+  const configFile = fs.readFileSync(configPath, 'utf8');
+  const config = parseConfig(configFile, configPath);
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('config file is empty or not a mapping');
+  }
+
+  mergeWithEnv(config);
+
+  const { errors, warnings } = validateConfig(config, { source: configFile });
+  warnings.forEach(issue => console.warn(`⚠️  Config warning: ${formatIssue(issue, configPath)}`));
+  if (errors.length > 0) {
+    throw new Error(errors.map(issue => formatIssue(issue, configPath)).join('; '));
+  }
+
+  return finalizeConfig(config);
+}
+
+/**
+ * Validate a config file without starting (web2fb --check-config)
+ * @param {string|null} configPath - Explicit path, or null to search the default locations
+ * @returns {Object} { path, errors, warnings } - Issues are { path, message, line }
+ */
+function checkConfig(configPath = null) {
+  const filePath = resolveConfigPath(configPath);
+  const result = { path: filePath, errors: [], warnings: [] };
+
+  if (!filePath) {
+    result.errors.push({ path: '', message: 'no config file found', line: null });
+    return result;
+  }
+
+  let source;
+  let config;
+  try {
+    source = fs.readFileSync(filePath, 'utf8');
+    config = parseConfig(source, filePath);
+  } catch (err) {
+    // js-yaml errors carry the position of the syntax error
+    const line = err.mark ? err.mark.line + 1 : null;
+    result.errors.push({ path: '', message: err.reason || err.message, line });
+    return result;
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    result.errors.push({ path: '', message: 'config file is empty or not a mapping', line: null });
+    return result;
+  }
+
+  mergeWithEnv(config);
+  const { errors, warnings } = validateConfig(config, { source });
+  result.errors.push(...errors);
+  result.warnings.push(...warnings);
+
+  // Checks the schema can't express (e.g. schedule rules referencing pages)
+  if (errors.length === 0) {
+    try {
+      finalizeConfig(config);
+    } catch (err) {
+      result.errors.push({ path: '', message: err.message, line: null });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the config file loadConfig() reads (explicit path or first default that exists)
+ * @returns {string|null} Path, or null when running from environment variables only
+ */
+function resolveConfigPath(configPath = null) {
+  if (configPath) {
+    return configPath;
+  }
+  return DEFAULT_CONFIG_PATHS.find(defaultPath => fs.existsSync(defaultPath)) || null;
+}
+
+/**
+ * Validate required fields, apply defaults and validate auth and schedule rules
+ * @private
+ * @throws {Error} If the config is invalid
+ */
+function finalizeConfig(config) {
+  // Validate required fields
+  const hasPages = Array.isArray(config.pages) && config.pages.length > 0;
+  if (hasPages) {
+    const missing = config.pages.findIndex(page => !page || !page.url);
+    if (missing !== -1) {
+      throw new Error(`pages[${missing}].url is required`);
+    }
+  } else if (!config.display || !config.display.url) {
+    throw new Error('display.url is required (set in config file or DISPLAY_URL environment variable)');
+  }
+
+  // Each additional output needs its own page(s)
+  (config.outputs || []).forEach((output, index) => {
+    const outputPages = Array.isArray(output.pages) && output.pages.length > 0;
+    if (!outputPages && !(output.display && output.display.url)) {
+      throw new Error(`outputs[${index}] needs display.url or pages`);
+    }
+  });
 
   // Apply defaults
   config = applyDefaults(config);
 
+  // Validate login steps and ${ENV} references in auth settings
+  normalizeAuth(config.browser);
+
+  const outputs = getOutputs(config);
+  const names = outputs.map(output => output.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`output name '${duplicate}' is used more than once ('main' is the top-level display)`);
+  }
+
+  const devices = new Map();
+  for (const { name, config: outputConfig } of outputs) {
+    // Validate display.pixelFormat together with its palette
+    const { pixelFormat, palette, bitOrder } = outputConfig.display;
+    try {
+      if (pixelFormat && pixelFormat !== 'auto') {
+        getPixelFormat(pixelFormat, { palette, bitOrder });
+      }
+
+      // Validate display.updateMode and e-paper refresh settings
+      const { mode } = normalizeUpdateMode(outputConfig.display);
+
+      // Whole frames per second, so ticks land on second boundaries
+      const { framePeriod = 1000 } = outputConfig.display;
+      if (!Number.isInteger(framePeriod) || framePeriod < 100 || 1000 % framePeriod !== 0) {
+        throw new Error(`display.framePeriod must be 100, 125, 200, 250, 500 or 1000 (got ${framePeriod})`);
+      }
+      if (mode === 'epaper' && framePeriod !== 1000) {
+        throw new Error(`display.framePeriod must be 1000 with display.updateMode: epaper (got ${framePeriod})`);
+      }
+
+      // Pages are looked up by name (schedule rules, control API)
+      const pageNames = getPages(outputConfig).map(page => page.name);
+      const duplicatePage = pageNames.find((pageName, index) => pageNames.indexOf(pageName) !== index);
+      if (duplicatePage) {
+        throw new Error(`page name '${duplicatePage}' is used more than once (unnamed pages are page-N)`);
+      }
+
+      // Countdown and elapsed overlays need a target to count to or from;
+      // parsed once here instead of on every frame
+      for (const page of getPages(outputConfig)) {
+        for (const overlay of page.overlays.filter(isTimerOverlay)) {
+          try {
+            overlay._timer = normalizeTimer(overlay);
+          } catch (err) {
+            throw new Error(`overlay '${overlay.name}': ${err.message}`);
+          }
+        }
+      }
+
+      // File sinks need somewhere to write
+      const { output: outputType, sink } = outputConfig.display;
+      if (['image', 'raw'].includes(outputType) && !(sink && sink.path)) {
+        throw new Error(`display.sink.path is required for display.output: ${outputType}`);
+      }
+    } catch (err) {
+      throw new Error(outputs.length > 1 ? `output '${name}': ${err.message}` : err.message);
+    }
+
+    // Two outputs writing one device would overwrite each other
+    const device = outputDevice(outputConfig.display);
+    if (devices.has(device)) {
+      throw new Error(`outputs '${devices.get(device)}' and '${name}' both write to ${device}`);
+    }
+    devices.set(device, name);
+  }
+
+  // Validate schedule rules (times, days, referenced pages)
+  try {
+    const rules = normalizeSchedule(config.schedule);
+    const pageNames = outputs.flatMap(output => getPages(output.config).map(page => page.name));
+    for (const rule of rules) {
+      if (rule.page && !pageNames.includes(rule.page)) {
+        throw new Error(`schedule rule '${rule.name}' references unknown page '${rule.page}'`);
+      }
+    }
+  } catch (err) {
+    throw new Error(`Invalid schedule: ${err.message}`);
+  }
+
   return config;
 }
 
@@ -105,6 +321,9 @@ function mergeWithEnv(config) {
   if (process.env.PUPPETEER_EXECUTABLE_PATH) {
     config.browser.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
   }
+  if (process.env.CONTROL_TOKEN) {
+    config.control = { ...config.control, token: process.env.CONTROL_TOKEN };
+  }
 
   return config;
 }
@@ -125,6 +344,33 @@ function applyDefaults(config) {
   // Overlays default
   config.overlays = config.overlays || [];
 
+  // Schedule default (no time-of-day rules)
+  config.schedule = config.schedule || [];
+
+  // Control API defaults (disabled, localhost only)
+  config.control = {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 8080,
+    ...config.control
+  };
+
+  // Pages defaults (playlist mode)
+  applyPageDefaults(config);
+
+  // Additional outputs default to output-1, output-2, ...
+  if (Array.isArray(config.outputs)) {
+    config.outputs = config.outputs.map((output, index) => ({
+      ...output,
+      name: output.name || `output-${index + 1}`
+    }));
+  }
+
+  // Hot reload default (watch the config file for changes)
+  if (config.watchConfig === undefined) {
+    config.watchConfig = true;
+  }
+
   // Change detection default (simplified to boolean)
   if (config.changeDetection === undefined) {
     config.changeDetection = true;
@@ -133,14 +379,183 @@ function applyDefaults(config) {
   return config;
 }
 
+/**
+ * Apply playlist page defaults (names, durations)
+ * @private
+ */
+function applyPageDefaults(config) {
+  if (Array.isArray(config.pages) && config.pages.length > 0) {
+    config.pages = config.pages.map((page, index) => ({
+      ...page,
+      name: page.name || `page-${index + 1}`,
+      duration: page.duration || 60000
+    }));
+
+    // display.url mirrors the first page so single-URL consumers keep working
+    config.display.url = config.display.url || config.pages[0].url;
+  }
+}
+
 /**
  * Get enabled overlays
+ * Accepts the top-level config or a single page from getPages()
  */
 function getEnabledOverlays(config) {
-  return config.overlays.filter(overlay => overlay.enabled !== false);
+  return (config.overlays || []).filter(overlay => overlay.enabled !== false);
+}
+
+/**
+ * Get the list of pages to display
+ * Without a `pages:` list, the top-level display.url becomes a single page.
+ * Pages inherit top-level overlays and refreshInterval unless they set their own.
+ * @returns {Array} [{ name, url, duration, refreshInterval, overlays }]
+ */
+function getPages(config) {
+  if (!Array.isArray(config.pages) || config.pages.length === 0) {
+    return [{
+      name: 'default',
+      url: config.display.url,
+      duration: null, // Single page never rotates
+      refreshInterval: config.refreshInterval,
+      overlays: config.overlays || []
+    }];
+  }
+
+  return config.pages.map(page => ({
+    ...page,
+    refreshInterval: page.refreshInterval || config.refreshInterval,
+    overlays: page.overlays || config.overlays || []
+  }));
+}
+
+/**
+ * Get the displays to drive: the top-level one ('main') plus each entry of `outputs:`
+ * An output is a config of its own for renderer and framebuffer. Its display
+ * settings are merged over the top-level display; its page(s), overlays and
+ * refreshInterval replace the top-level ones (overlays are positioned per panel,
+ * so they aren't inherited). Browser, schedule and control settings are shared.
+ * @returns {Array} [{ name, config }] - The first entry's config is the top-level config itself
+ */
+function getOutputs(config) {
+  const outputs = (config.outputs || []).map(output => {
+    const { url: _url, ...display } = config.display;
+    const outputConfig = {
+      ...config,
+      display: { ...display, ...output.display },
+      pages: output.pages,
+      overlays: output.overlays || [],
+      refreshInterval: output.refreshInterval || config.refreshInterval
+    };
+    delete outputConfig.outputs;
+    applyPageDefaults(outputConfig);
+
+    return { name: output.name, config: outputConfig };
+  });
+
+  return [{ name: 'main', config }, ...outputs];
+}
+
+/**
+ * Compare two loaded configs and classify what changed (hot reload)
+ * @returns {Object} {
+ *   changed,           // Anything at all changed
+ *   browser,           // Screenshot provider settings (provider restart)
+ *   viewport,          // display.width/height (cached screenshots are stale)
+ *   pages,             // URLs, page list, durations or refresh intervals
+ *   overlays,          // Overlay definitions (style, format, text, region, selector)
+ *   schedule,
+ *   control,
+ *   restartRequired    // Changed keys that can't be applied without a restart
+ * }
+ */
+function diffConfigs(oldConfig, newConfig) {
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const pageSettings = config => getPages(config).map(({ overlays: _overlays, ...page }) => page);
+  const pageOverlays = config => getPages(config).map(page => page.overlays);
+
+  const diff = {
+    changed: differs(oldConfig, newConfig),
+    browser: differs(oldConfig.browser, newConfig.browser),
+    viewport: oldConfig.display.width !== newConfig.display.width ||
+      oldConfig.display.height !== newConfig.display.height,
+    pages: differs(pageSettings(oldConfig), pageSettings(newConfig)),
+    overlays: differs(pageOverlays(oldConfig), pageOverlays(newConfig)),
+    schedule: differs(oldConfig.schedule, newConfig.schedule),
+    control: differs(oldConfig.control, newConfig.control),
+    restartRequired: []
+  };
+
+  diff.restartRequired.push(...displayRestartKeys(oldConfig.display, newConfig.display, 'display'));
+
+  // Outputs can be changed in place, but not added, removed or renamed
+  const oldOutputs = oldConfig.outputs || [];
+  const newOutputs = newConfig.outputs || [];
+  if (differs(oldOutputs.map(output => output.name), newOutputs.map(output => output.name))) {
+    diff.restartRequired.push('outputs');
+  } else {
+    const oldDisplays = getOutputs(oldConfig).slice(1);
+    getOutputs(newConfig).slice(1).forEach(({ config }, index) => {
+      diff.restartRequired.push(...displayRestartKeys(oldDisplays[index].config.display, config.display, `outputs[${index}].display`));
+    });
+  }
+
+  return diff;
+}
+
+/**
+ * What an output writes to, to tell whether two outputs collide
+ * @private
+ */
+function outputDevice(display) {
+  const sink = display.sink || {};
+  switch (display.output) {
+    case 'drm':
+      return `drm:${(display.drm || {}).connector || 'connected'}`;
+    case 'image':
+    case 'raw':
+      return sink.path;
+    case 'mjpeg':
+      return `mjpeg port ${sink.port === undefined ? 8090 : sink.port}`;
+    default:
+      return display.framebufferDevice;
+  }
+}
+
+/**
+ * Display settings that changed but are only read when the framebuffer opens
+ * @private
+ * @returns {Array} Changed keys, prefixed with `prefix`
+ */
+function displayRestartKeys(oldDisplay, newDisplay, prefix) {
+  const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+  const keys = [];
+
+  if (oldDisplay.framebufferDevice !== newDisplay.framebufferDevice) {
+    keys.push(`${prefix}.framebufferDevice`);
+  }
+
+  for (const key of ['pixelFormat', 'palette', 'bitOrder', 'dither', 'rotation', 'flipHorizontal', 'flipVertical', 'updateMode', 'epaper', 'framePeriod', 'output', 'drm', 'sink']) {
+    // Unset, false and 0 are all the default
+    if (differs(oldDisplay[key] || null, newDisplay[key] || null)) {
+      keys.push(`${prefix}.${key}`);
+    }
+  }
+
+  // Double buffering is on unless set to false
+  if ((oldDisplay.doubleBuffer !== false) !== (newDisplay.doubleBuffer !== false)) {
+    keys.push(`${prefix}.doubleBuffer`);
+  }
+
+  return keys;
 }
 
 module.exports = {
   loadConfig,
-  getEnabledOverlays
+  reloadConfig,
+  checkConfig,
+  resolveConfigPath,
+  diffConfigs,
+  getEnabledOverlays,
+  getPages,
+  getOutputs
 };
@@ -0,0 +1,199 @@
+/**
+ * Control Server
+ *
+ * Optional HTTP API for controlling a running web2fb daemon:
+ * - POST /recapture          Force a base image recapture
+ * - POST /url                Switch URL ({ "url": "..." }, null to restore)
+ * - POST /overlays/:name     Toggle an overlay ({ "enabled": true|false })
+ * - GET  /framebuffer.png    Current framebuffer contents
+ * - GET  /status             Queue and display status
+ * - GET  /perf               Performance statistics
+ *
+ * Binds to localhost (or a unix socket) by default. When a token is
+ * configured, requests must send `Authorization: Bearer <token>`.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const { URL } = require('url');
+
+/**
+ * Error with an HTTP status code, thrown by handlers to reject a request
+ */
+class ControlError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class ControlServer {
+  /**
+   * @param {Object} options - `control:` config section
+   * @param {Object} handlers - Callbacks into the daemon:
+   *   recapture(), setUrl(url), setOverlayEnabled(name, enabled),
+   *   getFramebufferPng(outputName), getStatus(), getPerfStats()
+   */
+  constructor(options, handlers) {
+    this.options = {
+      host: '127.0.0.1',
+      port: 8080,
+      socket: null,
+      token: null,
+      ...options
+    };
+    this.handlers = handlers;
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  /**
+   * Build the express app (exposed for testing)
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => this._authenticate(req, res, next));
+
+    app.post('/recapture', async (req, res) => {
+      await this.handlers.recapture();
+      res.status(202).json({ ok: true });
+    });
+
+    app.post('/url', async (req, res) => {
+      const url = req.body ? req.body.url : undefined;
+      if (url === undefined || (url !== null && !isHttpUrl(url))) {
+        throw new ControlError(400, 'Body must be { "url": "<http(s) URL>" } or { "url": null }');
+      }
+      await this.handlers.setUrl(url);
+      res.status(202).json({ ok: true, url });
+    });
+
+    app.post('/overlays/:name', async (req, res) => {
+      const enabled = req.body ? req.body.enabled : undefined;
+      if (typeof enabled !== 'boolean') {
+        throw new ControlError(400, 'Body must be { "enabled": true|false }');
+      }
+      await this.handlers.setOverlayEnabled(req.params.name, enabled);
+      res.status(202).json({ ok: true, overlay: req.params.name, enabled });
+    });
+
+    app.get('/framebuffer.png', async (req, res) => {
+      const png = await this.handlers.getFramebufferPng(req.query.output || null);
+      res.type('image/png').send(png);
+    });
+
+    app.get('/status', async (req, res) => {
+      res.json(await this.handlers.getStatus());
+    });
+
+    app.get('/perf', async (req, res) => {
+      res.json(await this.handlers.getPerfStats());
+    });
+
+    app.use((req, res) => {
+      res.status(404).json({ error: 'Not found' });
+    });
+
+    // Four parameters mark this as Express's error handler
+    app.use((err, req, res, _next) => {
+      const status = err.status || 500;
+      if (status >= 500) {
+        console.error(`Control API error (${req.method} ${req.path}):`, err.message);
+      }
+      res.status(status).json({ error: err.message });
+    });
+
+    return app;
+  }
+
+  /**
+   * Check bearer token when one is configured
+   * @private
+   */
+  _authenticate(req, res, next) {
+    if (!this.options.token) {
+      return next();
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const expected = Buffer.from(String(this.options.token));
+    const actual = Buffer.from(provided);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  }
+
+  /**
+   * Start listening on the configured unix socket or host/port
+   * @returns {Promise<string>} Address description for logging
+   */
+  start() {
+    const { socket, host, port } = this.options;
+
+    if (socket && fs.existsSync(socket)) {
+      fs.unlinkSync(socket); // Stale socket from a previous run
+    }
+
+    return new Promise((resolve, reject) => {
+      const onListening = (err) => {
+        if (err) {
+          return reject(err); // express 5 passes listen errors to the callback
+        }
+        if (socket) {
+          fs.chmodSync(socket, 0o600);
+          resolve(`unix:${socket}`);
+        } else {
+          resolve(`http://${host}:${this.server.address().port}`);
+        }
+      };
+
+      this.server = socket
+        ? this.app.listen(socket, onListening)
+        : this.app.listen(port, host, onListening);
+    });
+  }
+
+  /**
+   * Stop the server
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+
+  /**
+   * Port the server is listening on (null for unix sockets)
+   */
+  get port() {
+    const address = this.server && this.server.address();
+    return address && typeof address === 'object' ? address.port : null;
+  }
+}
+
+/**
+ * Check that a value is an http(s) URL
+ * @private
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (_err) {
+    return false;
+  }
+}
+
+module.exports = ControlServer;
+module.exports.ControlError = ControlError;
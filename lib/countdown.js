@@ -0,0 +1,191 @@
+/**
+ * Countdown and Elapsed-Time Overlays
+ *
+ * Text overlays counting down to a target time (type: countdown) or up from
+ * one (type: elapsed):
+ *
+ *   overlays:
+ *     - name: release
+ *       type: countdown
+ *       selector: '#release'
+ *       target: "2026-11-02T09:00:00Z"     # ISO timestamp, or a recurring rule:
+ *       # target: { days: mon, time: "09:00" }
+ *       units: [days, hours, minutes]
+ *       template: "{days} days {hours}:{minutes}"
+ *       reachedText: "Released!"
+ *
+ * Recurring targets use the day lists of schedule rules and local time. The
+ * text depends only on the time it is rendered for, so frames can be rendered
+ * ahead of time like the clock. Loading the config parses each timer once into
+ * overlay._timer.
+ */
+
+const { parseTime, parseDays } = require('./schedule');
+
+const UNITS = {
+  days: 24 * 60 * 60 * 1000,
+  hours: 60 * 60 * 1000,
+  minutes: 60 * 1000,
+  seconds: 1000
+};
+
+const UNIT_NAMES = Object.keys(UNITS);
+
+const TIMER_TYPES = ['countdown', 'elapsed'];
+
+// How long a recurring countdown shows reachedText before counting down to
+// the next occurrence
+const DEFAULT_REACHED_FOR = 60000;
+
+/**
+ * Whether an overlay is a countdown or elapsed-time overlay
+ */
+function isTimerOverlay(overlay) {
+  return TIMER_TYPES.includes(overlay.type);
+}
+
+/**
+ * Validate a countdown/elapsed overlay and parse its target
+ * @param {Object} overlay - Overlay config { target, units, template, reachedText, reachedFor }
+ * @returns {Object} { at } (ms) or { daySet, minutes } (recurring), plus { units, template, reachedText, reachedFor }
+ * @throws {Error} If the target, units or template are invalid
+ */
+function normalizeTimer(overlay) {
+  const { target } = overlay;
+
+  let parsed;
+  if (target instanceof Date) {
+    // Unquoted timestamp in YAML
+    parsed = { at: target.getTime() };
+  } else if (typeof target === 'string') {
+    const at = Date.parse(target);
+    if (Number.isNaN(at)) {
+      throw new Error(`target must be an ISO timestamp or { days, time } (got '${target}')`);
+    }
+    parsed = { at };
+  } else if (target && typeof target === 'object') {
+    if (target.time === undefined) {
+      throw new Error('target.time is required for a recurring target');
+    }
+    parsed = { daySet: parseDays(target.days), minutes: parseTime(target.time, 'target.time') };
+    if (parsed.daySet.size === 0) {
+      throw new Error('target.days matches no day');
+    }
+  } else {
+    throw new Error('target is required (an ISO timestamp or { days, time })');
+  }
+
+  const listed = overlay.units || UNIT_NAMES;
+  const unknown = listed.find(unit => !UNIT_NAMES.includes(unit));
+  if (unknown !== undefined || listed.length === 0) {
+    throw new Error(`units must list some of ${UNIT_NAMES.join(', ')} (got ${unknown !== undefined ? `'${unknown}'` : 'none'})`);
+  }
+  // Largest unit first, whatever order they are listed in
+  const units = UNIT_NAMES.filter(unit => listed.includes(unit));
+
+  const template = overlay.template || defaultTemplate(units);
+  for (const [, name] of template.matchAll(/\{(\w+)\}/g)) {
+    if (UNIT_NAMES.includes(name) && !units.includes(name)) {
+      throw new Error(`template uses {${name}}, but units doesn't include ${name}`);
+    }
+  }
+
+  return {
+    ...parsed,
+    units,
+    template,
+    reachedText: overlay.reachedText,
+    reachedFor: overlay.reachedFor !== undefined ? overlay.reachedFor : DEFAULT_REACHED_FOR
+  };
+}
+
+/**
+ * Template showing every unit: "{days}d {hours}:{minutes}:{seconds}"
+ * @private
+ */
+function defaultTemplate(units) {
+  const clock = units.filter(unit => unit !== 'days').map(unit => `{${unit}}`).join(':');
+  return [units.includes('days') ? '{days}d' : '', clock].filter(Boolean).join(' ');
+}
+
+/**
+ * Occurrence of a recurring target next to a time
+ * @private
+ * @param {Object} timer - From normalizeTimer() with a recurring target
+ * @param {number} time - Unix timestamp (ms)
+ * @param {number} direction - 1 for the first occurrence after time, -1 for the last at or before it
+ * @returns {number} Unix timestamp (ms) of the occurrence
+ */
+function findOccurrence(timer, time, direction) {
+  const date = new Date(time);
+
+  // Eight days cover a weekly rule in either direction, whatever the time of day
+  for (let i = 0; i <= 8; i++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + direction * i);
+    if (!timer.daySet.has(day.getDay())) continue;
+
+    const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, timer.minutes).getTime();
+    if (direction > 0 ? at > time : at <= time) {
+      return at;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill the template with a duration split into the timer's units
+ * The largest unit holds everything above it and isn't padded; the others are
+ * two digits.
+ * @private
+ */
+function formatDuration(ms, timer) {
+  const values = {};
+  let rest = ms;
+  timer.units.forEach((unit, index) => {
+    const value = Math.floor(rest / UNITS[unit]);
+    rest -= value * UNITS[unit];
+    values[unit] = index === 0 ? String(value) : String(value).padStart(2, '0');
+  });
+
+  return timer.template.replace(/\{(\w+)\}/g, (match, name) => values[name] !== undefined ? values[name] : match);
+}
+
+/**
+ * Text of a countdown or elapsed overlay at a given time
+ * Countdowns round up to their smallest unit, so they show zero exactly when
+ * the target is reached; elapsed times round down.
+ * @param {Object} overlay - Overlay config, with _timer from normalizeTimer() (set when the config loads)
+ * @param {Date} time - Time to render for
+ * @returns {string} The text
+ */
+function getTimerText(overlay, time) {
+  const timer = overlay._timer;
+  const now = time.getTime();
+  const step = UNITS[timer.units[timer.units.length - 1]];
+
+  if (overlay.type === 'elapsed') {
+    const start = timer.at !== undefined ? timer.at : findOccurrence(timer, now, -1);
+    return formatDuration(Math.floor(Math.max(0, now - start) / step) * step, timer);
+  }
+
+  let remaining;
+  if (timer.at !== undefined) {
+    remaining = timer.at - now;
+  } else {
+    // A recurring target stays reached for reachedFor, then counts to the next one
+    const last = findOccurrence(timer, now, -1);
+    remaining = now - last < timer.reachedFor ? 0 : findOccurrence(timer, now, 1) - now;
+  }
+
+  if (remaining <= 0 && timer.reachedText !== undefined) {
+    return timer.reachedText;
+  }
+  return formatDuration(Math.ceil(Math.max(0, remaining) / step) * step, timer);
+}
+
+module.exports = {
+  isTimerOverlay,
+  normalizeTimer,
+  getTimerText
+};
@@ -2,17 +2,29 @@
  * Display Scheduler
  *
  * Writes pre-rendered operations to framebuffer at their scheduled times.
- * Synchronized to second boundaries for accurate clock display.
+ * Synchronized to the queue's frame period boundaries (second boundaries by
+ * default) for accurate clock display.
  */
 
 class DisplayScheduler {
-  constructor(queue, framebuffer, perfMonitor) {
+  /**
+   * @param {FramebufferQueue} queue - Also sets the frame period (queue.framePeriod)
+   * @param {Framebuffer} framebuffer
+   * @param {PerfMonitor} perfMonitor
+   * @param {Object} options
+   * @param {EpaperUpdatePolicy} options.updatePolicy - Checked before each write (e-paper refresh budget)
+   * @param {Function} options.onDrop - Called with operations that never reach the screen
+   *   (skipped ticks, rejected by the update policy, failed writes)
+   */
+  constructor(queue, framebuffer, perfMonitor, options = {}) {
     this.queue = queue;
     this.framebuffer = framebuffer;
     this.perfMonitor = perfMonitor;
+    this.updatePolicy = options.updatePolicy || null;
+    this.onDrop = options.onDrop || (() => {});
     this.timeoutId = null;
     this.running = false;
-    this.nextDisplaySecond = null; // Track expected second to prevent duplicates
+    this.nextDisplayTick = null; // Track expected tick to prevent duplicates
   }
 
   /**
@@ -25,8 +37,8 @@ class DisplayScheduler {
     }
 
     this.running = true;
-    this.nextDisplaySecond = Math.floor(Date.now() / 1000); // Initialize
-    console.log(`DisplayScheduler started - synchronized to second boundaries (starting at ${this.nextDisplaySecond})`);
+    this.nextDisplayTick = this.queue.tickAt(Date.now()); // Initialize
+    console.log(`DisplayScheduler started - synchronized to ${this.queue.framePeriod}ms boundaries (starting at ${this.nextDisplayTick})`);
     this.scheduleNextDisplay();
   }
 
@@ -43,63 +55,83 @@ class DisplayScheduler {
   }
 
   /**
-   * Schedule the next display update at the next second boundary
+   * Schedule the next display update at the next frame period boundary
    */
   scheduleNextDisplay() {
     if (!this.running) return;
 
+    const framePeriod = this.queue.framePeriod;
     const now = Date.now();
-    const msUntilNextSecond = 1000 - (now % 1000);
+    const msUntilNextTick = framePeriod - (now % framePeriod);
 
     this.timeoutId = setTimeout(async () => {
-      // CRITICAL: Use tracked nextDisplaySecond, not recalculated from Date.now()
+      // CRITICAL: Use tracked nextDisplayTick, not recalculated from Date.now()
       // This prevents duplicates when timeout fires 1ms early (e.g., 12:39:43.999)
-      const displaySecond = this.nextDisplaySecond;
+      const displayTick = this.nextDisplayTick;
 
-      // Increment for next iteration BEFORE displaying (in case display takes time)
-      this.nextDisplaySecond++;
+      // Advance for next iteration BEFORE displaying (in case display takes time)
+      this.nextDisplayTick += framePeriod;
 
-      await this.displayFrame(displaySecond);
+      await this.displayFrame(displayTick);
 
       // CRITICAL: Check if we're behind and need to skip frames to catch up
-      // If display took too long, we may have missed seconds - drop them!
-      const actualCurrentSecond = Math.floor(Date.now() / 1000);
-      if (this.nextDisplaySecond < actualCurrentSecond) {
-        const skippedFrames = actualCurrentSecond - this.nextDisplaySecond;
+      // If display took too long, we may have missed ticks - drop them!
+      const actualCurrentTick = this.queue.tickAt(Date.now());
+      if (this.nextDisplayTick < actualCurrentTick) {
+        const skippedFrames = (actualCurrentTick - this.nextDisplayTick) / framePeriod;
         console.warn(`⚠️  Hardware can't keep up: skipping ${skippedFrames} frame(s) to prevent drift`);
-        console.warn(`   Was at second ${this.nextDisplaySecond}, jumping to ${actualCurrentSecond}`);
-        this.nextDisplaySecond = actualCurrentSecond;
+        console.warn(`   Was at tick ${this.nextDisplayTick}, jumping to ${actualCurrentTick}`);
+        // Operations for the skipped ticks are never displayed
+        for (let tick = this.nextDisplayTick; tick < actualCurrentTick; tick += framePeriod) {
+          const skipped = this.queue.dequeue(tick);
+          if (skipped) {
+            this.onDrop(skipped);
+          }
+        }
+        this.nextDisplayTick = actualCurrentTick;
       }
 
       this.scheduleNextDisplay(); // Continue loop
-    }, msUntilNextSecond);
+    }, msUntilNextTick);
   }
 
   /**
-   * Display a frame for the given second
-   * @param {number} displaySecond - Unix timestamp second to display
+   * Display a frame for the given tick
+   * @param {number} displayTick - Unix timestamp (ms) of the tick to display
    */
-  async displayFrame(displaySecond) {
-    const perfOpId = this.perfMonitor?.start('display:frame', { displaySecond });
+  async displayFrame(displayTick) {
+    const perfOpId = this.perfMonitor?.start('display:frame', { displayTick });
     const startTime = Date.now();
 
-    const operation = this.queue.dequeue(displaySecond);
+    const operation = this.queue.dequeue(displayTick);
 
     if (!operation) {
-      // No operation for this second - DROPPED FRAME!
-      const now = new Date(displaySecond * 1000);
-      console.error(`❌ DROPPED FRAME at ${now.toISOString()} (second ${displaySecond})`);
-      const status = this.queue.getStatus(displaySecond);
+      // No operation for this tick - DROPPED FRAME!
+      const now = new Date(displayTick);
+      console.error(`❌ DROPPED FRAME at ${now.toISOString()} (tick ${displayTick})`);
+      const status = this.queue.getStatus(displayTick);
       console.error(`   Queue: ${status.size} operations, range: ${status.range}`);
       console.error(`   Expected operation not found - frame will not display!`);
       this.perfMonitor?.end(perfOpId, { result: 'no-op' });
       return;
     }
 
+    if (operation.type === 'hold') {
+      // Nothing changes this tick (no overlay due, or e-paper between minute ticks)
+      this.perfMonitor?.end(perfOpId, { result: 'hold' });
+      return;
+    }
+
+    if (this.updatePolicy && !this.updatePolicy.admit(operation)) {
+      this.onDrop(operation);
+      this.perfMonitor?.end(perfOpId, { result: 'skipped', type: operation.type });
+      return;
+    }
+
     // Log every display attempt when DEBUG enabled
     if (this.perfMonitor?.config.enabled) {
-      const now = new Date(displaySecond * 1000);
-      console.log(`📺 Display ${operation.type} for ${now.toISOString()} (second ${displaySecond})`);
+      const now = new Date(displayTick);
+      console.log(`📺 Display ${operation.type} for ${now.toISOString()}`);
     }
 
     try {
@@ -128,13 +160,27 @@ class DisplayScheduler {
           region: `${operation.region.width}x${operation.region.height} at (${operation.region.x},${operation.region.y})`,
           bufferSize: operation.buffer.length
         });
+      } else if (operation.type === 'batch') {
+        // Several overlays changed this tick: one write, one frame
+        await this.framebuffer.writePartials(operation.operations);
+        const duration = Date.now() - startTime;
+        if (this.perfMonitor?.config.enabled && duration > 100) {
+          console.warn(`⚠️  Slow display: batch of ${operation.operations.length} partial writes took ${duration}ms`);
+        }
+        this.perfMonitor?.end(perfOpId, {
+          result: 'success',
+          type: 'batch',
+          regions: operation.operations.length,
+          bufferSize: operation.operations.reduce((size, partial) => size + partial.buffer.length, 0)
+        });
       } else {
         console.error(`❌ Unknown operation type: ${operation.type}`);
         this.perfMonitor?.end(perfOpId, { result: 'error', error: 'unknown-type' });
       }
     } catch (err) {
-      console.error(`❌ Error displaying frame for second ${displaySecond}:`, err.message);
+      console.error(`❌ Error displaying frame for ${new Date(displayTick).toISOString()}:`, err.message);
       console.error(`   Stack: ${err.stack}`);
+      this.onDrop(operation);
       this.perfMonitor?.end(perfOpId, { result: 'error', error: err.message });
     }
   }
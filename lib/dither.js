@@ -0,0 +1,107 @@
+/**
+ * Dithering
+ *
+ * Reduces rendered RGB images to the colors a low-depth panel can show
+ * (grayscale, mono, rgb332 or a palette; see createQuantizer() in pixel-format.js).
+ * The renderer applies it before output, so the framebuffer only has to look up
+ * exact colors.
+ *
+ * - ordered: 8x8 Bayer matrix, anchored to display coordinates so partial updates
+ *   line up with the full frame around them (default)
+ * - floyd-steinberg: error diffusion, smoother for photos, but a region dithered on
+ *   its own can differ slightly from the same area in a full frame
+ * - threshold: nearest color, no dithering
+ */
+
+const DITHER_METHODS = ['ordered', 'floyd-steinberg', 'threshold'];
+
+const BAYER_8X8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21]
+];
+
+/**
+ * Dither pixels in place to colors of the quantizer
+ * @param {Buffer} data - Packed RGB or RGBA pixels (alpha is left untouched)
+ * @param {number} width
+ * @param {number} height
+ * @param {number} channels - 3 or 4
+ * @param {Object} quantizer - From createQuantizer()
+ * @param {string} method - One of DITHER_METHODS
+ * @param {Object} origin - { x, y } display position of the first pixel (ordered dithering)
+ */
+function ditherPixels(data, width, height, channels, quantizer, method = 'ordered', origin = { x: 0, y: 0 }) {
+  switch (method) {
+    case 'ordered':
+      orderedDither(data, width, height, channels, quantizer, origin);
+      break;
+
+    case 'floyd-steinberg':
+      floydSteinbergDither(data, width, height, channels, quantizer);
+      break;
+
+    case 'threshold':
+      for (let i = 0; i < data.length; i += channels) {
+        quantizer.quantize(data[i], data[i + 1], data[i + 2], data, i);
+      }
+      break;
+
+    default:
+      throw new Error(`display.dither must be one of ${DITHER_METHODS.join(', ')} (got ${method})`);
+  }
+}
+
+function orderedDither(data, width, height, channels, quantizer, origin) {
+  for (let y = 0; y < height; y++) {
+    const row = BAYER_8X8[(y + origin.y) & 7];
+    for (let x = 0; x < width; x++) {
+      const i = ((y * width) + x) * channels;
+      const offset = (((row[(x + origin.x) & 7] + 0.5) / 64) - 0.5) * quantizer.spread;
+      quantizer.quantize(data[i] + offset, data[i + 1] + offset, data[i + 2] + offset, data, i);
+    }
+  }
+}
+
+function floydSteinbergDither(data, width, height, channels, quantizer) {
+  // Working copy with room for accumulated error
+  const work = new Float32Array(width * height * 3);
+  for (let i = 0, j = 0; i < data.length; i += channels, j += 3) {
+    work[j] = data[i];
+    work[j + 1] = data[i + 1];
+    work[j + 2] = data[i + 2];
+  }
+
+  const spread = (j, c, error, weight) => {
+    work[j + c] += error * weight;
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const j = ((y * width) + x) * 3;
+      const i = ((y * width) + x) * channels;
+      quantizer.quantize(work[j], work[j + 1], work[j + 2], data, i);
+
+      for (let c = 0; c < 3; c++) {
+        const error = work[j + c] - data[i + c];
+        if (x + 1 < width) spread(j + 3, c, error, 7 / 16);
+        if (y + 1 < height) {
+          const below = j + (width * 3);
+          if (x > 0) spread(below - 3, c, error, 3 / 16);
+          spread(below, c, error, 5 / 16);
+          if (x + 1 < width) spread(below + 3, c, error, 1 / 16);
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  DITHER_METHODS,
+  ditherPixels
+};
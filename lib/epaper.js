@@ -0,0 +1,150 @@
+/**
+ * E-Paper Update Policy
+ *
+ * E-ink panels take a second or more per refresh, build up ghosting from
+ * repeated partial refreshes and wear out when refreshed constantly. With
+ * display.updateMode: epaper:
+ *
+ * - Overlays tick once a minute instead of every second; the seconds in
+ *   between hold the image on screen (see isTickSecond())
+ * - Changed regions of a new base image are coalesced into one partial update
+ * - Every display.epaper.fullRefreshEvery partial updates, the next update is
+ *   rendered as a full refresh to clear ghosting
+ * - At most display.epaper.maxUpdatesPerHour updates reach the panel; updates
+ *   over budget are skipped and the next one is promoted to a full refresh so
+ *   the skipped changes still show up
+ */
+
+const UPDATE_MODES = ['standard', 'epaper'];
+
+const EPAPER_DEFAULTS = {
+  fullRefreshEvery: 10,
+  maxUpdatesPerHour: 75 // One clock tick per minute, plus room for page changes
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Read the update mode settings from display config
+ * @param {Object} display - display config { updateMode, epaper }
+ * @returns {Object} { mode, fullRefreshEvery, maxUpdatesPerHour }
+ */
+function normalizeUpdateMode(display = {}) {
+  const mode = display.updateMode || 'standard';
+  if (!UPDATE_MODES.includes(mode)) {
+    throw new Error(`display.updateMode must be one of ${UPDATE_MODES.join(', ')} (got ${mode})`);
+  }
+
+  const settings = { ...EPAPER_DEFAULTS, ...display.epaper };
+  for (const key of Object.keys(EPAPER_DEFAULTS)) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+      throw new Error(`display.epaper.${key} must be a positive integer (got ${settings[key]})`);
+    }
+  }
+
+  return {
+    mode,
+    fullRefreshEvery: settings.fullRefreshEvery,
+    maxUpdatesPerHour: settings.maxUpdatesPerHour
+  };
+}
+
+/**
+ * Whether overlays are re-rendered for this second
+ * @param {number} second - Unix timestamp second
+ * @param {string} mode - Update mode from normalizeUpdateMode()
+ */
+function isTickSecond(second, mode) {
+  return mode !== 'epaper' || second % 60 === 0;
+}
+
+class EpaperUpdatePolicy {
+  /**
+   * @param {Object} settings - From normalizeUpdateMode()
+   * @param {PerfMonitor} perfMonitor - Receives update and skip counts
+   */
+  constructor(settings, perfMonitor = null) {
+    this.fullRefreshEvery = settings.fullRefreshEvery;
+    this.maxUpdatesPerHour = settings.maxUpdatesPerHour;
+    this.perfMonitor = perfMonitor;
+
+    this.partialsSinceFull = 0; // Partial updates planned since the last full refresh
+    this.stale = false; // An update was skipped, the panel is missing changes
+    this.updates = []; // Times (ms) of updates written within the last hour
+    this.skipped = 0;
+  }
+
+  /**
+   * Decide how to render the next update
+   * Called when an update is rendered, ahead of its display time.
+   * @param {string} type - 'full' or 'partial' (what the caller would render)
+   * @returns {string} 'full' when a ghosting clear is due or changes were skipped
+   */
+  planUpdate(type = 'partial') {
+    if (type === 'full' || this.stale || this.partialsSinceFull >= this.fullRefreshEvery) {
+      this.partialsSinceFull = 0;
+      this.stale = false;
+      return 'full';
+    }
+
+    this.partialsSinceFull++;
+    return 'partial';
+  }
+
+  /**
+   * Check the hourly budget before an update is written
+   * Called by DisplayScheduler at display time.
+   * @param {Object} operation - Queued operation about to be displayed
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} False if the update must be skipped
+   */
+  admit(operation, now = Date.now()) {
+    while (this.updates.length > 0 && this.updates[0] <= now - HOUR_MS) {
+      this.updates.shift();
+    }
+
+    // Recorded as a value rather than a duration: the perf report then shows
+    // how many updates per hour were used (mean/max) next to the timings
+    if (this.updates.length >= this.maxUpdatesPerHour) {
+      if (!this.stale) {
+        console.warn(`⚠️  E-paper budget used up (${this.maxUpdatesPerHour} updates/hour): skipping updates, next one will be a full refresh`);
+      }
+      this.stale = true;
+      this.skipped++;
+      this.perfMonitor?.record('epaper:skipped', this.updates.length, {
+        type: operation.type,
+        skipped: this.skipped
+      });
+      return false;
+    }
+
+    this.updates.push(now);
+    this.perfMonitor?.record('epaper:updates-per-hour', this.updates.length, {
+      type: operation.type,
+      budget: this.maxUpdatesPerHour
+    });
+    return true;
+  }
+
+  /**
+   * Current budget usage for logging
+   * @param {number} now - Current time (ms)
+   */
+  getStatus(now = Date.now()) {
+    return {
+      updatesLastHour: this.updates.filter(time => time > now - HOUR_MS).length,
+      maxUpdatesPerHour: this.maxUpdatesPerHour,
+      partialsSinceFull: this.partialsSinceFull,
+      fullRefreshEvery: this.fullRefreshEvery,
+      skipped: this.skipped
+    };
+  }
+}
+
+module.exports = {
+  UPDATE_MODES,
+  EPAPER_DEFAULTS,
+  normalizeUpdateMode,
+  isTickSecond,
+  EpaperUpdatePolicy
+};
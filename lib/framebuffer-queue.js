@@ -2,47 +2,62 @@
  * Framebuffer Queue
  *
  * Manages a queue of pre-rendered framebuffer operations, each keyed by
- * the display time (second). Operations are rendered ahead of time and
- * written to framebuffer at their scheduled time.
+ * the display tick: a Unix time in ms on a multiple of the frame period.
+ * Operations are rendered ahead of time and written to framebuffer at
+ * their scheduled time.
  */
 
 class FramebufferQueue {
-  constructor(windowSize = 10) {
-    this.operations = new Map(); // displaySecond -> { type, buffer, region, displayTime }
-    this.sortedSeconds = []; // Maintain sorted array of queued seconds for efficient lookups
+  /**
+   * @param {number} windowSize - Operations to keep queued ahead
+   * @param {number} framePeriod - Time between display ticks (ms, default: 1000)
+   */
+  constructor(windowSize = 10, framePeriod = 1000) {
+    this.operations = new Map(); // displayTick -> { type, buffer, region, displayTime }
+    this.sortedTicks = []; // Maintain sorted array of queued ticks for efficient lookups
     this.windowSize = windowSize;
+    this.framePeriod = framePeriod;
+  }
+
+  /**
+   * Display tick at or before a time
+   * @param {number} time - Unix timestamp (ms)
+   * @returns {number} The time rounded down to a multiple of the frame period
+   */
+  tickAt(time) {
+    return Math.floor(time / this.framePeriod) * this.framePeriod;
   }
 
   /**
    * Add an operation to the queue
-   * @param {number} displaySecond - Unix timestamp second when this should display
-   * @param {Object} operation - { type: 'full'|'partial', buffer, region?, displayTime }
+   * @param {number} displayTick - Unix timestamp (ms) when this should display
+   * @param {Object} operation - { type: 'full'|'partial'|'batch'|'hold', buffer, region?, operations?, displayTime }
    */
-  enqueue(displaySecond, operation) {
-    const isNew = !this.operations.has(displaySecond);
-    this.operations.set(displaySecond, operation);
+  enqueue(displayTick, operation) {
+    const isNew = !this.operations.has(displayTick);
+    this.operations.set(displayTick, operation);
 
     // Maintain sorted array for efficient lookups
     if (isNew) {
       // Binary search to find insertion point
-      const idx = this._binarySearch(displaySecond);
-      this.sortedSeconds.splice(idx, 0, displaySecond);
+      const idx = this._binarySearch(displayTick);
+      this.sortedTicks.splice(idx, 0, displayTick);
     }
   }
 
   /**
    * Get and remove an operation from the queue
-   * @param {number} displaySecond - Unix timestamp second to retrieve
+   * @param {number} displayTick - Unix timestamp (ms) to retrieve
    * @returns {Object|null} The operation, or null if not found
    */
-  dequeue(displaySecond) {
-    const op = this.operations.get(displaySecond);
+  dequeue(displayTick) {
+    const op = this.operations.get(displayTick);
     if (op) {
-      this.operations.delete(displaySecond);
+      this.operations.delete(displayTick);
       // Remove from sorted array
-      const idx = this.sortedSeconds.indexOf(displaySecond);
+      const idx = this.sortedTicks.indexOf(displayTick);
       if (idx !== -1) {
-        this.sortedSeconds.splice(idx, 1);
+        this.sortedTicks.splice(idx, 1);
       }
     }
     return op || null;
@@ -54,11 +69,11 @@ class FramebufferQueue {
    */
   _binarySearch(value) {
     let left = 0;
-    let right = this.sortedSeconds.length;
+    let right = this.sortedTicks.length;
 
     while (left < right) {
       const mid = Math.floor((left + right) / 2);
-      if (this.sortedSeconds[mid] < value) {
+      if (this.sortedTicks[mid] < value) {
         left = mid + 1;
       } else {
         right = mid;
@@ -70,73 +85,76 @@ class FramebufferQueue {
 
   /**
    * Check if queue needs more operations
-   * @param {number} currentSecond - Current Unix timestamp second
+   * @param {number} currentTick - Current display tick (ms)
    * @returns {boolean} True if queue has fewer than windowSize operations ahead
    */
-  needsMore(currentSecond) {
-    // Use binary search to find first future second
-    const idx = this._binarySearch(currentSecond);
-    const futureCount = this.sortedSeconds.length - idx;
+  needsMore(currentTick) {
+    // Use binary search to find first future tick
+    const idx = this._binarySearch(currentTick);
+    const futureCount = this.sortedTicks.length - idx;
     return futureCount < this.windowSize;
   }
 
   /**
-   * Get the next second that needs an operation
-   * @param {number} currentSecond - Current Unix timestamp second
-   * @returns {number} Next second that needs rendering
+   * Get the next tick that needs an operation
+   * @param {number} currentTick - Current display tick (ms)
+   * @returns {number} Next tick that needs rendering
    */
-  getNextUnqueuedSecond(currentSecond) {
-    // Use binary search to find first future second
-    const idx = this._binarySearch(currentSecond);
+  getNextUnqueuedTick(currentTick) {
+    // Use binary search to find first future tick
+    const idx = this._binarySearch(currentTick);
 
-    if (idx >= this.sortedSeconds.length) {
+    if (idx >= this.sortedTicks.length) {
       // No future operations
-      return currentSecond;
+      return currentTick;
     }
 
     // Find first gap in sequence
-    for (let i = idx; i < this.sortedSeconds.length; i++) {
-      const expected = currentSecond + (i - idx);
-      if (this.sortedSeconds[i] !== expected) {
+    for (let i = idx; i < this.sortedTicks.length; i++) {
+      const expected = currentTick + (i - idx) * this.framePeriod;
+      if (this.sortedTicks[i] !== expected) {
         return expected;
       }
     }
 
     // No gaps, return next after last
-    return this.sortedSeconds[this.sortedSeconds.length - 1] + 1;
+    return this.sortedTicks[this.sortedTicks.length - 1] + this.framePeriod;
   }
 
   /**
-   * Get the last queued second
-   * @returns {number|null} Last queued second, or null if empty
+   * Get the last queued tick
+   * @returns {number|null} Last queued tick, or null if empty
    */
-  getLastQueuedSecond() {
-    if (this.sortedSeconds.length === 0) {
+  getLastQueuedTick() {
+    if (this.sortedTicks.length === 0) {
       return null;
     }
-    return this.sortedSeconds[this.sortedSeconds.length - 1];
+    return this.sortedTicks[this.sortedTicks.length - 1];
   }
 
   /**
    * Get queue status for debugging
-   * @param {number} currentSecond - Current Unix timestamp second
+   * @param {number} currentTick - Current display tick (ms)
    * @returns {Object} Status information
    */
-  getStatus(currentSecond) {
-    // Use binary search to find first future second
-    const idx = this._binarySearch(currentSecond);
-    const futureSeconds = this.sortedSeconds.slice(idx);
+  getStatus(currentTick) {
+    // Use binary search to find first future tick
+    const idx = this._binarySearch(currentTick);
+    const futureTicks = this.sortedTicks.slice(idx);
+    const msAhead = futureTicks.length > 0
+      ? futureTicks[futureTicks.length - 1] - currentTick
+      : 0;
 
     return {
-      size: futureSeconds.length,
+      size: futureTicks.length,
       windowSize: this.windowSize,
-      needsMore: this.needsMore(currentSecond),
-      range: futureSeconds.length > 0
-        ? `${futureSeconds[0]} to ${futureSeconds[futureSeconds.length - 1]}`
+      framePeriod: this.framePeriod,
+      needsMore: this.needsMore(currentTick),
+      range: futureTicks.length > 0
+        ? `${futureTicks[0]} to ${futureTicks[futureTicks.length - 1]}`
         : 'empty',
-      secondsAhead: futureSeconds.length > 0
-        ? futureSeconds[futureSeconds.length - 1] - currentSecond
-        : 0
+      framesAhead: msAhead / this.framePeriod,
+      secondsAhead: msAhead / 1000
     };
   }
 
@@ -145,7 +163,7 @@ class FramebufferQueue {
    */
   clear() {
     this.operations.clear();
-    this.sortedSeconds = [];
+    this.sortedTicks = [];
   }
 }
 
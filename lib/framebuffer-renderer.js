@@ -3,16 +3,75 @@
  *
  * Pre-renders framebuffer operations for specific display times.
  * Handles both full updates (entire framebuffer) and partial updates
- * (overlay regions only).
+ * (overlay regions only). For low-depth panels (8bpp and below) every
+ * operation is dithered here, so full and partial updates match.
  */
 
 const sharp = require('sharp');
-const { generateOverlay } = require('./overlays');
+const { generateOverlay, getOverlayContent } = require('./overlays');
+const { isIndexedFormat, createQuantizer } = require('./pixel-format');
+const { ditherPixels } = require('./dither');
 
 class FramebufferRenderer {
   constructor(config, perfMonitor) {
     this.config = config;
     this.perfMonitor = perfMonitor;
+    this.brightness = 1; // 0-1, lowered by schedule dimming
+    this.quantizer = null; // Set for 8bpp and below (see setPixelFormat)
+    this.dither = (config.display && config.display.dither) || 'ordered';
+  }
+
+  /**
+   * Set the framebuffer pixel format operations are rendered for
+   * Formats of 8bpp and below get their colors dithered (display.dither).
+   * @param {Object} format - Framebuffer format from Framebuffer.detect()
+   */
+  setPixelFormat(format) {
+    this.quantizer = format && isIndexedFormat(format) ? createQuantizer(format) : null;
+  }
+
+  /**
+   * Set output brightness for all subsequently rendered operations
+   * @param {number} brightness - 0 (black) to 1 (unchanged)
+   */
+  setBrightness(brightness) {
+    this.brightness = Math.max(0, Math.min(1, brightness));
+  }
+
+  /**
+   * Dim a composited image by the current brightness
+   * Sharp applies linear() before composite() within one pipeline, so dimming
+   * the overlays too needs a second pass over the composited pixels.
+   * @private
+   */
+  async _applyBrightness(image) {
+    if (this.brightness >= 1) {
+      return image;
+    }
+
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    return sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    }).linear(this.brightness, 0);
+  }
+
+  /**
+   * Dither a composited image to the panel's colors
+   * @private
+   * @param {Object} image - sharp instance
+   * @param {Object} origin - { x, y } display position of the image (keeps ordered dithering aligned)
+   */
+  async _applyDither(image, origin) {
+    if (!this.quantizer) {
+      return image;
+    }
+
+    // raw() first: sharp runs composite() last, after any removeAlpha() in the same pipeline
+    const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+    ditherPixels(data, info.width, info.height, info.channels, this.quantizer, this.dither, origin);
+    return sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    });
   }
 
   /**
@@ -37,6 +96,8 @@ class FramebufferRenderer {
       const state = overlayStates.get(overlay.name);
       if (!state || !state.baseRegionBuffer) continue;
 
+      // Drawn here, so the next tick only redraws it once it changes
+      state.renderedContent = getOverlayContent(overlay, new Date(displayTime));
       const { region } = state;
 
       // Generate overlay for specific display time
@@ -59,6 +120,9 @@ class FramebufferRenderer {
       currentImage = currentImage.composite(composites);
     }
 
+    currentImage = await this._applyBrightness(currentImage);
+    currentImage = await this._applyDither(currentImage, { x: 0, y: 0 });
+
     let buffer, metadata;
     if (options.rawOutput) {
       // Output raw pixels - much faster, no PNG encode/decode cycle
@@ -130,10 +194,9 @@ class FramebufferRenderer {
       sharpInstance = sharp(baseRegionBuffer);
     }
 
-    const buffer = await sharpInstance
-      .composite([{ input: overlayBuffer }])
-      .png()
-      .toBuffer();
+    const composited = await this._applyBrightness(sharpInstance.composite([{ input: overlayBuffer }]));
+    const dithered = await this._applyDither(composited, region);
+    const buffer = await dithered.png().toBuffer();
 
     this.perfMonitor?.end(perfOpId, { bufferSize: buffer.length });
 
@@ -144,6 +207,124 @@ class FramebufferRenderer {
       displayTime
     };
   }
+
+  /**
+   * Render partial updates for several overlays as one operation
+   * DisplayScheduler writes all regions of a batch in the same frame. Each
+   * overlay's state.renderedContent records what it draws (see
+   * hasOverlayChanged()) before the first await, so ticks rendered in
+   * parallel compare with the tick started before them; the operation lists
+   * those states as drawnStates.
+   * @param {Array} overlays - Overlay configs to update
+   * @param {Map} overlayStates - Map of overlay name -> { region, style, baseRegionBuffer, rawMetadata }
+   * @param {number} displayTime - Unix timestamp (ms) when this should display
+   * @returns {Object|null} A single overlay's partial operation, { type: 'batch', operations, displayTime }
+   *   for several, or null when no overlay has a base region yet
+   */
+  async renderOverlayUpdates(overlays, overlayStates, displayTime) {
+    const ready = overlays.filter(overlay => {
+      const state = overlayStates.get(overlay.name);
+      return state && state.baseRegionBuffer;
+    });
+
+    const drawnStates = ready.map(overlay => {
+      const state = overlayStates.get(overlay.name);
+      state.renderedContent = getOverlayContent(overlay, new Date(displayTime));
+      return state;
+    });
+
+    const operations = await Promise.all(ready.map(overlay =>
+      this.renderPartialUpdate(overlay, overlayStates.get(overlay.name), displayTime)));
+
+    if (operations.length <= 1) {
+      return operations[0] ? { ...operations[0], drawnStates } : null;
+    }
+    return { type: 'batch', operations, displayTime, drawnStates };
+  }
+
+  /**
+   * Forget what an operation from renderOverlayUpdates() drew
+   * For operations that never reach the screen (DisplayScheduler onDrop): the
+   * overlays are drawn again on the next tick rendered.
+   * @param {Object} operation - Dropped operation
+   */
+  forgetOperation(operation) {
+    for (const state of operation.drawnStates || []) {
+      state.renderedContent = undefined;
+    }
+  }
+
+  /**
+   * Render a partial update of an arbitrary region of the base image
+   * Used for diff-based updates: overlays overlapping the region are composited
+   * on top so they don't disappear when the base changes underneath them.
+   * @param {Buffer} baseImageBuffer - Encoded base image
+   * @param {Object} region - { x, y, width, height } to extract
+   * @param {Array} overlays - Array of overlay configs
+   * @param {Map} overlayStates - Map of overlay name -> { region, style }
+   * @param {number} displayTime - Unix timestamp (ms) when this should display
+   * @returns {Object} { type: 'partial', buffer, region, displayTime }
+   */
+  async renderRegionUpdate(baseImageBuffer, region, overlays, overlayStates, displayTime) {
+    const perfOpId = this.perfMonitor?.start('render:regionUpdate', {
+      region: `${region.width}x${region.height} at (${region.x},${region.y})`,
+      displayTime
+    });
+
+    let regionImage = sharp(baseImageBuffer)
+      .extract({ left: region.x, top: region.y, width: region.width, height: region.height });
+
+    const composites = [];
+    for (const overlay of overlays) {
+      if (!overlay.enabled) continue;
+
+      const state = overlayStates.get(overlay.name);
+      if (!state || !state.region) continue;
+
+      // Check if overlay region overlaps with changed region
+      const overlayRegion = state.region;
+      const overlaps = !(
+        overlayRegion.x + overlayRegion.width <= region.x ||
+        overlayRegion.x >= region.x + region.width ||
+        overlayRegion.y + overlayRegion.height <= region.y ||
+        overlayRegion.y >= region.y + region.height
+      );
+      if (!overlaps) continue;
+
+      // Drawn here, so the next tick only redraws it once it changes
+      state.renderedContent = getOverlayContent(overlay, new Date(displayTime));
+
+      const mergedOverlay = {
+        ...overlay,
+        style: state.style,
+        _renderTime: new Date(displayTime)
+      };
+
+      // Position relative to the changed region (sharp clips partial overlaps)
+      composites.push({
+        input: generateOverlay(mergedOverlay, overlayRegion),
+        left: overlayRegion.x - region.x,
+        top: overlayRegion.y - region.y
+      });
+    }
+
+    if (composites.length > 0) {
+      regionImage = regionImage.composite(composites);
+    }
+
+    regionImage = await this._applyBrightness(regionImage);
+    regionImage = await this._applyDither(regionImage, region);
+    const buffer = await regionImage.png().toBuffer();
+
+    this.perfMonitor?.end(perfOpId, { bufferSize: buffer.length, overlays: composites.length });
+
+    return {
+      type: 'partial',
+      buffer,
+      region,
+      displayTime
+    };
+  }
 }
 
 module.exports = FramebufferRenderer;
@@ -1,73 +1,238 @@
 /**
  * Framebuffer Management
  *
- * Handles all interactions with the Linux framebuffer device:
+ * Handles all interactions with the display output:
  * - Detection and initialization
- * - Image format conversion
- * - Full and partial screen writes
+ * - Image format conversion (pixel layout and line stride from the driver)
+ * - Full and partial screen writes (full ones flipped in with a pan when the
+ *   virtual framebuffer has room for two frames)
+ * - Rotation/mirroring from logical (display.width x height) to physical coordinates
+ *
+ * Bytes reach the screen through an output backend (display.output: fbdev,
+ * drm or file, see output-backends.js).
  */
 
 const sharp = require('sharp');
-const fs = require('fs');
+const { createOutputBackend } = require('./output-backends');
+const {
+  normalizeOrientation,
+  isIdentityOrientation,
+  orientedSize,
+  transformRegion,
+  applyOrientation
+} = require('./orientation');
+const {
+  getPixelFormat,
+  defaultPixelFormat,
+  describePixelFormat,
+  isIndexedFormat,
+  createQuantizer,
+  indexPixels,
+  packBits,
+  packPixels,
+  unpackPixels
+} = require('./pixel-format');
 
 class Framebuffer {
   constructor(config, perfMonitor) {
     this.config = config;
     this.perfMonitor = perfMonitor;
-    this.fd = null;
+    this.backend = createOutputBackend(config);
     this.info = null;
+    this.quantizer = null; // Color lookup for 8bpp and below
+    this.doubleBuffered = false;
+    this.page = 0; // Frame (0 or 1) shown when double buffered
+    this.orientation = normalizeOrientation(config.display);
     // Enhanced buffer pool with pre-allocated common sizes
     this.bufferPools = new Map(); // size -> Buffer[]
     this.maxBuffersPerSize = 3;
   }
 
   /**
-   * Detect framebuffer properties from sysfs
+   * Detect output properties through the backend
+   * Sizes are physical; the logical size is display.width/height.
+   * display.pixelFormat overrides the layout the backend detected.
    */
   detect() {
+    let info;
     try {
-      const fbPath = this.config.display.framebufferDevice.replace('/dev/', '/sys/class/graphics/');
-      const xres = parseInt(fs.readFileSync(`${fbPath}/virtual_size`).toString().split(',')[0]);
-      const yres = parseInt(fs.readFileSync(`${fbPath}/virtual_size`).toString().split(',')[1]);
-      const bpp = parseInt(fs.readFileSync(`${fbPath}/bits_per_pixel`).toString());
-
-      console.log(`Framebuffer detected: ${xres}x${yres} @ ${bpp}bpp`);
+      const { width, height, virtualHeight, bpp, stride, format } = this.backend.detect();
 
-      return {
-        width: xres,
-        height: yres,
-        bpp: bpp,
+      info = {
+        width,
+        height,
+        virtualHeight: virtualHeight || height,
+        bpp,
         bytesPerPixel: bpp / 8,
-        stride: xres * (bpp / 8)
+        stride,
+        format: this._resolvePixelFormat(bpp, format)
       };
+
+      console.log(`Framebuffer detected: ${width}x${height} @ ${bpp}bpp` +
+        (info.format ? ` (${describePixelFormat(info.format)}, stride ${stride})` : ''));
     } catch (_err) {
       console.warn('Could not detect framebuffer properties, using config values');
-      return {
-        width: this.config.display.width,
-        height: this.config.display.height,
-        bpp: 32,
-        bytesPerPixel: 4,
-        stride: this.config.display.width * 4
+      const { width, height } = orientedSize(this.config.display.width, this.config.display.height, this.orientation);
+      const format = this._configuredPixelFormat() || defaultPixelFormat(32);
+      info = {
+        width,
+        height,
+        virtualHeight: height,
+        bpp: format.bpp,
+        bytesPerPixel: format.bytesPerPixel,
+        stride: Math.ceil(width * format.bpp / 8),
+        format
       };
     }
+
+    return info;
+  }
+
+  /**
+   * Pick the pixel format: display.pixelFormat, then the detected layout, then the bpp default
+   * @private
+   */
+  _resolvePixelFormat(bpp, detected) {
+    const configured = this._configuredPixelFormat();
+    if (configured) {
+      if (configured.bpp === bpp) {
+        return configured;
+      }
+      console.warn(`⚠️ display.pixelFormat '${configured.name}' is ${configured.bpp}bpp but the framebuffer is ${bpp}bpp, ignoring it`);
+    }
+
+    const format = detected || defaultPixelFormat(bpp);
+    if (format && this.config.display.bitOrder) {
+      format.bitOrder = this.config.display.bitOrder;
+    }
+    return format;
+  }
+
+  /**
+   * display.pixelFormat (with palette and bit order), or null for 'auto'
+   * @private
+   */
+  _configuredPixelFormat() {
+    const { pixelFormat, palette, bitOrder } = this.config.display;
+    if (!pixelFormat || pixelFormat === 'auto') {
+      return null;
+    }
+    return getPixelFormat(pixelFormat, { palette, bitOrder });
   }
 
   /**
-   * Open framebuffer device for writing
+   * Open the output for writing
    */
   open() {
     try {
-      this.fd = fs.openSync(this.config.display.framebufferDevice, 'w');
       this.info = this.detect();
+      this.backend.open(this.info);
+      this.quantizer = this.info.format && isIndexedFormat(this.info.format) ? createQuantizer(this.info.format) : null;
       this._preAllocateBuffers(); // Pre-allocate buffers for common sizes
-      console.log(`Framebuffer opened: ${this.config.display.framebufferDevice}`);
+      console.log(`Framebuffer opened: ${this.backend.describe()}`);
+      this._checkOrientation();
+      this._setupDoubleBuffer();
       return true;
     } catch (err) {
-      console.error(`Failed to open framebuffer ${this.config.display.framebufferDevice}:`, err);
+      console.error(`Failed to open framebuffer ${this.backend.describe()}:`, err);
       return false;
     }
   }
 
+  /**
+   * Double buffer full updates when the virtual framebuffer holds two frames
+   * The off-screen frame is written first and then shown with a pan, so a full
+   * update appears at once instead of wiping down the screen. Drivers that
+   * can't pan keep the single buffered path.
+   * @private
+   */
+  _setupDoubleBuffer() {
+    this.doubleBuffered = false;
+    this.page = 0;
+    const { width, height, virtualHeight } = this.info;
+    if (this.config.display.doubleBuffer === false || !(virtualHeight >= height * 2)) {
+      return;
+    }
+
+    try {
+      const yoffset = this.backend.getPanOffset();
+      if (yoffset === null) {
+        throw new Error('driver does not report a pan offset');
+      }
+      // Continue on the frame already on screen; the pan also checks the driver can pan
+      this.page = yoffset === height ? 1 : 0;
+      this.backend.pan(this.page * height);
+    } catch (err) {
+      this.page = 0;
+      console.warn(`⚠️ Double buffering unavailable (${err.message}), full updates are written to the visible frame`);
+      return;
+    }
+
+    this.doubleBuffered = true;
+    console.log(`✓ Double buffering: ${width}x${virtualHeight} virtual framebuffer, full updates flip with a pan`);
+  }
+
+  /**
+   * Byte offset of a frame in the framebuffer (0 or 1, default: the one on screen)
+   * @private
+   */
+  _pageOffset(page = this.page) {
+    return page * this.info.height * this.info.stride;
+  }
+
+  /**
+   * Write a full frame: into the off-screen frame and pan to it when double
+   * buffered, otherwise straight into the visible one
+   * @private
+   */
+  _writeFrame(rawBuffer, width, height) {
+    if (!this.doubleBuffered) {
+      this._writeRect(rawBuffer, 0, 0, width, height);
+      return;
+    }
+
+    const back = 1 - this.page;
+    this._writeRect(rawBuffer, 0, 0, width, height, back);
+    try {
+      this.backend.pan(back * this.info.height);
+      this.page = back;
+    } catch (err) {
+      console.warn(`⚠️ Pan failed (${err.message}), turning double buffering off`);
+      this.doubleBuffered = false;
+      this._writeRect(rawBuffer, 0, 0, width, height);
+    }
+  }
+
+  /**
+   * Log the orientation and warn when the rendered size won't fill the panel
+   * @private
+   */
+  _checkOrientation() {
+    const { rotation, flipHorizontal, flipVertical } = this.orientation;
+    const { width, height } = this.config.display;
+    const physical = orientedSize(width, height, this.orientation);
+
+    if (!isIdentityOrientation(this.orientation)) {
+      const flips = [flipHorizontal && 'horizontal', flipVertical && 'vertical'].filter(Boolean);
+      console.log(`✓ Display orientation: ${rotation}° rotation${flips.length > 0 ? `, ${flips.join(' and ')} flip` : ''} ` +
+        `(${width}x${height} rendered as ${physical.width}x${physical.height})`);
+    }
+
+    if (physical.width !== this.info.width || physical.height !== this.info.height) {
+      const expected = orientedSize(this.info.width, this.info.height, this.orientation);
+      console.warn(`⚠️ display size ${width}x${height} does not match the ${this.info.width}x${this.info.height} framebuffer ` +
+        `at ${rotation}° rotation (expected ${expected.width}x${expected.height})`);
+    }
+  }
+
+  /**
+   * Logical size of full frames (what pages are rendered at)
+   * @private
+   */
+  _logicalSize() {
+    return { width: this.config.display.width, height: this.config.display.height };
+  }
+
   /**
    * Render and display splash screen from config
    */
@@ -119,33 +284,56 @@ class Framebuffer {
 
   /**
    * Convert image buffer to framebuffer format
+   * The display orientation is applied, so width/height are physical.
+   * @returns {Object} { rawBuffer, sharpImage, width, height }
    */
   async convertToFramebufferFormat(imageBuffer, operationName = 'convert') {
-    const sharpImage = sharp(imageBuffer, {
+    const sharpImage = applyOrientation(sharp(imageBuffer, {
       sequentialRead: true,
       limitInputPixels: false
-    });
+    }), this.orientation);
 
     const convOpId = this.perfMonitor.start(`${operationName}:sharpConvert`, { bpp: this.info.bpp });
-    let rawBuffer;
+    let rawBuffer, info;
 
-    if (this.info.bpp === 32) {
-      rawBuffer = await sharpImage.ensureAlpha().raw().toBuffer();
+    if (!this.info.format) {
+      throw new Error(`Unsupported framebuffer format: ${this.info.bpp}bpp`);
+    } else if (this.quantizer) {
+      // 8bpp and below: one value per pixel (sub-byte packing happens when writing)
+      ({ data: rawBuffer, info } = await sharpImage.removeAlpha().raw().toBuffer({ resolveWithObject: true }));
+      rawBuffer = indexPixels(rawBuffer, 3, this.quantizer);
+    } else if (this.info.bpp === 32) {
+      ({ data: rawBuffer, info } = await sharpImage.ensureAlpha().raw().toBuffer({ resolveWithObject: true }));
+      rawBuffer = packPixels(rawBuffer, 4, this.info.format);
     } else if (this.info.bpp === 24) {
-      rawBuffer = await sharpImage.removeAlpha().raw().toBuffer();
-    } else if (this.info.bpp === 16) {
-      const rgbBuffer = await sharpImage.removeAlpha().raw().toBuffer();
+      ({ data: rawBuffer, info } = await sharpImage.removeAlpha().raw().toBuffer({ resolveWithObject: true }));
+      rawBuffer = packPixels(rawBuffer, 3, this.info.format);
+    } else {
+      const { data: rgbBuffer, info: rgbInfo } = await sharpImage.removeAlpha().raw().toBuffer({ resolveWithObject: true });
       this.perfMonitor.end(convOpId);
       rawBuffer = this.convertToRGB565(rgbBuffer);
-    } else {
-      throw new Error(`Unsupported framebuffer format: ${this.info.bpp}bpp`);
+      info = rgbInfo;
     }
 
     if (this.info.bpp !== 16) {
       this.perfMonitor.end(convOpId);
     }
 
-    return { rawBuffer, sharpImage };
+    return { rawBuffer, sharpImage, width: info.width, height: info.height };
+  }
+
+  /**
+   * Rotate/mirror a raw pixel buffer into physical orientation
+   * @private
+   */
+  async _orientRaw(imageBuffer, metadata) {
+    const opId = this.perfMonitor.start('writeToFramebuffer:orient', { rotation: this.orientation.rotation });
+    const { width, height, channels } = metadata;
+    const { data, info } = await applyOrientation(sharp(imageBuffer, { raw: { width, height, channels } }), this.orientation)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    this.perfMonitor.end(opId);
+    return { buffer: data, metadata: { ...metadata, width: info.width, height: info.height } };
   }
 
   /**
@@ -196,32 +384,77 @@ class Framebuffer {
   }
 
   /**
-   * Convert RGB888 to RGB565 format (with enhanced buffer pooling)
+   * Convert RGB888 (or RGBA) to the 16bpp framebuffer layout, RGB565 or BGR565
+   * (with enhanced buffer pooling)
+   * @param {Buffer} rgbBuffer - Packed pixels
+   * @param {number} channels - 3 (RGB) or 4 (RGBA)
    */
-  convertToRGB565(rgbBuffer) {
+  convertToRGB565(rgbBuffer, channels = 3) {
     const perfOpId = this.perfMonitor.start('convertToRGB565', { inputBytes: rgbBuffer.length });
 
-    const requiredSize = (rgbBuffer.length / 3) * 2;
+    const requiredSize = (rgbBuffer.length / channels) * 2;
     const rgb565Buffer = this._acquireBuffer(requiredSize);
+    const output = rgb565Buffer.length === requiredSize ? rgb565Buffer : rgb565Buffer.subarray(0, requiredSize);
+    const format = this.info && this.info.format && this.info.bpp === 16 ? this.info.format : getPixelFormat('rgb565');
 
-    for (let i = 0; i < rgbBuffer.length; i += 3) {
-      const r = rgbBuffer[i];
-      const g = rgbBuffer[i + 1];
-      const b = rgbBuffer[i + 2];
+    packPixels(rgbBuffer, channels, format, output);
 
-      const r5 = (r >> 3) & 0x1F;
-      const g6 = (g >> 2) & 0x3F;
-      const b5 = (b >> 3) & 0x1F;
+    this.perfMonitor.end(perfOpId, { outputBytes: requiredSize });
 
-      const rgb565 = (r5 << 11) | (g6 << 5) | b5;
+    return output;
+  }
 
-      const offset = (i / 3) * 2;
-      rgb565Buffer.writeUInt16LE(rgb565, offset);
+  /**
+   * Write packed pixels to a rectangle of the framebuffer, honoring the line stride
+   * @param {number} page - Frame to write to (default: the one on screen)
+   * @private
+   */
+  _writeRect(rawBuffer, x, y, width, height, page = this.page) {
+    if (this.info.bpp < 8) {
+      this._writePackedBits(rawBuffer, x, y, width, height, page);
+      return;
     }
 
-    this.perfMonitor.end(perfOpId, { outputBytes: requiredSize });
+    const { stride, bytesPerPixel } = this.info;
+    const bytesPerLine = width * bytesPerPixel;
+    const offset = this._pageOffset(page) + (y * stride) + (x * bytesPerPixel);
+
+    // Full-width frames without line padding go out in one write
+    if (x === 0 && bytesPerLine === stride) {
+      this.backend.write(rawBuffer, 0, bytesPerLine * height, offset);
+      return;
+    }
 
-    return rgb565Buffer.length === requiredSize ? rgb565Buffer : rgb565Buffer.subarray(0, requiredSize);
+    // Otherwise line by line: each region line must land at its own position in the
+    // framebuffer, skipping pixels to the left and right of it and any line padding
+    for (let line = 0; line < height; line++) {
+      this.backend.write(rawBuffer, line * bytesPerLine, bytesPerLine, offset + (line * stride));
+    }
+  }
+
+  /**
+   * Pack and write sub-byte pixel values (4bpp, 1bpp) to a rectangle
+   * Bytes the rectangle only partly covers are read back first so the
+   * neighboring pixels sharing them survive.
+   * @private
+   */
+  _writePackedBits(values, x, y, width, height, page) {
+    const { stride, bpp, format } = this.info;
+    const firstBit = x * bpp;
+    const startByte = firstBit >> 3;
+    const span = Math.ceil((x + width) * bpp / 8) - startByte;
+    const aligned = (firstBit & 7) === 0 && (((x + width) * bpp) & 7) === 0;
+    const line = Buffer.alloc(span);
+
+    for (let row = 0; row < height; row++) {
+      const offset = this._pageOffset(page) + ((y + row) * stride) + startByte;
+      if (!aligned) {
+        line.fill(0);
+        this.backend.read(line, 0, span, offset);
+      }
+      packBits(values, row * width, width, format, line, firstBit & 7);
+      this.backend.write(line, 0, span, offset);
+    }
   }
 
   /**
@@ -233,7 +466,11 @@ class Framebuffer {
     const perfOpId = this.perfMonitor.start('writeToFramebuffer:total');
 
     try {
-      let rawBuffer;
+      let rawBuffer, width, height;
+
+      if (metadata && !isIdentityOrientation(this.orientation)) {
+        ({ buffer: imageBuffer, metadata } = await this._orientRaw(imageBuffer, metadata));
+      }
 
       if (metadata) {
         // Raw buffer path - skip PNG decode, just convert pixel format
@@ -244,40 +481,32 @@ class Framebuffer {
           channels: metadata.channels
         });
 
-        if (this.info.bpp === 32 && metadata.channels === 4) {
-          // Already RGBA, no conversion needed
-          rawBuffer = imageBuffer;
-        } else if (this.info.bpp === 24 && metadata.channels === 3) {
-          // Already RGB, no conversion needed
-          rawBuffer = imageBuffer;
-        } else if (this.info.bpp === 16 && metadata.channels === 3) {
-          // RGB → RGB565 conversion (fast path - Sharp already removed alpha)
-          rawBuffer = this.convertToRGB565(imageBuffer);
-        } else if (this.info.bpp === 16 && metadata.channels === 4) {
-          // RGBA → RGB565: This shouldn't happen if removeAlpha was used in renderer
-          // Fall back to manual conversion (slower)
-          console.warn('⚠️ RGBA → RGB565 conversion using slow JavaScript path. Use removeAlpha in renderer!');
-          const rgbBuffer = Buffer.allocUnsafe((imageBuffer.length / 4) * 3);
-          for (let i = 0, j = 0; i < imageBuffer.length; i += 4, j += 3) {
-            rgbBuffer[j] = imageBuffer[i];       // R
-            rgbBuffer[j + 1] = imageBuffer[i + 1]; // G
-            rgbBuffer[j + 2] = imageBuffer[i + 2]; // B
-            // Skip alpha
+        if (!this.info.format || ![3, 4].includes(metadata.channels)) {
+          throw new Error(`Unsupported raw format conversion: ${metadata.channels} channels to ${this.info.bpp}bpp`);
+        } else if (this.quantizer) {
+          // 8bpp and below: colors were already dithered by the renderer, this only looks them up
+          rawBuffer = indexPixels(imageBuffer, metadata.channels, this.quantizer);
+        } else if (this.info.bpp === 16) {
+          if (metadata.channels === 4) {
+            // RGBA → RGB565: This shouldn't happen if removeAlpha was used in renderer
+            console.warn('⚠️ RGBA → RGB565 conversion reads an alpha channel it drops. Use removeAlpha in renderer!');
           }
-          rawBuffer = this.convertToRGB565(rgbBuffer);
+          rawBuffer = this.convertToRGB565(imageBuffer, metadata.channels);
         } else {
-          throw new Error(`Unsupported raw format conversion: ${metadata.channels} channels to ${this.info.bpp}bpp`);
+          // RGBA/RGB framebuffers take the buffer as-is; other layouts swap channels
+          rawBuffer = packPixels(imageBuffer, metadata.channels, this.info.format);
         }
 
+        ({ width, height } = metadata);
         this.perfMonitor.end(convOpId);
       } else {
         // PNG buffer path - legacy
-        const { rawBuffer: converted } = await this.convertToFramebufferFormat(imageBuffer, 'writeToFramebuffer');
-        rawBuffer = converted;
+        ({ rawBuffer, width, height } = await this.convertToFramebufferFormat(imageBuffer, 'writeToFramebuffer'));
       }
 
       const writeOpId = this.perfMonitor.start('writeToFramebuffer:fbWrite', { bytes: rawBuffer.length });
-      fs.writeSync(this.fd, rawBuffer, 0, rawBuffer.length, 0);
+      this._writeFrame(rawBuffer, width, height);
+      this.backend.flush();
       this.perfMonitor.end(writeOpId);
 
       this.perfMonitor.end(perfOpId, { success: true });
@@ -291,33 +520,39 @@ class Framebuffer {
 
   /**
    * Write partial image to framebuffer at specific region
+   * @param {Buffer} imageBuffer - Encoded image of the region
+   * @param {Object} region - { x, y, width, height } in logical (display) coordinates
    */
   async writePartial(imageBuffer, region) {
-    const perfOpId = this.perfMonitor.start('writePartialToFramebuffer:total', { region });
+    return this.writePartials([{ buffer: imageBuffer, region }]);
+  }
 
-    try {
-      const { rawBuffer, sharpImage } = await this.convertToFramebufferFormat(imageBuffer, 'writePartialToFramebuffer');
-      const metadata = await sharpImage.metadata();
+  /**
+   * Write several regions as one update
+   * All regions are converted before the first one is written, and the
+   * backend is flushed once, so they show up in the same frame.
+   * @param {Array} updates - [{ buffer, region }] as for writePartial()
+   */
+  async writePartials(updates) {
+    const perfOpId = this.perfMonitor.start('writePartialToFramebuffer:total',
+      updates.length === 1 ? { region: updates[0].region } : { regions: updates.length });
 
-      const regionWidth = metadata.width;
-      const regionHeight = metadata.height;
-      const bytesPerLine = regionWidth * this.info.bytesPerPixel;
-      const fbBytesPerLine = this.info.width * this.info.bytesPerPixel;
+    try {
+      const rects = [];
+      for (const { buffer, region } of updates) {
+        rects.push(await this._convertRegion(buffer, region));
+      }
 
       const writeOpId = this.perfMonitor.start('writePartialToFramebuffer:fbWrite', {
-        width: regionWidth,
-        height: regionHeight,
-        lines: regionHeight
+        width: rects[0].width,
+        height: rects[0].height,
+        lines: rects.reduce((lines, rect) => lines + rect.height, 0)
       });
 
-      // Write line by line (cannot batch because framebuffer lines are not contiguous)
-      // Each region line must be written to the correct position in the framebuffer,
-      // which includes pixels to the left and right of the region
-      for (let y = 0; y < regionHeight; y++) {
-        const srcOffset = y * bytesPerLine;
-        const fbOffset = ((region.y + y) * fbBytesPerLine) + (region.x * this.info.bytesPerPixel);
-        fs.writeSync(this.fd, rawBuffer, srcOffset, bytesPerLine, fbOffset);
+      for (const { rawBuffer, region, width, height } of rects) {
+        this._writeRect(rawBuffer, region.x, region.y, width, height);
       }
+      this.backend.flush();
 
       this.perfMonitor.end(writeOpId);
       this.perfMonitor.end(perfOpId, { success: true });
@@ -330,14 +565,83 @@ class Framebuffer {
   }
 
   /**
-   * Close framebuffer device
+   * Convert a region image and map its position to framebuffer coordinates
+   * @private
    */
-  close() {
-    if (this.fd) {
-      fs.closeSync(this.fd);
-      this.fd = null;
+  async _convertRegion(imageBuffer, region) {
+    const { rawBuffer, width, height } =
+      await this.convertToFramebufferFormat(imageBuffer, 'writePartialToFramebuffer');
+
+    if (!isIdentityOrientation(this.orientation)) {
+      const logical = this._logicalSize();
+      // Place by the image's own (logical) size, which may differ from the nominal region
+      const size = orientedSize(width, height, this.orientation);
+      region = transformRegion({ x: region.x, y: region.y, ...size }, this.orientation, logical.width, logical.height);
+    }
+
+    return { rawBuffer, region, width, height };
+  }
+
+  /**
+   * Fill the framebuffer with black (schedule blanking)
+   */
+  blank() {
+    try {
+      const blackFrame = Buffer.alloc(this.info.stride * this.info.height, this._blackByte());
+      this.backend.write(blackFrame, 0, blackFrame.length, this._pageOffset());
+      this.backend.flush();
+      return true;
+    } catch (err) {
+      console.error('Error blanking framebuffer:', err);
+      return false;
     }
   }
+
+  /**
+   * Byte value of all-black pixels (not 0 on inverted mono panels or some palettes)
+   * @private
+   */
+  _blackByte() {
+    if (!this.quantizer) {
+      return 0;
+    }
+    const value = this.quantizer.quantize(0, 0, 0, null, 0);
+    const { bpp } = this.info;
+    let byte = 0;
+    for (let bit = 0; bit < 8; bit += bpp) {
+      byte |= value << bit;
+    }
+    return byte & 0xff;
+  }
+
+  /**
+   * Read the current framebuffer contents back as a PNG (control API)
+   */
+  async snapshot() {
+    const { width, height, bpp, stride, format } = this.info;
+    const raw = Buffer.alloc(stride * height);
+    this.backend.read(raw, 0, raw.length, this._pageOffset());
+
+    // Drop line padding, then expand to 8-bit RGB
+    const bytesPerLine = Math.ceil(width * bpp / 8);
+    let packed = raw;
+    if (stride !== bytesPerLine) {
+      packed = Buffer.alloc(bytesPerLine * height);
+      for (let y = 0; y < height; y++) {
+        raw.copy(packed, y * bytesPerLine, y * stride, (y * stride) + bytesPerLine);
+      }
+    }
+
+    const pixels = unpackPixels(packed, format, width);
+    return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+  }
+
+  /**
+   * Close the output
+   */
+  close() {
+    this.backend.close();
+  }
 }
 
 module.exports = Framebuffer;
@@ -4,24 +4,46 @@
  * Detects changed regions between two images for optimized partial updates.
  * When only a portion of the screen changes (e.g., calendar content updates),
  * we can write only the changed regions instead of the entire screen.
+ *
+ * Two modes:
+ * - pixel: decodes both images and compares every pixel
+ * - tileHash: hashes each tile of the new image and compares pixels only in
+ *   tiles whose hash differs. The tile hashes of the new image are returned
+ *   as `state`; passed back as `previous` on the next call, the old image is
+ *   only decoded when some tile changed.
  */
 
 const sharp = require('sharp');
 
 /**
  * Compare two images and detect changed regions
+ *
+ * Changed pixels are collected per tile of a grid; touching tiles form a
+ * region, cropped to the changed pixels inside, and regions closer than
+ * mergeDist are merged. Scattered changes therefore become several small
+ * writes instead of one screen-sized one.
  * @param {Buffer} oldImageBuffer - Old PNG image
  * @param {Buffer} newImageBuffer - New PNG image
  * @param {Object} options - Detection options
  * @param {number} options.threshold - Pixel difference threshold (0-255, default: 10)
- * @param {number} options.minRegionSize - Minimum region size to consider (pixels, default: 1000)
+ * @param {number} options.minRegionSize - Ignore changes whose overall bounding box is smaller (pixels, default: 1000)
  * @param {number} options.mergeDist - Merge regions closer than this distance (pixels, default: 50)
- * @returns {Promise<Array>} Array of changed regions { x, y, width, height }
+ * @param {number} options.tileSize - Grid tile size (pixels, default: 16)
+ * @param {number} options.maxRegions - Above this many regions, return their bounding box instead (default: 8)
+ * @param {string} options.mode - 'pixel' (default) or 'tileHash'
+ * @param {Object} options.previous - tileHash: `state` of the call that returned oldImageBuffer as new image
+ * @returns {Promise<Object>} { regions, changePercent, changedPixels, fullUpdateRecommended, tileMap, state }
+ *   regions: changed regions { x, y, width, height }, null when a full update is recommended
+ *   tileMap: { tileSize, columns, rows, changed } with changed[row * columns + column] = 1 for changed tiles
+ *   state: tileHash only, tile hashes of the new image for the next call's `previous`
  */
 async function detectChangedRegions(oldImageBuffer, newImageBuffer, options = {}) {
+  if (options.mode === 'tileHash') {
+    return detectWithTileHashes(oldImageBuffer, newImageBuffer, options);
+  }
+
   const threshold = options.threshold || 10;
-  const minRegionSize = options.minRegionSize || 1000;
-  const _mergeDist = options.mergeDist || 50;
+  const tileSize = options.tileSize || 16;
 
   // Convert both images to raw RGB buffers
   const [oldResult, newResult] = await Promise.all([
@@ -37,25 +59,138 @@ async function detectChangedRegions(oldImageBuffer, newImageBuffer, options = {}
     throw new Error('Image dimensions do not match');
   }
 
-  // Create a change map (1 = changed, 0 = unchanged)
-  const changeMap = new Uint8Array(width * height);
+  const grid = createTileGrid(width, height, tileSize);
   let changedPixels = 0;
 
-  // Compare pixels and mark changes
-  for (let i = 0; i < oldPixels.length; i += 3) {
-    const pixelIndex = i / 3;
-    const rDiff = Math.abs(oldPixels[i] - newPixels[i]);
-    const gDiff = Math.abs(oldPixels[i + 1] - newPixels[i + 1]);
-    const bDiff = Math.abs(oldPixels[i + 2] - newPixels[i + 2]);
-
-    // If any channel differs by more than threshold, mark as changed
-    if (rDiff > threshold || gDiff > threshold || bDiff > threshold) {
-      changeMap[pixelIndex] = 1;
-      changedPixels++;
+  // Compare pixels and grow the bounding box of each changed pixel's tile
+  let i = 0;
+  for (let y = 0; y < height; y++) {
+    const tileRow = grid.row[y] * grid.columns;
+    for (let x = 0; x < width; x++, i += 3) {
+      // If any channel differs by more than threshold, mark as changed
+      if (Math.abs(oldPixels[i] - newPixels[i]) > threshold ||
+          Math.abs(oldPixels[i + 1] - newPixels[i + 1]) > threshold ||
+          Math.abs(oldPixels[i + 2] - newPixels[i + 2]) > threshold) {
+        markTile(grid, tileRow + grid.column[x], x, y);
+        changedPixels++;
+      }
     }
   }
 
-  const changePercent = (changedPixels / changeMap.length) * 100;
+  return summarizeChanges(grid, changedPixels, width * height, options);
+}
+
+/**
+ * detectChangedRegions() in tileHash mode
+ * @private
+ */
+async function detectWithTileHashes(oldImageBuffer, newImageBuffer, options) {
+  const threshold = options.threshold || 10;
+  const tileSize = options.tileSize || 16;
+  const previous = options.previous && options.previous.tileSize === tileSize ? options.previous : null;
+
+  const [oldState, newState] = await Promise.all([
+    previous || createDiffState(oldImageBuffer, tileSize),
+    createDiffState(newImageBuffer, tileSize)
+  ]);
+  const { width, height, hashes } = newState;
+
+  if (oldState.width !== width || oldState.height !== height) {
+    throw new Error('Image dimensions do not match');
+  }
+
+  const grid = createTileGrid(width, height, tileSize);
+  const changedTiles = [];
+  for (let tile = 0; tile < hashes.length; tile++) {
+    if (oldState.hashes[tile] !== hashes[tile]) changedTiles.push(tile);
+  }
+
+  // The previous state has no pixels; decode the old image only when needed
+  let oldPixels = oldState.pixels;
+  if (!oldPixels && changedTiles.length > 0) {
+    oldPixels = (await decodePixels(oldImageBuffer)).pixels;
+  }
+  const newPixels = newState.pixels;
+  let changedPixels = 0;
+
+  // Compare pixels of tiles whose hash changed (RGBA, alpha ignored)
+  for (const tile of changedTiles) {
+
+    const left = (tile % grid.columns) * tileSize;
+    const top = Math.floor(tile / grid.columns) * tileSize;
+    const right = Math.min(width, left + tileSize);
+    const bottom = Math.min(height, top + tileSize);
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left, i = (y * width + left) * 4; x < right; x++, i += 4) {
+        if (Math.abs(oldPixels[i] - newPixels[i]) > threshold ||
+            Math.abs(oldPixels[i + 1] - newPixels[i + 1]) > threshold ||
+            Math.abs(oldPixels[i + 2] - newPixels[i + 2]) > threshold) {
+          markTile(grid, tile, x, y);
+          changedPixels++;
+        }
+      }
+    }
+  }
+
+  // Only the hashes are kept between calls, not a decoded copy of the screen
+  return {
+    ...summarizeChanges(grid, changedPixels, width * height, options),
+    state: { width, height, tileSize, hashes }
+  };
+}
+
+/**
+ * Decode an image to RGBA, aligned for reading pixels as 32-bit words
+ * @private
+ * @returns {Promise<Object>} { width, height, pixels }
+ */
+async function decodePixels(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const pixels = data.byteOffset % 4 === 0 ? data : Buffer.from(data);
+  return { width: info.width, height: info.height, pixels };
+}
+
+/**
+ * Decode an image to RGBA and hash each tile (32-bit FNV-1a over pixels)
+ * @private
+ * @returns {Promise<Object>} { width, height, tileSize, pixels, hashes }
+ */
+async function createDiffState(imageBuffer, tileSize) {
+  const { width, height, pixels } = await decodePixels(imageBuffer);
+  const words = new Uint32Array(pixels.buffer, pixels.byteOffset, width * height);
+
+  const columns = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  const hashes = new Uint32Array(columns * rows).fill(0x811c9dc5);
+
+  for (let y = 0; y < height; y++) {
+    const tileRow = Math.floor(y / tileSize) * columns;
+    const line = y * width;
+    for (let column = 0; column < columns; column++) {
+      const start = column * tileSize;
+      const end = Math.min(width, start + tileSize);
+      let hash = hashes[tileRow + column];
+      for (let i = line + start; i < line + end; i++) {
+        hash = Math.imul(hash ^ words[i], 0x01000193);
+      }
+      hashes[tileRow + column] = hash;
+    }
+  }
+
+  return { width, height, tileSize, pixels, hashes };
+}
+
+/**
+ * Turn the changed tiles into the detectChangedRegions() result
+ * @private
+ */
+function summarizeChanges(grid, changedPixels, totalPixels, options) {
+  const minRegionSize = options.minRegionSize || 1000;
+  const mergeDist = options.mergeDist === undefined ? 50 : options.mergeDist;
+  const maxRegions = options.maxRegions || 8;
+  const changePercent = (changedPixels / totalPixels) * 100;
+  const tileMap = { tileSize: grid.tileSize, columns: grid.columns, rows: grid.rows, changed: grid.changed };
 
   // If too many changes (>70%), return null to indicate full update needed
   if (changePercent > 70) {
@@ -63,136 +198,141 @@ async function detectChangedRegions(oldImageBuffer, newImageBuffer, options = {}
       regions: null,
       changePercent,
       changedPixels,
-      fullUpdateRecommended: true
+      fullUpdateRecommended: true,
+      tileMap
     };
   }
 
-  // Find bounding boxes of changed regions (fast algorithm)
-  const regions = findBoundingBoxesFast(changeMap, width, height, minRegionSize);
+  let regions = mergeNearbyRegions(findTileRegions(grid), mergeDist);
+
+  // Every region is its own write; past a handful one write is cheaper
+  if (regions.length > maxRegions) {
+    regions = [coalesceRegions(regions)];
+  }
+
+  // Ignore noise: nothing changed beyond a few stray pixels
+  const bounds = coalesceRegions(regions);
+  if (!bounds || bounds.width * bounds.height < minRegionSize) {
+    regions = [];
+  }
 
   return {
     regions,
     changePercent,
     changedPixels,
-    fullUpdateRecommended: false
+    fullUpdateRecommended: false,
+    tileMap
   };
 }
 
 /**
- * Fast bounding box detection (no flood-fill, just min/max scan)
- * For performance on slow hardware, we just find the overall bounding box
- * of all changed pixels instead of doing expensive flood-fill.
+ * Tile grid with the bounding box of changed pixels per tile
  * @private
  */
-function findBoundingBoxesFast(changeMap, width, height, minSize) {
-  let minX = width, maxX = 0;
-  let minY = height, maxY = 0;
-  let hasChanges = false;
+function createTileGrid(width, height, tileSize) {
+  const columns = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  const column = new Uint16Array(width);
+  const row = new Uint16Array(height);
+  for (let x = 0; x < width; x++) column[x] = Math.floor(x / tileSize);
+  for (let y = 0; y < height; y++) row[y] = Math.floor(y / tileSize);
 
-  // Single pass to find bounding box
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      if (changeMap[idx] === 1) {
-        hasChanges = true;
-        minX = Math.min(minX, x);
-        maxX = Math.max(maxX, x);
-        minY = Math.min(minY, y);
-        maxY = Math.max(maxY, y);
-      }
-    }
-  }
-
-  if (!hasChanges) {
-    return [];
-  }
-
-  const region = {
-    x: minX,
-    y: minY,
-    width: maxX - minX + 1,
-    height: maxY - minY + 1
+  return {
+    tileSize,
+    columns,
+    rows,
+    column,
+    row,
+    changed: new Uint8Array(columns * rows),
+    minX: new Int32Array(columns * rows),
+    minY: new Int32Array(columns * rows),
+    maxX: new Int32Array(columns * rows),
+    maxY: new Int32Array(columns * rows)
   };
+}
 
-  // Only return if larger than minimum size
-  if (region.width * region.height >= minSize) {
-    return [region];
+/**
+ * Add a changed pixel to its tile's bounding box
+ * @private
+ */
+function markTile(grid, tile, x, y) {
+  if (grid.changed[tile] === 0) {
+    grid.changed[tile] = 1;
+    grid.minX[tile] = grid.maxX[tile] = x;
+    grid.minY[tile] = grid.maxY[tile] = y;
+    return;
   }
-
-  return [];
+  if (x < grid.minX[tile]) grid.minX[tile] = x;
+  if (x > grid.maxX[tile]) grid.maxX[tile] = x;
+  // Pixels arrive row by row, so y only grows
+  grid.maxY[tile] = y;
 }
 
 /**
- * Find bounding boxes of changed pixels using flood fill
+ * Group touching changed tiles (including diagonally) into regions
+ * bounded by the changed pixels in them
  * @private
  */
-function _findBoundingBoxes(changeMap, width, height, minSize) {
-  const visited = new Uint8Array(width * height);
+function findTileRegions(grid) {
+  const { columns, rows, changed } = grid;
+  const visited = new Uint8Array(changed.length);
   const regions = [];
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      if (changeMap[idx] === 1 && visited[idx] === 0) {
-        // Found an unvisited changed pixel, flood fill to find region
-        const region = floodFillBoundingBox(changeMap, visited, width, height, x, y);
-
-        // Only keep regions larger than minimum size
-        if (region.width * region.height >= minSize) {
-          regions.push(region);
+  for (let start = 0; start < changed.length; start++) {
+    if (changed[start] === 0 || visited[start] === 1) continue;
+
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const tile = stack.pop();
+      minX = Math.min(minX, grid.minX[tile]);
+      minY = Math.min(minY, grid.minY[tile]);
+      maxX = Math.max(maxX, grid.maxX[tile]);
+      maxY = Math.max(maxY, grid.maxY[tile]);
+
+      const tx = tile % columns;
+      const ty = (tile - tx) / columns;
+      for (let ny = Math.max(0, ty - 1); ny <= Math.min(rows - 1, ty + 1); ny++) {
+        for (let nx = Math.max(0, tx - 1); nx <= Math.min(columns - 1, tx + 1); nx++) {
+          const neighbor = ny * columns + nx;
+          if (changed[neighbor] === 1 && visited[neighbor] === 0) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
         }
       }
     }
+
+    regions.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 });
   }
 
   return regions;
 }
 
 /**
- * Flood fill to find bounding box of connected changed pixels
+ * Merge regions that are close together, until no two are within mergeDist
  * @private
  */
-function floodFillBoundingBox(changeMap, visited, width, height, startX, startY) {
-  let minX = startX, maxX = startX;
-  let minY = startY, maxY = startY;
-
-  const stack = [[startX, startY]];
-
-  while (stack.length > 0) {
-    const [x, y] = stack.pop();
-    const idx = y * width + x;
-
-    if (x < 0 || x >= width || y < 0 || y >= height) continue;
-    if (visited[idx] === 1 || changeMap[idx] === 0) continue;
+function mergeNearbyRegions(regions, mergeDist) {
+  let current = regions;
+  let previousCount;
 
-    visited[idx] = 1;
+  // A merged region can reach regions an earlier pass kept apart
+  do {
+    previousCount = current.length;
+    current = mergePass(current, mergeDist);
+  } while (current.length < previousCount && current.length > 1);
 
-    // Update bounding box
-    minX = Math.min(minX, x);
-    maxX = Math.max(maxX, x);
-    minY = Math.min(minY, y);
-    maxY = Math.max(maxY, y);
-
-    // Add neighbors to stack
-    stack.push([x + 1, y]);
-    stack.push([x - 1, y]);
-    stack.push([x, y + 1]);
-    stack.push([x, y - 1]);
-  }
-
-  return {
-    x: minX,
-    y: minY,
-    width: maxX - minX + 1,
-    height: maxY - minY + 1
-  };
+  return current;
 }
 
 /**
- * Merge regions that are close together
+ * One pass of merging each region with the regions near it
  * @private
  */
-function _mergeNearbyRegions(regions, mergeDist) {
+function mergePass(regions, mergeDist) {
   if (regions.length <= 1) return regions;
 
   const merged = [];
@@ -264,6 +404,18 @@ function mergeTwoRegions(r1, r2) {
   };
 }
 
+/**
+ * Coalesce changed regions into a single bounding region
+ * For panels where one larger update is cheaper than several small ones (e-paper).
+ * @param {Array} regions - Regions { x, y, width, height } from detectChangedRegions()
+ * @returns {Object|null} Bounding region, or null when there are no regions
+ */
+function coalesceRegions(regions) {
+  if (!regions || regions.length === 0) return null;
+  return regions.reduce((merged, region) => mergeTwoRegions(merged, region));
+}
+
 module.exports = {
-  detectChangedRegions
+  detectChangedRegions,
+  coalesceRegions
 };
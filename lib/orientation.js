@@ -0,0 +1,111 @@
+/**
+ * Display Orientation
+ *
+ * Maps the logical display (what pages are rendered at, display.width x
+ * display.height) onto the physical framebuffer for rotated or mirrored panels.
+ *
+ * Flips mirror the image as seen by the viewer, then the rotation (clockwise)
+ * turns it to match how the panel is mounted. This is also the order sharp
+ * applies flip()/flop() and rotate() in a single pipeline.
+ */
+
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Read the orientation settings from display config
+ * @param {Object} display - display config { rotation, flipHorizontal, flipVertical }
+ * @returns {Object} { rotation, flipHorizontal, flipVertical }
+ */
+function normalizeOrientation(display = {}) {
+  const rotation = display.rotation === undefined ? 0 : Number(display.rotation);
+  if (!ROTATIONS.includes(rotation)) {
+    throw new Error(`display.rotation must be one of ${ROTATIONS.join(', ')} (got ${display.rotation})`);
+  }
+
+  return {
+    rotation,
+    flipHorizontal: Boolean(display.flipHorizontal),
+    flipVertical: Boolean(display.flipVertical)
+  };
+}
+
+/**
+ * Whether the orientation leaves images untouched
+ */
+function isIdentityOrientation(orientation) {
+  return orientation.rotation === 0 && !orientation.flipHorizontal && !orientation.flipVertical;
+}
+
+/**
+ * Whether the orientation swaps width and height
+ */
+function swapsAxes(orientation) {
+  return orientation.rotation === 90 || orientation.rotation === 270;
+}
+
+/**
+ * Physical size of a logical width x height image after orientation
+ * (also maps physical back to logical, since it only swaps axes)
+ */
+function orientedSize(width, height, orientation) {
+  return swapsAxes(orientation) ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Transform a logical region into physical framebuffer coordinates
+ * @param {Object} region - { x, y, width, height } in logical coordinates
+ * @param {Object} orientation - From normalizeOrientation()
+ * @param {number} logicalWidth - Width of the logical frame
+ * @param {number} logicalHeight - Height of the logical frame
+ * @returns {Object} { x, y, width, height } in physical coordinates
+ */
+function transformRegion(region, orientation, logicalWidth, logicalHeight) {
+  let { x, y } = region;
+  const { width, height } = region;
+
+  if (orientation.flipHorizontal) {
+    x = logicalWidth - x - width;
+  }
+  if (orientation.flipVertical) {
+    y = logicalHeight - y - height;
+  }
+
+  switch (orientation.rotation) {
+    case 90:
+      return { x: logicalHeight - y - height, y: x, width: height, height: width };
+    case 180:
+      return { x: logicalWidth - x - width, y: logicalHeight - y - height, width, height };
+    case 270:
+      return { x: y, y: logicalWidth - x - width, width: height, height: width };
+    default:
+      return { x, y, width, height };
+  }
+}
+
+/**
+ * Add the orientation transform to a sharp pipeline
+ * @param {Object} sharpImage - sharp instance
+ * @param {Object} orientation - From normalizeOrientation()
+ * @returns {Object} The same sharp instance
+ */
+function applyOrientation(sharpImage, orientation) {
+  if (orientation.flipHorizontal) {
+    sharpImage.flop();
+  }
+  if (orientation.flipVertical) {
+    sharpImage.flip();
+  }
+  if (orientation.rotation !== 0) {
+    sharpImage.rotate(orientation.rotation);
+  }
+  return sharpImage;
+}
+
+module.exports = {
+  ROTATIONS,
+  normalizeOrientation,
+  isIdentityOrientation,
+  orientedSize,
+  transformRegion,
+  applyOrientation
+};
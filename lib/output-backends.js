@@ -0,0 +1,879 @@
+/**
+ * Output Backends
+ *
+ * Where Framebuffer writes its packed pixels (display.output). Framebuffer does
+ * the pixel work (orientation, pixel format, line stride); a backend only moves
+ * bytes to and from a frame-sized memory area and makes them visible.
+ *
+ * - fbdev (default): the Linux framebuffer device (display.framebufferDevice)
+ * - drm: DRM/KMS for systems without fbdev emulation, through an external
+ *   GStreamer kmssink pipeline. Not a native dumb-buffer backend: web2fb has
+ *   no native code for the DRM ioctls, so frames are kept in memory and each
+ *   update sends the whole frame to gst-launch-1.0
+ * - file: a plain file of display size, for tests and machines without a display
+ * - image, mjpeg, raw: sinks without hardware (display.sink). Frames are kept
+ *   in memory and sent on after each update: as a PNG/JPEG file, as an MJPEG
+ *   stream over HTTP, or appended to a file or named pipe
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+const sharp = require('sharp');
+const { normalizeOrientation, orientedSize } = require('./orientation');
+const { getPixelFormat, parseFbsetOutput, unpackPixels } = require('./pixel-format');
+
+/**
+ * Base class for output backends
+ *
+ * Contract:
+ * - constructor(config, options) takes the full config and does no I/O
+ * - detect() returns { width, height, bpp, stride, format } of the physical
+ *   output (format may be null when unknown) or throws if it can't tell;
+ *   Framebuffer then falls back to the configured display size. Backends that
+ *   can pan add virtualHeight, the number of lines the memory holds
+ * - open(info) opens the output for the final info (size and pixel format)
+ * - write()/read() take the arguments of fs.writeSync()/fs.readSync(), with
+ *   position as the byte offset into the frame (line stride included)
+ * - flush() is called after each full frame, region or blank
+ * - close() releases resources and is safe to call more than once
+ */
+class OutputBackend {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.options = options;
+  }
+
+  detect() {
+    throw new Error('detect() must be implemented by subclass');
+  }
+
+  open(_info) {
+    throw new Error('open() must be implemented by subclass');
+  }
+
+  write(_buffer, _offset, _length, _position) {
+    throw new Error('write() must be implemented by subclass');
+  }
+
+  read(_buffer, _offset, _length, _position) {
+    throw new Error('read() must be implemented by subclass');
+  }
+
+  /**
+   * Make written bytes visible (no-op for memory-mapped devices)
+   */
+  flush() {}
+
+  /**
+   * Current vertical pan offset (lines), or null if the output can't pan
+   * @returns {number|null}
+   */
+  getPanOffset() {
+    return null;
+  }
+
+  /**
+   * Show the frame starting at the given line; throws if the driver refuses
+   * @param {number} _yoffset
+   */
+  pan(_yoffset) {
+    throw new Error('panning is not supported');
+  }
+
+  close() {}
+
+  /**
+   * Get backend type name
+   * @returns {string}
+   */
+  getType() {
+    return 'unknown';
+  }
+
+  /**
+   * Human-readable output name for logs
+   * @returns {string}
+   */
+  describe() {
+    return this.getType();
+  }
+}
+
+const NO_FBSET = { bpp: null, format: null, lineLength: null, width: null, height: null, virtualHeight: null };
+
+/**
+ * Linux framebuffer device (/dev/fbN)
+ *
+ * Line stride comes from sysfs, the pixel layout and visible size from
+ * `fbset -i` (the kernel's screeninfo ioctls, without native code), and
+ * panning goes through the sysfs pan attribute. Virtual framebuffers
+ * (dev-server.js) keep a fake sysfs tree next to the device file.
+ */
+class FbdevBackend extends OutputBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.device = config.display.framebufferDevice;
+    this.fd = null;
+    this.readFd = null; // Opened on first read, the write descriptor is write-only
+  }
+
+  detect() {
+    const fbPath = this._sysfsPath();
+    const [virtualWidth, virtualHeight] = fs.readFileSync(`${fbPath}/virtual_size`).toString().split(',').map(value => parseInt(value));
+    const bpp = parseInt(fs.readFileSync(`${fbPath}/bits_per_pixel`).toString());
+    const fbset = this._queryFbset();
+
+    // The virtual size can be taller than the screen (room for panning)
+    const visible = (fbset.width && fbset.height && fbset) ||
+      readSysfsMode(`${fbPath}/modes`) ||
+      { width: virtualWidth, height: virtualHeight };
+
+    return {
+      width: visible.width,
+      height: visible.height,
+      virtualHeight,
+      bpp,
+      stride: readSysfsInt(`${fbPath}/stride`) || fbset.lineLength || Math.ceil(virtualWidth * bpp / 8),
+      format: fbset.bpp === bpp ? fbset.format : null
+    };
+  }
+
+  /**
+   * Sysfs directory for the framebuffer device
+   * @private
+   */
+  _sysfsPath() {
+    const name = path.basename(this.device);
+    if (this.device.startsWith('/dev/')) {
+      return `/sys/class/graphics/${name}`;
+    }
+    return path.join(path.dirname(this.device), 'sys/class/graphics', name);
+  }
+
+  /**
+   * Ask fbset for the pixel layout, geometry and line length (real devices only)
+   * @private
+   * @returns {Object} From parseFbsetOutput(), all null if fbset is unavailable
+   */
+  _queryFbset() {
+    if (!this.device.startsWith('/dev/')) {
+      return NO_FBSET;
+    }
+
+    try {
+      const output = execFileSync('fbset', ['-i', '-fb', this.device], {
+        encoding: 'utf8',
+        timeout: 2000,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      return parseFbsetOutput(output);
+    } catch (_err) {
+      return NO_FBSET;
+    }
+  }
+
+  open(_info) {
+    this.fd = fs.openSync(this.device, 'w');
+  }
+
+  write(buffer, offset, length, position) {
+    fs.writeSync(this.fd, buffer, offset, length, position);
+  }
+
+  read(buffer, offset, length, position) {
+    if (this.readFd === null) {
+      this.readFd = fs.openSync(this.device, 'r');
+    }
+    return fs.readSync(this.readFd, buffer, offset, length, position);
+  }
+
+  getPanOffset() {
+    const pan = readSysfsString(`${this._sysfsPath()}/pan`);
+    const match = pan && pan.match(/^\d+,(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Pan through sysfs (fb_pan_display), which by default only root may write;
+   * see docs/configuration.md for a udev rule granting the video group
+   */
+  pan(yoffset) {
+    fs.writeFileSync(`${this._sysfsPath()}/pan`, `0,${yoffset}`);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    if (this.readFd !== null) {
+      fs.closeSync(this.readFd);
+      this.readFd = null;
+    }
+  }
+
+  getType() {
+    return 'fbdev';
+  }
+
+  describe() {
+    return this.device;
+  }
+}
+
+/**
+ * Base for outputs that compose frames in memory and pass whole frames on
+ * write() and read() go to this.frame, allocated by open().
+ */
+class MemoryBackend extends OutputBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.frame = null;
+  }
+
+  open(info) {
+    this.frame = Buffer.alloc(info.stride * info.height);
+  }
+
+  write(buffer, offset, length, position) {
+    buffer.copy(this.frame, position, offset, offset + length);
+  }
+
+  read(buffer, offset, length, position) {
+    return this.frame.copy(buffer, offset, position, position + length);
+  }
+
+  close() {
+    this.frame = null;
+  }
+}
+
+// rawvideoparse format names for the 32bpp layouts (the X byte is ignored)
+const GSTREAMER_FORMATS = {
+  bgra: 'bgrx', // DRM XRGB8888, what KMS planes scan out natively
+  rgba: 'rgbx',
+  argb: 'xrgb',
+  abgr: 'xbgr'
+};
+
+/**
+ * DRM/KMS output through an external GStreamer pipeline
+ *
+ * The connector and its preferred mode are read from /sys/class/drm. Frames
+ * are composed in memory and piped to `gst-launch-1.0 fdsrc ! rawvideoparse !
+ * kmssink`, which does the mode setting and scanout. This is not a dumb-buffer
+ * backend: the pipe carries whole frames, so every update (also a one-second
+ * clock partial) costs a full frame of pipe bandwidth, about 8 MB at
+ * 1920x1080. Only the bytes written since the last frame are copied into the
+ * send buffer, and frames are dropped while the pipeline is still busy.
+ * Needs gstreamer1.0-tools and gstreamer1.0-plugins-bad, and no desktop
+ * holding the display.
+ *
+ * display.drm.connector picks a connector by name (e.g. HDMI-A-1); by
+ * default the first connected one is used.
+ */
+class DrmBackend extends MemoryBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.sysfsRoot = options.sysfsRoot || '/sys';
+    this.settings = config.display.drm || {};
+    this.connector = null; // { name, connectorId }
+    this.process = null;
+    this.outgoing = null; // Frame handed to the pipe; not touched until it is written
+    this.dirty = null; // { start, end } bytes of frame written since the last send
+    this.sending = false;
+    this.pendingFlush = false; // A frame was flushed while the last one was being sent
+  }
+
+  detect() {
+    this.connector = this._findConnector();
+    const modes = fs.readFileSync(path.join(this.connector.dir, 'modes'), 'utf8').split('\n').filter(Boolean);
+    const match = modes.length > 0 && modes[0].match(/^(\d+)x(\d+)/);
+    if (!match) {
+      throw new Error(`DRM connector ${this.connector.name} reports no modes`);
+    }
+
+    const width = parseInt(match[1]);
+    const height = parseInt(match[2]);
+    return { width, height, bpp: 32, stride: width * 4, format: getPixelFormat('bgra') };
+  }
+
+  /**
+   * Find the configured connector, or the first connected one
+   * @private
+   */
+  _findConnector() {
+    const drmDir = path.join(this.sysfsRoot, 'class/drm');
+    const connectors = fs.readdirSync(drmDir)
+      .map(entry => ({ entry, match: entry.match(/^card\d+-(.+)$/) }))
+      .filter(({ match }) => match)
+      .map(({ entry, match }) => ({ name: match[1], dir: path.join(drmDir, entry) }))
+      .sort((a, b) => a.dir.localeCompare(b.dir));
+
+    let connector;
+    if (this.settings.connector) {
+      connector = connectors.find(c => c.name === this.settings.connector);
+      if (!connector) {
+        const available = connectors.map(c => c.name).join(', ') || 'none';
+        throw new Error(`DRM connector '${this.settings.connector}' not found (available: ${available})`);
+      }
+    } else {
+      connector = connectors.find(c => readSysfsString(path.join(c.dir, 'status')) === 'connected');
+      if (!connector) {
+        throw new Error('No connected DRM connector found');
+      }
+    }
+
+    // Newer kernels expose the object id kmssink selects connectors by
+    return { ...connector, connectorId: readSysfsInt(path.join(connector.dir, 'connector_id')) };
+  }
+
+  /**
+   * gst-launch-1.0 arguments for frames of the given info
+   * @private
+   */
+  _pipelineArgs(info) {
+    const format = info.format && GSTREAMER_FORMATS[info.format.name];
+    if (!format) {
+      const name = info.format ? info.format.name || 'custom' : `${info.bpp}bpp`;
+      throw new Error(`DRM output supports rgba, bgra, argb and abgr (got ${name})`);
+    }
+
+    const sink = ['kmssink', 'sync=false'];
+    if (this.connector && this.connector.connectorId !== null) {
+      sink.push(`connector-id=${this.connector.connectorId}`);
+    }
+
+    return [
+      '-q',
+      'fdsrc', 'fd=0', '!',
+      'rawvideoparse', `width=${info.width}`, `height=${info.height}`, `format=${format}`, `plane-strides=<${info.stride}>`, '!',
+      ...sink
+    ];
+  }
+
+  /**
+   * Check that GStreamer and the pipeline's elements are installed, so open()
+   * fails instead of every frame
+   * @private
+   */
+  _checkPipeline() {
+    for (const element of ['rawvideoparse', 'kmssink']) {
+      try {
+        execFileSync('gst-inspect-1.0', ['--exists', element], { timeout: 30000, stdio: 'ignore' });
+      } catch (err) {
+        const reason = err.code === 'ENOENT' ? 'gst-inspect-1.0 not found'
+          : err.status ? `GStreamer element ${element} not found` : err.message;
+        throw new Error(`DRM output can't start its kmssink pipeline (${reason}). Install gstreamer1.0-tools and gstreamer1.0-plugins-bad`);
+      }
+    }
+  }
+
+  open(info) {
+    const args = this._pipelineArgs(info);
+    this._checkPipeline();
+    super.open(info);
+    this.outgoing = Buffer.alloc(this.frame.length);
+    this.dirty = null;
+
+    this.process = spawn('gst-launch-1.0', args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    const child = this.process;
+    child.on('error', err => {
+      console.error(`❌ DRM output: could not run gst-launch-1.0 (${err.message})`);
+    });
+    child.stderr.on('data', data => {
+      console.error(`DRM output: ${data.toString().trim()}`);
+    });
+    child.on('exit', (code, signal) => {
+      if (this.process === child) {
+        console.error(`❌ DRM output: kmssink pipeline exited (${signal || `code ${code}`})`);
+        this.process = null;
+      }
+    });
+    child.stdin.on('error', () => {}); // Reported by the 'exit' handler
+
+    const target = this.connector ? `${this.connector.name}, ` : '';
+    console.log(`✓ DRM output: ${target}${info.width}x${info.height} via kmssink`);
+  }
+
+  write(buffer, offset, length, position) {
+    super.write(buffer, offset, length, position);
+    this.dirty = this.dirty
+      ? { start: Math.min(this.dirty.start, position), end: Math.max(this.dirty.end, position + length) }
+      : { start: position, end: position + length };
+  }
+
+  /**
+   * Send the frame if it changed; while the pipeline is still busy with the
+   * last one, only the newest frame is sent once it catches up
+   * @throws {Error} If the pipeline is no longer running
+   */
+  flush() {
+    if (!this.process) {
+      throw new Error('DRM output: kmssink pipeline is not running');
+    }
+    if (!this.dirty) {
+      return;
+    }
+    if (this.sending) {
+      this.pendingFlush = true;
+      return;
+    }
+
+    // outgoing still holds the last frame sent: copy only what changed since
+    this.frame.copy(this.outgoing, this.dirty.start, this.dirty.start, this.dirty.end);
+    this.dirty = null;
+    this.sending = true;
+    this.process.stdin.write(this.outgoing, () => {
+      this.sending = false;
+      if (this.pendingFlush && this.process) {
+        this.pendingFlush = false;
+        this.flush();
+      }
+    });
+  }
+
+  close() {
+    if (this.process) {
+      const child = this.process;
+      this.process = null;
+      child.stdin.end();
+      child.kill();
+    }
+    this.outgoing = null;
+    this.dirty = null;
+    super.close();
+  }
+
+  getType() {
+    return 'drm';
+  }
+
+  describe() {
+    return this.connector ? `DRM ${this.connector.name}` : 'DRM';
+  }
+}
+
+/**
+ * Plain file holding one frame (tests and headless machines)
+ *
+ * The size is display.width x height after rotation, the layout
+ * display.pixelFormat (32bpp rgba for auto), lines without padding.
+ */
+class FileBackend extends OutputBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.file = config.display.framebufferDevice;
+    this.fd = null;
+  }
+
+  detect() {
+    return configuredFrameInfo(this.config.display);
+  }
+
+  open(info) {
+    this.fd = fs.openSync(this.file, 'w+');
+    fs.ftruncateSync(this.fd, info.stride * info.height);
+  }
+
+  write(buffer, offset, length, position) {
+    fs.writeSync(this.fd, buffer, offset, length, position);
+  }
+
+  read(buffer, offset, length, position) {
+    return fs.readSync(this.fd, buffer, offset, length, position);
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  getType() {
+    return 'file';
+  }
+
+  describe() {
+    return `${this.file} (file)`;
+  }
+}
+
+/**
+ * Base for hardware-free sinks (display.output: image, mjpeg, raw)
+ *
+ * Frames have the display size and display.pixelFormat (32bpp rgba for
+ * auto). Every display.sink.every-th flush hands a copy of the frame to
+ * _send(); while a send is in flight only the newest frame is kept for the
+ * next one, so a slow consumer drops frames instead of piling them up.
+ */
+class SinkBackend extends MemoryBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.settings = config.display.sink || {};
+    this.every = this.settings.every || 1;
+    this.info = null;
+    this.flushes = 0;
+    this.sending = null; // Promise of the frame being sent
+    this.pendingSend = false;
+  }
+
+  detect() {
+    return configuredFrameInfo(this.config.display);
+  }
+
+  open(info) {
+    super.open(info);
+    this.info = info;
+  }
+
+  flush() {
+    this.flushes++;
+    if (this.flushes % this.every === 0) {
+      this._queueSend();
+    }
+  }
+
+  /**
+   * Resolve once every frame handed on so far has been sent
+   */
+  async drain() {
+    while (this.sending) {
+      await this.sending;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _queueSend() {
+    if (!this.frame) {
+      return;
+    }
+    if (this.sending) {
+      this.pendingSend = true;
+      return;
+    }
+
+    this.sending = this._send(Buffer.from(this.frame))
+      .catch(err => console.error(`❌ Output ${this.describe()}: ${err.message}`))
+      .then(() => {
+        this.sending = null;
+        if (this.pendingSend) {
+          this.pendingSend = false;
+          this._queueSend();
+        }
+      });
+  }
+
+  /**
+   * Send one frame
+   * @param {Buffer} _frame - Copy of the frame in the output's pixel format
+   * @returns {Promise<void>}
+   */
+  async _send(_frame) {
+    throw new Error('_send() must be implemented by subclass');
+  }
+
+  /**
+   * Encode a frame as an image
+   * @param {Buffer} frame - Frame in the output's pixel format
+   * @param {string} type - 'png' or 'jpeg'
+   * @returns {Promise<Buffer>}
+   */
+  _encode(frame, type) {
+    const { width, height, format } = this.info;
+    const image = sharp(unpackPixels(frame, format, width), { raw: { width, height, channels: 3 } });
+    return type === 'jpeg'
+      ? image.jpeg({ quality: this.settings.quality || 80 }).toBuffer()
+      : image.png().toBuffer();
+  }
+}
+
+/**
+ * PNG or JPEG file of the latest frame (by display.sink.path's extension)
+ * The file is replaced with a rename, so readers never see a partial image.
+ */
+class ImageSink extends SinkBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.file = this.settings.path;
+    this.type = /\.jpe?g$/i.test(this.file || '') ? 'jpeg' : 'png';
+  }
+
+  async _send(frame) {
+    const image = await this._encode(frame, this.type);
+    const tmpFile = `${this.file}.tmp`;
+    await fs.promises.writeFile(tmpFile, image);
+    await fs.promises.rename(tmpFile, this.file);
+  }
+
+  getType() {
+    return 'image';
+  }
+
+  describe() {
+    return `${this.file} (${this.type})`;
+  }
+}
+
+const MJPEG_BOUNDARY = 'web2fb-frame';
+
+/**
+ * MJPEG stream over HTTP (display.sink.host/port)
+ * GET /stream.mjpg (or /) streams a JPEG per update, GET /frame.jpg returns
+ * the current frame. Frames are only encoded while someone is watching, and
+ * clients that fall behind skip frames.
+ */
+class MjpegSink extends SinkBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.host = this.settings.host || '127.0.0.1';
+    this.port = this.settings.port === undefined ? 8090 : this.settings.port;
+    this.server = null;
+    this.clients = new Set();
+    this.jpeg = null; // Latest encoded frame, null when outdated
+  }
+
+  open(info) {
+    super.open(info);
+
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+    this.server.on('error', err => {
+      console.error(`❌ MJPEG output: ${err.message}`);
+    });
+    this.server.listen(this.port, this.host, () => {
+      console.log(`✓ MJPEG output: streaming on ${this.describe()}`);
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _handleRequest(req, res) {
+    const url = req.url.split('?')[0];
+    if (req.method !== 'GET' || !['/', '/stream.mjpg', '/frame.jpg'].includes(url)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    try {
+      const jpeg = await this._currentJpeg();
+      if (url === '/frame.jpg') {
+        res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': jpeg.length, 'Cache-Control': 'no-cache' });
+        res.end(jpeg);
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`,
+        'Cache-Control': 'no-cache',
+        Connection: 'close'
+      });
+      this.clients.add(res);
+      res.on('close', () => this.clients.delete(res));
+      this._writePart(res, jpeg);
+    } catch (err) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end(`${err.message}\n`);
+    }
+  }
+
+  /**
+   * The current frame as JPEG, encoded now if the last one is outdated
+   * @private
+   */
+  async _currentJpeg() {
+    if (!this.jpeg) {
+      if (!this.frame) {
+        throw new Error('Output is closed');
+      }
+      this.jpeg = await this._encode(Buffer.from(this.frame), 'jpeg');
+    }
+    return this.jpeg;
+  }
+
+  flush() {
+    this.jpeg = null;
+    if (this.clients.size > 0) {
+      super.flush();
+    }
+  }
+
+  async _send(frame) {
+    const jpeg = await this._encode(frame, 'jpeg');
+    this.jpeg = this.pendingSend ? null : jpeg;
+    for (const client of this.clients) {
+      // Skip clients still receiving the previous frame
+      if (!client.writableNeedDrain) {
+        this._writePart(client, jpeg);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _writePart(res, jpeg) {
+    res.write(`--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+    res.write(jpeg);
+    res.write('\r\n');
+  }
+
+  close() {
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    super.close();
+  }
+
+  getType() {
+    return 'mjpeg';
+  }
+
+  describe() {
+    const address = this.server && this.server.address();
+    const port = address && typeof address === 'object' ? address.port : this.port;
+    return `http://${this.host}:${port}/stream.mjpg`;
+  }
+}
+
+/**
+ * Raw frames appended to a file or named pipe (display.sink.path)
+ * Each frame is stride x height bytes in the output's pixel format, e.g. for
+ * `ffmpeg -f rawvideo -pixel_format rgba -video_size WxH -i <pipe>`. The file
+ * is opened in the background, so a pipe without a reader doesn't block
+ * startup; frames written meanwhile are dropped down to the newest one.
+ */
+class RawSink extends SinkBackend {
+  constructor(config, options = {}) {
+    super(config, options);
+    this.file = this.settings.path;
+    this.stream = null;
+  }
+
+  open(info) {
+    super.open(info);
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', err => {
+      console.error(`❌ Raw output: ${err.message}`);
+      this.stream = null;
+    });
+  }
+
+  _send(frame) {
+    return new Promise(resolve => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+      this.stream.write(frame, () => resolve());
+    });
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+    super.close();
+  }
+
+  getType() {
+    return 'raw';
+  }
+
+  describe() {
+    return `${this.file} (raw)`;
+  }
+}
+
+// Backend classes by display.output
+const backendRegistry = new Map([
+  ['fbdev', FbdevBackend],
+  ['drm', DrmBackend],
+  ['file', FileBackend],
+  ['image', ImageSink],
+  ['mjpeg', MjpegSink],
+  ['raw', RawSink]
+]);
+
+/**
+ * Create the backend selected by display.output
+ * @param {Object} config - Full config
+ * @param {Object} options - Passed to the backend (e.g. sysfsRoot for DRM)
+ */
+function createOutputBackend(config, options = {}) {
+  const type = config.display.output || 'fbdev';
+  const BackendClass = backendRegistry.get(type);
+  if (!BackendClass) {
+    const types = Array.from(backendRegistry.keys()).map(name => `'${name}'`).join(', ');
+    throw new Error(`Unknown display.output: ${type}. Must be one of ${types}`);
+  }
+  return new BackendClass(config, options);
+}
+
+/**
+ * Frame info from the display config: display.width x height after rotation,
+ * in display.pixelFormat (32bpp for auto), lines without padding
+ */
+function configuredFrameInfo(display) {
+  const { width, height } = orientedSize(display.width, display.height, normalizeOrientation(display));
+  const bpp = display.pixelFormat && display.pixelFormat !== 'auto'
+    ? getPixelFormat(display.pixelFormat, { palette: display.palette }).bpp
+    : 32;
+
+  return { width, height, bpp, stride: Math.ceil(width * bpp / 8), format: null };
+}
+
+/**
+ * Read an integer sysfs attribute, or null if it is missing
+ */
+function readSysfsInt(file) {
+  try {
+    const value = parseInt(fs.readFileSync(file).toString());
+    return Number.isNaN(value) ? null : value;
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * Read the current mode's size from a sysfs modes attribute ("U:1920x1080p-0"),
+ * or null if it is missing
+ */
+function readSysfsMode(file) {
+  const match = (readSysfsString(file) || '').match(/(\d+)x(\d+)/);
+  return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null;
+}
+
+/**
+ * Read a text sysfs attribute, or null if it is missing
+ */
+function readSysfsString(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (_err) {
+    return null;
+  }
+}
+
+module.exports = {
+  OutputBackend,
+  FbdevBackend,
+  DrmBackend,
+  FileBackend,
+  ImageSink,
+  MjpegSink,
+  RawSink,
+  createOutputBackend
+};
@@ -14,6 +14,9 @@ const { generateOverlay } = require('./overlays');
 const { getEnabledOverlays } = require('./config');
 const ClockCache = require('./clock-cache');
 
+// Overlays that change with the time and are pre-rendered by ClockCache
+const CLOCK_TYPES = ['clock', 'analog-clock'];
+
 class OverlayManager {
   constructor(config, perfMonitor) {
     this.config = config;
@@ -99,7 +102,7 @@ class OverlayManager {
    */
   async preRenderClockFrames() {
     const enabledOverlays = getEnabledOverlays(this.config);
-    const clockOverlays = enabledOverlays.filter(o => o.type === 'clock');
+    const clockOverlays = enabledOverlays.filter(o => CLOCK_TYPES.includes(o.type));
 
     if (clockOverlays.length === 0) {
       return;
@@ -162,7 +165,7 @@ class OverlayManager {
       let overlayImage;
 
       // For clock overlays, use pre-rendered frame if available
-      if (overlay.type === 'clock') {
+      if (CLOCK_TYPES.includes(overlay.type)) {
         const cache = this.clockCaches.get(overlay.name);
         if (cache && cache.isValid()) {
           const cachedFrame = cache.getFrame();
@@ -228,7 +231,7 @@ class OverlayManager {
       let compositeImage;
 
       // For clock overlays, use pre-rendered frames if available
-      if (overlay.type === 'clock') {
+      if (CLOCK_TYPES.includes(overlay.type)) {
         const cache = this.clockCaches.get(overlay.name);
         if (cache) {
           if (allowCacheExtension && cache.needsMoreFrames()) {
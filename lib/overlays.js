@@ -3,6 +3,8 @@
  * Generates SVG overlays for different content types
  */
 
+const { getTimerText } = require('./countdown');
+
 /**
  * SVG Template Cache
  * Caches SVG templates by style configuration to avoid regenerating
@@ -10,22 +12,57 @@
  */
 const svgTemplateCache = new Map();
 
+const ROMAN_NUMERALS = ['XII', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI'];
+
+// Hand lengths are fractions of the face radius; so are default widths
+// (configured widths are in px)
+const HAND_DEFAULTS = {
+  hour: { length: 0.5, width: 0.07 },
+  minute: { length: 0.75, width: 0.045 },
+  second: { length: 0.85, width: 0.015 }
+};
+
+/**
+ * Text an overlay shows at a given time
+ * Clocks show the fields set in format (hour, minute, second), all three
+ * when none is set.
+ * @param {Object} overlay - Overlay config
+ * @param {Date} time - Time to render for
+ * @returns {string|null} The text, or null for overlays without text (analog-clock, custom)
+ */
+function getOverlayText(overlay, time) {
+  const format = overlay.format || {};
+
+  switch (overlay.type) {
+    case 'clock': {
+      const fields = format.hour || format.minute || format.second
+        ? { hour: format.hour, minute: format.minute, second: format.second }
+        : { hour: 'numeric', minute: '2-digit', second: '2-digit' };
+      return time.toLocaleTimeString(undefined, { ...fields, hour12: format.hour12 });
+    }
+    case 'date':
+      return time.toLocaleDateString(undefined, {
+        weekday: format.weekday,
+        year: format.year,
+        month: format.month,
+        day: format.day
+      });
+    case 'text':
+      return overlay.text || '';
+    case 'countdown':
+    case 'elapsed':
+      return getTimerText(overlay, time);
+    default:
+      return null;
+  }
+}
+
 /**
  * Generate clock overlay
  */
 function generateClockOverlay(overlay, region) {
   // Use _renderTime for pre-rendering, or current time for live updates
-  const now = overlay._renderTime || new Date();
-
-  // Use format options from config or defaults
-  const format = overlay.format || {};
-  const timeString = now.toLocaleTimeString(undefined, {
-    hour: format.hour || 'numeric',
-    minute: format.minute || '2-digit',
-    second: format.second || '2-digit',
-    hour12: format.hour12
-  });
-
+  const timeString = getOverlayText(overlay, overlay._renderTime || new Date());
   return generateTextSVG(timeString, overlay, region);
 }
 
@@ -33,20 +70,18 @@ function generateClockOverlay(overlay, region) {
  * Generate date overlay
  */
 function generateDateOverlay(overlay, region) {
-  const now = new Date();
-
-  // Use format options from config or defaults
-  const format = overlay.format || {};
-  const dateString = now.toLocaleDateString(undefined, {
-    weekday: format.weekday,
-    year: format.year,
-    month: format.month,
-    day: format.day
-  });
-
+  const dateString = getOverlayText(overlay, overlay._renderTime || new Date());
   return generateTextSVG(dateString, overlay, region);
 }
 
+/**
+ * Generate countdown or elapsed-time overlay (lib/countdown.js)
+ */
+function generateTimerOverlay(overlay, region) {
+  const text = getOverlayText(overlay, overlay._renderTime || new Date());
+  return generateTextSVG(text, overlay, region);
+}
+
 /**
  * Generate static text overlay
  */
@@ -55,6 +90,141 @@ function generateTextOverlay(overlay, region) {
   return generateTextSVG(text, overlay, region);
 }
 
+/**
+ * Hand angles of an analog clock at a given time
+ * Hands move at the resolution of the finest hand shown: without a second
+ * hand the minute hand steps once a minute, with one it moves every second,
+ * and with analog.sweep the second hand moves every millisecond.
+ * @param {Object} overlay - Overlay config (analog.hands.second: false hides the second hand)
+ * @param {Date} time - Time to render for
+ * @returns {Object} { hour, minute, second } in degrees clockwise from 12, second null when hidden
+ */
+function getClockHands(overlay, time) {
+  const analog = overlay.analog || {};
+  const showSecond = !analog.hands || analog.hands.second !== false;
+
+  let seconds = 0;
+  if (showSecond) {
+    seconds = time.getSeconds() + (analog.sweep ? time.getMilliseconds() / 1000 : 0);
+  }
+  const minutes = time.getMinutes() + seconds / 60;
+  const hours = (time.getHours() % 12) + minutes / 60;
+
+  return {
+    hour: hours * 30,
+    minute: minutes * 6,
+    second: showSecond ? seconds * 6 : null
+  };
+}
+
+/**
+ * Point on the face at an angle (degrees clockwise from 12) and distance from the center
+ */
+function facePoint(cx, cy, angle, distance) {
+  const rad = angle * Math.PI / 180;
+  return {
+    x: (cx + distance * Math.sin(rad)).toFixed(2),
+    y: (cy - distance * Math.cos(rad)).toFixed(2)
+  };
+}
+
+/**
+ * Build the parts of an analog clock that don't move (face, border, ticks, numerals)
+ * Cached by region and settings like the text templates.
+ */
+function getClockFace(overlay, region) {
+  const analog = overlay.analog || {};
+  const style = overlay.style || {};
+  const color = style.color || '#ffffff';
+
+  const cacheKey = JSON.stringify({ analog: true, width: region.width, height: region.height, analog, style });
+  const cached = svgTemplateCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const cx = region.width / 2;
+  const cy = region.height / 2;
+  const borderWidth = analog.borderWidth !== undefined ? analog.borderWidth : Math.max(1, Math.round(Math.min(cx, cy) * 0.03));
+  const radius = Math.min(cx, cy) - borderWidth / 2;
+  const inner = radius - borderWidth / 2; // Ticks and numerals start inside the border
+
+  const parts = [];
+  parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${analog.face || 'none'}"` +
+    (borderWidth > 0 ? ` stroke="${analog.borderColor || color}" stroke-width="${borderWidth}"/>` : '/>'));
+
+  // Tick marks: hour marks longer and wider than minute marks
+  const ticks = analog.ticks || 'minutes';
+  if (ticks !== 'none') {
+    const tickColor = analog.tickColor || color;
+    for (let i = 0; i < 60; i++) {
+      const isHour = i % 5 === 0;
+      if (!isHour && ticks !== 'minutes') continue;
+
+      const length = inner * (isHour ? 0.1 : 0.04);
+      const from = facePoint(cx, cy, i * 6, inner - length);
+      const to = facePoint(cx, cy, i * 6, inner);
+      parts.push(`<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${tickColor}" stroke-width="${Math.max(1, inner * (isHour ? 0.025 : 0.01)).toFixed(2)}"/>`);
+    }
+  }
+
+  // Numerals inside the tick marks
+  const numerals = analog.numerals || 'arabic';
+  if (numerals !== 'none') {
+    const fontSize = analog.numeralSize || Math.round(inner * 0.18);
+    for (let i = 0; i < 12; i++) {
+      const label = numerals === 'roman' ? ROMAN_NUMERALS[i] : String(i === 0 ? 12 : i);
+      const at = facePoint(cx, cy, i * 30, inner * 0.75);
+      parts.push(`<text x="${at.x}" y="${at.y}" font-family="${style.fontFamily || 'Arial, sans-serif'}" font-size="${fontSize}px" ` +
+        `font-weight="${style.fontWeight || 'normal'}" fill="${analog.numeralColor || color}" text-anchor="middle" dominant-baseline="central">${label}</text>`);
+    }
+  }
+
+  const face = { cx, cy, inner, svg: parts.join('\n      ') };
+  svgTemplateCache.set(cacheKey, face);
+  return face;
+}
+
+/**
+ * Generate analog clock overlay
+ * A round face centered in the region with hour, minute and optional second
+ * hands, configured by overlay.analog.
+ */
+function generateAnalogClockOverlay(overlay, region) {
+  const analog = overlay.analog || {};
+  const hands = analog.hands || {};
+  const color = (overlay.style && overlay.style.color) || '#ffffff';
+
+  const { cx, cy, inner, svg } = getClockFace(overlay, region);
+  const angles = getClockHands(overlay, overlay._renderTime || new Date());
+
+  const parts = [];
+  let capColor = color;
+  for (const name of ['hour', 'minute', 'second']) {
+    if (angles[name] === null) continue;
+
+    const hand = hands[name] || {};
+    const length = inner * (hand.length || HAND_DEFAULTS[name].length);
+    const width = hand.width || Math.max(1, inner * HAND_DEFAULTS[name].width);
+    capColor = hand.color || color;
+
+    // A short tail behind the center, like a real hand
+    const tip = facePoint(cx, cy, angles[name], length);
+    const tail = facePoint(cx, cy, angles[name] + 180, length * 0.15);
+    parts.push(`<line x1="${tail.x}" y1="${tail.y}" x2="${tip.x}" y2="${tip.y}" stroke="${capColor}" stroke-width="${width.toFixed(2)}" stroke-linecap="round"/>`);
+  }
+
+  // The center cap takes the color of the top hand
+  parts.push(`<circle cx="${cx}" cy="${cy}" r="${Math.max(2, inner * 0.05).toFixed(2)}" fill="${capColor}"/>`);
+
+  return Buffer.from(`
+    <svg width="${region.width}" height="${region.height}">
+      ${svg}
+      ${parts.join('\n      ')}
+    </svg>
+  `);
+}
+
 /**
  * Generate custom overlay (user-defined function)
  */
@@ -139,8 +309,13 @@ function generateOverlay(overlay, region) {
   switch (overlay.type) {
     case 'clock':
       return generateClockOverlay(overlay, region);
+    case 'analog-clock':
+      return generateAnalogClockOverlay(overlay, region);
     case 'date':
       return generateDateOverlay(overlay, region);
+    case 'countdown':
+    case 'elapsed':
+      return generateTimerOverlay(overlay, region);
     case 'text':
       return generateTextOverlay(overlay, region);
     case 'custom':
@@ -204,8 +379,86 @@ async function hideOverlayElements(page, overlays) {
   console.log(`Hidden ${selectors.length} overlay element(s)`);
 }
 
+/**
+ * Whether an overlay has to be rendered at displayTime
+ * Intervals count from the epoch, so a 60000ms overlay renders on the minute
+ * and overlays with the same interval render together.
+ * @param {Object} overlay - Overlay config (updateInterval in ms, default: 1000)
+ * @param {number} displayTime - Display time of the tick (ms)
+ * @param {number} tickMs - Time since the previous tick (ms, default: 1000)
+ * @returns {boolean} True if an interval boundary lies in (displayTime - tickMs, displayTime]
+ */
+function isOverlayDue(overlay, displayTime, tickMs = 1000) {
+  const interval = overlay.updateInterval || 1000;
+  return Math.floor(displayTime / interval) !== Math.floor((displayTime - tickMs) / interval);
+}
+
+/**
+ * What an overlay shows at a given time, for change detection
+ * The text, or the hand angles of an analog clock.
+ * @returns {string|null} null for overlays whose content is unknown (custom)
+ */
+function getOverlayContent(overlay, time) {
+  if (overlay.type === 'analog-clock') {
+    return JSON.stringify(getClockHands(overlay, time));
+  }
+  return getOverlayText(overlay, time);
+}
+
+/**
+ * Whether an overlay shows something else at displayTime than it last drew
+ * Compares with state.renderedContent, which FramebufferRenderer sets whenever
+ * it draws the overlay (overlay updates, full frames, base updates) and clears
+ * when a frame never reaches the screen. An HH:MM clock checked every
+ * second thus only changes once a minute, a date at midnight and static text
+ * never; an analog clock changes when a hand moves. Overlays without text
+ * (custom) always count as changed.
+ * @param {Object} overlay - Overlay config
+ * @param {Object} state - Overlay state { renderedContent }
+ * @param {number} displayTime - Display time of the tick (ms)
+ */
+function hasOverlayChanged(overlay, state, displayTime) {
+  const content = getOverlayContent(overlay, new Date(displayTime));
+  return content === null || content !== state.renderedContent;
+}
+
+/**
+ * Overlays a tick has to draw: due, and showing something else than they
+ * last drew. Overlays whose content on screen is unknown draw right away.
+ * Ticks rendered in parallel must call this in tick order, each followed by
+ * FramebufferRenderer.renderOverlayUpdates() (which records what it draws
+ * before its first await), so no two ticks draw the same change.
+ * @param {Array} overlays - Enabled overlay configs
+ * @param {Map} overlayStates - Map of overlay name -> { renderedContent, ... }
+ * @param {number} displayTime - Display time of the tick (ms)
+ * @param {number} tickMs - Time since the previous tick (ms, default: 1000)
+ * @returns {Array} Overlay configs to draw
+ */
+function getChangedOverlays(overlays, overlayStates, displayTime, tickMs = 1000) {
+  return overlays.filter(overlay => {
+    const state = overlayStates.get(overlay.name);
+    return state &&
+      (state.renderedContent === undefined || isOverlayDue(overlay, displayTime, tickMs)) &&
+      hasOverlayChanged(overlay, state, displayTime);
+  });
+}
+
+/**
+ * Drop cached SVG templates (config reload changed overlay styles)
+ */
+function clearTemplateCache() {
+  svgTemplateCache.clear();
+}
+
 module.exports = {
   generateOverlay,
+  clearTemplateCache,
   detectOverlayRegion,
-  hideOverlayElements
+  hideOverlayElements,
+  getOverlayText,
+  getClockHands,
+  getOverlayContent,
+  isOverlayDue,
+  hasOverlayChanged,
+  getChangedOverlays
 };
@@ -0,0 +1,477 @@
+/**
+ * Framebuffer Pixel Formats
+ *
+ * Describes framebuffer pixel layouts the way the kernel does (fb_var_screeninfo
+ * bitfields: offset/length of red, green, blue and transp within a pixel) and
+ * converts between them and the RGB/RGBA buffers sharp produces.
+ *
+ * Named formats give the byte order in memory for 24/32bpp (bgra = blue first),
+ * and the usual high-to-low bit order for 16bpp (rgb565 = red in the top bits).
+ *
+ * Formats of 8bpp and below (grayscale, mono, rgb332, palette) store one value
+ * per pixel; a quantizer maps colors to those values and back. Below 8bpp,
+ * several pixels share a byte, first pixel in the low bits unless bitOrder is 'msb'.
+ */
+
+const PIXEL_FORMATS = {
+  rgba: { bpp: 32, red: [0, 8], green: [8, 8], blue: [16, 8], transp: [24, 8] },
+  bgra: { bpp: 32, red: [16, 8], green: [8, 8], blue: [0, 8], transp: [24, 8] },
+  argb: { bpp: 32, red: [8, 8], green: [16, 8], blue: [24, 8], transp: [0, 8] },
+  abgr: { bpp: 32, red: [24, 8], green: [16, 8], blue: [8, 8], transp: [0, 8] },
+  rgb: { bpp: 24, red: [0, 8], green: [8, 8], blue: [16, 8], transp: [0, 0] },
+  bgr: { bpp: 24, red: [16, 8], green: [8, 8], blue: [0, 8], transp: [0, 0] },
+  rgb565: { bpp: 16, red: [11, 5], green: [5, 6], blue: [0, 5], transp: [0, 0] },
+  bgr565: { bpp: 16, red: [0, 5], green: [5, 6], blue: [11, 5], transp: [0, 0] },
+  rgb332: { bpp: 8, red: [5, 3], green: [2, 3], blue: [0, 2], transp: [0, 0] },
+  // Grayscale: the kernel reports the same bitfield for all three channels
+  gray8: { bpp: 8, red: [0, 8], green: [0, 8], blue: [0, 8], transp: [0, 0] },
+  gray4: { bpp: 4, red: [0, 4], green: [0, 4], blue: [0, 4], transp: [0, 0] },
+  mono10: { bpp: 1, red: [0, 1], green: [0, 1], blue: [0, 1], transp: [0, 0] }, // 1 = white
+  mono01: { bpp: 1, red: [0, 1], green: [0, 1], blue: [0, 1], transp: [0, 0], invert: true }, // 1 = black
+  // Indexed colors from display.palette (the panel's colormap)
+  palette8: { bpp: 8, palette: true }
+};
+
+// Formats assumed when nothing better is known (what web2fb always wrote before)
+const DEFAULT_FORMATS = { 32: 'rgba', 24: 'rgb', 16: 'rgb565', 8: 'gray8', 4: 'gray4', 1: 'mono10' };
+
+const BIT_ORDERS = ['lsb', 'msb'];
+
+/**
+ * Build a format from kernel-style bitfields
+ * @param {number} bpp - Bits per pixel
+ * @param {Object} fields - { red: [offset, length], green, blue, transp }
+ * @returns {Object} { name, bpp, bytesPerPixel, red: { offset, length }, green, blue, transp }
+ */
+function createPixelFormat(bpp, fields) {
+  const format = { name: null, bpp, bytesPerPixel: bpp / 8 };
+  for (const channel of ['red', 'green', 'blue', 'transp']) {
+    const [offset, length] = fields[channel] || [0, 0];
+    format[channel] = { offset, length };
+  }
+  format.name = Object.keys(PIXEL_FORMATS).find(name => sameLayout(format, PIXEL_FORMATS[name])) || null;
+  format.invert = false;
+  format.palette = null;
+  format.bitOrder = 'lsb';
+  return format;
+}
+
+function sameLayout(format, fields) {
+  return format.bpp === fields.bpp && !fields.palette && ['red', 'green', 'blue'].every(channel => (
+    format[channel].offset === fields[channel][0] && format[channel].length === fields[channel][1]
+  ));
+}
+
+/**
+ * Look up a named pixel format
+ * @param {string} name - Key of PIXEL_FORMATS
+ * @param {Object} options
+ * @param {Array<string>} options.palette - Colors ('#rrggbb') by index, required for palette8
+ * @param {string} options.bitOrder - 'lsb' (default) or 'msb', for formats below 8bpp
+ */
+function getPixelFormat(name, options = {}) {
+  const fields = PIXEL_FORMATS[name];
+  if (!fields) {
+    throw new Error(`Unknown pixel format '${name}' (expected one of ${Object.keys(PIXEL_FORMATS).join(', ')})`);
+  }
+
+  const format = createPixelFormat(fields.bpp, fields);
+  format.name = name;
+  format.invert = Boolean(fields.invert);
+
+  if (fields.palette) {
+    if (!Array.isArray(options.palette) || options.palette.length === 0 || options.palette.length > 256) {
+      throw new Error(`pixel format '${name}' requires display.palette (1-256 colors)`);
+    }
+    format.palette = options.palette.map(parseHexColor);
+  }
+
+  if (options.bitOrder !== undefined) {
+    if (!BIT_ORDERS.includes(options.bitOrder)) {
+      throw new Error(`display.bitOrder must be one of ${BIT_ORDERS.join(', ')} (got ${options.bitOrder})`);
+    }
+    format.bitOrder = options.bitOrder;
+  }
+
+  return format;
+}
+
+/**
+ * Default format for a bit depth, or null if the depth is unsupported
+ */
+function defaultPixelFormat(bpp) {
+  return DEFAULT_FORMATS[bpp] ? getPixelFormat(DEFAULT_FORMATS[bpp]) : null;
+}
+
+/**
+ * Parse '#rgb' or '#rrggbb' into [r, g, b]
+ */
+function parseHexColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (!match) {
+    throw new Error(`Invalid palette color '${color}' (expected #rrggbb)`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Whether the format stores one quantized value per pixel (8bpp and below)
+ */
+function isIndexedFormat(format) {
+  return format.bpp <= 8;
+}
+
+/**
+ * Human-readable description, e.g. "bgra" or "rgba 8/16,8/8,8/0,8/24" (fbset notation)
+ */
+function describePixelFormat(format) {
+  if (format.name) {
+    return format.name;
+  }
+  const field = channel => `${format[channel].length}/${format[channel].offset}`;
+  return `rgba ${['red', 'green', 'blue', 'transp'].map(field).join(',')}`;
+}
+
+/**
+ * Parse the output of `fbset -i`, which reports the FBIOGET_VSCREENINFO
+ * bitfields, geometry and the FBIOGET_FSCREENINFO line length without native code
+ * @param {string} output - fbset stdout
+ * @returns {Object} { bpp, format, lineLength, width, height, virtualHeight } (fields null when missing)
+ */
+function parseFbsetOutput(output) {
+  const geometry = output.match(/geometry\s+(\d+)\s+(\d+)\s+\d+\s+(\d+)\s+(\d+)/);
+  const rgba = output.match(/rgba\s+(\d+)\/(\d+),(\d+)\/(\d+),(\d+)\/(\d+),(\d+)\/(\d+)/);
+  const lineLength = output.match(/LineLength\s*:\s*(\d+)/);
+  const visual = output.match(/Visual\s*:\s*(\w+)/);
+
+  const bpp = geometry ? parseInt(geometry[4]) : null;
+  let format = null;
+  if (bpp && rgba) {
+    const [red, green, blue, transp] = [1, 3, 5, 7].map(i => [parseInt(rgba[i + 1]), parseInt(rgba[i])]);
+    format = createPixelFormat(bpp, { red, green, blue, transp });
+    if (format.name === 'mono10' && visual && visual[1] === 'MONO01') {
+      format = getPixelFormat('mono01');
+    }
+  }
+
+  return {
+    bpp,
+    format,
+    lineLength: lineLength ? parseInt(lineLength[1]) : null,
+    width: geometry ? parseInt(geometry[1]) : null,
+    height: geometry ? parseInt(geometry[2]) : null,
+    virtualHeight: geometry ? parseInt(geometry[3]) : null
+  };
+}
+
+/**
+ * Whether a packed RGB(A) buffer is already in this format
+ * @param {Object} format
+ * @param {number} channels - 3 (RGB) or 4 (RGBA)
+ */
+function isNativeLayout(format, channels) {
+  return (format.name === 'rgba' && channels === 4) || (format.name === 'rgb' && channels === 3);
+}
+
+/**
+ * Create a quantizer mapping colors to a format's stored values
+ * @param {Object} format - An indexed format (8bpp and below)
+ * @returns {Object} {
+ *   quantize(r, g, b, out, offset),  // Stored value for the nearest color; writes that color to out[offset..] if given
+ *   color(value),                    // [r, g, b] for a stored value
+ *   spread                           // Typical distance between neighboring colors (ordered dithering amplitude)
+ * }
+ */
+function createQuantizer(format) {
+  if (format.palette) {
+    return createPaletteQuantizer(format.palette);
+  }
+
+  const channels = [format.red, format.green, format.blue].map(({ offset, length }) => ({
+    offset,
+    max: (1 << length) - 1
+  }));
+  const isGray = channels.every(channel => channel.offset === channels[0].offset && channel.max === channels[0].max);
+
+  if (isGray) {
+    const max = channels[0].max;
+    const invert = format.invert;
+    return {
+      spread: 255 / max,
+      quantize(r, g, b, out, offset) {
+        const luminance = clamp8((r * 299 + g * 587 + b * 114) / 1000);
+        const level = Math.round(luminance * max / 255);
+        if (out) {
+          out[offset] = out[offset + 1] = out[offset + 2] = Math.round(level * 255 / max);
+        }
+        return invert ? max - level : level;
+      },
+      color(value) {
+        const level = invert ? max - value : value;
+        const gray = Math.round(level * 255 / max);
+        return [gray, gray, gray];
+      }
+    };
+  }
+
+  return {
+    spread: 255 / Math.min(...channels.map(channel => channel.max)),
+    quantize(r, g, b, out, offset) {
+      let value = 0;
+      const rgb = [r, g, b];
+      for (let c = 0; c < 3; c++) {
+        const { max } = channels[c];
+        const level = Math.round(clamp8(rgb[c]) * max / 255);
+        value |= level << channels[c].offset;
+        if (out) {
+          out[offset + c] = Math.round(level * 255 / max);
+        }
+      }
+      return value;
+    },
+    color(value) {
+      return channels.map(({ offset, max }) => Math.round(((value >> offset) & max) * 255 / max));
+    }
+  };
+}
+
+/**
+ * Nearest-color quantizer for an explicit palette
+ * Exact palette colors are looked up directly; others go through a 15-bit cache.
+ * @private
+ */
+function createPaletteQuantizer(palette) {
+  const exact = new Map();
+  palette.forEach(([r, g, b], index) => {
+    const key = (r << 16) | (g << 8) | b;
+    if (!exact.has(key)) {
+      exact.set(key, index);
+    }
+  });
+  const cache = new Int16Array(32768).fill(-1);
+
+  const nearest = (r, g, b) => {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const dr = r - palette[i][0];
+      const dg = g - palette[i][1];
+      const db = b - palette[i][2];
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    return best;
+  };
+
+  return {
+    spread: 255 / Math.max(1, Math.round(Math.cbrt(palette.length)) - 1),
+    quantize(r, g, b, out, offset) {
+      r = Math.round(clamp8(r));
+      g = Math.round(clamp8(g));
+      b = Math.round(clamp8(b));
+
+      let index = exact.get((r << 16) | (g << 8) | b);
+      if (index === undefined) {
+        const bucket = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (cache[bucket] < 0) {
+          cache[bucket] = nearest(r, g, b);
+        }
+        index = cache[bucket];
+      }
+
+      if (out) {
+        out[offset] = palette[index][0];
+        out[offset + 1] = palette[index][1];
+        out[offset + 2] = palette[index][2];
+      }
+      return index;
+    },
+    color(value) {
+      return palette[value] ? [...palette[value]] : [0, 0, 0];
+    }
+  };
+}
+
+function clamp8(value) {
+  return value < 0 ? 0 : (value > 255 ? 255 : value);
+}
+
+/**
+ * Quantize RGB/RGBA pixels to one stored value per pixel (indexed formats)
+ * @param {Buffer} src - Packed RGB or RGBA pixels
+ * @param {number} channels - 3 or 4
+ * @param {Object} quantizer - From createQuantizer()
+ * @param {Buffer} out - Optional output buffer (one byte per pixel)
+ * @returns {Buffer} Values, one byte per pixel
+ */
+function indexPixels(src, channels, quantizer, out = null) {
+  const dest = out || Buffer.allocUnsafe(src.length / channels);
+  for (let i = 0, j = 0; i < src.length; i += channels, j++) {
+    dest[j] = quantizer.quantize(src[i], src[i + 1], src[i + 2], null, 0);
+  }
+  return dest;
+}
+
+/**
+ * Pack values of a sub-byte format into bytes, keeping the other bits of dest
+ * @param {Buffer} values - One value per pixel
+ * @param {number} start - First value to pack
+ * @param {number} count - Number of values
+ * @param {Object} format - Format with bpp < 8
+ * @param {Buffer} dest - Destination bytes (existing content is preserved around the packed bits)
+ * @param {number} bitOffset - Bit position in dest of the first pixel
+ */
+function packBits(values, start, count, format, dest, bitOffset = 0) {
+  const { bpp } = format;
+  const mask = (1 << bpp) - 1;
+  const msbFirst = format.bitOrder === 'msb';
+
+  for (let i = 0; i < count; i++) {
+    const bit = bitOffset + (i * bpp);
+    const byte = bit >> 3;
+    const shift = msbFirst ? 8 - bpp - (bit & 7) : bit & 7;
+    dest[byte] = (dest[byte] & ~(mask << shift)) | ((values[start + i] & mask) << shift);
+  }
+}
+
+/**
+ * Convert RGB/RGBA pixels into the framebuffer format (8bpp and up)
+ * @param {Buffer} src - Packed RGB (3 channels) or RGBA (4 channels) pixels
+ * @param {number} channels - 3 or 4
+ * @param {Object} format - From createPixelFormat()/getPixelFormat()
+ * @param {Buffer} out - Optional output buffer (pixel count x bytesPerPixel bytes)
+ * @returns {Buffer} src itself when no conversion is needed
+ */
+function packPixels(src, channels, format, out = null) {
+  if (isNativeLayout(format, channels)) {
+    return src;
+  }
+
+  if (format.bpp === 8) {
+    return indexPixels(src, channels, createQuantizer(format), out);
+  }
+
+  const pixels = src.length / channels;
+  const dest = out || Buffer.allocUnsafe(pixels * format.bytesPerPixel);
+
+  if (format.bpp === 16) {
+    const { red, green, blue } = format;
+    const rShift = 8 - red.length;
+    const gShift = 8 - green.length;
+    const bShift = 8 - blue.length;
+
+    for (let i = 0, j = 0; i < src.length; i += channels, j += 2) {
+      const value = ((src[i] >> rShift) << red.offset) |
+        ((src[i + 1] >> gShift) << green.offset) |
+        ((src[i + 2] >> bShift) << blue.offset);
+      dest.writeUInt16LE(value, j);
+    }
+    return dest;
+  }
+
+  const bytesPerPixel = format.bytesPerPixel;
+  const r = format.red.offset / 8;
+  const g = format.green.offset / 8;
+  const b = format.blue.offset / 8;
+  // Alpha (or padding) byte: whichever byte isn't a color
+  const a = bytesPerPixel === 4 ? 6 - r - g - b : -1;
+
+  for (let i = 0, j = 0; i < src.length; i += channels, j += bytesPerPixel) {
+    dest[j + r] = src[i];
+    dest[j + g] = src[i + 1];
+    dest[j + b] = src[i + 2];
+    if (a >= 0) {
+      dest[j + a] = channels === 4 ? src[i + 3] : 255;
+    }
+  }
+  return dest;
+}
+
+/**
+ * Convert framebuffer pixels back to packed RGB
+ * @param {Buffer} raw - Pixels in the framebuffer format (no line padding beyond the last byte)
+ * @param {Object} format
+ * @param {number} width - Pixels per line (needed below 8bpp, where lines end on a byte boundary)
+ * @returns {Buffer} RGB pixels (3 channels)
+ */
+function unpackPixels(raw, format, width = null) {
+  if (isIndexedFormat(format)) {
+    return unpackIndexed(raw, format, width);
+  }
+
+  const pixels = raw.length / format.bytesPerPixel;
+  const rgb = Buffer.alloc(pixels * 3);
+
+  if (format.bpp === 16) {
+    const channels = ['red', 'green', 'blue'].map(name => ({
+      offset: format[name].offset,
+      max: (1 << format[name].length) - 1
+    }));
+
+    for (let i = 0, j = 0; i < raw.length; i += 2, j += 3) {
+      const value = raw.readUInt16LE(i);
+      for (let c = 0; c < 3; c++) {
+        rgb[j + c] = Math.round(((value >> channels[c].offset) & channels[c].max) * 255 / channels[c].max);
+      }
+    }
+    return rgb;
+  }
+
+  const r = format.red.offset / 8;
+  const g = format.green.offset / 8;
+  const b = format.blue.offset / 8;
+  for (let i = 0, j = 0; i < raw.length; i += format.bytesPerPixel, j += 3) {
+    rgb[j] = raw[i + r];
+    rgb[j + 1] = raw[i + g];
+    rgb[j + 2] = raw[i + b];
+  }
+  return rgb;
+}
+
+/**
+ * unpackPixels() for 8bpp and below
+ * @private
+ */
+function unpackIndexed(raw, format, width) {
+  const { bpp } = format;
+  const quantizer = createQuantizer(format);
+  const bytesPerLine = Math.ceil((width || raw.length * 8 / bpp) * bpp / 8);
+  const lineWidth = width || (bytesPerLine * 8) / bpp;
+  const height = Math.floor(raw.length / bytesPerLine);
+  const mask = (1 << bpp) - 1;
+  const msbFirst = format.bitOrder === 'msb';
+  const rgb = Buffer.alloc(lineWidth * height * 3);
+
+  for (let y = 0, j = 0; y < height; y++) {
+    for (let x = 0; x < lineWidth; x++, j += 3) {
+      const bit = (y * bytesPerLine * 8) + (x * bpp);
+      const shift = msbFirst ? 8 - bpp - (bit & 7) : bit & 7;
+      const value = bpp === 8 ? raw[bit >> 3] : (raw[bit >> 3] >> shift) & mask;
+      const [r, g, b] = quantizer.color(value);
+      rgb[j] = r;
+      rgb[j + 1] = g;
+      rgb[j + 2] = b;
+    }
+  }
+  return rgb;
+}
+
+module.exports = {
+  PIXEL_FORMATS,
+  createPixelFormat,
+  getPixelFormat,
+  defaultPixelFormat,
+  describePixelFormat,
+  parseFbsetOutput,
+  isNativeLayout,
+  isIndexedFormat,
+  createQuantizer,
+  indexPixels,
+  packBits,
+  packPixels,
+  unpackPixels
+};
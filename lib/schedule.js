@@ -0,0 +1,201 @@
+/**
+ * Display Schedule
+ *
+ * Evaluates time-of-day rules (cron-like day lists + time windows) that
+ * dim, blank or switch what the display shows:
+ *
+ *   schedule:
+ *     - name: night
+ *       from: "22:00"
+ *       to: "06:00"        # Windows may wrap past midnight
+ *       dim: 0.3
+ *     - name: weekend
+ *       days: sat,sun
+ *       blank: true
+ *
+ * Later rules override earlier ones when several are active.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_ALIASES = {
+  '*': [0, 1, 2, 3, 4, 5, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseTime(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${field} must be in HH:MM format, got '${value}'`);
+  }
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes !== 0)) {
+    throw new Error(`${field} is not a valid time: '${value}'`);
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a day list into a set of day numbers (0 = Sunday)
+ * Accepts an array or comma-separated string of day names, ranges (mon-fri)
+ * and aliases (weekdays, weekends, daily, *)
+ */
+function parseDays(value) {
+  if (value === undefined || value === null) {
+    return new Set(DAY_ALIASES.daily);
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const days = new Set();
+
+  for (const rawItem of items) {
+    const item = String(rawItem).trim().toLowerCase();
+    if (!item) continue;
+
+    if (DAY_ALIASES[item]) {
+      DAY_ALIASES[item].forEach(d => days.add(d));
+      continue;
+    }
+
+    const [startName, endName] = item.split('-');
+    const start = dayIndex(startName);
+    const end = endName === undefined ? start : dayIndex(endName);
+
+    // Ranges may wrap around the week (fri-mon)
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === end) break;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Convert a day name (or prefix like "monday") to its index
+ * @private
+ */
+function dayIndex(name) {
+  const index = DAY_NAMES.indexOf(String(name).trim().slice(0, 3));
+  if (index === -1) {
+    throw new Error(`Unknown day '${name}' (expected one of ${DAY_NAMES.join(', ')})`);
+  }
+  return index;
+}
+
+/**
+ * Validate schedule rules and pre-parse their days and times
+ * @param {Array} rules - Raw `schedule:` entries from config
+ * @returns {Array} Normalized rules
+ * @throws {Error} If a rule is invalid
+ */
+function normalizeSchedule(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error('schedule must be a list of rules');
+  }
+
+  return rules.map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    const prefix = `schedule[${index}] (${name})`;
+
+    try {
+      const from = rule.from !== undefined ? parseTime(rule.from, 'from') : 0;
+      const to = rule.to !== undefined ? parseTime(rule.to, 'to') : 24 * 60;
+
+      if (rule.dim !== undefined && (typeof rule.dim !== 'number' || rule.dim < 0 || rule.dim > 1)) {
+        throw new Error(`dim must be a number between 0 and 1, got '${rule.dim}'`);
+      }
+
+      if (!rule.blank && rule.dim === undefined && !rule.url && !rule.page) {
+        throw new Error('rule has no effect (set blank, dim, url or page)');
+      }
+
+      return {
+        ...rule,
+        name,
+        fromMinutes: from,
+        toMinutes: to,
+        daySet: parseDays(rule.days)
+      };
+    } catch (err) {
+      throw new Error(`${prefix}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Check whether a normalized rule is active at the given time
+ * Overnight windows (from > to) belong to the day they start on.
+ */
+function isRuleActive(rule, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  const previousDay = (day + 6) % 7;
+
+  if (rule.fromMinutes === rule.toMinutes) {
+    // Zero-length window: whole day
+    return rule.daySet.has(day);
+  }
+
+  if (rule.fromMinutes < rule.toMinutes) {
+    return rule.daySet.has(day) && minutes >= rule.fromMinutes && minutes < rule.toMinutes;
+  }
+
+  return (rule.daySet.has(day) && minutes >= rule.fromMinutes) ||
+    (rule.daySet.has(previousDay) && minutes < rule.toMinutes);
+}
+
+/**
+ * Resolve the combined display state for a point in time
+ * @param {Array} rules - Normalized rules from normalizeSchedule()
+ * @param {Date} date - Time to evaluate (defaults to now)
+ * @returns {Object} { blank, brightness, url, page, rules }
+ */
+function getScheduleState(rules = [], date = new Date()) {
+  const state = {
+    blank: false,
+    brightness: 1,
+    url: null,
+    page: null,
+    rules: []
+  };
+
+  for (const rule of rules) {
+    if (!isRuleActive(rule, date)) continue;
+
+    state.rules.push(rule.name);
+    if (rule.blank !== undefined) state.blank = !!rule.blank;
+    if (rule.dim !== undefined) state.brightness = rule.dim;
+    if (rule.url) state.url = rule.url;
+    if (rule.page) state.page = rule.page;
+  }
+
+  return state;
+}
+
+/**
+ * Check whether two schedule states differ in any displayed property
+ */
+function scheduleStateChanged(a, b) {
+  return a.blank !== b.blank ||
+    a.brightness !== b.brightness ||
+    a.url !== b.url ||
+    a.page !== b.page;
+}
+
+module.exports = {
+  parseTime,
+  parseDays,
+  normalizeSchedule,
+  isRuleActive,
+  getScheduleState,
+  scheduleStateChanged
+};
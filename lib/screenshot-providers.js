@@ -2,21 +2,43 @@
  * Screenshot Provider Abstraction
  *
  * Provides a clean interface for swapping between local (Puppeteer) and remote (Cloudflare Worker)
- * screenshot acquisition methods.
+ * screenshot acquisition methods. Other providers can be registered with
+ * registerScreenshotProvider() or loaded from a module path (browser.mode: ./my-provider.js).
  *
  * Local mode: Browser starts fresh for each screenshot, then tears down completely.
- * This prevents memory leaks, cache growth, and browser crashes.
+ * This prevents memory leaks, cache growth, and browser crashes. An opt-in
+ * persistent session keeps one browser alive and recycles it periodically.
  */
 
 const puppeteer = require('puppeteer');
-const _fs = require('fs').promises;
-const _path = require('path');
+const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
+const { URL, fileURLToPath } = require('url');
+const EventEmitter = require('events');
+const { normalizeAuth, applyAuth, runLoginSteps } = require('./browser-auth');
 
 /**
  * Base class for screenshot providers
+ *
+ * Contract (checked by tests/helpers/provider-conformance.js):
+ * - constructor(config) takes the full config and does no I/O
+ * - initialize() validates config and prepares resources; rejects if unusable
+ * - captureScreenshot() resolves with an encoded image (PNG, JPEG or WebP)
+ *   of display.width x display.height (or the size passed in options), and
+ *   may be called repeatedly
+ * - cleanup() releases resources and is safe to call more than once
+ * - getType() and getStatus() are synchronous
+ *
+ * Events:
+ * - 'crash' (reason): the provider can't recover by itself and must be
+ *   restarted (web2fb.js runs restartProvider())
+ * - 'refresh' (reason): the content changed; web2fb recaptures right away
+ *   instead of waiting for the next periodic refresh
  */
-class ScreenshotProvider {
+class ScreenshotProvider extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
   }
 
@@ -31,12 +53,28 @@ class ScreenshotProvider {
   /**
    * Capture a screenshot of the configured URL
    * @param {Array} hideSelectors - CSS selectors to hide before screenshot
+   * @param {Object} options - Per-capture overrides
+   * @param {string} options.url - URL to capture (defaults to display.url)
+   * @param {number} options.width - Capture width (defaults to display.width)
+   * @param {number} options.height - Capture height (defaults to display.height)
    * @returns {Promise<Buffer>} Screenshot buffer
    */
-  async captureScreenshot(_hideSelectors = []) {
+  async captureScreenshot(_hideSelectors = [], _options = {}) {
     throw new Error('captureScreenshot() must be implemented by subclass');
   }
 
+  /**
+   * Size to capture at: per-capture override (one output of several), else the display size
+   * @param {Object} options - Options passed to captureScreenshot()
+   * @returns {Object} { width, height }
+   */
+  getCaptureSize(options = {}) {
+    return {
+      width: options.width || this.config.display.width || 1920,
+      height: options.height || this.config.display.height || 1080
+    };
+  }
+
   /**
    * Cleanup resources
    * @returns {Promise<void>}
@@ -52,22 +90,55 @@ class ScreenshotProvider {
   getType() {
     return 'unknown';
   }
+
+  /**
+   * Get provider state for status reporting
+   * @returns {Object}
+   */
+  getStatus() {
+    return { type: this.getType() };
+  }
 }
 
 /**
  * Local screenshot provider using Puppeteer
  *
- * Each screenshot is a fresh browser session:
+ * Session modes (browser.sessionMode):
+ *
+ * fresh (default) - each screenshot is a fresh browser session:
  * 1. Launch browser with temp profile
  * 2. Load page and wait for images
  * 3. Take screenshot
  * 4. Close browser and delete profile
- *
  * This prevents all long-running browser issues (memory leaks, cache growth, crashes).
+ *
+ * persistent - one browser/page stays alive and the page is reloaded for each
+ * screenshot. Much faster on a Pi and keeps logged-in sessions, at the cost of
+ * memory growth, so the browser is recycled after browser.maxCaptures screenshots
+ * or when its RSS exceeds browser.maxMemoryMB. Emits 'crash' if the browser dies.
  */
 class LocalScreenshotProvider extends ScreenshotProvider {
   constructor(config) {
     super(config);
+
+    const browserConfig = config.browser || {};
+    this.sessionMode = browserConfig.sessionMode || 'fresh';
+    this.maxCaptures = browserConfig.maxCaptures || 50;
+    this.maxMemoryMB = browserConfig.maxMemoryMB || 300;
+
+    // Cookies, headers, basic auth and login steps (null when not configured)
+    this.auth = normalizeAuth(browserConfig);
+
+    // Persistent session state
+    this.browser = null;
+    this.page = null;
+    this.loggedIn = false; // Login steps run once per persistent browser
+    // Page -> URL it was navigated to; page.url() follows redirects and
+    // normalization, so it can't tell whether the configured URL changed
+    this.navigatedUrls = new WeakMap();
+    this.captureCount = 0;
+    this.lastRssMB = null;
+    this.closing = false; // Set while we close the browser ourselves (not a crash)
   }
 
   getType() {
@@ -80,207 +151,393 @@ class LocalScreenshotProvider extends ScreenshotProvider {
       throw new Error('display.url is required');
     }
 
-    console.log('✓ Local screenshot provider initialized (browser starts fresh each screenshot)');
+    if (this.sessionMode === 'persistent') {
+      console.log(`✓ Local screenshot provider initialized (persistent session, recycled after ${this.maxCaptures} captures or ${this.maxMemoryMB}MB)`);
+    } else {
+      console.log('✓ Local screenshot provider initialized (browser starts fresh each screenshot)');
+    }
   }
 
-  async captureScreenshot(hideSelectors = []) {
+  async captureScreenshot(hideSelectors = [], options = {}) {
+    const url = options.url || this.config.display.url;
+    const size = this.getCaptureSize(options);
+
+    if (this.sessionMode === 'persistent') {
+      return this._capturePersistent(url, hideSelectors, size);
+    }
+
     let browser = null;
     let page = null;
 
     try {
-      const browserConfig = this.config.browser || {};
-
-      // Optimized Chrome args for Pi Zero 2 W
-      // NOTE: No temporary profile - working version used persistent/default profile
-      const browserArgs = [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-blink-features=AutomationControlled',  // Hide automation detection
-        '--disable-web-security',  // Disable CORS/security (needed for some pages)
-        '--disable-features=IsolateOrigins,site-per-process',  // Reduce process isolation overhead
-        '--disable-gpu',  // No GPU on Pi
-        '--disable-dev-shm-usage',
-        '--single-process',
-        '--disable-software-rasterizer',
-        '--no-zygote',  // Disable zygote process
-        '--disable-extensions',
-        '--disable-background-networking',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-breakpad',
-        '--disable-component-extensions-with-background-pages',
-        '--disable-features=TranslateUI,BlinkGenPropertyTrees',
-        '--disable-ipc-flooding-protection',
-        '--disable-renderer-backgrounding',
-        '--metrics-recording-only',
-        '--mute-audio',
-        '--no-first-run',
-        '--no-default-browser-check',
-        '--no-pings',
-        '--safebrowsing-disable-auto-update',
-        '--disk-cache-size=1',
-        '--media-cache-size=1',
-        '--aggressive-cache-discard',
-        '--disable-cache',
-        '--disable-application-cache',
-        '--disable-offline-load-stale-cache',
-        '--disk-cache-size=0'
-      ];
-
-      // Launch browser with extended timeout for Pi Zero 2 W
-      console.log('Local browser: Launching browser...');
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: browserArgs,
-        ignoreDefaultArgs: ['--enable-automation'],
-        dumpio: false,
-        timeout: 60000 // 60 seconds (default is 30s)
-      });
-      console.log('Local browser: Browser launched successfully');
+      browser = await this._launchBrowser();
+      page = await this._preparePage(browser, size);
+      await this._login(page, url);
+      page = await this._navigate(browser, page, url);
+      await this._waitForContent(page);
+      return await this._hideAndCapture(page, hideSelectors);
 
-      // Set process priority on Pi
-      if (browser.process()) {
-        const pid = browser.process().pid;
-        try {
-          const { execSync } = require('child_process');
-          execSync(`renice -n 10 -p ${pid}`);
-        } catch (_err) {
-          // Ignore errors (requires permissions)
-        }
+    } finally {
+      // Always clean up, even if errors occurred
+      await this._closeBrowser(browser, page);
+    }
+  }
+
+  /**
+   * Capture using the long-lived browser session
+   * @private
+   */
+  async _capturePersistent(url, hideSelectors, size) {
+    try {
+      if (!this.browser || !this.browser.connected) {
+        this.browser = await this._launchBrowser();
+        this.page = await this._preparePage(this.browser, size);
+        this.loggedIn = false;
+        this.captureCount = 0;
+        this._watchForCrash(this.browser);
+      } else {
+        // The page may last have captured for an output of another size
+        await this._resizeViewport(this.page, size);
       }
 
-      // Create page and load URL
-      page = await browser.newPage();
+      if (!this.loggedIn) {
+        await this._login(this.page, url);
+        this.loggedIn = true;
+      }
 
-      // Remove webdriver flag (anti-detection)
-      await page.evaluateOnNewDocument(() => {
-        Object.defineProperty(navigator, 'webdriver', {
-          get: () => undefined
-        });
-      });
+      this.page = await this._reloadOrNavigate(this.browser, this.page, url);
+      await this._waitForContent(this.page);
+      const screenshot = await this._hideAndCapture(this.page, hideSelectors);
 
-      console.log('Local browser: Setting viewport and user agent...');
-      await page.setViewport({
-        width: this.config.display.width || 1920,
-        height: this.config.display.height || 1080
-      });
+      this.captureCount++;
+      this.lastRssMB = getProcessTreeRssMB(this.browser.process() && this.browser.process().pid);
+      const rss = this.lastRssMB !== null ? `${this.lastRssMB}MB` : 'unknown';
+      console.log(`Local browser: Persistent session capture ${this.captureCount}/${this.maxCaptures}, RSS ${rss}`);
 
-      if (browserConfig.userAgent) {
-        await page.setUserAgent(browserConfig.userAgent);
+      if (this.captureCount >= this.maxCaptures) {
+        await this._recycle(`${this.captureCount} captures`);
+      } else if (this.lastRssMB !== null && this.lastRssMB > this.maxMemoryMB) {
+        await this._recycle(`RSS ${this.lastRssMB}MB > ${this.maxMemoryMB}MB`);
       }
 
-      // Use 'load' by default (just wait for DOM load event, not network idle)
-      // This is faster and more reliable on Pi, especially with pages that maintain
-      // persistent connections. Only use networkidle if explicitly configured.
-      let waitUntil = browserConfig.waitForNetworkIdle ? 'networkidle0' : 'load';
-      console.log(`Local browser: Navigating to ${this.config.display.url} (waitUntil: ${waitUntil})...`);
+      return screenshot;
 
-      try {
-        await page.goto(this.config.display.url, {
-          waitUntil,
-          timeout: 180000 // 3 minutes
-        });
-        console.log('Local browser: Navigation complete');
-      } catch (err) {
-        console.error('Local browser: Navigation failed:', err.message);
+    } catch (err) {
+      // Start the next capture with a clean browser
+      if (this.browser) {
+        await this._recycle(`capture failed: ${err.message}`);
+      }
+      throw err;
+    }
+  }
 
-        // Check if browser is still alive
-        if (browser && browser.process() && browser.process().killed) {
-          throw new Error('Browser process was killed - likely out of memory');
-        }
+  /**
+   * Reload a long-lived page, or navigate it when the URL changed
+   * Reloading also drops the hide/animation styles injected last time.
+   * @private
+   * @returns {Promise<Page>} The page that loaded
+   */
+  async _reloadOrNavigate(browser, page, url) {
+    if (this.navigatedUrls.get(page) !== url) {
+      const navigated = await this._navigate(browser, page, url);
+      this.navigatedUrls.set(navigated, url);
+      return navigated;
+    }
 
-        // If networkidle0 failed with frame detached, retry with 'load' (original working behavior)
-        if (waitUntil === 'networkidle0' && err.message.includes('frame was detached')) {
-          console.log('Local browser: Retrying navigation with "load" event (more forgiving)...');
-          waitUntil = 'load';
+    const waitUntil = (this.config.browser || {}).waitForNetworkIdle ? 'networkidle0' : 'load';
+    console.log(`Local browser: Reloading ${url} (waitUntil: ${waitUntil})...`);
+    await applyAuth(page, this.auth, url);
+    await page.reload({ waitUntil, timeout: 180000 });
+    console.log('Local browser: Reload complete');
+    return page;
+  }
 
-          // Close and recreate page for clean retry
-          await page.close();
-          page = await browser.newPage();
+  /**
+   * Close the persistent browser; the next capture launches a new one
+   * @private
+   */
+  async _recycle(reason) {
+    console.log(`Local browser: Recycling persistent browser (${reason})`);
+    const browser = this.browser;
+    const page = this.page;
+    this.browser = null;
+    this.page = null;
+    this.captureCount = 0;
+
+    this.closing = true;
+    try {
+      await this._closeBrowser(browser, page);
+    } finally {
+      this.closing = false;
+    }
+  }
 
-          // Reapply viewport and user agent
-          await page.setViewport({
-            width: this.config.display.width || 1920,
-            height: this.config.display.height || 1080
-          });
+  /**
+   * Emit 'crash' when the persistent browser disconnects unexpectedly
+   * @private
+   */
+  _watchForCrash(browser) {
+    browser.once('disconnected', () => {
+      if (this.closing || this.browser !== browser) {
+        return; // Closed on purpose
+      }
 
-          if (browserConfig.userAgent) {
-            await page.setUserAgent(browserConfig.userAgent);
-          }
+      console.error('❌ Local browser: Persistent browser disconnected unexpectedly');
+      this.browser = null;
+      this.page = null;
+      this.emit('crash', 'persistent browser disconnected');
+    });
+  }
 
-          await page.goto(this.config.display.url, {
-            waitUntil: 'load',
-            timeout: 180000
-          });
-          console.log('Local browser: Navigation complete (fallback to "load")');
-        } else {
-          throw err;
-        }
-      }
+  /**
+   * Launch Chromium with settings tuned for the Pi
+   * @private
+   */
+  async _launchBrowser() {
+    // Optimized Chrome args for Pi Zero 2 W
+    // NOTE: No temporary profile - working version used persistent/default profile
+    const browserArgs = [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-blink-features=AutomationControlled',  // Hide automation detection
+      '--disable-web-security',  // Disable CORS/security (needed for some pages)
+      '--disable-features=IsolateOrigins,site-per-process',  // Reduce process isolation overhead
+      '--disable-gpu',  // No GPU on Pi
+      '--disable-dev-shm-usage',
+      '--single-process',
+      '--disable-software-rasterizer',
+      '--no-zygote',  // Disable zygote process
+      '--disable-extensions',
+      '--disable-background-networking',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-breakpad',
+      '--disable-component-extensions-with-background-pages',
+      '--disable-features=TranslateUI,BlinkGenPropertyTrees',
+      '--disable-ipc-flooding-protection',
+      '--disable-renderer-backgrounding',
+      '--metrics-recording-only',
+      '--mute-audio',
+      '--no-first-run',
+      '--no-default-browser-check',
+      '--no-pings',
+      '--safebrowsing-disable-auto-update',
+      '--disk-cache-size=1',
+      '--media-cache-size=1',
+      '--aggressive-cache-discard',
+      '--disable-cache',
+      '--disable-application-cache',
+      '--disable-offline-load-stale-cache',
+      '--disk-cache-size=0'
+    ];
+
+    // Launch browser with extended timeout for Pi Zero 2 W
+    console.log('Local browser: Launching browser...');
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      args: browserArgs,
+      ignoreDefaultArgs: ['--enable-automation'],
+      dumpio: false,
+      timeout: 60000 // 60 seconds (default is 30s)
+    });
+    console.log('Local browser: Browser launched successfully');
 
-      // Scroll to trigger lazy loading (best effort)
-      console.log('Local browser: Scrolling to trigger lazy loading...');
+    // Set process priority on Pi
+    if (browser.process()) {
+      const pid = browser.process().pid;
       try {
-        await page.evaluate(() => {
-          window.scrollTo(0, document.body.scrollHeight);
-        });
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        await page.evaluate(() => {
-          window.scrollTo(0, 0);
-        });
+        const { execSync } = require('child_process');
+        execSync(`renice -n 10 -p ${pid}`);
       } catch (_err) {
-        console.log(`Local browser: Scrolling failed, continuing anyway`);
+        // Ignore errors (requires permissions)
       }
+    }
 
-      // Wait for images (best effort)
-      console.log('Local browser: Waiting for images...');
-      try {
-        await page.waitForFunction(() => {
-          const images = Array.from(document.images);
-          const allImagesLoaded = images.every(img => img.complete && img.naturalHeight !== 0);
-          const noNetworkActivity = performance.getEntriesByType('resource')
-            .filter(r => r.initiatorType === 'img' || r.initiatorType === 'css')
-            .every(r => r.responseEnd > 0);
-          return allImagesLoaded && noNetworkActivity;
-        }, { timeout: 120000 });
-      } catch (_err) {
-        console.log(`Local browser: Image waiting timed out, continuing anyway`);
-      }
+    return browser;
+  }
 
-      // Additional delay if requested
-      if (browserConfig.waitDelay && browserConfig.waitDelay > 0) {
-        console.log(`Local browser: Waiting additional ${browserConfig.waitDelay}ms for async content...`);
-        await new Promise(resolve => setTimeout(resolve, browserConfig.waitDelay));
+  /**
+   * Open a page with viewport, user agent and anti-detection applied
+   * @param {Object} size - Viewport { width, height } from getCaptureSize()
+   * @private
+   */
+  async _preparePage(browser, size = this.getCaptureSize()) {
+    const browserConfig = this.config.browser || {};
+    const page = await browser.newPage();
+
+    // Remove webdriver flag (anti-detection)
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => undefined
+      });
+    });
+
+    console.log('Local browser: Setting viewport and user agent...');
+    await page.setViewport({ width: size.width, height: size.height });
+
+    if (browserConfig.userAgent) {
+      await page.setUserAgent(browserConfig.userAgent);
+    }
+
+    return page;
+  }
+
+  /**
+   * Resize a long-lived page's viewport if it differs from the capture size
+   * @private
+   */
+  async _resizeViewport(page, size) {
+    const viewport = page.viewport();
+    if (!viewport || viewport.width !== size.width || viewport.height !== size.height) {
+      console.log(`Local browser: Resizing viewport to ${size.width}x${size.height}`);
+      await page.setViewport({ width: size.width, height: size.height });
+    }
+  }
+
+  /**
+   * Apply auth and run the configured login steps (if any)
+   * @private
+   */
+  async _login(page, url) {
+    if (this.auth && this.auth.login) {
+      await applyAuth(page, this.auth, url);
+      await runLoginSteps(page, this.auth.login, url);
+    }
+  }
+
+  /**
+   * Navigate to the URL, retrying with 'load' if networkidle0 hits a detached frame
+   * @private
+   * @returns {Promise<Page>} The page that loaded (a new one after a retry)
+   */
+  async _navigate(browser, page, url) {
+    const browserConfig = this.config.browser || {};
+
+    // Use 'load' by default (just wait for DOM load event, not network idle)
+    // This is faster and more reliable on Pi, especially with pages that maintain
+    // persistent connections. Only use networkidle if explicitly configured.
+    const waitUntil = browserConfig.waitForNetworkIdle ? 'networkidle0' : 'load';
+    console.log(`Local browser: Navigating to ${url} (waitUntil: ${waitUntil})...`);
+
+    try {
+      await applyAuth(page, this.auth, url);
+      await page.goto(url, {
+        waitUntil,
+        timeout: 180000 // 3 minutes
+      });
+      console.log('Local browser: Navigation complete');
+      return page;
+    } catch (err) {
+      console.error('Local browser: Navigation failed:', err.message);
+
+      // Check if browser is still alive
+      if (browser && browser.process() && browser.process().killed) {
+        throw new Error('Browser process was killed - likely out of memory');
       }
 
-      // Disable animations and hide overlay elements (best effort)
-      try {
-        await page.addStyleTag({
-          content: `
-            *, *::before, *::after {
-              animation-duration: 0s !important;
-              animation-delay: 0s !important;
-              transition-duration: 0s !important;
-              transition-delay: 0s !important;
-              animation: none !important;
-              transition: none !important;
-            }
-          `
+      // If networkidle0 failed with frame detached, retry with 'load' (original working behavior)
+      if (waitUntil === 'networkidle0' && err.message.includes('frame was detached')) {
+        console.log('Local browser: Retrying navigation with "load" event (more forgiving)...');
+
+        // Close and recreate page for clean retry
+        await page.close();
+        const retryPage = await this._preparePage(browser, page.viewport());
+        await applyAuth(retryPage, this.auth, url);
+
+        await retryPage.goto(url, {
+          waitUntil: 'load',
+          timeout: 180000
         });
+        console.log('Local browser: Navigation complete (fallback to "load")');
+        return retryPage;
+      }
 
-        if (hideSelectors.length > 0) {
-          await page.addStyleTag({
-            content: hideSelectors.map(selector => `${selector} { visibility: hidden !important; }`).join('\n')
-          });
-        }
-      } catch (_err) {
-        console.log(`Local browser: Style injection failed, continuing anyway`);
+      throw err;
+    }
+  }
+
+  /**
+   * Trigger lazy loading, wait for images and the configured extra delay
+   * @private
+   */
+  async _waitForContent(page) {
+    const browserConfig = this.config.browser || {};
+
+    // Scroll to trigger lazy loading (best effort)
+    console.log('Local browser: Scrolling to trigger lazy loading...');
+    try {
+      await page.evaluate(() => {
+        window.scrollTo(0, document.body.scrollHeight);
+      });
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      await page.evaluate(() => {
+        window.scrollTo(0, 0);
+      });
+    } catch (_err) {
+      console.log(`Local browser: Scrolling failed, continuing anyway`);
+    }
+
+    // Wait for images (best effort)
+    console.log('Local browser: Waiting for images...');
+    try {
+      await page.waitForFunction(() => {
+        const images = Array.from(document.images);
+        const allImagesLoaded = images.every(img => img.complete && img.naturalHeight !== 0);
+        const noNetworkActivity = performance.getEntriesByType('resource')
+          .filter(r => r.initiatorType === 'img' || r.initiatorType === 'css')
+          .every(r => r.responseEnd > 0);
+        return allImagesLoaded && noNetworkActivity;
+      }, { timeout: 120000 });
+    } catch (_err) {
+      console.log(`Local browser: Image waiting timed out, continuing anyway`);
+    }
+
+    // Additional delay if requested
+    if (browserConfig.waitDelay && browserConfig.waitDelay > 0) {
+      console.log(`Local browser: Waiting additional ${browserConfig.waitDelay}ms for async content...`);
+      await new Promise(resolve => setTimeout(resolve, browserConfig.waitDelay));
+    }
+  }
+
+  /**
+   * Disable animations, hide overlay elements and take the screenshot
+   * @private
+   * @param {Object} options
+   * @param {boolean} options.restore - Remove the injected styles afterwards
+   *   (for tabs someone else is looking at)
+   */
+  async _hideAndCapture(page, hideSelectors, options = {}) {
+    const styleTags = [];
+
+    // Disable animations and hide overlay elements (best effort)
+    try {
+      styleTags.push(await page.addStyleTag({
+        content: `
+          *, *::before, *::after {
+            animation-duration: 0s !important;
+            animation-delay: 0s !important;
+            transition-duration: 0s !important;
+            transition-delay: 0s !important;
+            animation: none !important;
+            transition: none !important;
+          }
+        `
+      }));
+
+      if (hideSelectors.length > 0) {
+        styleTags.push(await page.addStyleTag({
+          content: hideSelectors.map(selector => `${selector} { visibility: hidden !important; }`).join('\n')
+        }));
       }
+    } catch (_err) {
+      console.log(`Local browser: Style injection failed, continuing anyway`);
+    }
 
-      // Wait for complete page render after style changes
-      await new Promise(resolve => setTimeout(resolve, 2000));
+    // Wait for complete page render after style changes
+    await new Promise(resolve => setTimeout(resolve, 2000));
 
-      // Take screenshot
+    // Take screenshot
+    try {
       console.log('Local browser: Taking screenshot...');
       const screenshot = await page.screenshot({
         type: 'jpeg',
@@ -289,46 +546,361 @@ class LocalScreenshotProvider extends ScreenshotProvider {
       console.log(`Local browser: Screenshot captured (${screenshot.length} bytes)`);
 
       return screenshot;
-
     } finally {
-      // Always clean up, even if errors occurred
-      console.log('Local browser: Cleaning up...');
+      if (options.restore) {
+        for (const styleTag of styleTags) {
+          await styleTag.evaluate(el => el.remove()).catch(() => {});
+        }
+      }
+    }
+  }
 
-      if (page) {
+  /**
+   * Close page and browser, force-killing the process if needed
+   * @private
+   */
+  async _closeBrowser(browser, page) {
+    console.log('Local browser: Cleaning up...');
+
+    if (page) {
+      try {
+        await page.close();
+      } catch (err) {
+        console.log(`Local browser: Page close error: ${err.message}`);
+      }
+    }
+
+    if (browser) {
+      const browserProcess = browser.process();
+      try {
+        await browser.close();
+        console.log('Local browser: Browser closed');
+      } catch (err) {
+        console.log(`Local browser: Browser close error: ${err.message}`);
+      }
+
+      // Ensure process is killed (belt and suspenders)
+      if (browserProcess && !browserProcess.killed) {
         try {
-          await page.close();
+          browserProcess.kill('SIGKILL');
+          console.log(`Local browser: Force-killed browser process ${browserProcess.pid}`);
         } catch (err) {
-          console.log(`Local browser: Page close error: ${err.message}`);
+          console.log(`Local browser: Process kill error: ${err.message}`);
         }
       }
+    }
 
-      if (browser) {
-        const browserProcess = browser.process();
-        try {
-          await browser.close();
-          console.log('Local browser: Browser closed');
-        } catch (err) {
-          console.log(`Local browser: Browser close error: ${err.message}`);
+    console.log('Local browser: Cleanup complete');
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      sessionMode: this.sessionMode,
+      browserRunning: !!this.browser,
+      captures: this.captureCount,
+      rssMB: this.lastRssMB
+    };
+  }
+
+  async cleanup() {
+    // Fresh mode has nothing to clean up - each screenshot is self-contained
+    if (this.browser) {
+      await this._recycle('provider cleanup');
+    }
+    console.log('✓ Local screenshot provider cleaned up');
+  }
+}
+
+/**
+ * Resident memory of a process and its descendants in MB (Linux /proc)
+ * @returns {number|null} RSS in MB, or null if unavailable
+ */
+function getProcessTreeRssMB(pid) {
+  if (!pid) {
+    return null;
+  }
+
+  const readRssKB = id => {
+    try {
+      const status = fs.readFileSync(`/proc/${id}/status`, 'utf8');
+      const match = /VmRSS:\s+(\d+)\s+kB/.exec(status);
+      return match ? parseInt(match[1]) : 0;
+    } catch (_err) {
+      return 0;
+    }
+  };
+
+  const readChildren = id => {
+    try {
+      return fs.readFileSync(`/proc/${id}/task/${id}/children`, 'utf8').trim().split(/\s+/).filter(Boolean);
+    } catch (_err) {
+      return [];
+    }
+  };
+
+  if (!fs.existsSync(`/proc/${pid}/status`)) {
+    return null;
+  }
+
+  let totalKB = 0;
+  const pending = [String(pid)];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    totalKB += readRssKB(id);
+    pending.push(...readChildren(id));
+  }
+
+  return Math.round(totalKB / 1024);
+}
+
+/**
+ * Screenshot provider for a Chrome that is already running (browser.mode: connect)
+ *
+ * Connects with puppeteer.connect() to browser.browserURL (http://host:9222) or
+ * browser.browserWSEndpoint instead of launching Chromium, e.g. a kiosk X session
+ * or a sidecar container started with --remote-debugging-port. The browser is
+ * never closed; cleanup() only disconnects.
+ *
+ * Tabs (browser.connectTab):
+ * - new (default): open a dedicated tab, kept between captures and reloaded like
+ *   a persistent session
+ * - reuse: capture an existing tab showing the URL as-is (no reload, injected
+ *   styles removed afterwards); opens a dedicated tab if none matches
+ *
+ * When the endpoint goes away, reconnects in the background with exponential
+ * backoff and emits 'refresh' once it's back.
+ */
+class ConnectScreenshotProvider extends LocalScreenshotProvider {
+  constructor(config) {
+    super(config);
+
+    const browserConfig = config.browser || {};
+    this.endpoint = browserConfig.browserWSEndpoint
+      ? { browserWSEndpoint: browserConfig.browserWSEndpoint }
+      : { browserURL: browserConfig.browserURL };
+    this.connectTab = browserConfig.connectTab || 'new';
+    this.connectTimeout = browserConfig.connectTimeout || 120000;
+    this.reconnectDelay = browserConfig.reconnectDelay || 1000;
+    this.maxReconnectDelay = 60000;
+
+    this.ownsPage = false; // Whether this.page is our tab (closed on cleanup)
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.lastError = null;
+  }
+
+  getType() {
+    return 'connect';
+  }
+
+  async initialize() {
+    if (!this.config.display || !this.config.display.url) {
+      throw new Error('display.url is required');
+    }
+    if (!this.endpoint.browserURL && !this.endpoint.browserWSEndpoint) {
+      throw new Error('Connect mode requires browser.browserURL or browser.browserWSEndpoint in config');
+    }
+
+    // The browser may still be starting (e.g. kiosk session at boot)
+    const deadline = Date.now() + this.connectTimeout;
+    for (let attempt = 0; !this.browser; attempt++) {
+      try {
+        await this._connect();
+      } catch (err) {
+        const delay = this._backoffDelay(attempt);
+        if (Date.now() + delay > deadline) {
+          throw new Error(`Could not connect to ${this._describeEndpoint()} within ${this.connectTimeout}ms: ${err.message}`);
         }
+        console.log(`Connect: ${err.message}, retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    console.log(`✓ Connect screenshot provider initialized (${this._describeEndpoint()}, ${this.connectTab} tab)`);
+  }
+
+  async captureScreenshot(hideSelectors = [], options = {}) {
+    const url = options.url || this.config.display.url;
+    const size = this.getCaptureSize(options);
 
-        // Ensure process is killed (belt and suspenders)
-        if (browserProcess && !browserProcess.killed) {
-          try {
-            browserProcess.kill('SIGKILL');
-            console.log(`Local browser: Force-killed browser process ${browserProcess.pid}`);
-          } catch (err) {
-            console.log(`Local browser: Process kill error: ${err.message}`);
+    if (!this.browser) {
+      // Don't wait for the backoff timer when a capture is due
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      try {
+        await this._connect();
+      } catch (err) {
+        this._scheduleReconnect();
+        throw new Error(`Not connected to ${this._describeEndpoint()}: ${err.message}`);
+      }
+    }
+
+    try {
+      if (this.connectTab === 'reuse') {
+        const tab = await this._findTab(url);
+        if (tab) {
+          if (this.ownsPage) {
+            await this.page.close().catch(() => {});
           }
+          this.page = tab;
+          this.ownsPage = false;
+          console.log(`Connect: Capturing existing tab ${tab.url()}`);
+          return await this._hideAndCapture(tab, hideSelectors, { restore: true });
         }
       }
 
-      console.log('Local browser: Cleanup complete');
+      if (!this.page || !this.ownsPage || this.page.isClosed()) {
+        this.page = await this._preparePage(this.browser, size);
+        this.ownsPage = true;
+        this.loggedIn = false;
+      } else {
+        await this._resizeViewport(this.page, size);
+      }
+
+      if (!this.loggedIn) {
+        await this._login(this.page, url);
+        this.loggedIn = true;
+      }
+
+      this.page = await this._reloadOrNavigate(this.browser, this.page, url);
+      await this._waitForContent(this.page);
+      const screenshot = await this._hideAndCapture(this.page, hideSelectors);
+      this.captureCount++;
+      return screenshot;
+
+    } catch (err) {
+      // Start the next capture with a fresh tab
+      if (this.ownsPage && this.page) {
+        await this.page.close().catch(() => {});
+      }
+      this.page = null;
+      this.ownsPage = false;
+      throw err;
+    }
+  }
+
+  /**
+   * Connect to the browser and watch for it going away
+   * @private
+   */
+  async _connect() {
+    console.log(`Connect: Connecting to ${this._describeEndpoint()}...`);
+    let browser;
+    try {
+      browser = await puppeteer.connect({ ...this.endpoint, defaultViewport: null });
+    } catch (err) {
+      this.lastError = err.message;
+      throw err;
+    }
+
+    browser.once('disconnected', () => {
+      if (this.closing || this.browser !== browser) {
+        return; // We disconnected on purpose
+      }
+
+      console.error(`⚠️  Connect: Lost connection to ${this._describeEndpoint()}`);
+      this.browser = null;
+      this.page = null;
+      this.ownsPage = false;
+      this._scheduleReconnect();
+    });
+
+    this.browser = browser;
+    this.page = null;
+    this.ownsPage = false;
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    console.log('Connect: Connected');
+  }
+
+  /**
+   * Retry the connection in the background with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.reconnectTimer || this.closing) {
+      return;
     }
+
+    const delay = this._backoffDelay(this.reconnectAttempts++);
+    console.log(`Connect: Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})...`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.browser) {
+        return; // A capture reconnected in the meantime
+      }
+
+      try {
+        await this._connect();
+        console.log(`✓ Connect: Reconnected to ${this._describeEndpoint()}`);
+        this.emit('refresh', 'browser reconnected');
+      } catch (err) {
+        console.log(`Connect: Reconnect failed: ${err.message}`);
+        this._scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  _backoffDelay(attempt) {
+    return Math.min(this.reconnectDelay * 2 ** attempt, this.maxReconnectDelay);
+  }
+
+  /**
+   * Find an open tab showing the URL (ignoring a trailing slash)
+   * @private
+   */
+  async _findTab(url) {
+    const normalize = value => value.replace(/\/$/, '');
+    const pages = await this.browser.pages();
+    return pages.find(page => normalize(page.url()) === normalize(url)) || null;
+  }
+
+  /**
+   * @private
+   */
+  _describeEndpoint() {
+    return this.endpoint.browserWSEndpoint || this.endpoint.browserURL;
+  }
+
+  getStatus() {
+    return {
+      type: this.getType(),
+      endpoint: this._describeEndpoint(),
+      connected: !!this.browser,
+      tab: this.connectTab,
+      captures: this.captureCount,
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError
+    };
   }
 
   async cleanup() {
-    // Nothing to cleanup - each screenshot is self-contained
-    console.log('✓ Local screenshot provider cleaned up');
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.browser) {
+      this.closing = true;
+      try {
+        if (this.ownsPage && this.page) {
+          await this.page.close().catch(() => {});
+        }
+        await this.browser.disconnect();
+      } catch (err) {
+        console.log(`Connect: Disconnect error: ${err.message}`);
+      } finally {
+        this.closing = false;
+      }
+    }
+
+    this.browser = null;
+    this.page = null;
+    this.ownsPage = false;
+    console.log('✓ Connect screenshot provider cleaned up');
   }
 }
 
@@ -340,6 +912,7 @@ class RemoteScreenshotProvider extends ScreenshotProvider {
     super(config);
     this.workerUrl = null;
     this.apiKey = null;
+    this.auth = normalizeAuth(config.browser);
   }
 
   getType() {
@@ -359,14 +932,15 @@ class RemoteScreenshotProvider extends ScreenshotProvider {
     console.log(`✓ Remote screenshot provider initialized: ${this.workerUrl}`);
   }
 
-  async captureScreenshot(hideSelectors = []) {
+  async captureScreenshot(hideSelectors = [], options = {}) {
     const browserConfig = this.config.browser || {};
+    const { width, height } = this.getCaptureSize(options);
 
     // Build query parameters
     const params = new URLSearchParams({
-      url: this.config.display.url,
-      width: (this.config.display.width || 1920).toString(),
-      height: (this.config.display.height || 1080).toString(),
+      url: options.url || this.config.display.url,
+      width: width.toString(),
+      height: height.toString(),
       timeout: (browserConfig.remoteTimeout || 60000).toString(),
       waitForImages: 'true'
     });
@@ -392,8 +966,6 @@ class RemoteScreenshotProvider extends ScreenshotProvider {
       params.set('hideSelectors', hideSelectors.join(','));
     }
 
-    const requestUrl = `${this.workerUrl}?${params.toString()}`;
-
     const headers = {
       'Accept': 'image/png'
     };
@@ -402,9 +974,23 @@ class RemoteScreenshotProvider extends ScreenshotProvider {
       headers['X-API-Key'] = this.apiKey;
     }
 
-    const response = await fetch(requestUrl, {
-      method: 'GET',
+    // Credentials go in a POST body rather than the query string (which ends up in logs)
+    let request;
+    if (this.auth) {
+      headers['Content-Type'] = 'application/json';
+      request = {
+        url: this.workerUrl,
+        method: 'POST',
+        body: JSON.stringify({ ...Object.fromEntries(params), ...this.auth })
+      };
+    } else {
+      request = { url: `${this.workerUrl}?${params.toString()}`, method: 'GET' };
+    }
+
+    const response = await fetch(request.url, {
+      method: request.method,
       headers,
+      body: request.body,
       signal: AbortSignal.timeout(browserConfig.remoteTimeout || 60000)
     });
 
@@ -478,26 +1064,333 @@ class RemoteScreenshotProvider extends ScreenshotProvider {
   }
 }
 
+/**
+ * Image provider for photo frames (browser.mode: image)
+ *
+ * The page URL is the image source:
+ * - file:///path/photo.jpg - a single image
+ * - file:///path/photos/   - a slideshow of the images in a directory
+ * - http(s)://.../image    - an image fetched on every capture (e.g. a webcam snapshot)
+ *
+ * Images are fitted to the display with sharp (browser.image.fit) and go through
+ * the normal base image + overlay pipeline. Slideshows advance every
+ * browser.image.duration ms by emitting 'refresh'.
+ */
+class ImageScreenshotProvider extends ScreenshotProvider {
+  constructor(config) {
+    super(config);
+
+    const imageConfig = (config.browser || {}).image || {};
+    this.fit = imageConfig.fit || 'contain';
+    this.background = imageConfig.background || '#000000';
+    this.order = imageConfig.order || 'name';
+    this.duration = imageConfig.duration || 60000;
+
+    this.slideshows = new Map(); // Directory -> { files, index, shownAt }
+    this.slideTimer = null;
+    this.captures = 0;
+  }
+
+  getType() {
+    return 'image';
+  }
+
+  async initialize() {
+    if (!this.config.display || !this.config.display.url) {
+      throw new Error('display.url is required (file:// path or http(s) URL of the image)');
+    }
+    if (!IMAGE_FITS.includes(this.fit)) {
+      throw new Error(`browser.image.fit must be one of ${IMAGE_FITS.join(', ')}`);
+    }
+
+    // Fail early on a missing local source
+    const source = parseImageSource(this.config.display.url);
+    if (source.path) {
+      await fs.promises.access(source.path);
+    }
+
+    console.log(`✓ Image provider initialized (fit: ${this.fit})`);
+  }
+
+  async captureScreenshot(_hideSelectors = [], options = {}) {
+    const source = parseImageSource(options.url || this.config.display.url);
+
+    // Files are read into memory so libvips' cache can't serve a replaced photo
+    let input;
+    if (source.httpUrl) {
+      input = await this._fetchImage(source.httpUrl);
+    } else if ((await fs.promises.stat(source.path)).isDirectory()) {
+      input = await fs.promises.readFile(await this._nextSlide(source.path));
+    } else {
+      this._stopSlideshow();
+      input = await fs.promises.readFile(source.path);
+    }
+
+    const screenshot = await this._fitToDisplay(input, this.getCaptureSize(options));
+    this.captures++;
+    return screenshot;
+  }
+
+  /**
+   * Pick the slideshow image to show, advancing when its duration has passed
+   * @private
+   * @returns {Promise<string>} Image path
+   */
+  async _nextSlide(dir) {
+    let slideshow = this.slideshows.get(dir);
+    const now = Date.now();
+
+    if (!slideshow || now - slideshow.shownAt >= this.duration) {
+      if (!slideshow) {
+        slideshow = { files: [], index: -1, shownAt: 0 };
+        this.slideshows.set(dir, slideshow);
+      }
+
+      slideshow.index++;
+      if (slideshow.index >= slideshow.files.length) {
+        // Rescan at the start of each pass so added/removed photos are picked up
+        slideshow.files = await listImages(dir, this.order);
+        slideshow.index = 0;
+        if (slideshow.files.length === 0) {
+          throw new Error(`No images found in ${dir}`);
+        }
+      }
+      slideshow.shownAt = now;
+      console.log(`Image provider: Slide ${slideshow.index + 1}/${slideshow.files.length} (${path.basename(slideshow.files[slideshow.index])})`);
+    }
+
+    // Only the slideshow being displayed advances
+    this._stopSlideshow();
+    this.slideTimer = setTimeout(() => {
+      this.slideTimer = null;
+      this.emit('refresh', 'next slide');
+    }, Math.max(0, slideshow.shownAt + this.duration - now));
+
+    return slideshow.files[slideshow.index];
+  }
+
+  /**
+   * @private
+   */
+  _stopSlideshow() {
+    clearTimeout(this.slideTimer);
+    this.slideTimer = null;
+  }
+
+  /**
+   * Download an image
+   * @private
+   */
+  async _fetchImage(url) {
+    const timeout = (this.config.browser || {}).remoteTimeout || 60000;
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+
+    if (!response.ok) {
+      throw new Error(`Image download failed: ${response.status} ${response.statusText} (${url})`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Scale an image to the display size
+   * - cover: fill the display, cropping the edges
+   * - contain: show the whole image scaled to fit, with background bars
+   * - letterbox: like contain, but never enlarge small images
+   * @param {Object} size - Target { width, height } from getCaptureSize()
+   * @private
+   */
+  async _fitToDisplay(input, size) {
+    const { width, height } = size;
+
+    const resized = await sharp(input)
+      .rotate() // Apply EXIF orientation (phone photos)
+      .resize(width, height, {
+        fit: this.fit === 'cover' ? 'cover' : 'inside',
+        withoutEnlargement: this.fit === 'letterbox'
+      })
+      .toBuffer({ resolveWithObject: true });
+
+    if (resized.info.width === width && resized.info.height === height) {
+      return sharp(resized.data).jpeg({ quality: 90 }).toBuffer();
+    }
+
+    // Center on a background of the display size
+    return sharp({
+      create: { width, height, channels: 3, background: this.background }
+    })
+      .composite([{
+        input: resized.data,
+        left: Math.floor((width - resized.info.width) / 2),
+        top: Math.floor((height - resized.info.height) / 2)
+      }])
+      .jpeg({ quality: 90 })
+      .toBuffer();
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      fit: this.fit,
+      captures: this.captures,
+      slideshows: Array.from(this.slideshows, ([dir, { files, index }]) => ({ dir, image: files[index], count: files.length }))
+    };
+  }
+
+  async cleanup() {
+    this._stopSlideshow();
+    console.log('✓ Image provider cleaned up');
+  }
+}
+
+const IMAGE_FITS = ['cover', 'contain', 'letterbox'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.tif', '.tiff'];
+
+/**
+ * Split an image source URL into a local path or an http(s) URL
+ * @returns {Object} { path } or { httpUrl }
+ */
+function parseImageSource(source) {
+  let url;
+  try {
+    url = new URL(source);
+  } catch (_err) {
+    throw new Error(`Invalid image source '${source}' (expected file:// or http(s):// URL)`);
+  }
+
+  switch (url.protocol) {
+    case 'file:':
+      return { path: fileURLToPath(url) };
+    case 'http:':
+    case 'https:':
+      return { httpUrl: url.href };
+    default:
+      throw new Error(`Unsupported image source protocol '${url.protocol}' (expected file:// or http(s)://)`);
+  }
+}
+
+/**
+ * List the images in a directory
+ * @param {string} dir
+ * @param {string} order - 'name' (sorted) or 'shuffle'
+ * @returns {Promise<Array<string>>} Full paths
+ */
+async function listImages(dir, order = 'name') {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .filter(entry => IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => path.join(dir, entry.name))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  if (order === 'shuffle') {
+    for (let i = files.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [files[i], files[j]] = [files[j], files[i]];
+    }
+  }
+
+  return files;
+}
+
+// Provider classes by browser.mode
+const providerRegistry = new Map([
+  ['local', LocalScreenshotProvider],
+  ['remote', RemoteScreenshotProvider],
+  ['image', ImageScreenshotProvider],
+  ['connect', ConnectScreenshotProvider]
+]);
+
+// Methods web2fb calls on every provider
+const PROVIDER_METHODS = ['initialize', 'captureScreenshot', 'cleanup', 'getType', 'getStatus', 'on'];
+
+/**
+ * Register a provider class under a browser.mode name
+ * @param {string} mode - Name used in config (browser.mode)
+ * @param {Function} ProviderClass - Class implementing the ScreenshotProvider contract
+ */
+function registerScreenshotProvider(mode, ProviderClass) {
+  if (typeof ProviderClass !== 'function') {
+    throw new Error(`Screenshot provider '${mode}' must be a class`);
+  }
+  providerRegistry.set(mode, ProviderClass);
+}
+
+/**
+ * Get the registered browser.mode names
+ * @returns {Array<string>}
+ */
+function getScreenshotProviderModes() {
+  return Array.from(providerRegistry.keys());
+}
+
+/**
+ * Check whether browser.mode refers to a module file rather than a registered name
+ * @private
+ */
+function isProviderModulePath(mode) {
+  return mode.startsWith('./') || mode.startsWith('../') || path.isAbsolute(mode);
+}
+
+/**
+ * Load a provider class from a module path
+ * The module exports the class itself, or { default: Class }.
+ * @private
+ */
+function loadProviderModule(modulePath, baseDir) {
+  const resolved = path.resolve(baseDir, modulePath);
+
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (err) {
+    throw new Error(`Failed to load screenshot provider module ${resolved}: ${err.message}`);
+  }
+
+  const ProviderClass = typeof exported === 'function' ? exported : exported && exported.default;
+  if (typeof ProviderClass !== 'function') {
+    throw new Error(`Screenshot provider module ${resolved} must export a provider class`);
+  }
+
+  return ProviderClass;
+}
+
 /**
  * Factory function to create appropriate provider based on config
+ * @param {Object} config - Full config
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory module paths are resolved against
+ *   (the config file's directory; default: current directory)
  */
-function createScreenshotProvider(config) {
+function createScreenshotProvider(config, options = {}) {
   const browserConfig = config.browser || {};
   const mode = browserConfig.mode || 'local';
 
-  switch (mode) {
-    case 'local':
-      return new LocalScreenshotProvider(config);
-    case 'remote':
-      return new RemoteScreenshotProvider(config);
-    default:
-      throw new Error(`Unknown screenshot provider mode: ${mode}. Must be 'local' or 'remote'`);
+  let ProviderClass = providerRegistry.get(mode);
+  if (!ProviderClass) {
+    if (!isProviderModulePath(mode)) {
+      const modes = getScreenshotProviderModes().map(name => `'${name}'`).join(', ');
+      throw new Error(`Unknown screenshot provider mode: ${mode}. Must be one of ${modes} or a module path (./my-provider.js)`);
+    }
+    ProviderClass = loadProviderModule(mode, options.baseDir || process.cwd());
   }
+
+  const provider = new ProviderClass(config);
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Screenshot provider '${mode}' is missing ${missing.join(', ')} (extend ScreenshotProvider)`);
+  }
+
+  return provider;
 }
 
 module.exports = {
   ScreenshotProvider,
   LocalScreenshotProvider,
+  ConnectScreenshotProvider,
   RemoteScreenshotProvider,
-  createScreenshotProvider
+  ImageScreenshotProvider,
+  createScreenshotProvider,
+  registerScreenshotProvider,
+  getScreenshotProviderModes,
+  getProcessTreeRssMB
 };
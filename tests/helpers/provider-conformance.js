@@ -0,0 +1,103 @@
+/**
+ * Screenshot Provider Conformance Suite
+ *
+ * Jest tests for the ScreenshotProvider contract (see lib/screenshot-providers.js).
+ * Any provider - built in or loaded from browser.mode: ./my-provider.js - can run it
+ * from its own test file:
+ *
+ *   const { describeProviderConformance } = require('<web2fb>/tests/helpers/provider-conformance');
+ *   describeProviderConformance('MyProvider', config => new MyProvider(config));
+ *
+ * Providers that talk to a browser or network should mock those so the suite
+ * runs offline.
+ */
+
+const sharp = require('sharp');
+
+const DEFAULT_CONFIG = {
+  display: { url: 'https://example.com', width: 320, height: 240 },
+  browser: {}
+};
+
+/**
+ * Define the conformance tests for a provider
+ * @param {string} name - Name for the describe block
+ * @param {Function} createProvider - (config) => provider instance
+ * @param {Object} options
+ * @param {Object} options.config - Config passed to createProvider (default: 320x240 example.com)
+ * @param {Object} options.invalidConfig - Config initialize() must reject (skipped when not given)
+ * @param {Function} options.capture - (provider, hideSelectors, captureOptions) => Promise<Buffer>,
+ *   for providers whose captures need help to finish (e.g. advancing fake timers)
+ */
+function describeProviderConformance(name, createProvider, options = {}) {
+  const config = options.config || DEFAULT_CONFIG;
+  const capture = options.capture ||
+    ((provider, hideSelectors, captureOptions) => provider.captureScreenshot(hideSelectors, captureOptions));
+
+  describe(`${name} (provider conformance)`, () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = createProvider(config);
+    });
+
+    afterEach(async () => {
+      await provider.cleanup();
+    });
+
+    it('should implement the provider methods', () => {
+      for (const method of ['initialize', 'captureScreenshot', 'cleanup', 'getType', 'getStatus', 'on', 'emit']) {
+        expect(typeof provider[method]).toBe('function');
+      }
+    });
+
+    it('should report its type and status synchronously', () => {
+      const type = provider.getType();
+      expect(typeof type).toBe('string');
+      expect(type.length).toBeGreaterThan(0);
+
+      const status = provider.getStatus();
+      expect(status).toEqual(expect.objectContaining({ type }));
+    });
+
+    it('should capture an image of the display size', async () => {
+      await provider.initialize();
+      const screenshot = await capture(provider, [], {});
+
+      expect(Buffer.isBuffer(screenshot)).toBe(true);
+      const metadata = await sharp(screenshot).metadata();
+      expect(['png', 'jpeg', 'webp']).toContain(metadata.format);
+      expect(metadata.width).toBe(config.display.width);
+      expect(metadata.height).toBe(config.display.height);
+    });
+
+    it('should capture repeatedly with hide selectors and a URL override', async () => {
+      await provider.initialize();
+
+      const first = await capture(provider, ['.clock', '#weather'], { url: 'https://example.com/a' });
+      const second = await capture(provider, [], { url: 'https://example.com/b' });
+
+      expect(Buffer.isBuffer(first)).toBe(true);
+      expect(Buffer.isBuffer(second)).toBe(true);
+    });
+
+    it('should allow cleanup more than once', async () => {
+      await provider.initialize();
+      await capture(provider, [], {});
+
+      await expect(provider.cleanup()).resolves.toBeUndefined();
+      await expect(provider.cleanup()).resolves.toBeUndefined();
+    });
+
+    if (options.invalidConfig) {
+      it('should reject an unusable config in initialize()', async () => {
+        const invalid = createProvider(options.invalidConfig);
+        await expect(invalid.initialize()).rejects.toThrow();
+      });
+    }
+  });
+}
+
+module.exports = {
+  describeProviderConformance
+};
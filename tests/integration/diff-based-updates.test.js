@@ -275,6 +275,154 @@ describe('Diff-Based Updates Integration', () => {
     });
   });
 
+  describe('Multiple Changed Regions', () => {
+    // Gray 400x300 image with solid boxes { left, top, width, height } drawn on it
+    async function imageWithBoxes(boxes) {
+      const composites = await Promise.all(boxes.map(async ({ left, top, width, height }) => ({
+        input: await sharp({ create: { width, height, channels: 3, background: { r: 255, g: 0, b: 0 } } }).png().toBuffer(),
+        left,
+        top
+      })));
+      return sharp({ create: { width: 400, height: 300, channels: 3, background: { r: 100, g: 100, b: 100 } } })
+        .composite(composites)
+        .png()
+        .toBuffer();
+    }
+
+    it('should return a tight region for each separate change', async () => {
+      const oldBase = await imageWithBoxes([]);
+      const newBase = await imageWithBoxes([
+        { left: 5, top: 7, width: 40, height: 30 },
+        { left: 330, top: 250, width: 50, height: 40 }
+      ]);
+
+      const diffResult = await detectChangedRegions(oldBase, newBase, { mergeDist: 50 });
+
+      expect(diffResult.fullUpdateRecommended).toBe(false);
+      expect(diffResult.regions).toEqual([
+        { x: 5, y: 7, width: 40, height: 30 },
+        { x: 330, y: 250, width: 50, height: 40 }
+      ]);
+    });
+
+    it('should merge regions within mergeDist', async () => {
+      const oldBase = await imageWithBoxes([]);
+      const newBase = await imageWithBoxes([
+        { left: 10, top: 10, width: 40, height: 40 },
+        { left: 80, top: 10, width: 40, height: 40 }
+      ]);
+
+      const apart = await detectChangedRegions(oldBase, newBase, { mergeDist: 20 });
+      const merged = await detectChangedRegions(oldBase, newBase, { mergeDist: 30 });
+
+      expect(apart.regions).toHaveLength(2);
+      expect(merged.regions).toEqual([{ x: 10, y: 10, width: 110, height: 40 }]);
+    });
+
+    it('should keep small changes next to larger ones', async () => {
+      const oldBase = await imageWithBoxes([]);
+      const newBase = await imageWithBoxes([
+        { left: 0, top: 0, width: 100, height: 100 },
+        { left: 390, top: 290, width: 5, height: 5 }
+      ]);
+
+      const diffResult = await detectChangedRegions(oldBase, newBase, { minRegionSize: 1000 });
+
+      expect(diffResult.regions).toContainEqual({ x: 390, y: 290, width: 5, height: 5 });
+    });
+
+    it('should ignore changes smaller than minRegionSize', async () => {
+      const oldBase = await imageWithBoxes([]);
+      const newBase = await imageWithBoxes([{ left: 200, top: 100, width: 3, height: 3 }]);
+
+      const diffResult = await detectChangedRegions(oldBase, newBase, { minRegionSize: 1000 });
+
+      expect(diffResult.changedPixels).toBe(9);
+      expect(diffResult.regions).toEqual([]);
+    });
+
+    it('should fall back to one bounding region past maxRegions', async () => {
+      const oldBase = await imageWithBoxes([]);
+      const boxes = [0, 1, 2, 3].map(i => ({ left: 20 + i * 90, top: 20 + i * 60, width: 20, height: 20 }));
+      const newBase = await imageWithBoxes(boxes);
+
+      const separate = await detectChangedRegions(oldBase, newBase, { mergeDist: 0 });
+      const capped = await detectChangedRegions(oldBase, newBase, { mergeDist: 0, maxRegions: 3 });
+
+      expect(separate.regions).toHaveLength(4);
+      expect(capped.regions).toEqual([{ x: 20, y: 20, width: 290, height: 200 }]);
+    });
+  });
+
+  describe('Tile-Hash Mode', () => {
+    const gray = () => sharp({ create: { width: 400, height: 300, channels: 3, background: { r: 100, g: 100, b: 100 } } });
+
+    async function withBox(left, top, width, height, background = { r: 255, g: 0, b: 0 }) {
+      const box = await sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+      return gray().composite([{ input: box, left, top }]).png().toBuffer();
+    }
+
+    it('should find the same regions as pixel mode', async () => {
+      const oldBase = await gray().png().toBuffer();
+      const newBase = await withBox(37, 21, 50, 40);
+
+      const pixel = await detectChangedRegions(oldBase, newBase);
+      const tileHash = await detectChangedRegions(oldBase, newBase, { mode: 'tileHash' });
+
+      expect(tileHash.regions).toEqual(pixel.regions);
+      expect(tileHash.regions).toEqual([{ x: 37, y: 21, width: 50, height: 40 }]);
+      expect(tileHash.changedPixels).toBe(pixel.changedPixels);
+    });
+
+    it('should expose the changed tiles', async () => {
+      const oldBase = await gray().png().toBuffer();
+      const newBase = await withBox(16, 32, 16, 20);
+
+      const { tileMap } = await detectChangedRegions(oldBase, newBase, { mode: 'tileHash', tileSize: 16 });
+
+      expect(tileMap).toEqual(expect.objectContaining({ tileSize: 16, columns: 25, rows: 19 }));
+      const changed = [...tileMap.changed.keys()].filter(tile => tileMap.changed[tile] === 1);
+      expect(changed).toEqual([2 * 25 + 1, 3 * 25 + 1]);
+    });
+
+    it('should keep only tile hashes as state for the next call', async () => {
+      const first = await gray().png().toBuffer();
+      const second = await withBox(0, 0, 60, 60);
+      const third = await withBox(300, 200, 60, 60);
+
+      const step1 = await detectChangedRegions(first, second, { mode: 'tileHash' });
+      expect(Object.keys(step1.state).sort()).toEqual(['hashes', 'height', 'tileSize', 'width']);
+
+      const step2 = await detectChangedRegions(second, third, { mode: 'tileHash', previous: step1.state });
+      expect(step2.regions).toEqual([
+        { x: 0, y: 0, width: 60, height: 60 },
+        { x: 300, y: 200, width: 60, height: 60 }
+      ]);
+      expect(step2.state.width).toBe(400);
+    });
+
+    it('should not decode the old image when no tile hash changed', async () => {
+      const first = await gray().png().toBuffer();
+      const second = await withBox(0, 0, 60, 60);
+
+      const step1 = await detectChangedRegions(first, second, { mode: 'tileHash' });
+      const step2 = await detectChangedRegions(Buffer.from('not an image'), second, { mode: 'tileHash', previous: step1.state });
+
+      expect(step2.regions).toEqual([]);
+      expect(step2.changedPixels).toBe(0);
+    });
+
+    it('should ignore changes below the threshold in changed tiles', async () => {
+      const oldBase = await gray().png().toBuffer();
+      const newBase = await withBox(50, 50, 100, 100, { r: 105, g: 100, b: 100 });
+
+      const diffResult = await detectChangedRegions(oldBase, newBase, { mode: 'tileHash', threshold: 10 });
+
+      expect(diffResult.changedPixels).toBe(0);
+      expect(diffResult.regions).toEqual([]);
+    });
+  });
+
   describe('Full Update Threshold', () => {
     it('should recommend full update when >70% of screen changes', async () => {
       // Create completely different images
@@ -5,7 +5,10 @@
 
 const sharp = require('sharp');
 const FramebufferRenderer = require('../../lib/framebuffer-renderer');
-const { _generateOverlay } = require('../../lib/overlays');
+const FramebufferQueue = require('../../lib/framebuffer-queue');
+const DisplayScheduler = require('../../lib/display-scheduler');
+const { getPixelFormat } = require('../../lib/pixel-format');
+const { _generateOverlay, hasOverlayChanged, getChangedOverlays } = require('../../lib/overlays');
 
 describe('Framebuffer Rendering Integration', () => {
   let renderer;
@@ -163,6 +166,104 @@ describe('Framebuffer Rendering Integration', () => {
     });
   });
 
+  describe('Batched Overlay Updates', () => {
+    async function overlayState(x, y) {
+      const region = { x, y, width: 100, height: 40 };
+      const baseRegionBuffer = await sharp({
+        create: { width: 100, height: 40, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 1 } }
+      }).png().toBuffer();
+      return { region, style: { fontSize: 20, color: '#ffffff' }, baseRegionBuffer };
+    }
+
+    const textOverlay = name => ({ name, type: 'text', text: name, enabled: true });
+
+    it('should render several overlays into one batch operation', async () => {
+      const overlayStates = new Map([
+        ['first', await overlayState(0, 0)],
+        ['second', await overlayState(200, 100)]
+      ]);
+
+      const operation = await renderer.renderOverlayUpdates([textOverlay('first'), textOverlay('second')], overlayStates, 5000);
+
+      expect(operation.type).toBe('batch');
+      expect(operation.displayTime).toBe(5000);
+      expect(operation.operations.map(partial => partial.type)).toEqual(['partial', 'partial']);
+      expect(operation.operations.map(partial => partial.region)).toEqual([
+        overlayStates.get('first').region,
+        overlayStates.get('second').region
+      ]);
+    });
+
+    it('should return a plain partial for a single overlay', async () => {
+      const overlayStates = new Map([['first', await overlayState(0, 0)]]);
+
+      const operation = await renderer.renderOverlayUpdates([textOverlay('first'), textOverlay('no-region-yet')], overlayStates, 5000);
+
+      expect(operation.type).toBe('partial');
+      expect(operation.region).toEqual(overlayStates.get('first').region);
+    });
+
+    it('should return null when no overlay has a base region', async () => {
+      expect(await renderer.renderOverlayUpdates([textOverlay('first')], new Map(), 5000)).toBeNull();
+    });
+
+    it('should remember what overlays drew, including in full frames and region updates', async () => {
+      const clock = { name: 'clock', type: 'clock', enabled: true, format: { hour: '2-digit', minute: '2-digit', hour12: false } };
+      const overlayStates = new Map([['clock', await overlayState(0, 0)]]);
+      const state = overlayStates.get('clock');
+      const baseImage = await sharp({
+        create: { width: 400, height: 300, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 1 } }
+      }).png().toBuffer();
+      const minute = new Date(2025, 11, 19, 12, 34).getTime();
+
+      expect(hasOverlayChanged(clock, state, minute)).toBe(true);
+      const operation = await renderer.renderOverlayUpdates([clock], overlayStates, minute);
+      expect(operation.drawnStates).toEqual([state]);
+      expect(hasOverlayChanged(clock, state, minute + 1000)).toBe(false);
+
+      await renderer.renderFullUpdate(baseImage, [clock], overlayStates, minute + 60000);
+      expect(hasOverlayChanged(clock, state, minute + 61000)).toBe(false);
+
+      await renderer.renderRegionUpdate(baseImage, { x: 0, y: 0, width: 200, height: 100 }, [clock], overlayStates, minute + 120000);
+      expect(hasOverlayChanged(clock, state, minute + 121000)).toBe(false);
+      expect(hasOverlayChanged(clock, state, minute + 180000)).toBe(true);
+    });
+
+    it('should draw a change once when ticks render in parallel', async () => {
+      const clock = { name: 'clock', type: 'clock', enabled: true, format: { hour: '2-digit', minute: '2-digit', hour12: false } };
+      const overlayStates = new Map([['clock', await overlayState(0, 0)]]);
+      const start = new Date(2025, 11, 19, 12, 34, 57).getTime();
+
+      // Like the queue maintainer: a batch of ticks across the minute, started in tick order
+      const renderTick = async displayTime => {
+        const due = getChangedOverlays([clock], overlayStates, displayTime);
+        return due.length > 0 ? renderer.renderOverlayUpdates(due, overlayStates, displayTime) : { type: 'hold' };
+      };
+      const ticks = [0, 1, 2, 3, 4].map(i => start + i * 1000);
+      const operations = await Promise.all(ticks.map(renderTick));
+
+      // 12:34 at the first tick (nothing drawn yet), 12:35 at 12:35:00
+      expect(operations.map(operation => operation.type)).toEqual(['partial', 'hold', 'hold', 'partial', 'hold']);
+    });
+
+    it('should redraw on the next tick when a frame never reaches the screen', async () => {
+      const overlayStates = new Map([['first', await overlayState(0, 0)]]);
+      const state = overlayStates.get('first');
+      const queue = new FramebufferQueue(5);
+      const framebuffer = { writePartial: jest.fn() };
+      const scheduler = new DisplayScheduler(queue, framebuffer, null, {
+        updatePolicy: { admit: () => false }, // E-paper budget used up
+        onDrop: operation => renderer.forgetOperation(operation)
+      });
+
+      queue.enqueue(5000, await renderer.renderOverlayUpdates([textOverlay('first')], overlayStates, 5000));
+      await scheduler.displayFrame(5000);
+
+      expect(framebuffer.writePartial).not.toHaveBeenCalled();
+      expect(hasOverlayChanged(textOverlay('first'), state, 6000)).toBe(true);
+    });
+  });
+
   describe('Full Update Rendering', () => {
     it('should composite overlay onto base image at correct position', async () => {
       // Create a blue background
@@ -392,4 +493,92 @@ describe('Framebuffer Rendering Integration', () => {
       expect(metadata.height).toBe(100);
     });
   });
+
+  describe('Brightness', () => {
+    const solid = (width, height, color) => sharp({
+      create: { width, height, channels: 4, background: { ...color, alpha: 1 } }
+    }).png().toBuffer();
+
+    it('should dim full updates when brightness is below 1', async () => {
+      const baseImage = await solid(100, 100, { r: 200, g: 100, b: 50 });
+
+      renderer.setBrightness(0.5);
+      const operation = await renderer.renderFullUpdate(baseImage, [], new Map(), Date.now());
+
+      const { data } = await sharp(operation.buffer).raw().toBuffer({ resolveWithObject: true });
+      expect(data[0]).toBe(100);
+      expect(data[1]).toBe(50);
+      expect(data[2]).toBe(25);
+    });
+
+    it('should clamp brightness to 0..1', () => {
+      renderer.setBrightness(2);
+      expect(renderer.brightness).toBe(1);
+      renderer.setBrightness(-1);
+      expect(renderer.brightness).toBe(0);
+    });
+
+    it('should render dimmed region updates from the new base image', async () => {
+      const baseImage = await solid(200, 100, { r: 0, g: 200, b: 0 });
+      const region = { x: 50, y: 20, width: 40, height: 30 };
+
+      renderer.setBrightness(0.25);
+      const operation = await renderer.renderRegionUpdate(baseImage, region, [], new Map(), Date.now());
+
+      expect(operation.type).toBe('partial');
+      expect(operation.region).toEqual(region);
+
+      const { data, info } = await sharp(operation.buffer).raw().toBuffer({ resolveWithObject: true });
+      expect(info.width).toBe(40);
+      expect(info.height).toBe(30);
+      expect(data[1]).toBe(50);
+    });
+  });
+
+  describe('Low-depth panels', () => {
+    const gradient = (width, height) => {
+      const data = Buffer.alloc(width * height * 3);
+      for (let i = 0; i < width * height; i++) {
+        data.fill(Math.round((i % width) * 255 / (width - 1)), i * 3, (i + 1) * 3);
+      }
+      return sharp(data, { raw: { width, height, channels: 3 } }).png().toBuffer();
+    };
+
+    it('should dither full updates to the panel gray levels', async () => {
+      renderer.setPixelFormat(getPixelFormat('gray4'));
+      const operation = await renderer.renderFullUpdate(await gradient(64, 8), [], new Map(), Date.now(), {
+        rawOutput: true,
+        removeAlpha: true
+      });
+
+      const levels = new Set(operation.buffer);
+      expect(operation.metadata.channels).toBe(3);
+      expect([...levels].every(value => value % 17 === 0)).toBe(true);
+      expect(levels.size).toBeGreaterThan(8);
+    });
+
+    it('should dither region updates exactly like the same area of a full update', async () => {
+      renderer.setPixelFormat(getPixelFormat('mono10'));
+      const baseImage = await gradient(48, 16);
+      const region = { x: 13, y: 5, width: 20, height: 7 };
+
+      const full = await renderer.renderFullUpdate(baseImage, [], new Map(), Date.now());
+      const partial = await renderer.renderRegionUpdate(baseImage, region, [], new Map(), Date.now());
+
+      const expected = await sharp(full.buffer)
+        .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+      const actual = await sharp(partial.buffer).removeAlpha().raw().toBuffer();
+      expect(actual.equals(expected)).toBe(true);
+    });
+
+    it('should not dither for true color panels', async () => {
+      renderer.setPixelFormat(getPixelFormat('rgb565'));
+      const operation = await renderer.renderFullUpdate(await gradient(64, 1), [], new Map(), Date.now(), { rawOutput: true });
+
+      expect(new Set(operation.buffer).size).toBeGreaterThan(32);
+    });
+  });
 });
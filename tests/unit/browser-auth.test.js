@@ -0,0 +1,152 @@
+const { normalizeAuth, applyAuth, runLoginSteps } = require('../../lib/browser-auth');
+
+/**
+ * Fake puppeteer page recording auth and login calls
+ */
+function createFakePage() {
+  return {
+    setExtraHTTPHeaders: jest.fn(async () => {}),
+    authenticate: jest.fn(async () => {}),
+    setCookie: jest.fn(async () => {}),
+    goto: jest.fn(async () => {}),
+    waitForSelector: jest.fn(async () => {}),
+    $eval: jest.fn(async () => {}),
+    type: jest.fn(async () => {}),
+    click: jest.fn(async () => {}),
+    waitForNavigation: jest.fn(async () => {})
+  };
+}
+
+describe('Browser Auth', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeAuth', () => {
+    it('should return null without auth settings', () => {
+      expect(normalizeAuth({ mode: 'local' })).toBeNull();
+      expect(normalizeAuth(undefined)).toBeNull();
+    });
+
+    it('should fill in defaults', () => {
+      const auth = normalizeAuth({ headers: { 'X-Token': 'abc' } });
+
+      expect(auth).toEqual({
+        cookies: [],
+        headers: { 'X-Token': 'abc' },
+        basicAuth: null,
+        login: null
+      });
+    });
+
+    it('should expand environment variables', () => {
+      process.env.DASH_PASSWORD = 'hunter2';
+      const auth = normalizeAuth({
+        basicAuth: { username: 'viewer', password: '${DASH_PASSWORD}' },
+        login: { steps: [{ fill: '#password', value: 'x${DASH_PASSWORD}x' }] }
+      });
+
+      expect(auth.basicAuth.password).toBe('hunter2');
+      expect(auth.login.steps[0].value).toBe('xhunter2x');
+    });
+
+    it('should reject unset environment variables', () => {
+      delete process.env.MISSING_TOKEN;
+
+      expect(() => normalizeAuth({ headers: { Authorization: 'Bearer ${MISSING_TOKEN}' } }))
+        .toThrow('browser.headers.Authorization references environment variable MISSING_TOKEN, which is not set');
+    });
+
+    it('should reject invalid login steps', () => {
+      expect(() => normalizeAuth({ login: { steps: [] } })).toThrow('non-empty list');
+      expect(() => normalizeAuth({ login: { steps: [{ click: 'a', waitFor: 'b' }] } }))
+        .toThrow('browser.login.steps[0] must have exactly one of');
+      expect(() => normalizeAuth({ login: { steps: [{ fill: '#user' }] } })).toThrow('fill requires a value');
+      expect(() => normalizeAuth({ login: { steps: [{ wait: 'soon' }] } })).toThrow('wait must be a number');
+    });
+
+    it('should require cookie names and values', () => {
+      expect(() => normalizeAuth({ cookies: [{ name: 'session' }] })).toThrow('browser.cookies[0] requires name and value');
+    });
+  });
+
+  describe('applyAuth', () => {
+    it('should set headers, credentials and cookies', async () => {
+      const page = createFakePage();
+      const auth = normalizeAuth({
+        headers: { 'X-Token': 'abc' },
+        basicAuth: { username: 'viewer', password: 'secret' },
+        cookies: [
+          { name: 'session', value: '1' },
+          { name: 'other', value: '2', domain: 'other.example.com' }
+        ]
+      });
+
+      await applyAuth(page, auth, 'https://dash.example.com/');
+
+      expect(page.setExtraHTTPHeaders).toHaveBeenCalledWith({ 'X-Token': 'abc' });
+      expect(page.authenticate).toHaveBeenCalledWith({ username: 'viewer', password: 'secret' });
+      expect(page.setCookie).toHaveBeenCalledWith(
+        { name: 'session', value: '1', url: 'https://dash.example.com/' },
+        { name: 'other', value: '2', domain: 'other.example.com' }
+      );
+    });
+
+    it('should do nothing without auth', async () => {
+      const page = createFakePage();
+      await applyAuth(page, null, 'https://dash.example.com/');
+
+      expect(page.setExtraHTTPHeaders).not.toHaveBeenCalled();
+      expect(page.setCookie).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runLoginSteps', () => {
+    it('should run each step in order', async () => {
+      const page = createFakePage();
+      const { login } = normalizeAuth({
+        login: {
+          url: 'https://dash.example.com/login',
+          steps: [
+            { fill: '#user', value: 'viewer' },
+            { click: 'button', waitForNavigation: true },
+            { waitFor: '.dashboard' },
+            { goto: 'https://dash.example.com/home' }
+          ]
+        }
+      });
+
+      await runLoginSteps(page, login, 'https://dash.example.com/');
+
+      expect(page.goto).toHaveBeenNthCalledWith(1, 'https://dash.example.com/login', expect.any(Object));
+      expect(page.type).toHaveBeenCalledWith('#user', 'viewer');
+      expect(page.click).toHaveBeenCalledWith('button');
+      expect(page.waitForNavigation).toHaveBeenCalled();
+      expect(page.waitForSelector).toHaveBeenCalledWith('.dashboard', expect.objectContaining({ visible: true }));
+      expect(page.goto).toHaveBeenLastCalledWith('https://dash.example.com/home', expect.any(Object));
+    });
+
+    it('should open the page URL when no login URL is set', async () => {
+      const page = createFakePage();
+      await runLoginSteps(page, { steps: [{ click: 'button' }] }, 'https://dash.example.com/');
+
+      expect(page.goto).toHaveBeenCalledWith('https://dash.example.com/', expect.any(Object));
+    });
+
+    it('should report which step failed', async () => {
+      const page = createFakePage();
+      page.waitForSelector.mockRejectedValue(new Error('Waiting for selector `#user` failed'));
+
+      await expect(runLoginSteps(page, { steps: [{ wait: 0 }, { fill: '#user', value: 'x' }] }, 'https://a.example'))
+        .rejects.toThrow('Login step 2 (fill) failed: Waiting for selector `#user` failed');
+    });
+  });
+});
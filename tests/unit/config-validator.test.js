@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateConfig, formatIssue } = require('../../lib/config-validator');
+
+describe('Config Validator', () => {
+  const fixture = path.join(__dirname, '../fixtures/invalid-config.yaml');
+  const source = fs.readFileSync(fixture, 'utf8');
+
+  describe('validateConfig', () => {
+    it('should accept the example configs', () => {
+      const examplesDir = path.join(__dirname, '../../examples');
+      for (const file of fs.readdirSync(examplesDir).filter(f => f.endsWith('.yaml'))) {
+        const config = yaml.load(fs.readFileSync(path.join(examplesDir, file), 'utf8'));
+        const { errors } = validateConfig(config);
+        expect({ file, errors }).toEqual({ file, errors: [] });
+      }
+    });
+
+    it('should report every violation with path and YAML line', () => {
+      const { errors } = validateConfig(yaml.load(source), { source });
+
+      expect(errors).toEqual([
+        { path: 'display.width', message: 'must be integer (got string "1920")', line: 4 },
+        { path: 'overlays[0].type', message: expect.stringContaining('must be one of "clock"'), line: 11 },
+        { path: 'overlays[0].region', message: "missing required property 'height'", line: 13 }
+      ]);
+    });
+
+    it('should warn about unknown keys with a suggestion', () => {
+      const { warnings } = validateConfig(yaml.load(source), { source });
+
+      expect(warnings).toEqual([{
+        path: 'refreshIntervall',
+        message: "unknown property 'refreshIntervall' (did you mean 'refreshInterval'?)",
+        line: 7
+      }]);
+    });
+
+    it('should map lines in JSON sources', () => {
+      const json = '{\n  "display": {\n    "url": "not a url"\n  }\n}';
+      const { errors } = validateConfig(JSON.parse(json), { source: json });
+
+      expect(errors).toEqual([{ path: 'display.url', message: 'must be a URL (got "not a url")', line: 3 }]);
+    });
+
+    it('should report missing required properties at the parent', () => {
+      const { errors } = validateConfig({ display: {} });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].message).toContain("missing required property 'pages'");
+      expect(errors[0].message).toContain("display: missing required property 'url'");
+    });
+
+    it('should skip ignored required properties', () => {
+      const config = {
+        display: { url: 'https://example.com' },
+        overlays: [{ name: 'clock', type: 'clock', selector: '.clock' }]
+      };
+
+      expect(validateConfig(config).errors).toHaveLength(2);
+      expect(validateConfig(config, { ignoreRequired: ['region', 'style'] }).errors).toEqual([]);
+    });
+
+    it('should validate schedule rules', () => {
+      const { errors } = validateConfig({
+        display: { url: 'https://example.com' },
+        schedule: [{ from: '7pm', dim: 2 }]
+      });
+
+      expect(errors.map(e => e.path)).toEqual(['schedule[0].from', 'schedule[0].dim']);
+    });
+  });
+
+  describe('formatIssue', () => {
+    it('should prefix file and line', () => {
+      const issue = { path: 'display.width', message: 'must be integer', line: 4 };
+
+      expect(formatIssue(issue, 'config.yaml')).toBe('config.yaml:4: display.width: must be integer');
+      expect(formatIssue(issue)).toBe('display.width: must be integer');
+    });
+  });
+});
@@ -1,4 +1,15 @@
-const { loadConfig, getEnabledOverlays } = require('../../lib/config');
+const {
+  loadConfig,
+  reloadConfig,
+  checkConfig,
+  resolveConfigPath,
+  diffConfigs,
+  getEnabledOverlays,
+  getPages,
+  getOutputs
+} = require('../../lib/config');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // Mock process.env and fs
@@ -98,6 +109,325 @@ describe('Config Loading', () => {
       // Default is set in web2fb.js if not in config
       expect(config.refreshInterval).toBeUndefined();
     });
+
+    it('should load pages and default display.url to the first page', () => {
+      const configPath = path.join(__dirname, '../fixtures/pages-config.yaml');
+      const config = loadConfig(configPath);
+
+      expect(config.pages).toHaveLength(2);
+      expect(config.display.url).toBe('https://example.com/calendar');
+      expect(config.pages[1].name).toBe('page-2');
+      expect(config.pages[1].duration).toBe(60000);
+    });
+
+    it('should exit if a schedule rule references an unknown page', () => {
+      const originalExit = process.exit;
+      const originalError = console.error;
+      process.exit = jest.fn();
+      console.error = jest.fn();
+
+      const configPath = path.join(__dirname, '../fixtures/schedule-config.yaml');
+      loadConfig(configPath);
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining("unknown page 'missing'"));
+      expect(process.exit).toHaveBeenCalledWith(1);
+      process.exit = originalExit;
+      console.error = originalError;
+    });
+  });
+
+  describe('reloadConfig', () => {
+    it('should load and validate a config file', () => {
+      const config = reloadConfig(path.join(__dirname, '../fixtures/pages-config.yaml'));
+
+      expect(config.pages).toHaveLength(2);
+      expect(config.watchConfig).toBe(true);
+    });
+
+    it('should throw instead of exiting on invalid configs', () => {
+      const originalExit = process.exit;
+      process.exit = jest.fn();
+
+      expect(() => reloadConfig(path.join(__dirname, '../fixtures/no-url-config.json')))
+        .toThrow("display: missing required property 'url'");
+      expect(() => reloadConfig(path.join(__dirname, '../fixtures/schedule-config.yaml')))
+        .toThrow("unknown page 'missing'");
+      expect(() => reloadConfig(path.join(__dirname, '../fixtures/does-not-exist.yaml')))
+        .toThrow('ENOENT');
+      expect(process.exit).not.toHaveBeenCalled();
+
+      process.exit = originalExit;
+    });
+  });
+
+  describe('schema validation', () => {
+    const invalidPath = path.join(__dirname, '../fixtures/invalid-config.yaml');
+
+    it('should exit listing every schema violation with its line', () => {
+      const originalExit = process.exit;
+      const originalError = console.error;
+      process.exit = jest.fn();
+      console.error = jest.fn();
+
+      loadConfig(invalidPath);
+
+      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(console.error).toHaveBeenCalledWith(`ERROR: ${invalidPath}:4: display.width: must be integer (got string "1920")`);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining(`${invalidPath}:13: overlays[0].region`));
+      process.exit = originalExit;
+      console.error = originalError;
+    });
+
+    it('should reject invalid configs on reload', () => {
+      expect(() => reloadConfig(invalidPath)).toThrow('display.width: must be integer');
+    });
+  });
+
+  describe('checkConfig', () => {
+    it('should pass a valid config', () => {
+      const result = checkConfig(path.join(__dirname, '../fixtures/test-config.yaml'));
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should collect schema errors and warnings', () => {
+      const result = checkConfig(path.join(__dirname, '../fixtures/invalid-config.yaml'));
+
+      expect(result.errors).toHaveLength(3);
+      expect(result.warnings).toHaveLength(1);
+    });
+
+    it('should report checks beyond the schema', () => {
+      const result = checkConfig(path.join(__dirname, '../fixtures/schedule-config.yaml'));
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({ message: expect.stringContaining("unknown page 'missing'") })
+      ]);
+    });
+
+    it('should report auth settings referencing unset environment variables', () => {
+      const configPath = path.join(__dirname, '../fixtures/auth-config.yaml');
+      process.env.TEST_DASH_TOKEN = 'token';
+      delete process.env.TEST_DASH_PASSWORD;
+
+      expect(checkConfig(configPath).errors).toEqual([
+        expect.objectContaining({ message: expect.stringContaining('environment variable TEST_DASH_PASSWORD') })
+      ]);
+
+      process.env.TEST_DASH_PASSWORD = 'secret';
+      expect(checkConfig(configPath).errors).toEqual([]);
+    });
+
+    it('should report a palette8 pixel format without a palette', () => {
+      expect(checkConfig(path.join(__dirname, '../fixtures/palette-config.yaml')).errors).toEqual([
+        expect.objectContaining({ message: expect.stringContaining("pixel format 'palette8' requires display.palette") })
+      ]);
+    });
+
+    it('should report YAML syntax errors with their line', () => {
+      const result = checkConfig(path.join(__dirname, '../fixtures/broken-config.yaml'));
+
+      expect(result.errors).toEqual([expect.objectContaining({ line: 4 })]);
+    });
+  });
+
+  describe('resolveConfigPath', () => {
+    it('should prefer an explicit path', () => {
+      expect(resolveConfigPath('/etc/web2fb.yaml')).toBe('/etc/web2fb.yaml');
+    });
+  });
+
+  describe('diffConfigs', () => {
+    const load = () => reloadConfig(path.join(__dirname, '../fixtures/pages-config.yaml'));
+
+    it('should report no changes for identical configs', () => {
+      const diff = diffConfigs(load(), load());
+
+      expect(diff.changed).toBe(false);
+      expect(diff.restartRequired).toEqual([]);
+    });
+
+    it('should classify overlay style changes', () => {
+      const next = load();
+      next.overlays[0].style.color = 'rgb(255, 0, 0)';
+
+      const diff = diffConfigs(load(), next);
+
+      expect(diff.overlays).toBe(true);
+      expect(diff.pages).toBe(false);
+      expect(diff.browser).toBe(false);
+    });
+
+    it('should classify URL, viewport and browser changes', () => {
+      const next = load();
+      next.pages[1].url = 'https://example.com/radar';
+      next.display.width = 1280;
+      next.browser.waitDelay = 2000;
+
+      const diff = diffConfigs(load(), next);
+
+      expect(diff.pages).toBe(true);
+      expect(diff.viewport).toBe(true);
+      expect(diff.browser).toBe(true);
+    });
+
+    it('should flag settings that need a restart', () => {
+      const next = load();
+      next.display.framebufferDevice = '/dev/fb1';
+
+      expect(diffConfigs(load(), next).restartRequired).toEqual(['display.framebufferDevice']);
+    });
+
+    it('should flag orientation changes as needing a restart', () => {
+      const next = load();
+      next.display.rotation = 90;
+      next.display.flipHorizontal = false;
+
+      expect(diffConfigs(load(), next).restartRequired).toEqual(['display.rotation']);
+    });
+
+    it('should flag e-paper settings as needing a restart', () => {
+      const next = load();
+      next.display.updateMode = 'epaper';
+      next.display.epaper = { maxUpdatesPerHour: 30 };
+
+      expect(diffConfigs(load(), next).restartRequired).toEqual(['display.updateMode', 'display.epaper']);
+    });
+  });
+
+  describe('getPages', () => {
+    it('should return a single default page without pages list', () => {
+      const config = {
+        display: { url: 'https://example.com' },
+        overlays: [{ name: 'clock' }],
+        refreshInterval: 120000
+      };
+
+      const pages = getPages(config);
+
+      expect(pages).toHaveLength(1);
+      expect(pages[0].url).toBe('https://example.com');
+      expect(pages[0].duration).toBeNull();
+      expect(pages[0].refreshInterval).toBe(120000);
+      expect(pages[0].overlays).toBe(config.overlays);
+    });
+
+    it('should inherit top-level overlays and refreshInterval', () => {
+      const configPath = path.join(__dirname, '../fixtures/pages-config.yaml');
+      const pages = getPages(loadConfig(configPath));
+
+      expect(pages.map(p => p.name)).toEqual(['calendar', 'page-2']);
+      expect(pages[0].overlays).toHaveLength(1);
+      expect(pages[0].refreshInterval).toBe(300000);
+      expect(pages[1].overlays).toEqual([]);
+      expect(pages[1].refreshInterval).toBe(600000);
+    });
+  });
+
+  describe('getOutputs', () => {
+    const load = () => reloadConfig(path.join(__dirname, '../fixtures/outputs-config.yaml'));
+
+    it('should return the top-level display as the only output', () => {
+      const config = reloadConfig(path.join(__dirname, '../fixtures/pages-config.yaml'));
+      const outputs = getOutputs(config);
+
+      expect(outputs).toHaveLength(1);
+      expect(outputs[0]).toEqual({ name: 'main', config });
+    });
+
+    it('should merge each output over the top-level display', () => {
+      const [main, status, third] = getOutputs(load());
+
+      expect(main.config.outputs).toHaveLength(2);
+      expect(status.name).toBe('status');
+      expect(status.config.display).toEqual(expect.objectContaining({
+        url: 'https://example.com/status',
+        width: 320,
+        height: 240,
+        framebufferDevice: '/dev/fb1',
+        pixelFormat: 'rgb565'
+      }));
+      expect(status.config.outputs).toBeUndefined();
+      expect(status.config.browser).toBe(main.config.browser);
+
+      // Pages and overlays belong to the output; the display size is inherited
+      expect(getPages(status.config)).toEqual([expect.objectContaining({ url: 'https://example.com/status', refreshInterval: 60000, overlays: [] })]);
+      expect(third.name).toBe('output-2');
+      expect(third.config.display).toEqual(expect.objectContaining({ url: 'https://example.com/a', width: 1920, framebufferDevice: '/dev/fb2' }));
+      expect(getPages(third.config).map(page => page.name)).toEqual(['page-1', 'page-2']);
+      expect(getPages(third.config)[0].refreshInterval).toBe(300000);
+    });
+
+    it('should reject outputs without a page, sharing a device or sink, or repeating page names', () => {
+      const originalExit = process.exit;
+      process.exit = jest.fn();
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-outputs-'));
+      const write = (name, content) => {
+        fs.writeFileSync(path.join(dir, name), content);
+        return path.join(dir, name);
+      };
+
+      expect(() => reloadConfig(write('no-page.yaml', 'display: { url: https://example.com }\noutputs:\n  - display: { framebufferDevice: /dev/fb1 }\n')))
+        .toThrow('outputs[0] needs display.url or pages');
+      expect(() => reloadConfig(write('same-device.yaml', 'display: { url: https://example.com }\noutputs:\n  - display: { url: https://example.com/b }\n')))
+        .toThrow("outputs 'main' and 'output-1' both write to /dev/fb0");
+      expect(() => reloadConfig(write('no-sink-path.yaml', 'display: { url: https://example.com, output: image }\n')))
+        .toThrow('display.sink.path is required for display.output: image');
+      expect(() => reloadConfig(write('same-sink.yaml', 'display: { url: https://example.com, output: raw, sink: { path: /tmp/f } }\noutputs:\n  - display: { url: https://example.com/b, output: image, sink: { path: /tmp/f } }\n')))
+        .toThrow("outputs 'main' and 'output-1' both write to /tmp/f");
+      expect(() => reloadConfig(write('same-page.yaml', 'pages:\n  - { name: status, url: https://example.com/a }\n  - { name: status, url: https://example.com/b }\n')))
+        .toThrow("page name 'status' is used more than once (unnamed pages are page-N)");
+      expect(() => reloadConfig(write('generated-page.yaml', 'pages:\n  - { url: https://example.com/a }\n  - { name: page-1, url: https://example.com/b }\n')))
+        .toThrow("page name 'page-1' is used more than once");
+      expect(() => reloadConfig(write('output-page.yaml', 'display: { url: https://example.com }\noutputs:\n  - display: { framebufferDevice: /dev/fb1 }\n    pages:\n      - { name: a, url: https://example.com/a }\n      - { name: a, url: https://example.com/b }\n')))
+        .toThrow("output 'output-1': page name 'a' is used more than once");
+
+      fs.rmSync(dir, { recursive: true, force: true });
+      process.exit = originalExit;
+    });
+
+    it('should only run e-paper outputs at one frame per second', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-frames-'));
+      const write = (name, content) => {
+        fs.writeFileSync(path.join(dir, name), content);
+        return path.join(dir, name);
+      };
+
+      expect(reloadConfig(write('fast.yaml', 'display: { url: https://example.com, framePeriod: 200 }\n')).display.framePeriod).toBe(200);
+      expect(() => reloadConfig(write('fast-epaper.yaml', 'display: { url: https://example.com, framePeriod: 200, updateMode: epaper }\n')))
+        .toThrow('display.framePeriod must be 1000 with display.updateMode: epaper (got 200)');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should parse countdown targets once, including unquoted YAML timestamps', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-countdown-'));
+      const write = (name, target) => {
+        const overlay = `{ name: release, type: countdown, selector: '#release', target: ${target}, region: { x: 0, y: 0, width: 10, height: 10 }, style: { fontSize: 10, fontFamily: sans-serif, color: '#fff' } }`;
+        fs.writeFileSync(path.join(dir, name), `display: { url: https://example.com }\noverlays:\n  - ${overlay}\n`);
+        return path.join(dir, name);
+      };
+
+      const [release] = reloadConfig(write('date.yaml', '2026-11-02T09:00:00Z')).overlays;
+      expect(release.target).toEqual(new Date('2026-11-02T09:00:00Z'));
+      expect(release._timer).toMatchObject({ at: Date.parse('2026-11-02T09:00:00Z'), units: ['days', 'hours', 'minutes', 'seconds'] });
+      expect(reloadConfig(write('recurring.yaml', "{ days: mon, time: '09:00' }")).overlays[0]._timer).toMatchObject({ daySet: new Set([1]), minutes: 540 });
+      expect(() => reloadConfig(write('bad-time.yaml', "{ days: mon, time: '9:75' }")))
+        .toThrow("overlay 'release': target.time is not a valid time: '9:75'");
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should flag output display changes as needing a restart', () => {
+      const next = load();
+      next.outputs[0].display.pixelFormat = 'rgb888';
+
+      expect(diffConfigs(load(), next).restartRequired).toEqual(['outputs[0].display.pixelFormat']);
+
+      next.outputs.pop();
+      expect(diffConfigs(load(), next).restartRequired).toEqual(['outputs']);
+    });
   });
 
   describe('getEnabledOverlays', () => {
@@ -136,5 +466,9 @@ describe('Config Loading', () => {
 
       expect(enabled).toEqual([]);
     });
+
+    it('should accept a page without overlays', () => {
+      expect(getEnabledOverlays({ url: 'https://example.com' })).toEqual([]);
+    });
   });
 });
@@ -0,0 +1,133 @@
+const http = require('http');
+const ControlServer = require('../../lib/control-server');
+const { ControlError } = ControlServer;
+
+/**
+ * Minimal HTTP client (resolves with status, headers and parsed body)
+ */
+function request(port, method, path, { body, token } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    if (body !== undefined) headers['content-type'] = 'application/json';
+    if (token) headers.authorization = `Bearer ${token}`;
+
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        const isJson = (res.headers['content-type'] || '').includes('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(raw) : raw });
+      });
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+describe('ControlServer', () => {
+  let server;
+  let handlers;
+
+  beforeEach(() => {
+    handlers = {
+      recapture: jest.fn(),
+      setUrl: jest.fn(),
+      setOverlayEnabled: jest.fn(),
+      getFramebufferPng: jest.fn(async () => Buffer.from('png-data')),
+      getStatus: jest.fn(() => ({ running: true, page: 'default' })),
+      getPerfStats: jest.fn(() => ({ 'render:fullUpdate': { count: 1 } }))
+    };
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const start = async (options = {}) => {
+    server = new ControlServer({ port: 0, ...options }, handlers);
+    await server.start();
+    return server.port;
+  };
+
+  it('should bind to localhost by default', async () => {
+    await start();
+    expect(server.server.address().address).toBe('127.0.0.1');
+  });
+
+  it('should trigger a recapture', async () => {
+    const port = await start();
+    const res = await request(port, 'POST', '/recapture');
+
+    expect(res.status).toBe(202);
+    expect(handlers.recapture).toHaveBeenCalled();
+  });
+
+  it('should switch and clear the URL', async () => {
+    const port = await start();
+
+    const res = await request(port, 'POST', '/url', { body: { url: 'https://example.com/other' } });
+    expect(res.status).toBe(202);
+    expect(handlers.setUrl).toHaveBeenCalledWith('https://example.com/other');
+
+    await request(port, 'POST', '/url', { body: { url: null } });
+    expect(handlers.setUrl).toHaveBeenLastCalledWith(null);
+  });
+
+  it('should reject invalid URLs', async () => {
+    const port = await start();
+    const res = await request(port, 'POST', '/url', { body: { url: 'file:///etc/passwd' } });
+
+    expect(res.status).toBe(400);
+    expect(handlers.setUrl).not.toHaveBeenCalled();
+  });
+
+  it('should toggle overlays', async () => {
+    const port = await start();
+    const res = await request(port, 'POST', '/overlays/clock', { body: { enabled: false } });
+
+    expect(res.status).toBe(202);
+    expect(handlers.setOverlayEnabled).toHaveBeenCalledWith('clock', false);
+  });
+
+  it('should pass handler errors through with their status', async () => {
+    handlers.setOverlayEnabled.mockRejectedValue(new ControlError(404, "Unknown overlay 'nope'"));
+    const port = await start();
+    const res = await request(port, 'POST', '/overlays/nope', { body: { enabled: true } });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("Unknown overlay 'nope'");
+  });
+
+  it('should serve the framebuffer as PNG', async () => {
+    const port = await start();
+    const res = await request(port, 'GET', '/framebuffer.png');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/png');
+    expect(res.body.toString()).toBe('png-data');
+    expect(handlers.getFramebufferPng).toHaveBeenCalledWith(null);
+
+    await request(port, 'GET', '/framebuffer.png?output=status');
+    expect(handlers.getFramebufferPng).toHaveBeenLastCalledWith('status');
+  });
+
+  it('should report status and perf stats', async () => {
+    const port = await start();
+
+    const status = await request(port, 'GET', '/status');
+    expect(status.body).toEqual({ running: true, page: 'default' });
+
+    const perf = await request(port, 'GET', '/perf');
+    expect(perf.body['render:fullUpdate'].count).toBe(1);
+  });
+
+  it('should require the token when configured', async () => {
+    const port = await start({ token: 'secret' });
+
+    expect((await request(port, 'GET', '/status')).status).toBe(401);
+    expect((await request(port, 'GET', '/status', { token: 'wrong' })).status).toBe(401);
+    expect((await request(port, 'GET', '/status', { token: 'secret' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,99 @@
+const { isTimerOverlay, normalizeTimer, getTimerText } = require('../../lib/countdown');
+const { generateOverlay, getOverlayContent, hasOverlayChanged } = require('../../lib/overlays');
+
+describe('Countdown', () => {
+  // Monday 2025-12-15, local time
+  const at = (day, hours, minutes, seconds = 0, ms = 0) => new Date(2025, 11, day, hours, minutes, seconds, ms);
+  // Loading the config parses the timer into _timer
+  const timer = overlay => ({ ...overlay, _timer: normalizeTimer(overlay) });
+  const release = timer({ type: 'countdown', target: at(17, 9, 0).toISOString() });
+
+  describe('normalizeTimer', () => {
+    it('should accept ISO timestamps, YAML dates and recurring rules', () => {
+      expect(normalizeTimer(release).at).toBe(at(17, 9, 0).getTime());
+      expect(normalizeTimer({ type: 'countdown', target: at(17, 9, 0) }).at).toBe(at(17, 9, 0).getTime());
+
+      const recurring = normalizeTimer({ type: 'countdown', target: { days: 'mon-fri', time: '17:30' } });
+      expect([...recurring.daySet]).toEqual([1, 2, 3, 4, 5]);
+      expect(recurring.minutes).toBe(17 * 60 + 30);
+    });
+
+    it('should sort units and build the default template from them', () => {
+      const timer = normalizeTimer({ ...release, units: ['seconds', 'hours', 'minutes'] });
+      expect(timer.units).toEqual(['hours', 'minutes', 'seconds']);
+      expect(timer.template).toBe('{hours}:{minutes}:{seconds}');
+      expect(normalizeTimer(release).template).toBe('{days}d {hours}:{minutes}:{seconds}');
+    });
+
+    it('should reject invalid targets, units and templates', () => {
+      expect(() => normalizeTimer({ type: 'countdown' })).toThrow('target is required');
+      expect(() => normalizeTimer({ type: 'countdown', target: 'next friday' })).toThrow("target must be an ISO timestamp or { days, time } (got 'next friday')");
+      expect(() => normalizeTimer({ type: 'countdown', target: { days: 'fri' } })).toThrow('target.time is required');
+      expect(() => normalizeTimer({ type: 'countdown', target: { days: 'fri', time: '25:00' } })).toThrow('target.time is not a valid time');
+      expect(() => normalizeTimer({ ...release, units: ['weeks'] })).toThrow("units must list some of days, hours, minutes, seconds (got 'weeks')");
+      expect(() => normalizeTimer({ ...release, units: ['hours'], template: '{hours}:{minutes}' })).toThrow("template uses {minutes}, but units doesn't include minutes");
+    });
+
+    it('should recognize countdown and elapsed overlays', () => {
+      expect(isTimerOverlay({ type: 'countdown' })).toBe(true);
+      expect(isTimerOverlay({ type: 'elapsed' })).toBe(true);
+      expect(isTimerOverlay({ type: 'clock' })).toBe(false);
+    });
+  });
+
+  describe('getTimerText', () => {
+    it('should count down to a timestamp, rounding up to the smallest unit', () => {
+      expect(getTimerText(release, at(15, 8, 30, 15, 500))).toBe('2d 00:29:45');
+      expect(getTimerText(timer({ ...release, units: ['hours', 'minutes'] }), at(15, 8, 30, 15))).toBe('48:30');
+      expect(getTimerText(release, at(17, 9, 0))).toBe('0d 00:00:00');
+    });
+
+    it('should fill custom templates', () => {
+      const overlay = timer({ ...release, units: ['days', 'hours'], template: '{days} days, {hours} hours to go' });
+      expect(getTimerText(overlay, at(15, 8, 30))).toBe('2 days, 01 hours to go');
+    });
+
+    it('should switch to reachedText at the target', () => {
+      const overlay = timer({ ...release, reachedText: 'Released!' });
+      expect(getTimerText(overlay, at(17, 8, 59, 59, 999))).toBe('0d 00:00:01');
+      expect(getTimerText(overlay, at(17, 9, 0))).toBe('Released!');
+      expect(getTimerText(overlay, at(20, 12, 0))).toBe('Released!');
+    });
+
+    it('should count down to the next occurrence of a recurring target', () => {
+      const handoff = timer({ type: 'countdown', target: { days: 'mon,thu', time: '09:00' }, units: ['hours', 'minutes'], reachedText: 'Handoff!' });
+
+      expect(getTimerText(handoff, at(15, 8, 0))).toBe('1:00');
+      expect(getTimerText(handoff, at(15, 9, 0, 30))).toBe('Handoff!');
+      // After reachedFor (default: one minute), Thursday is next
+      expect(getTimerText(handoff, at(15, 9, 1))).toBe('71:59');
+      expect(getTimerText(timer({ ...handoff, reachedFor: 0 }), at(15, 9, 0, 30))).toBe('72:00');
+    });
+
+    it('should count up from a timestamp or the last occurrence', () => {
+      const since = timer({ type: 'elapsed', target: at(15, 9, 0).toISOString(), units: ['hours', 'minutes', 'seconds'] });
+      expect(getTimerText(since, at(15, 10, 2, 3, 900))).toBe('1:02:03');
+      expect(getTimerText(since, at(15, 8, 0))).toBe('0:00:00');
+
+      const onCall = timer({ type: 'elapsed', target: { days: 'mon', time: '09:00' }, units: ['days', 'hours'], template: 'on call for {days}d {hours}h' });
+      expect(getTimerText(onCall, at(17, 13, 0))).toBe('on call for 2d 04h');
+      expect(getTimerText(onCall, at(15, 8, 0))).toBe('on call for 6d 23h');
+    });
+  });
+
+  describe('rendering', () => {
+    it('should render the text for _renderTime', () => {
+      const overlay = { ...release, style: { fontSize: 40, fontFamily: 'Roboto', color: '#ffffff' }, _renderTime: at(16, 9, 0) };
+      const svg = generateOverlay(overlay, { x: 0, y: 0, width: 400, height: 60 }).toString();
+      expect(svg).toContain('1d 00:00:00');
+    });
+
+    it('should only change when the shown units change', () => {
+      const minutes = timer({ ...release, units: ['hours', 'minutes'] });
+      const drawnAt = time => ({ renderedContent: getOverlayContent(minutes, time) });
+      expect(hasOverlayChanged(minutes, drawnAt(at(15, 8, 30, 14)), at(15, 8, 30, 15).getTime())).toBe(false);
+      expect(hasOverlayChanged(minutes, drawnAt(at(15, 8, 30, 59)), at(15, 8, 31, 0).getTime())).toBe(true);
+      expect(hasOverlayChanged(minutes, drawnAt(at(15, 8, 31, 0)), at(15, 8, 31, 1).getTime())).toBe(false);
+    });
+  });
+});
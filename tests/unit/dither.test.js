@@ -0,0 +1,78 @@
+const { ditherPixels } = require('../../lib/dither');
+const { getPixelFormat, createQuantizer } = require('../../lib/pixel-format');
+
+/**
+ * RGB gradient from black (left) to white (right)
+ */
+function gradient(width, height) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.fill(Math.round(x * 255 / (width - 1)), ((y * width) + x) * 3, ((y * width) + x + 1) * 3);
+    }
+  }
+  return data;
+}
+
+const mean = data => data.reduce((sum, value) => sum + value, 0) / data.length;
+
+describe('Dither', () => {
+  const mono = createQuantizer(getPixelFormat('mono10'));
+
+  it.each(['ordered', 'floyd-steinberg', 'threshold'])('should only output panel colors (%s)', method => {
+    const data = gradient(32, 8);
+    ditherPixels(data, 32, 8, 3, mono, method);
+
+    expect([...new Set(data)].sort((a, b) => a - b)).toEqual([0, 255]);
+  });
+
+  it.each(['ordered', 'floyd-steinberg'])('should preserve average brightness (%s)', method => {
+    const data = Buffer.alloc(16 * 16 * 3, 64);
+    ditherPixels(data, 16, 16, 3, mono, method);
+
+    expect(mean(data)).toBeGreaterThan(48);
+    expect(mean(data)).toBeLessThan(80);
+  });
+
+  it('should threshold without dithering', () => {
+    const data = Buffer.alloc(8 * 8 * 3, 100);
+    ditherPixels(data, 8, 8, 3, mono, 'threshold');
+
+    expect(mean(data)).toBe(0);
+  });
+
+  it('should line ordered dithering up with the full frame for regions', () => {
+    const width = 24;
+    const height = 12;
+    const full = gradient(width, height);
+    const region = { x: 5, y: 3, width: 9, height: 6 };
+
+    const part = Buffer.alloc(region.width * region.height * 3);
+    for (let y = 0; y < region.height; y++) {
+      const start = (((region.y + y) * width) + region.x) * 3;
+      full.copy(part, y * region.width * 3, start, start + (region.width * 3));
+    }
+
+    ditherPixels(full, width, height, 3, mono, 'ordered');
+    ditherPixels(part, region.width, region.height, 3, mono, 'ordered', region);
+
+    for (let y = 0; y < region.height; y++) {
+      const start = (((region.y + y) * width) + region.x) * 3;
+      expect(part.subarray(y * region.width * 3, (y + 1) * region.width * 3))
+        .toEqual(full.subarray(start, start + (region.width * 3)));
+    }
+  });
+
+  it('should leave alpha untouched', () => {
+    const data = Buffer.from([200, 200, 200, 17, 10, 10, 10, 99]);
+    ditherPixels(data, 2, 1, 4, mono, 'floyd-steinberg');
+
+    expect(data[3]).toBe(17);
+    expect(data[7]).toBe(99);
+  });
+
+  it('should reject unknown methods', () => {
+    expect(() => ditherPixels(Buffer.alloc(3), 1, 1, 3, mono, 'atkinson'))
+      .toThrow('display.dither must be one of ordered, floyd-steinberg, threshold');
+  });
+});
@@ -0,0 +1,167 @@
+const { normalizeUpdateMode, isTickSecond, EpaperUpdatePolicy } = require('../../lib/epaper');
+const { coalesceRegions } = require('../../lib/image-diff');
+const DisplayScheduler = require('../../lib/display-scheduler');
+const FramebufferQueue = require('../../lib/framebuffer-queue');
+
+describe('E-Paper', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeUpdateMode', () => {
+    it('should default to standard mode', () => {
+      expect(normalizeUpdateMode({})).toEqual({ mode: 'standard', fullRefreshEvery: 10, maxUpdatesPerHour: 75 });
+    });
+
+    it('should merge e-paper settings over the defaults', () => {
+      expect(normalizeUpdateMode({ updateMode: 'epaper', epaper: { fullRefreshEvery: 5 } }))
+        .toEqual({ mode: 'epaper', fullRefreshEvery: 5, maxUpdatesPerHour: 75 });
+    });
+
+    it('should reject unknown modes and invalid settings', () => {
+      expect(() => normalizeUpdateMode({ updateMode: 'eink' })).toThrow('display.updateMode must be one of standard, epaper');
+      expect(() => normalizeUpdateMode({ updateMode: 'epaper', epaper: { maxUpdatesPerHour: 0 } }))
+        .toThrow('display.epaper.maxUpdatesPerHour must be a positive integer');
+    });
+  });
+
+  it('should tick once a minute in e-paper mode', () => {
+    expect(isTickSecond(1700000001, 'standard')).toBe(true);
+    expect(isTickSecond(1700000001, 'epaper')).toBe(false);
+    expect(isTickSecond(1700000040, 'epaper')).toBe(true);
+  });
+
+  it('should coalesce changed regions into their bounding box', () => {
+    expect(coalesceRegions([
+      { x: 10, y: 20, width: 30, height: 10 },
+      { x: 100, y: 5, width: 20, height: 50 }
+    ])).toEqual({ x: 10, y: 5, width: 110, height: 50 });
+    expect(coalesceRegions([])).toBeNull();
+  });
+
+  describe('EpaperUpdatePolicy', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    it('should force a full refresh after every N partial updates', () => {
+      const policy = new EpaperUpdatePolicy({ fullRefreshEvery: 3, maxUpdatesPerHour: 100 });
+      const planned = Array.from({ length: 8 }, () => policy.planUpdate());
+
+      expect(planned).toEqual(['partial', 'partial', 'partial', 'full', 'partial', 'partial', 'partial', 'full']);
+    });
+
+    it('should restart the cadence after a requested full update', () => {
+      const policy = new EpaperUpdatePolicy({ fullRefreshEvery: 2, maxUpdatesPerHour: 100 });
+      policy.planUpdate();
+
+      expect(policy.planUpdate('full')).toBe('full');
+      expect(policy.planUpdate()).toBe('partial');
+      expect(policy.planUpdate()).toBe('partial');
+      expect(policy.planUpdate()).toBe('full');
+    });
+
+    it('should skip updates over the hourly budget and report them', () => {
+      const perfMonitor = { record: jest.fn() };
+      const policy = new EpaperUpdatePolicy({ fullRefreshEvery: 10, maxUpdatesPerHour: 2 }, perfMonitor);
+      const start = 1700000000000;
+
+      expect(policy.admit({ type: 'full' }, start)).toBe(true);
+      expect(policy.admit({ type: 'partial' }, start + 60000)).toBe(true);
+      expect(policy.admit({ type: 'partial' }, start + 120000)).toBe(false);
+
+      expect(perfMonitor.record).toHaveBeenCalledWith('epaper:updates-per-hour', 2, { type: 'partial', budget: 2 });
+      expect(perfMonitor.record).toHaveBeenCalledWith('epaper:skipped', 2, { type: 'partial', skipped: 1 });
+
+      // The first update leaves the window after an hour
+      expect(policy.admit({ type: 'partial' }, start + HOUR)).toBe(true);
+      expect(policy.getStatus(start + HOUR)).toEqual(expect.objectContaining({ updatesLastHour: 2, skipped: 1 }));
+    });
+
+    it('should turn the update after a skipped one into a full refresh', () => {
+      const policy = new EpaperUpdatePolicy({ fullRefreshEvery: 10, maxUpdatesPerHour: 1 });
+      policy.admit({ type: 'full' }, 0);
+      policy.admit({ type: 'partial' }, 1000);
+
+      expect(policy.planUpdate()).toBe('full');
+      expect(policy.planUpdate()).toBe('partial');
+    });
+  });
+
+  describe('DisplayScheduler', () => {
+    let queue;
+    let framebuffer;
+
+    beforeEach(() => {
+      queue = new FramebufferQueue(5);
+      framebuffer = { writeFull: jest.fn(), writePartial: jest.fn(), writePartials: jest.fn() };
+    });
+
+    it('should write nothing for held ticks', async () => {
+      const scheduler = new DisplayScheduler(queue, framebuffer, null);
+      queue.enqueue(100000, { type: 'hold', displayTime: 100000 });
+
+      await scheduler.displayFrame(100000);
+
+      expect(framebuffer.writeFull).not.toHaveBeenCalled();
+      expect(framebuffer.writePartial).not.toHaveBeenCalled();
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should write batches as one update', async () => {
+      const updatePolicy = new EpaperUpdatePolicy({ fullRefreshEvery: 10, maxUpdatesPerHour: 1 });
+      const scheduler = new DisplayScheduler(queue, framebuffer, null, { updatePolicy });
+      const partial = { type: 'partial', buffer: Buffer.alloc(4), region: { x: 0, y: 0, width: 1, height: 1 } };
+      queue.enqueue(100000, { type: 'batch', operations: [partial, partial], displayTime: 100000 });
+
+      await scheduler.displayFrame(100000);
+
+      expect(framebuffer.writePartials).toHaveBeenCalledWith([partial, partial]);
+      expect(updatePolicy.updates).toHaveLength(1);
+    });
+
+    it('should not write updates the policy rejects', async () => {
+      const updatePolicy = new EpaperUpdatePolicy({ fullRefreshEvery: 10, maxUpdatesPerHour: 1 });
+      const scheduler = new DisplayScheduler(queue, framebuffer, null, { updatePolicy });
+      const region = { x: 0, y: 0, width: 1, height: 1 };
+      queue.enqueue(100000, { type: 'full', buffer: Buffer.alloc(4) });
+      queue.enqueue(101000, { type: 'partial', buffer: Buffer.alloc(4), region });
+
+      await scheduler.displayFrame(100000);
+      await scheduler.displayFrame(101000);
+
+      expect(framebuffer.writeFull).toHaveBeenCalledTimes(1);
+      expect(framebuffer.writePartial).not.toHaveBeenCalled();
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('E-paper budget used up'));
+    });
+
+    it('should hand operations it never writes to onDrop', async () => {
+      jest.useFakeTimers({ now: 100500 });
+      const updatePolicy = new EpaperUpdatePolicy({ fullRefreshEvery: 10, maxUpdatesPerHour: 1 });
+      const onDrop = jest.fn();
+      const scheduler = new DisplayScheduler(queue, framebuffer, null, { updatePolicy, onDrop });
+      const region = { x: 0, y: 0, width: 1, height: 1 };
+      for (const tick of [100000, 101000, 102000, 103000]) {
+        queue.enqueue(tick, { type: 'partial', buffer: Buffer.alloc(4), region, displayTime: tick });
+      }
+
+      // The first write takes until 103.5s: ticks 101000 and 102000 are skipped
+      framebuffer.writePartial.mockImplementation(async () => jest.setSystemTime(103500));
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(500);
+      expect(onDrop.mock.calls.map(([operation]) => operation.displayTime)).toEqual([101000, 102000]);
+
+      // Over budget
+      await jest.advanceTimersByTimeAsync(500);
+      scheduler.stop();
+
+      expect(framebuffer.writePartial).toHaveBeenCalledTimes(1);
+      expect(onDrop.mock.calls.map(([operation]) => operation.displayTime)).toEqual([101000, 102000, 103000]);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const FramebufferQueue = require('../../lib/framebuffer-queue');
 
 describe('FramebufferQueue', () => {
+  const start = 100000;
+  const tick = (n) => start + n * 1000;
   let queue;
 
   beforeEach(() => {
@@ -10,101 +12,102 @@ describe('FramebufferQueue', () => {
   describe('enqueue/dequeue', () => {
     it('should enqueue and dequeue operations', () => {
       const operation = { type: 'full', buffer: Buffer.from('test'), displayTime: 1000 };
-      queue.enqueue(100, operation);
+      queue.enqueue(tick(0), operation);
 
-      const result = queue.dequeue(100);
+      const result = queue.dequeue(tick(0));
       expect(result).toEqual(operation);
     });
 
     it('should return null for non-existent operations', () => {
-      const result = queue.dequeue(999);
+      const result = queue.dequeue(tick(899));
       expect(result).toBeNull();
     });
 
     it('should remove operation after dequeueing', () => {
-      queue.enqueue(100, { type: 'full' });
-      queue.dequeue(100);
+      queue.enqueue(tick(0), { type: 'full' });
+      queue.dequeue(tick(0));
 
-      const result = queue.dequeue(100);
+      const result = queue.dequeue(tick(0));
       expect(result).toBeNull();
     });
   });
 
   describe('needsMore', () => {
     it('should return true when queue is empty', () => {
-      expect(queue.needsMore(100)).toBe(true);
+      expect(queue.needsMore(tick(0))).toBe(true);
     });
 
     it('should return true when queue has fewer than windowSize operations', () => {
       for (let i = 0; i < 5; i++) {
-        queue.enqueue(100 + i, { type: 'full' });
+        queue.enqueue(tick(i), { type: 'full' });
       }
-      expect(queue.needsMore(100)).toBe(true);
+      expect(queue.needsMore(tick(0))).toBe(true);
     });
 
     it('should return false when queue has windowSize or more operations', () => {
       for (let i = 0; i < 10; i++) {
-        queue.enqueue(100 + i, { type: 'full' });
+        queue.enqueue(tick(i), { type: 'full' });
       }
-      expect(queue.needsMore(100)).toBe(false);
+      expect(queue.needsMore(tick(0))).toBe(false);
     });
 
     it('should only count future operations', () => {
       for (let i = 0; i < 10; i++) {
-        queue.enqueue(100 + i, { type: 'full' });
+        queue.enqueue(tick(i), { type: 'full' });
       }
-      // At second 105, only 5 operations are in the future (105-109)
-      expect(queue.needsMore(105)).toBe(true);
+      // At tick 5, only 5 operations are in the future (5-9)
+      expect(queue.needsMore(tick(5))).toBe(true);
     });
   });
 
-  describe('getNextUnqueuedSecond', () => {
-    it('should return current second when queue is empty', () => {
-      expect(queue.getNextUnqueuedSecond(100)).toBe(100);
+  describe('getNextUnqueuedTick', () => {
+    it('should return current tick when queue is empty', () => {
+      expect(queue.getNextUnqueuedTick(tick(0))).toBe(tick(0));
     });
 
     it('should return first gap in sequence', () => {
-      queue.enqueue(100, { type: 'full' });
-      queue.enqueue(101, { type: 'full' });
-      // Gap at 102
-      queue.enqueue(103, { type: 'full' });
+      queue.enqueue(tick(0), { type: 'full' });
+      queue.enqueue(tick(1), { type: 'full' });
+      // Gap at tick 2
+      queue.enqueue(tick(3), { type: 'full' });
 
-      expect(queue.getNextUnqueuedSecond(100)).toBe(102);
+      expect(queue.getNextUnqueuedTick(tick(0))).toBe(tick(2));
     });
 
     it('should return next after last when no gaps', () => {
       for (let i = 0; i < 5; i++) {
-        queue.enqueue(100 + i, { type: 'full' });
+        queue.enqueue(tick(i), { type: 'full' });
       }
-      expect(queue.getNextUnqueuedSecond(100)).toBe(105);
+      expect(queue.getNextUnqueuedTick(tick(0))).toBe(tick(5));
     });
   });
 
-  describe('getLastQueuedSecond', () => {
+  describe('getLastQueuedTick', () => {
     it('should return null when queue is empty', () => {
-      expect(queue.getLastQueuedSecond()).toBeNull();
+      expect(queue.getLastQueuedTick()).toBeNull();
     });
 
-    it('should return the maximum queued second', () => {
-      queue.enqueue(100, { type: 'full' });
-      queue.enqueue(105, { type: 'full' });
-      queue.enqueue(102, { type: 'full' });
+    it('should return the maximum queued tick', () => {
+      queue.enqueue(tick(0), { type: 'full' });
+      queue.enqueue(tick(5), { type: 'full' });
+      queue.enqueue(tick(2), { type: 'full' });
 
-      expect(queue.getLastQueuedSecond()).toBe(105);
+      expect(queue.getLastQueuedTick()).toBe(tick(5));
     });
   });
 
   describe('getStatus', () => {
     it('should return correct status', () => {
       for (let i = 0; i < 5; i++) {
-        queue.enqueue(100 + i, { type: 'full' });
+        queue.enqueue(tick(i), { type: 'full' });
       }
 
-      const status = queue.getStatus(100);
+      const status = queue.getStatus(tick(0));
       expect(status.size).toBe(5);
       expect(status.windowSize).toBe(10);
       expect(status.needsMore).toBe(true);
-      expect(status.range).toBe('100 to 104');
+      expect(status.range).toBe('100000 to 104000');
+      expect(status.framesAhead).toBe(4);
       expect(status.secondsAhead).toBe(4);
     });
   });
@@ -112,11 +115,41 @@ describe('FramebufferQueue', () => {
   describe('clear', () => {
     it('should remove all operations', () => {
       for (let i = 0; i < 5; i++) {
-        queue.enqueue(100 + i, { type: 'full' });
+        queue.enqueue(tick(i), { type: 'full' });
       }
 
       queue.clear();
-      expect(queue.getStatus(100).size).toBe(0);
+      expect(queue.getStatus(tick(0)).size).toBe(0);
+    });
+  });
+
+  describe('sub-second frame period', () => {
+    beforeEach(() => {
+      queue = new FramebufferQueue(10, 200);
+    });
+
+    it('should round times down to ticks', () => {
+      expect(queue.tickAt(100399)).toBe(100200);
+      expect(queue.tickAt(100400)).toBe(100400);
+    });
+
+    it('should find gaps one frame period apart', () => {
+      queue.enqueue(100000, { type: 'hold' });
+      queue.enqueue(100200, { type: 'hold' });
+      queue.enqueue(100600, { type: 'hold' });
+
+      expect(queue.getNextUnqueuedTick(100000)).toBe(100400);
+    });
+
+    it('should report frames and seconds ahead', () => {
+      for (let i = 0; i < 6; i++) {
+        queue.enqueue(100000 + i * 200, { type: 'hold' });
+      }
+
+      const status = queue.getStatus(100000);
+      expect(status.framePeriod).toBe(200);
+      expect(status.framesAhead).toBe(5);
+      expect(status.secondsAhead).toBe(1);
     });
   });
 });
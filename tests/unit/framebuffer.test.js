@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Framebuffer = require('../../lib/framebuffer');
+
+/**
+ * Virtual framebuffer laid out like dev-server.js creates it:
+ * <dir>/fb0 plus a fake sysfs tree at <dir>/sys/class/graphics/fb0
+ * A virtualHeight taller than height adds the visible mode and a pan attribute.
+ */
+function createVirtualFramebuffer(dir, { width, height, bpp, stride, virtualHeight = height }) {
+  const sysfs = path.join(dir, 'sys/class/graphics/fb0');
+  fs.mkdirSync(sysfs, { recursive: true });
+  fs.writeFileSync(path.join(sysfs, 'virtual_size'), `${width},${virtualHeight}`);
+  fs.writeFileSync(path.join(sysfs, 'bits_per_pixel'), `${bpp}`);
+  if (stride) {
+    fs.writeFileSync(path.join(sysfs, 'stride'), `${stride}`);
+  }
+  if (virtualHeight !== height) {
+    fs.writeFileSync(path.join(sysfs, 'modes'), `U:${width}x${height}p-0\n`);
+    fs.writeFileSync(path.join(sysfs, 'pan'), '0,0\n');
+  }
+
+  const device = path.join(dir, 'fb0');
+  fs.writeFileSync(device, Buffer.alloc((stride || width * (bpp / 8)) * virtualHeight));
+  return device;
+}
+
+const solid = (width, height, color) => sharp({
+  create: { width, height, channels: 4, background: { ...color, alpha: 1 } }
+}).png().toBuffer();
+
+describe('Framebuffer', () => {
+  let tmpDir;
+  let perfMonitor;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-fb-'));
+    perfMonitor = { start: jest.fn(() => 'mock-id'), end: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function openFramebuffer(fbInfo, display = {}) {
+    const device = createVirtualFramebuffer(tmpDir, fbInfo);
+    const framebuffer = new Framebuffer({
+      display: { width: fbInfo.width, height: fbInfo.height, framebufferDevice: device, ...display }
+    }, perfMonitor);
+    expect(framebuffer.open()).toBe(true);
+    return { framebuffer, device };
+  }
+
+  describe('detect', () => {
+    it('should read size, depth and stride from the virtual sysfs tree', () => {
+      const { framebuffer } = openFramebuffer({ width: 10, height: 4, bpp: 16, stride: 32 });
+
+      expect(framebuffer.info).toEqual(expect.objectContaining({
+        width: 10,
+        height: 4,
+        bpp: 16,
+        bytesPerPixel: 2,
+        stride: 32
+      }));
+      expect(framebuffer.info.format.name).toBe('rgb565');
+      framebuffer.close();
+    });
+
+    it('should fall back to unpadded lines without a stride attribute', () => {
+      const { framebuffer } = openFramebuffer({ width: 10, height: 4, bpp: 32 });
+      expect(framebuffer.info.stride).toBe(40);
+      framebuffer.close();
+    });
+
+    it('should use display.pixelFormat when it matches the depth', () => {
+      const { framebuffer } = openFramebuffer({ width: 4, height: 2, bpp: 32 }, { pixelFormat: 'bgra' });
+      expect(framebuffer.info.format.name).toBe('bgra');
+      framebuffer.close();
+    });
+
+    it('should ignore a display.pixelFormat of another depth', () => {
+      const { framebuffer } = openFramebuffer({ width: 4, height: 2, bpp: 32 }, { pixelFormat: 'bgr565' });
+
+      expect(framebuffer.info.format.name).toBe('rgba');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("display.pixelFormat 'bgr565' is 16bpp"));
+      framebuffer.close();
+    });
+  });
+
+  describe('writes', () => {
+    it('should pad full frames to the line stride', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 3, height: 2, bpp: 32, stride: 16 });
+      fs.writeFileSync(device, Buffer.alloc(32, 0xee));
+
+      await framebuffer.writeFull(await solid(3, 2, { r: 10, g: 20, b: 30 }));
+      framebuffer.close();
+
+      const data = fs.readFileSync(device);
+      for (const line of [0, 1]) {
+        expect([...data.subarray(line * 16, line * 16 + 12)]).toEqual([10, 20, 30, 255, 10, 20, 30, 255, 10, 20, 30, 255]);
+        // Padding bytes are left alone
+        expect([...data.subarray(line * 16 + 12, line * 16 + 16)]).toEqual([0xee, 0xee, 0xee, 0xee]);
+      }
+    });
+
+    it('should write raw full frames in BGRA order', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 2, height: 1, bpp: 32 }, { pixelFormat: 'bgra' });
+
+      await framebuffer.writeFull(Buffer.from([255, 0, 0, 255, 0, 0, 255, 255]), { width: 2, height: 1, channels: 4 });
+      framebuffer.close();
+
+      expect([...fs.readFileSync(device)]).toEqual([0, 0, 255, 255, 255, 0, 0, 255]);
+    });
+
+    it('should write a batch of regions with a single flush', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 4, height: 2, bpp: 32 });
+      const flush = jest.spyOn(framebuffer.backend, 'flush');
+
+      expect(await framebuffer.writePartials([
+        { buffer: await solid(1, 1, { r: 1, g: 2, b: 3 }), region: { x: 0, y: 0, width: 1, height: 1 } },
+        { buffer: await solid(1, 1, { r: 4, g: 5, b: 6 }), region: { x: 3, y: 1, width: 1, height: 1 } }
+      ])).toBe(true);
+      framebuffer.close();
+
+      const data = fs.readFileSync(device);
+      expect(flush).toHaveBeenCalledTimes(1);
+      expect([...data.subarray(0, 3)]).toEqual([1, 2, 3]);
+      expect([...data.subarray(28, 31)]).toEqual([4, 5, 6]);
+    });
+
+    it('should place partial updates using the stride and BGR565 layout', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 4, height: 3, bpp: 16, stride: 12 }, { pixelFormat: 'bgr565' });
+
+      await framebuffer.writePartial(await solid(2, 1, { r: 255, g: 0, b: 0 }), { x: 1, y: 2, width: 2, height: 1 });
+      framebuffer.close();
+
+      const data = fs.readFileSync(device);
+      expect(data.readUInt16LE(2 * 12 + 2)).toBe(0x001f);
+      expect(data.readUInt16LE(2 * 12 + 4)).toBe(0x001f);
+      expect(data.readUInt16LE(2 * 12)).toBe(0);
+      expect(data.readUInt16LE(12 + 2)).toBe(0);
+    });
+
+    it('should write 4bpp grayscale frames two pixels per byte', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 4, height: 1, bpp: 4 });
+
+      await framebuffer.writeFull(Buffer.from([0, 0, 0, 255, 255, 255, 0, 0, 0, 255, 255, 255]), { width: 4, height: 1, channels: 3 });
+      framebuffer.close();
+
+      expect([...fs.readFileSync(device)]).toEqual([0xf0, 0xf0]);
+    });
+
+    it('should keep neighboring pixels when a 1bpp region is not byte aligned', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 16, height: 2, bpp: 1 });
+      fs.writeFileSync(device, Buffer.from([0xff, 0xff, 0xff, 0xff]));
+
+      // 6 black pixels at x = 5..10 on the second line
+      await framebuffer.writePartial(await solid(6, 1, { r: 0, g: 0, b: 0 }), { x: 5, y: 1, width: 6, height: 1 });
+      framebuffer.close();
+
+      expect([...fs.readFileSync(device)]).toEqual([0xff, 0xff, 0b00011111, 0b11111000]);
+    });
+
+    it('should blank inverted mono panels to black', () => {
+      const { framebuffer, device } = openFramebuffer({ width: 8, height: 2, bpp: 1 }, { pixelFormat: 'mono01' });
+
+      framebuffer.blank();
+      framebuffer.close();
+
+      expect([...fs.readFileSync(device)]).toEqual([0xff, 0xff]);
+    });
+
+    it('should read 1bpp frames back in snapshots', async () => {
+      const { framebuffer } = openFramebuffer({ width: 3, height: 2, bpp: 1, stride: 2 }, { bitOrder: 'msb' });
+
+      await framebuffer.writeFull(Buffer.from([255, 255, 255, 0, 0, 0, 255, 255, 255, 0, 0, 0, 0, 0, 0, 255, 255, 255]), { width: 3, height: 2, channels: 3 });
+      const { data } = await sharp(await framebuffer.snapshot()).raw().toBuffer({ resolveWithObject: true });
+      framebuffer.close();
+
+      expect([...data].filter((_value, index) => index % 3 === 0)).toEqual([255, 0, 255, 0, 0, 255]);
+    });
+
+    it('should read padded BGR frames back in snapshots', async () => {
+      const { framebuffer } = openFramebuffer({ width: 3, height: 2, bpp: 24, stride: 12 }, { pixelFormat: 'bgr' });
+
+      await framebuffer.writeFull(await solid(3, 2, { r: 200, g: 100, b: 50 }));
+      const { data, info } = await sharp(await framebuffer.snapshot()).raw().toBuffer({ resolveWithObject: true });
+      framebuffer.close();
+
+      expect(info).toEqual(expect.objectContaining({ width: 3, height: 2 }));
+      expect([...data.subarray(0, 3)]).toEqual([200, 100, 50]);
+      expect([...data.subarray(data.length - 3)]).toEqual([200, 100, 50]);
+    });
+  });
+
+  describe('double buffering', () => {
+    const pixel = color => Buffer.from([...color, 255]);
+    const frame = color => Buffer.concat(Array(4).fill(pixel(color)));
+    const readPan = () => fs.readFileSync(path.join(tmpDir, 'sys/class/graphics/fb0/pan'), 'utf8');
+
+    it('should write full frames off screen and pan to them', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 2, height: 2, bpp: 32, virtualHeight: 4 });
+      expect(framebuffer.info).toEqual(expect.objectContaining({ width: 2, height: 2, virtualHeight: 4 }));
+      expect(framebuffer.doubleBuffered).toBe(true);
+
+      await framebuffer.writeFull(frame([1, 2, 3]), { width: 2, height: 2, channels: 4 });
+      expect(readPan()).toBe('0,2');
+      expect(fs.readFileSync(device).subarray(16).equals(frame([1, 2, 3]))).toBe(true);
+
+      // Partial updates go to the frame on screen
+      await framebuffer.writePartial(await solid(1, 1, { r: 9, g: 9, b: 9 }), { x: 0, y: 0, width: 1, height: 1 });
+      expect([...fs.readFileSync(device).subarray(16, 20)]).toEqual([9, 9, 9, 255]);
+
+      await framebuffer.writeFull(frame([4, 5, 6]), { width: 2, height: 2, channels: 4 });
+      expect(readPan()).toBe('0,0');
+      expect(fs.readFileSync(device).subarray(0, 16).equals(frame([4, 5, 6]))).toBe(true);
+
+      const { data } = await sharp(await framebuffer.snapshot()).raw().toBuffer({ resolveWithObject: true });
+      expect([...data.subarray(0, 3)]).toEqual([4, 5, 6]);
+      framebuffer.close();
+    });
+
+    it('should stay single buffered when disabled', () => {
+      const { framebuffer } = openFramebuffer({ width: 2, height: 2, bpp: 32, virtualHeight: 4 }, { doubleBuffer: false });
+      expect(framebuffer.doubleBuffered).toBe(false);
+      framebuffer.close();
+    });
+
+    it('should stay single buffered when the driver cannot pan', () => {
+      const device = createVirtualFramebuffer(tmpDir, { width: 2, height: 2, bpp: 32, virtualHeight: 4 });
+      fs.rmSync(path.join(tmpDir, 'sys/class/graphics/fb0/pan'));
+
+      const framebuffer = new Framebuffer({ display: { width: 2, height: 2, framebufferDevice: device } }, perfMonitor);
+      framebuffer.open();
+      framebuffer.close();
+
+      expect(framebuffer.doubleBuffered).toBe(false);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Double buffering unavailable'));
+    });
+
+    it('should fall back to the visible frame when a pan fails', async () => {
+      const { framebuffer, device } = openFramebuffer({ width: 2, height: 2, bpp: 32, virtualHeight: 4 });
+      jest.spyOn(framebuffer.backend, 'pan').mockImplementation(() => {
+        throw new Error('EINVAL');
+      });
+
+      await framebuffer.writeFull(frame([7, 7, 7]), { width: 2, height: 2, channels: 4 });
+      framebuffer.close();
+
+      expect(framebuffer.doubleBuffered).toBe(false);
+      expect(fs.readFileSync(device).subarray(0, 16).equals(frame([7, 7, 7]))).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Pan failed (EINVAL)'));
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const Framebuffer = require('../../lib/framebuffer');
+const {
+  normalizeOrientation,
+  isIdentityOrientation,
+  orientedSize,
+  transformRegion,
+  applyOrientation
+} = require('../../lib/orientation');
+
+const ORIENTATIONS = [];
+for (const rotation of [0, 90, 180, 270]) {
+  for (const flipHorizontal of [false, true]) {
+    for (const flipVertical of [false, true]) {
+      ORIENTATIONS.push({ rotation, flipHorizontal, flipVertical });
+    }
+  }
+}
+
+const describeOrientation = ({ rotation, flipHorizontal, flipVertical }) =>
+  `${rotation}°${flipHorizontal ? ' +flipH' : ''}${flipVertical ? ' +flipV' : ''}`;
+
+/**
+ * Raw RGBA image where every pixel has a unique color, so misplaced pixels show up
+ */
+function uniqueImage(width, height, seed = 0) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = (i + seed) & 0xff;
+    data[i * 4 + 1] = ((i + seed) >> 8) & 0xff;
+    data[i * 4 + 2] = seed;
+    data[i * 4 + 3] = 255;
+  }
+  return data;
+}
+
+describe('Orientation', () => {
+  describe('normalizeOrientation', () => {
+    it('should default to no rotation or flip', () => {
+      expect(normalizeOrientation({})).toEqual({ rotation: 0, flipHorizontal: false, flipVertical: false });
+      expect(isIdentityOrientation(normalizeOrientation(undefined))).toBe(true);
+    });
+
+    it('should reject unsupported rotations', () => {
+      expect(() => normalizeOrientation({ rotation: 45 })).toThrow('display.rotation must be one of 0, 90, 180, 270');
+    });
+  });
+
+  describe('orientedSize', () => {
+    it('should swap width and height for 90° and 270°', () => {
+      expect(orientedSize(1080, 1920, { rotation: 90 })).toEqual({ width: 1920, height: 1080 });
+      expect(orientedSize(1080, 1920, { rotation: 270 })).toEqual({ width: 1920, height: 1080 });
+      expect(orientedSize(1920, 1080, { rotation: 180 })).toEqual({ width: 1920, height: 1080 });
+    });
+  });
+
+  describe('transformRegion', () => {
+    // Logical 600x800 portrait page on an 800x600 panel
+    const region = { x: 10, y: 20, width: 100, height: 50 };
+
+    it('should map regions for each rotation', () => {
+      expect(transformRegion(region, normalizeOrientation({ rotation: 90 }), 600, 800))
+        .toEqual({ x: 730, y: 10, width: 50, height: 100 });
+      expect(transformRegion(region, normalizeOrientation({ rotation: 180 }), 600, 800))
+        .toEqual({ x: 490, y: 730, width: 100, height: 50 });
+      expect(transformRegion(region, normalizeOrientation({ rotation: 270 }), 600, 800))
+        .toEqual({ x: 20, y: 490, width: 50, height: 100 });
+    });
+
+    it('should mirror regions before rotating', () => {
+      expect(transformRegion(region, normalizeOrientation({ flipHorizontal: true }), 600, 800))
+        .toEqual({ x: 490, y: 20, width: 100, height: 50 });
+      expect(transformRegion(region, normalizeOrientation({ rotation: 90, flipVertical: true }), 600, 800))
+        .toEqual({ x: 20, y: 10, width: 50, height: 100 });
+    });
+
+    it.each(ORIENTATIONS.map(o => [describeOrientation(o), o]))('should match sharp pixel placement (%s)', async (_name, orientation) => {
+      const width = 7;
+      const height = 5;
+      const sub = { x: 1, y: 2, width: 4, height: 2 };
+      const image = uniqueImage(width, height);
+
+      const full = await applyOrientation(sharp(image, { raw: { width, height, channels: 4 } }), orientation)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const part = await applyOrientation(
+        sharp(image, { raw: { width, height, channels: 4 } }).extract({ left: sub.x, top: sub.y, width: sub.width, height: sub.height }),
+        orientation
+      ).raw().toBuffer({ resolveWithObject: true });
+
+      const physical = transformRegion(sub, orientation, width, height);
+      expect({ width: physical.width, height: physical.height }).toEqual({ width: part.info.width, height: part.info.height });
+
+      const expected = await sharp(full.data, { raw: full.info })
+        .extract({ left: physical.x, top: physical.y, width: physical.width, height: physical.height })
+        .raw()
+        .toBuffer();
+      expect(part.data.equals(expected)).toBe(true);
+    });
+  });
+
+  describe('Framebuffer output', () => {
+    const width = 6;
+    const height = 4;
+    let tmpDir;
+    let perfMonitor;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-orientation-'));
+      perfMonitor = { start: jest.fn(() => 'mock-id'), end: jest.fn() };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Framebuffer writing to a plain file (no sysfs, so 32bpp at the oriented config size)
+     */
+    function openFramebuffer(display) {
+      const device = path.join(tmpDir, 'fb');
+      fs.writeFileSync(device, '');
+      const framebuffer = new Framebuffer({ display: { width, height, framebufferDevice: device, ...display } }, perfMonitor);
+      expect(framebuffer.open()).toBe(true);
+      return { framebuffer, device };
+    }
+
+    it('should use the rotated config size when sysfs is unavailable', () => {
+      const { framebuffer } = openFramebuffer({ rotation: 90 });
+      expect(framebuffer.info).toEqual(expect.objectContaining({ width: 4, height: 6, stride: 16 }));
+      framebuffer.close();
+    });
+
+    it.each(ORIENTATIONS.map(o => [describeOrientation(o), o]))('should write full and partial frames in physical orientation (%s)', async (_name, orientation) => {
+      const { framebuffer, device } = openFramebuffer(orientation);
+      const base = uniqueImage(width, height);
+      const region = { x: 1, y: 1, width: 3, height: 2 };
+      const patch = uniqueImage(region.width, region.height, 200);
+
+      await framebuffer.writeFull(base, { width, height, channels: 4 });
+      const patchPng = await sharp(patch, { raw: { width: region.width, height: region.height, channels: 4 } }).png().toBuffer();
+      await framebuffer.writePartial(patchPng, region);
+      framebuffer.close();
+
+      // Expected: patch composited in logical space, then oriented as a whole
+      const logical = await sharp(base, { raw: { width, height, channels: 4 } })
+        .composite([{ input: patch, raw: { width: region.width, height: region.height, channels: 4 }, left: region.x, top: region.y }])
+        .raw()
+        .toBuffer();
+      const expected = await applyOrientation(sharp(logical, { raw: { width, height, channels: 4 } }), orientation)
+        .raw()
+        .toBuffer();
+
+      expect(fs.readFileSync(device).equals(expected)).toBe(true);
+    });
+
+    it('should warn when the display size does not fit the rotated framebuffer', () => {
+      const framebuffer = new Framebuffer({ display: { width, height, rotation: 90, framebufferDevice: path.join(tmpDir, 'fb') } }, perfMonitor);
+      fs.writeFileSync(framebuffer.config.display.framebufferDevice, '');
+      jest.spyOn(framebuffer, 'detect').mockReturnValue({ width, height, bpp: 32, bytesPerPixel: 4, stride: width * 4 });
+
+      framebuffer.open();
+      framebuffer.close();
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('display size 6x4 does not match the 6x4 framebuffer at 90° rotation (expected 4x6)'));
+    });
+  });
+});
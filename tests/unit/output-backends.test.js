@@ -0,0 +1,320 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// The DRM tests replace GStreamer; everything else runs the real commands
+jest.mock('child_process', () => {
+  const actual = jest.requireActual('child_process');
+  return { ...actual, execFileSync: jest.fn(actual.execFileSync), spawn: jest.fn(actual.spawn) };
+});
+
+const childProcess = require('child_process');
+const Framebuffer = require('../../lib/framebuffer');
+const { DrmBackend, FileBackend, MjpegSink, createOutputBackend } = require('../../lib/output-backends');
+
+/**
+ * Fake /sys/class/drm tree with connectors { name: { status, modes, connectorId } }
+ */
+function createDrmSysfs(root, connectors) {
+  for (const [name, { status, modes, connectorId }] of Object.entries(connectors)) {
+    const dir = path.join(root, 'class/drm', `card1-${name}`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'status'), `${status}\n`);
+    fs.writeFileSync(path.join(dir, 'modes'), modes.map(mode => `${mode}\n`).join(''));
+    if (connectorId) {
+      fs.writeFileSync(path.join(dir, 'connector_id'), `${connectorId}\n`);
+    }
+  }
+  fs.mkdirSync(path.join(root, 'class/drm/card1'), { recursive: true });
+}
+
+describe('Output Backends', () => {
+  let tmpDir;
+  let perfMonitor;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-output-'));
+    perfMonitor = { start: jest.fn(() => 'mock-id'), end: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createOutputBackend', () => {
+    it('should default to fbdev', () => {
+      expect(createOutputBackend({ display: { framebufferDevice: '/dev/fb0' } }).getType()).toBe('fbdev');
+    });
+
+    it('should reject unknown outputs', () => {
+      expect(() => createOutputBackend({ display: { output: 'wayland' } }))
+        .toThrow("Unknown display.output: wayland. Must be one of 'fbdev', 'drm', 'file', 'image', 'mjpeg', 'raw'");
+    });
+  });
+
+  describe('FileBackend', () => {
+    function openFramebuffer(display = {}) {
+      const file = path.join(tmpDir, 'frame.raw');
+      const framebuffer = new Framebuffer({
+        display: { width: 4, height: 2, output: 'file', framebufferDevice: file, ...display }
+      }, perfMonitor);
+      expect(framebuffer.open()).toBe(true);
+      return { framebuffer, file };
+    }
+
+    it('should size the file from the display config', () => {
+      const { framebuffer, file } = openFramebuffer({ rotation: 90, pixelFormat: 'rgb565' });
+
+      expect(framebuffer.info).toEqual(expect.objectContaining({ width: 2, height: 4, bpp: 16, stride: 4 }));
+      expect(framebuffer.info.format.name).toBe('rgb565');
+      expect(fs.statSync(file).size).toBe(16);
+      framebuffer.close();
+    });
+
+    it('should write frames and regions and read them back', async () => {
+      const { framebuffer, file } = openFramebuffer();
+
+      await framebuffer.writeFull(Buffer.alloc(4 * 2 * 4, 255), { width: 4, height: 2, channels: 4 });
+      const patch = await sharp({ create: { width: 1, height: 1, channels: 3, background: { r: 10, g: 20, b: 30 } } }).png().toBuffer();
+      await framebuffer.writePartial(patch, { x: 3, y: 1, width: 1, height: 1 });
+
+      const { data } = await sharp(await framebuffer.snapshot()).raw().toBuffer({ resolveWithObject: true });
+      framebuffer.close();
+
+      expect([...data.subarray(0, 3)]).toEqual([255, 255, 255]);
+      expect([...data.subarray(data.length - 3)]).toEqual([10, 20, 30]);
+      expect([...fs.readFileSync(file).subarray(28)]).toEqual([10, 20, 30, 255]);
+    });
+
+    it('should be closable more than once', () => {
+      const backend = new FileBackend({ display: { width: 2, height: 2, framebufferDevice: path.join(tmpDir, 'f') } });
+      backend.open(backend.detect());
+      backend.close();
+      expect(() => backend.close()).not.toThrow();
+    });
+  });
+
+  describe('DrmBackend', () => {
+    const config = (drm = {}) => ({ display: { width: 1920, height: 1080, output: 'drm', drm } });
+
+    afterEach(() => {
+      const actual = jest.requireActual('child_process');
+      childProcess.execFileSync.mockReset().mockImplementation(actual.execFileSync);
+      childProcess.spawn.mockReset().mockImplementation(actual.spawn);
+    });
+
+    it('should use the preferred mode of the first connected connector', () => {
+      createDrmSysfs(tmpDir, {
+        'HDMI-A-1': { status: 'disconnected', modes: [] },
+        'HDMI-A-2': { status: 'connected', modes: ['1280x720', '640x480'], connectorId: 33 }
+      });
+      const backend = new DrmBackend(config(), { sysfsRoot: tmpDir });
+
+      const info = backend.detect();
+
+      expect(info).toEqual(expect.objectContaining({ width: 1280, height: 720, bpp: 32, stride: 5120 }));
+      expect(info.format.name).toBe('bgra');
+      expect(backend.describe()).toBe('DRM HDMI-A-2');
+    });
+
+    it('should select a configured connector by name', () => {
+      createDrmSysfs(tmpDir, {
+        'HDMI-A-1': { status: 'connected', modes: ['1920x1080'] },
+        'DSI-1': { status: 'connected', modes: ['800x480'] }
+      });
+
+      expect(new DrmBackend(config({ connector: 'DSI-1' }), { sysfsRoot: tmpDir }).detect().width).toBe(800);
+      expect(() => new DrmBackend(config({ connector: 'DP-1' }), { sysfsRoot: tmpDir }).detect())
+        .toThrow("DRM connector 'DP-1' not found (available: DSI-1, HDMI-A-1)");
+    });
+
+    it('should fail without a connected connector', () => {
+      createDrmSysfs(tmpDir, { 'HDMI-A-1': { status: 'disconnected', modes: [] } });
+      expect(() => new DrmBackend(config(), { sysfsRoot: tmpDir }).detect()).toThrow('No connected DRM connector found');
+    });
+
+    it('should describe frames to the kmssink pipeline', () => {
+      createDrmSysfs(tmpDir, { 'HDMI-A-1': { status: 'connected', modes: ['1920x1080'], connectorId: 42 } });
+      const backend = new DrmBackend(config(), { sysfsRoot: tmpDir });
+
+      expect(backend._pipelineArgs(backend.detect())).toEqual([
+        '-q',
+        'fdsrc', 'fd=0', '!',
+        'rawvideoparse', 'width=1920', 'height=1080', 'format=bgrx', 'plane-strides=<7680>', '!',
+        'kmssink', 'sync=false', 'connector-id=42'
+      ]);
+    });
+
+    it('should reject pixel formats kmssink is not given', () => {
+      const backend = new DrmBackend(config(), { sysfsRoot: tmpDir });
+      expect(() => backend._pipelineArgs({ width: 8, height: 8, bpp: 16, stride: 16, format: { name: 'rgb565' } }))
+        .toThrow('DRM output supports rgba, bgra, argb and abgr (got rgb565)');
+    });
+
+    it('should fail to open without GStreamer or its elements', () => {
+      const backend = new DrmBackend(config(), { sysfsRoot: tmpDir });
+      const info = { width: 2, height: 1, bpp: 32, stride: 8, format: { name: 'bgra' } };
+
+      childProcess.execFileSync.mockImplementationOnce(() => {
+        throw Object.assign(new Error('spawnSync gst-inspect-1.0 ENOENT'), { code: 'ENOENT' });
+      });
+      expect(() => backend.open(info)).toThrow("DRM output can't start its kmssink pipeline (gst-inspect-1.0 not found)");
+
+      childProcess.execFileSync
+        .mockImplementationOnce(() => Buffer.alloc(0))
+        .mockImplementationOnce(() => { throw Object.assign(new Error('Command failed'), { status: 1 }); });
+      expect(() => backend.open(info)).toThrow('GStreamer element kmssink not found');
+      expect(childProcess.spawn).not.toHaveBeenCalled();
+    });
+
+    it('should send changed frames through one reused buffer', () => {
+      const backend = new DrmBackend(config(), { sysfsRoot: tmpDir });
+      const child = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.stdin = Object.assign(new EventEmitter(), { write: jest.fn(), end: jest.fn() });
+      child.kill = jest.fn();
+      childProcess.execFileSync.mockImplementation(() => Buffer.alloc(0));
+      childProcess.spawn.mockImplementation(() => child);
+
+      backend.open({ width: 2, height: 1, bpp: 32, stride: 8, format: { name: 'bgra' } });
+      backend.flush(); // Nothing written yet
+      expect(child.stdin.write).not.toHaveBeenCalled();
+
+      backend.write(Buffer.from([1, 2, 3, 4]), 0, 4, 4);
+      const readBack = Buffer.alloc(4);
+      backend.read(readBack, 0, 4, 4);
+      backend.flush();
+      expect([...readBack]).toEqual([1, 2, 3, 4]);
+      expect([...child.stdin.write.mock.calls[0][0]]).toEqual([0, 0, 0, 0, 1, 2, 3, 4]);
+
+      // Still sending: only the newest frame follows once the write completes
+      backend.write(Buffer.from([5]), 0, 1, 0);
+      backend.flush();
+      backend.write(Buffer.from([6]), 0, 1, 1);
+      backend.flush();
+      expect(child.stdin.write).toHaveBeenCalledTimes(1);
+
+      child.stdin.write.mock.calls[0][1]();
+      expect(child.stdin.write).toHaveBeenCalledTimes(2);
+      expect(child.stdin.write.mock.calls[1][0]).toBe(child.stdin.write.mock.calls[0][0]);
+      expect([...child.stdin.write.mock.calls[1][0]]).toEqual([5, 6, 0, 0, 1, 2, 3, 4]);
+
+      // Writes fail once the pipeline is gone
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      child.emit('exit', 1, null);
+      expect(() => backend.flush()).toThrow('kmssink pipeline is not running');
+      backend.close();
+    });
+  });
+
+  describe('Sinks', () => {
+    function openSink(display) {
+      const framebuffer = new Framebuffer({ display: { width: 4, height: 2, ...display } }, perfMonitor);
+      expect(framebuffer.open()).toBe(true);
+      return framebuffer;
+    }
+
+    const solid = (r, g, b) => sharp({ create: { width: 4, height: 2, channels: 3, background: { r, g, b } } }).png().toBuffer();
+
+    it('should write the latest frame as a PNG file', async () => {
+      const file = path.join(tmpDir, 'frame.png');
+      const framebuffer = openSink({ output: 'image', sink: { path: file } });
+
+      await framebuffer.writeFull(await solid(10, 20, 30));
+      await framebuffer.backend.drain();
+
+      const { data, info } = await sharp(file).raw().toBuffer({ resolveWithObject: true });
+      expect(info).toEqual(expect.objectContaining({ width: 4, height: 2 }));
+      expect((await sharp(file).metadata()).format).toBe('png');
+      expect([...data.subarray(0, 3)]).toEqual([10, 20, 30]);
+      expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+      framebuffer.close();
+    });
+
+    it('should only send every Nth frame', async () => {
+      const file = path.join(tmpDir, 'frame.jpg');
+      const framebuffer = openSink({ output: 'image', sink: { path: file, every: 2 } });
+
+      await framebuffer.writeFull(await solid(255, 0, 0));
+      await framebuffer.backend.drain();
+      expect(fs.existsSync(file)).toBe(false);
+
+      await framebuffer.writeFull(await solid(0, 0, 255));
+      await framebuffer.backend.drain();
+      expect((await sharp(file).metadata()).format).toBe('jpeg');
+      framebuffer.close();
+    });
+
+    it('should append raw frames in the configured pixel format', async () => {
+      const file = path.join(tmpDir, 'frames.raw');
+      const framebuffer = openSink({ output: 'raw', pixelFormat: 'rgb565', sink: { path: file } });
+
+      await framebuffer.writeFull(await solid(255, 255, 255));
+      await framebuffer.backend.drain();
+      await framebuffer.writeFull(await solid(0, 0, 0));
+      await framebuffer.backend.drain();
+      framebuffer.close();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const data = fs.readFileSync(file);
+      expect(data.length).toBe(2 * 4 * 2 * 2);
+      expect(data.readUInt16LE(0)).toBe(0xffff);
+      expect(data.readUInt16LE(16)).toBe(0);
+    });
+
+    it('should serve the current frame and an MJPEG stream over HTTP', async () => {
+      const framebuffer = openSink({ output: 'mjpeg', sink: { port: 0 } });
+      const backend = framebuffer.backend;
+      await new Promise(resolve => backend.server.once('listening', resolve));
+      const { port } = backend.server.address();
+      await framebuffer.writeFull(await solid(0, 255, 0));
+
+      const get = url => new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${port}${url}`, resolve).on('error', reject);
+      });
+
+      const frame = await get('/frame.jpg');
+      const chunks = [];
+      for await (const chunk of frame) {
+        chunks.push(chunk);
+      }
+      expect(frame.headers['content-type']).toBe('image/jpeg');
+      expect(await sharp(Buffer.concat(chunks)).metadata()).toEqual(expect.objectContaining({ width: 4, height: 2 }));
+
+      const stream = await get('/stream.mjpg');
+      expect(stream.headers['content-type']).toBe('multipart/x-mixed-replace; boundary=web2fb-frame');
+      const parts = [];
+      const twoParts = new Promise(resolve => {
+        stream.on('data', chunk => {
+          parts.push(chunk.toString('latin1'));
+          if (parts.join('').split('--web2fb-frame').length > 2) {
+            resolve();
+          }
+        });
+      });
+      await framebuffer.writeFull(await solid(0, 0, 255));
+      await twoParts;
+
+      expect((await get('/nope')).statusCode).toBe(404);
+      framebuffer.close();
+      expect(backend.clients.size).toBe(0);
+    });
+
+    it('should not encode frames while nobody watches', () => {
+      const backend = new MjpegSink({ display: { width: 4, height: 2 } });
+      backend.frame = Buffer.alloc(32);
+      const send = jest.spyOn(backend, '_send');
+
+      backend.flush();
+
+      expect(send).not.toHaveBeenCalled();
+      expect(backend.jpeg).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const { generateOverlay } = require('../../lib/overlays');
+const { generateOverlay, getOverlayText, getClockHands, getOverlayContent, isOverlayDue, hasOverlayChanged, getChangedOverlays } = require('../../lib/overlays');
 
 describe('Overlay Generation', () => {
   const mockRegion = {
@@ -66,6 +66,53 @@ describe('Overlay Generation', () => {
     });
   });
 
+  describe('Analog Clock Overlay', () => {
+    const time = new Date(2025, 11, 19, 3, 15, 30, 500);
+    const style = { fontSize: 24, fontFamily: 'Roboto', color: '#ffffff' };
+
+    it('should place the hands for the time', () => {
+      expect(getClockHands({ type: 'analog-clock' }, time)).toEqual({ hour: 97.75, minute: 93, second: 180 });
+      expect(getClockHands({ type: 'analog-clock', analog: { sweep: true } }, time).second).toBe(183);
+    });
+
+    it('should step the minute hand once a minute without a second hand', () => {
+      const hands = getClockHands({ type: 'analog-clock', analog: { hands: { second: false } } }, time);
+      expect(hands).toEqual({ hour: 97.5, minute: 90, second: null });
+    });
+
+    it('should render the face, numerals and hands for _renderTime', () => {
+      const overlay = {
+        type: 'analog-clock',
+        style,
+        analog: { face: '#202020', numerals: 'roman', hands: { second: { color: '#ff0000', width: 2 } } },
+        _renderTime: time
+      };
+
+      const svg = generateOverlay(overlay, mockRegion).toString();
+      expect(svg).toContain('width="600" height="100"');
+      expect(svg).toContain('fill="#202020"');
+      expect(svg).toContain('>XII</text>');
+      expect(svg).toContain('font-family="Roboto"');
+      expect(svg).toContain('stroke="#ff0000" stroke-width="2.00"');
+      // Hour, minute and second hands
+      expect(svg.match(/stroke-linecap="round"/g)).toHaveLength(3);
+    });
+
+    it('should leave out ticks, numerals and the second hand when configured', () => {
+      const overlay = {
+        type: 'analog-clock',
+        style,
+        analog: { ticks: 'none', numerals: 'none', borderWidth: 0, hands: { second: false } },
+        _renderTime: time
+      };
+
+      const svg = generateOverlay(overlay, mockRegion).toString();
+      expect(svg).not.toContain('<text');
+      expect(svg).not.toMatch(/<circle[^>]*stroke/);
+      expect(svg.match(/<line/g)).toHaveLength(2);
+    });
+  });
+
   describe('Date Overlay', () => {
     it('should generate date SVG with current date', () => {
       const overlay = {
@@ -212,4 +259,99 @@ describe('Overlay Generation', () => {
       expect(svgContent).toContain('<svg');
     });
   });
+
+  describe('Update Interval', () => {
+    const minute = Date.UTC(2025, 11, 19, 12, 35, 0);
+
+    it('should be due every second by default', () => {
+      expect(isOverlayDue({}, minute + 1000)).toBe(true);
+      expect(isOverlayDue({}, minute + 2000)).toBe(true);
+    });
+
+    it('should be due once per interval, on the interval boundary', () => {
+      const overlay = { updateInterval: 60000 };
+
+      expect(isOverlayDue(overlay, minute)).toBe(true);
+      expect(isOverlayDue(overlay, minute + 1000)).toBe(false);
+      expect(isOverlayDue(overlay, minute + 59000)).toBe(false);
+      expect(isOverlayDue(overlay, minute + 60000)).toBe(true);
+    });
+
+    it('should count boundaries since the previous tick', () => {
+      // E-paper ticks once a minute: a 5s overlay is due at every tick
+      expect(isOverlayDue({ updateInterval: 5000 }, minute + 60000, 60000)).toBe(true);
+      expect(isOverlayDue({ updateInterval: 300000 }, minute + 60000, 60000)).toBe(false);
+    });
+  });
+
+  describe('Overlay Text', () => {
+    const time = new Date(2025, 11, 19, 12, 34, 56);
+
+    it('should only show the clock fields set in format', () => {
+      expect(getOverlayText({ type: 'clock', format: { hour: '2-digit', minute: '2-digit', hour12: false } }, time)).toBe('12:34');
+      expect(getOverlayText({ type: 'clock', format: { hour12: false } }, time)).toBe('12:34:56');
+    });
+
+    it('should render dates for the display time', () => {
+      const svg = generateOverlay({ type: 'date', format: { year: 'numeric' }, _renderTime: new Date(2031, 0, 1) }, mockRegion).toString();
+      expect(svg).toContain('2031');
+    });
+
+    it('should have no text for custom overlays', () => {
+      expect(getOverlayText({ type: 'custom' }, time)).toBeNull();
+    });
+  });
+
+  describe('Change Detection', () => {
+    const at = (hours, minutes, seconds) => new Date(2025, 11, 19, hours, minutes, seconds).getTime();
+    const hhmm = { type: 'clock', format: { hour: '2-digit', minute: '2-digit', hour12: false } };
+
+    // State of an overlay that last drew at the given time
+    const drawnAt = (overlay, time) => ({ renderedContent: getOverlayContent(overlay, new Date(time)) });
+
+    it('should only change an HH:MM clock on the minute', () => {
+      const state = drawnAt(hhmm, at(12, 34, 0));
+      expect(hasOverlayChanged(hhmm, state, at(12, 34, 59))).toBe(false);
+      expect(hasOverlayChanged(hhmm, state, at(12, 35, 0))).toBe(true);
+      expect(hasOverlayChanged(hhmm, drawnAt(hhmm, at(12, 35, 0)), at(12, 35, 1))).toBe(false);
+    });
+
+    it('should compare against what was last drawn, not the previous tick', () => {
+      // The 12:35 frame never reached the screen: 12:35:01 still changes
+      expect(hasOverlayChanged(hhmm, drawnAt(hhmm, at(12, 34, 0)), at(12, 35, 1))).toBe(true);
+      expect(hasOverlayChanged({ type: 'date' }, drawnAt({ type: 'date' }, at(12, 40, 0)), at(23, 59, 0))).toBe(false);
+      expect(hasOverlayChanged({ type: 'date' }, drawnAt({ type: 'date' }, at(12, 40, 0)), at(0, 0, 0) + 86400000)).toBe(true);
+    });
+
+    it('should change overlays whose content on screen is unknown', () => {
+      expect(hasOverlayChanged(hhmm, {}, at(12, 34, 59))).toBe(true);
+      expect(hasOverlayChanged({ type: 'text', text: 'Online' }, { renderedContent: undefined }, at(12, 0, 0))).toBe(true);
+    });
+
+    it('should change an analog clock when a hand moves', () => {
+      const analog = { type: 'analog-clock' };
+      const noSeconds = { type: 'analog-clock', analog: { hands: { second: false } } };
+      expect(hasOverlayChanged(analog, drawnAt(analog, at(12, 34, 55)), at(12, 34, 56))).toBe(true);
+      expect(hasOverlayChanged(noSeconds, drawnAt(noSeconds, at(12, 34, 55)), at(12, 34, 56))).toBe(false);
+      expect(hasOverlayChanged(noSeconds, drawnAt(noSeconds, at(12, 34, 59)), at(12, 35, 0))).toBe(true);
+    });
+
+    it('should draw overlays that are due and changed, or unknown on screen', () => {
+      const slow = { ...hhmm, name: 'slow', updateInterval: 300000 };
+      const states = new Map([['slow', drawnAt(slow, at(12, 30, 0))]]);
+      // 12:34 differs from 12:30, but the next interval starts at 12:35
+      expect(getChangedOverlays([slow], states, at(12, 34, 0))).toEqual([]);
+      expect(getChangedOverlays([slow], states, at(12, 35, 0))).toEqual([slow]);
+
+      states.set('slow', {});
+      expect(getChangedOverlays([slow], states, at(12, 34, 0))).toEqual([slow]);
+      expect(getChangedOverlays([{ ...hhmm, name: 'no-state' }], states, at(12, 35, 0))).toEqual([]);
+    });
+
+    it('should never change static text and always change custom overlays', () => {
+      const text = { type: 'text', text: 'Online' };
+      expect(hasOverlayChanged(text, drawnAt(text, at(11, 0, 0)), at(12, 0, 0))).toBe(false);
+      expect(hasOverlayChanged({ type: 'custom' }, { renderedContent: null }, at(12, 0, 0))).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,198 @@
+const {
+  createPixelFormat,
+  getPixelFormat,
+  defaultPixelFormat,
+  describePixelFormat,
+  parseFbsetOutput,
+  createQuantizer,
+  indexPixels,
+  packBits,
+  packPixels,
+  unpackPixels
+} = require('../../lib/pixel-format');
+
+const FBSET_OUTPUT = `
+mode "1920x1080"
+    geometry 1920 1080 1920 1080 32
+    timings 0 0 0 0 0 0 0
+    rgba 8/16,8/8,8/0,8/24
+endmode
+
+Frame buffer device information:
+    Name        : BCM2708 FB
+    Address     : 0x3eaa7000
+    Size        : 8355840
+    Type        : PACKED PIXELS
+    Visual      : TRUECOLOR
+    LineLength  : 7744
+    Accelerator : No
+`;
+
+describe('Pixel Format', () => {
+  const rgb = Buffer.from([255, 128, 0]);
+  const rgba = Buffer.from([255, 128, 0, 200]);
+
+  describe('formats', () => {
+    it('should recognize named layouts from bitfields', () => {
+      const format = createPixelFormat(32, { red: [16, 8], green: [8, 8], blue: [0, 8], transp: [24, 8] });
+      expect(format.name).toBe('bgra');
+      expect(format.bytesPerPixel).toBe(4);
+    });
+
+    it('should describe unnamed layouts in fbset notation', () => {
+      const format = createPixelFormat(16, { red: [10, 5], green: [5, 5], blue: [0, 5] });
+      expect(format.name).toBeNull();
+      expect(describePixelFormat(format)).toBe('rgba 5/10,5/5,5/0,0/0');
+    });
+
+    it('should default to the previous RGBA/RGB/RGB565 behavior', () => {
+      expect(defaultPixelFormat(32).name).toBe('rgba');
+      expect(defaultPixelFormat(24).name).toBe('rgb');
+      expect(defaultPixelFormat(16).name).toBe('rgb565');
+      expect(defaultPixelFormat(12)).toBeNull();
+    });
+
+    it('should reject unknown names', () => {
+      expect(() => getPixelFormat('yuv')).toThrow("Unknown pixel format 'yuv'");
+    });
+  });
+
+  describe('parseFbsetOutput', () => {
+    it('should read the bitfields and line length', () => {
+      const result = parseFbsetOutput(FBSET_OUTPUT);
+
+      expect(result.bpp).toBe(32);
+      expect(result.format.name).toBe('bgra');
+      expect(result.lineLength).toBe(7744);
+    });
+
+    it('should read the visible and virtual geometry', () => {
+      const result = parseFbsetOutput('geometry 1920 1080 1920 2160 32');
+      expect(result).toEqual(expect.objectContaining({ width: 1920, height: 1080, virtualHeight: 2160 }));
+    });
+
+    it('should recognize grayscale and inverted mono panels', () => {
+      expect(parseFbsetOutput('geometry 128 64 128 64 8\n rgba 8/0,8/0,8/0,0/0').format.name).toBe('gray8');
+
+      const mono = parseFbsetOutput('geometry 128 64 128 64 1\n rgba 1/0,1/0,1/0,0/0\n Visual : MONO01');
+      expect(mono.format.name).toBe('mono01');
+      expect(mono.format.invert).toBe(true);
+    });
+
+    it('should return nulls for unrelated output', () => {
+      expect(parseFbsetOutput('fbset: command not found')).toEqual({
+        bpp: null,
+        format: null,
+        lineLength: null,
+        width: null,
+        height: null,
+        virtualHeight: null
+      });
+    });
+  });
+
+  describe('packPixels', () => {
+    it('should return RGBA and RGB buffers untouched for matching layouts', () => {
+      expect(packPixels(rgba, 4, getPixelFormat('rgba'))).toBe(rgba);
+      expect(packPixels(rgb, 3, getPixelFormat('rgb'))).toBe(rgb);
+    });
+
+    it('should reorder channels for BGR layouts', () => {
+      expect([...packPixels(rgba, 4, getPixelFormat('bgra'))]).toEqual([0, 128, 255, 200]);
+      expect([...packPixels(rgba, 4, getPixelFormat('argb'))]).toEqual([200, 255, 128, 0]);
+      expect([...packPixels(rgb, 3, getPixelFormat('bgr'))]).toEqual([0, 128, 255]);
+    });
+
+    it('should fill the alpha byte when packing RGB into 32bpp', () => {
+      expect([...packPixels(rgb, 3, getPixelFormat('bgra'))]).toEqual([0, 128, 255, 255]);
+    });
+
+    it('should pack RGB565 and BGR565', () => {
+      expect(packPixels(rgb, 3, getPixelFormat('rgb565')).readUInt16LE(0)).toBe((31 << 11) | (32 << 5));
+      expect(packPixels(rgba, 4, getPixelFormat('bgr565')).readUInt16LE(0)).toBe((32 << 5) | 31);
+    });
+  });
+
+  describe('indexed formats', () => {
+    it('should require a palette for palette8', () => {
+      expect(() => getPixelFormat('palette8')).toThrow('requires display.palette');
+      expect(() => getPixelFormat('palette8', { palette: ['red'] })).toThrow("Invalid palette color 'red'");
+      expect(getPixelFormat('palette8', { palette: ['#000', '#ff0000'] }).palette).toEqual([[0, 0, 0], [255, 0, 0]]);
+    });
+
+    it('should quantize to gray levels by luminance', () => {
+      const quantizer = createQuantizer(getPixelFormat('gray4'));
+      const out = Buffer.alloc(3);
+
+      expect(quantizer.quantize(255, 255, 255, out, 0)).toBe(15);
+      expect(quantizer.quantize(0, 255, 0, out, 0)).toBe(9); // Green is ~59% luminance
+      expect([...out]).toEqual([153, 153, 153]);
+      expect(quantizer.color(15)).toEqual([255, 255, 255]);
+    });
+
+    it('should invert mono01', () => {
+      const quantizer = createQuantizer(getPixelFormat('mono01'));
+      expect(quantizer.quantize(0, 0, 0)).toBe(1);
+      expect(quantizer.color(1)).toEqual([0, 0, 0]);
+    });
+
+    it('should quantize rgb332 per channel', () => {
+      const quantizer = createQuantizer(getPixelFormat('rgb332'));
+      expect(quantizer.quantize(255, 0, 255)).toBe((7 << 5) | 3);
+      expect(quantizer.color((7 << 5) | 3)).toEqual([255, 0, 255]);
+    });
+
+    it('should pick the nearest palette color', () => {
+      const quantizer = createQuantizer(getPixelFormat('palette8', { palette: ['#000000', '#ffffff', '#ff0000'] }));
+      const out = Buffer.alloc(3);
+
+      expect(quantizer.quantize(200, 40, 30, out, 0)).toBe(2);
+      expect([...out]).toEqual([255, 0, 0]);
+      expect(quantizer.quantize(255, 255, 255)).toBe(1);
+    });
+
+    it('should index pixels one value per pixel', () => {
+      const format = getPixelFormat('mono10');
+      const values = indexPixels(Buffer.from([255, 255, 255, 255, 0, 0, 0, 0]), 4, createQuantizer(format));
+      expect([...values]).toEqual([1, 0]);
+    });
+
+    it('should pack sub-byte values in either bit order, keeping other bits', () => {
+      const values = Buffer.from([1, 0, 1, 1]);
+
+      const lsb = Buffer.from([0b11110000]);
+      packBits(values, 0, 4, getPixelFormat('mono10'), lsb, 0);
+      expect(lsb[0]).toBe(0b11111101);
+
+      const msb = Buffer.from([0b00001111]);
+      packBits(values, 0, 4, getPixelFormat('mono10', { bitOrder: 'msb' }), msb, 0);
+      expect(msb[0]).toBe(0b10111111);
+
+      const gray = Buffer.alloc(2);
+      packBits(Buffer.from([0xa, 0x5, 0xf]), 0, 3, getPixelFormat('gray4'), gray, 4);
+      expect([...gray]).toEqual([0xa0, 0xf5]);
+    });
+  });
+
+  describe('unpackPixels', () => {
+    it.each(['rgba', 'bgra', 'abgr', 'rgb', 'bgr'])('should round-trip %s', name => {
+      const format = getPixelFormat(name);
+      expect([...unpackPixels(packPixels(rgb, 3, format), format)]).toEqual([255, 128, 0]);
+    });
+
+    it('should unpack byte-aligned sub-byte lines', () => {
+      // 3 pixels per line, 2 lines: white, black, white / black, white, black
+      const raw = Buffer.from([0b101, 0b010]);
+      const rgb = unpackPixels(raw, getPixelFormat('mono10'), 3);
+
+      expect(rgb.length).toBe(18);
+      expect([...rgb.subarray(0, 9)]).toEqual([255, 255, 255, 0, 0, 0, 255, 255, 255]);
+      expect([...rgb.subarray(9)]).toEqual([0, 0, 0, 255, 255, 255, 0, 0, 0]);
+    });
+
+    it('should expand 16bpp channels to 8 bits', () => {
+      const format = getPixelFormat('bgr565');
+      expect([...unpackPixels(packPixels(Buffer.from([255, 255, 0]), 3, format), format)]).toEqual([255, 255, 0]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  parseTime,
+  parseDays,
+  normalizeSchedule,
+  isRuleActive,
+  getScheduleState,
+  scheduleStateChanged
+} = require('../../lib/schedule');
+
+// 2024-01-01 is a Monday
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2024, 0, day, hours, minutes);
+};
+
+describe('Schedule', () => {
+  describe('parseTime', () => {
+    it('should parse HH:MM into minutes', () => {
+      expect(parseTime('00:00', 'from')).toBe(0);
+      expect(parseTime('7:30', 'from')).toBe(450);
+      expect(parseTime('24:00', 'to')).toBe(1440);
+    });
+
+    it('should reject invalid times', () => {
+      expect(() => parseTime('7pm', 'from')).toThrow('HH:MM');
+      expect(() => parseTime('25:00', 'to')).toThrow('not a valid time');
+      expect(() => parseTime('12:60', 'to')).toThrow('not a valid time');
+    });
+  });
+
+  describe('parseDays', () => {
+    it('should default to every day', () => {
+      expect(parseDays(undefined).size).toBe(7);
+    });
+
+    it('should parse names, ranges and aliases', () => {
+      expect([...parseDays('mon-fri')]).toEqual([1, 2, 3, 4, 5]);
+      expect([...parseDays(['Saturday', 'sun'])]).toEqual([6, 0]);
+      expect([...parseDays('weekends')]).toEqual([0, 6]);
+      expect([...parseDays('fri-mon')]).toEqual([5, 6, 0, 1]);
+    });
+
+    it('should reject unknown days', () => {
+      expect(() => parseDays('funday')).toThrow("Unknown day 'funday'");
+    });
+  });
+
+  describe('normalizeSchedule', () => {
+    it('should name rules and pre-parse times', () => {
+      const [rule] = normalizeSchedule([{ from: '22:00', to: '06:00', dim: 0.3 }]);
+      expect(rule.name).toBe('rule-1');
+      expect(rule.fromMinutes).toBe(1320);
+      expect(rule.toMinutes).toBe(360);
+    });
+
+    it('should reject rules without an effect', () => {
+      expect(() => normalizeSchedule([{ name: 'noop', from: '08:00' }]))
+        .toThrow('schedule[0] (noop): rule has no effect');
+    });
+
+    it('should reject out-of-range dim values', () => {
+      expect(() => normalizeSchedule([{ dim: 1.5 }])).toThrow('dim must be a number between 0 and 1');
+    });
+  });
+
+  describe('isRuleActive', () => {
+    it('should match same-day windows', () => {
+      const [rule] = normalizeSchedule([{ days: 'weekdays', from: '09:00', to: '17:00', blank: true }]);
+      expect(isRuleActive(rule, at(1, '09:00'))).toBe(true);
+      expect(isRuleActive(rule, at(1, '17:00'))).toBe(false);
+      expect(isRuleActive(rule, at(6, '12:00'))).toBe(false); // Saturday
+    });
+
+    it('should attribute overnight windows to the start day', () => {
+      const [rule] = normalizeSchedule([{ days: 'fri', from: '22:00', to: '06:00', blank: true }]);
+      expect(isRuleActive(rule, at(5, '23:00'))).toBe(true); // Friday night
+      expect(isRuleActive(rule, at(6, '05:59'))).toBe(true); // Saturday morning
+      expect(isRuleActive(rule, at(5, '05:00'))).toBe(false); // Friday morning
+    });
+  });
+
+  describe('getScheduleState', () => {
+    const rules = normalizeSchedule([
+      { name: 'evening', from: '18:00', to: '23:00', dim: 0.5, page: 'weather' },
+      { name: 'late', from: '22:00', to: '23:00', dim: 0.2 }
+    ]);
+
+    it('should return defaults when no rule is active', () => {
+      expect(getScheduleState(rules, at(1, '12:00'))).toEqual({
+        blank: false, brightness: 1, url: null, page: null, rules: []
+      });
+    });
+
+    it('should let later rules override earlier ones', () => {
+      const state = getScheduleState(rules, at(1, '22:30'));
+      expect(state.brightness).toBe(0.2);
+      expect(state.page).toBe('weather');
+      expect(state.rules).toEqual(['evening', 'late']);
+    });
+
+    it('should detect display changes only', () => {
+      const a = getScheduleState(rules, at(1, '19:00'));
+      const b = getScheduleState(rules, at(1, '20:00'));
+      const c = getScheduleState(rules, at(1, '22:30'));
+      expect(scheduleStateChanged(a, b)).toBe(false);
+      expect(scheduleStateChanged(b, c)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,723 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const sharp = require('sharp');
+const { describeProviderConformance } = require('../helpers/provider-conformance');
+
+jest.mock('puppeteer', () => ({ launch: jest.fn(), connect: jest.fn() }));
+
+const puppeteer = require('puppeteer');
+const {
+  ScreenshotProvider,
+  LocalScreenshotProvider,
+  ConnectScreenshotProvider,
+  RemoteScreenshotProvider,
+  ImageScreenshotProvider,
+  createScreenshotProvider,
+  registerScreenshotProvider,
+  getScreenshotProviderModes,
+  getProcessTreeRssMB
+} = require('../../lib/screenshot-providers');
+
+// Screenshot returned by mocked browsers and workers (conformance checks its size)
+let displayImage;
+beforeAll(async () => {
+  displayImage = await sharp({
+    create: { width: 320, height: 240, channels: 3, background: { r: 0, g: 0, b: 255 } }
+  }).jpeg().toBuffer();
+});
+
+/**
+ * Fake puppeteer browser with a single reusable page
+ */
+function createFakeBrowser() {
+  const browser = new EventEmitter();
+  let currentUrl = 'about:blank';
+  let viewport = null;
+
+  const page = {
+    evaluateOnNewDocument: jest.fn(async () => {}),
+    setViewport: jest.fn(async size => { viewport = size; }),
+    viewport: jest.fn(() => viewport),
+    setUserAgent: jest.fn(async () => {}),
+    goto: jest.fn(async url => { currentUrl = url; }),
+    reload: jest.fn(async () => {}),
+    url: jest.fn(() => currentUrl),
+    evaluate: jest.fn(async () => {}),
+    waitForFunction: jest.fn(async () => {}),
+    addStyleTag: jest.fn(async () => ({ evaluate: jest.fn(async () => {}) })),
+    isClosed: jest.fn(() => false),
+    screenshot: jest.fn(async () => Buffer.from('jpeg')),
+    close: jest.fn(async () => {}),
+    setExtraHTTPHeaders: jest.fn(async () => {}),
+    authenticate: jest.fn(async () => {}),
+    setCookie: jest.fn(async () => {}),
+    waitForSelector: jest.fn(async () => {}),
+    click: jest.fn(async () => {})
+  };
+
+  browser.connected = true;
+  browser.page = page;
+  browser.newPage = jest.fn(async () => page);
+  browser.pages = jest.fn(async () => []);
+  browser.process = jest.fn(() => null);
+  browser.disconnect = jest.fn(async () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  });
+  browser.close = jest.fn(async () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  });
+
+  return browser;
+}
+
+describe('LocalScreenshotProvider', () => {
+  let browsers;
+
+  const createProvider = (browser = {}) => new LocalScreenshotProvider({
+    display: { url: 'https://example.com', width: 800, height: 480 },
+    browser
+  });
+
+  // Capture waits for lazy loading and restyling, so run the timers
+  const capture = async (provider, options) => {
+    const result = provider.captureScreenshot([], options);
+    result.catch(() => {}); // Checked by the caller once the timers have run
+    await jest.advanceTimersByTimeAsync(5000);
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    browsers = [];
+    puppeteer.launch.mockImplementation(async () => {
+      const browser = createFakeBrowser();
+      browsers.push(browser);
+      return browser;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should launch and close a browser per screenshot by default', async () => {
+    const provider = createProvider();
+
+    await capture(provider);
+    await capture(provider);
+
+    expect(browsers).toHaveLength(2);
+    expect(browsers.every(browser => browser.close.mock.calls.length === 1)).toBe(true);
+  });
+
+  describe('persistent session', () => {
+    it('should reuse the browser and reload the page', async () => {
+      const provider = createProvider({ sessionMode: 'persistent' });
+
+      const screenshot = await capture(provider);
+      await capture(provider);
+
+      expect(screenshot.toString()).toBe('jpeg');
+      expect(browsers).toHaveLength(1);
+      expect(browsers[0].page.goto).toHaveBeenCalledTimes(1);
+      expect(browsers[0].page.reload).toHaveBeenCalledTimes(1);
+      expect(provider.getStatus()).toMatchObject({ sessionMode: 'persistent', browserRunning: true, captures: 2 });
+    });
+
+    it('should navigate when the URL changes', async () => {
+      const provider = createProvider({ sessionMode: 'persistent' });
+
+      await capture(provider);
+      await capture(provider, { url: 'https://example.com/other' });
+
+      expect(browsers[0].page.goto).toHaveBeenLastCalledWith('https://example.com/other', expect.any(Object));
+      expect(browsers[0].page.reload).not.toHaveBeenCalled();
+    });
+
+    it('should keep reloading when the page redirected', async () => {
+      const provider = createProvider({ sessionMode: 'persistent' });
+
+      await capture(provider);
+      browsers[0].page.url.mockReturnValue('https://example.com/dashboard/');
+      await capture(provider);
+      await capture(provider);
+
+      expect(browsers[0].page.goto).toHaveBeenCalledTimes(1);
+      expect(browsers[0].page.reload).toHaveBeenCalledTimes(2);
+    });
+
+    it('should resize the viewport for captures of another size', async () => {
+      const provider = createProvider({ sessionMode: 'persistent' });
+
+      await capture(provider);
+      await capture(provider, { width: 320, height: 240 });
+      await capture(provider, { width: 320, height: 240 });
+
+      expect(browsers).toHaveLength(1);
+      expect(browsers[0].page.setViewport.mock.calls).toEqual([
+        [{ width: 800, height: 480 }],
+        [{ width: 320, height: 240 }]
+      ]);
+    });
+
+    it('should recycle the browser after maxCaptures', async () => {
+      const provider = createProvider({ sessionMode: 'persistent', maxCaptures: 2 });
+
+      await capture(provider);
+      await capture(provider);
+      expect(browsers[0].close).toHaveBeenCalled();
+
+      await capture(provider);
+      expect(browsers).toHaveLength(2);
+    });
+
+    it('should recycle the browser when memory exceeds maxMemoryMB', async () => {
+      const provider = createProvider({ sessionMode: 'persistent', maxMemoryMB: 50 });
+      jest.spyOn(require('child_process'), 'execSync').mockImplementation(() => {}); // renice
+      puppeteer.launch.mockImplementation(async () => {
+        const browser = createFakeBrowser();
+        browser.process.mockReturnValue({ pid: process.pid, killed: true });
+        browsers.push(browser);
+        return browser;
+      });
+
+      await capture(provider);
+
+      // This jest worker is well above 50MB
+      expect(browsers[0].close).toHaveBeenCalled();
+      expect(provider.getStatus().browserRunning).toBe(false);
+    });
+
+    it('should close the browser when a capture fails', async () => {
+      const provider = createProvider({ sessionMode: 'persistent' });
+      puppeteer.launch.mockImplementationOnce(async () => {
+        const browser = createFakeBrowser();
+        browser.page.screenshot.mockRejectedValue(new Error('Target closed'));
+        browsers.push(browser);
+        return browser;
+      });
+
+      await expect(capture(provider)).rejects.toThrow('Target closed');
+      expect(browsers[0].close).toHaveBeenCalled();
+
+      await capture(provider);
+      expect(browsers).toHaveLength(2);
+    });
+
+    it('should emit crash when the browser disconnects unexpectedly', async () => {
+      const provider = createProvider({ sessionMode: 'persistent' });
+      const onCrash = jest.fn();
+      provider.on('crash', onCrash);
+
+      await capture(provider);
+      browsers[0].emit('disconnected');
+
+      expect(onCrash).toHaveBeenCalledWith('persistent browser disconnected');
+    });
+
+    it('should not emit crash when closing the browser itself', async () => {
+      const provider = createProvider({ sessionMode: 'persistent', maxCaptures: 1 });
+      const onCrash = jest.fn();
+      provider.on('crash', onCrash);
+
+      await capture(provider);
+      await provider.cleanup();
+
+      expect(browsers[0].close).toHaveBeenCalled();
+      expect(onCrash).not.toHaveBeenCalled();
+    });
+  });
+
+  // Conformance config is 320x240, matching displayImage
+  const createConformanceProvider = config => {
+    puppeteer.launch.mockImplementation(async () => {
+      const browser = createFakeBrowser();
+      browser.page.screenshot.mockResolvedValue(displayImage);
+      return browser;
+    });
+    return new LocalScreenshotProvider(config);
+  };
+  const conformanceCapture = async (provider, hideSelectors, options) => {
+    const result = provider.captureScreenshot(hideSelectors, options);
+    await jest.advanceTimersByTimeAsync(5000);
+    return result;
+  };
+
+  describeProviderConformance('fresh session', createConformanceProvider, {
+    capture: conformanceCapture,
+    invalidConfig: { display: {}, browser: {} }
+  });
+
+  describeProviderConformance('persistent session', createConformanceProvider, {
+    capture: conformanceCapture,
+    config: {
+      display: { url: 'https://example.com', width: 320, height: 240 },
+      browser: { sessionMode: 'persistent' }
+    }
+  });
+
+  describe('authentication', () => {
+    const auth = {
+      cookies: [{ name: 'session', value: 'abc' }],
+      login: { url: 'https://example.com/login', steps: [{ click: '#sign-in' }] }
+    };
+
+    it('should set cookies and log in before every fresh capture', async () => {
+      const provider = createProvider(auth);
+
+      await capture(provider);
+      await capture(provider);
+
+      browsers.forEach(browser => {
+        expect(browser.page.setCookie).toHaveBeenCalledWith({ name: 'session', value: 'abc', url: 'https://example.com' });
+        expect(browser.page.click).toHaveBeenCalledWith('#sign-in');
+      });
+    });
+
+    it('should log in once per persistent browser', async () => {
+      const provider = createProvider({ ...auth, sessionMode: 'persistent' });
+
+      await capture(provider);
+      await capture(provider);
+
+      expect(browsers[0].page.click).toHaveBeenCalledTimes(1);
+      expect(browsers[0].page.goto).toHaveBeenCalledWith('https://example.com/login', expect.any(Object));
+    });
+  });
+
+  describe('getProcessTreeRssMB', () => {
+    it('should read the resident memory of a process', () => {
+      expect(getProcessTreeRssMB(process.pid)).toBeGreaterThan(0);
+    });
+
+    it('should return null for unknown processes', () => {
+      expect(getProcessTreeRssMB(null)).toBeNull();
+      expect(getProcessTreeRssMB(999999999)).toBeNull();
+    });
+  });
+});
+
+describe('ConnectScreenshotProvider', () => {
+  let browsers;
+
+  const createProvider = (browser = {}) => new ConnectScreenshotProvider({
+    display: { url: 'https://example.com', width: 320, height: 240 },
+    browser: { mode: 'connect', browserURL: 'http://127.0.0.1:9222', ...browser }
+  });
+
+  // Captures and connection retries wait on timers
+  const settle = async promise => {
+    promise.catch(() => {}); // Checked by the caller once the timers have run
+    await jest.advanceTimersByTimeAsync(5000);
+    return promise;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    browsers = [];
+    puppeteer.launch.mockClear();
+    puppeteer.connect.mockReset();
+    puppeteer.connect.mockImplementation(async () => {
+      const browser = createFakeBrowser();
+      browser.page.screenshot.mockResolvedValue(displayImage);
+      browsers.push(browser);
+      return browser;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should connect to the configured endpoint', async () => {
+    const provider = createProvider({ browserWSEndpoint: 'ws://127.0.0.1:9222/devtools/browser/abc' });
+    await provider.initialize();
+
+    expect(puppeteer.launch).not.toHaveBeenCalled();
+    expect(puppeteer.connect).toHaveBeenCalledWith({
+      browserWSEndpoint: 'ws://127.0.0.1:9222/devtools/browser/abc',
+      defaultViewport: null
+    });
+  });
+
+  it('should wait for the browser to come up during initialize', async () => {
+    puppeteer.connect
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    const provider = createProvider();
+
+    await settle(provider.initialize());
+
+    expect(puppeteer.connect).toHaveBeenCalledTimes(3);
+    expect(provider.getStatus().connected).toBe(true);
+  });
+
+  it('should give up after connectTimeout', async () => {
+    puppeteer.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+    const provider = createProvider({ connectTimeout: 3000 });
+
+    await expect(settle(provider.initialize())).rejects.toThrow('Could not connect to http://127.0.0.1:9222 within 3000ms');
+  });
+
+  it('should capture in its own tab without closing the browser', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+
+    await settle(provider.captureScreenshot());
+    await settle(provider.captureScreenshot());
+
+    const [browser] = browsers;
+    expect(browser.newPage).toHaveBeenCalledTimes(1);
+    expect(browser.page.goto).toHaveBeenCalledTimes(1);
+    expect(browser.page.reload).toHaveBeenCalledTimes(1);
+
+    await provider.cleanup();
+    expect(browser.page.close).toHaveBeenCalled();
+    expect(browser.disconnect).toHaveBeenCalled();
+    expect(browser.close).not.toHaveBeenCalled();
+  });
+
+  it('should capture an existing tab as-is with connectTab: reuse', async () => {
+    const provider = createProvider({ connectTab: 'reuse' });
+    await provider.initialize();
+
+    const kioskTab = createFakeBrowser().page;
+    kioskTab.url.mockReturnValue('https://example.com/');
+    browsers[0].pages.mockResolvedValue([kioskTab]);
+
+    await settle(provider.captureScreenshot(['.clock']));
+
+    expect(kioskTab.goto).not.toHaveBeenCalled();
+    expect(kioskTab.reload).not.toHaveBeenCalled();
+    expect(kioskTab.screenshot).toHaveBeenCalled();
+    expect(browsers[0].newPage).not.toHaveBeenCalled();
+
+    // Injected styles are removed from the kiosk's tab
+    const styleTags = await Promise.all(kioskTab.addStyleTag.mock.results.map(result => result.value));
+    styleTags.forEach(tag => expect(tag.evaluate).toHaveBeenCalled());
+
+    await provider.cleanup();
+    expect(kioskTab.close).not.toHaveBeenCalled();
+  });
+
+  it('should reconnect with backoff and refresh when the browser comes back', async () => {
+    const provider = createProvider();
+    const onRefresh = jest.fn();
+    provider.on('refresh', onRefresh);
+    await provider.initialize();
+
+    puppeteer.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    browsers[0].emit('disconnected');
+    expect(provider.getStatus().connected).toBe(false);
+
+    // First retry after 1s fails, second after another 2s succeeds
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(puppeteer.connect).toHaveBeenCalledTimes(2);
+    expect(onRefresh).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(puppeteer.connect).toHaveBeenCalledTimes(3);
+    expect(onRefresh).toHaveBeenCalledWith('browser reconnected');
+    expect(provider.getStatus()).toMatchObject({ connected: true, reconnectAttempts: 0 });
+
+    await provider.cleanup();
+  });
+
+  it('should fail captures while the endpoint is down', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+
+    puppeteer.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+    browsers[0].emit('disconnected');
+
+    await expect(settle(provider.captureScreenshot())).rejects.toThrow('Not connected to http://127.0.0.1:9222: ECONNREFUSED');
+    await provider.cleanup();
+  });
+
+  describeProviderConformance('ConnectScreenshotProvider', config => new ConnectScreenshotProvider(config), {
+    capture: (provider, hideSelectors, options) => settle(provider.captureScreenshot(hideSelectors, options)),
+    config: {
+      display: { url: 'https://example.com', width: 320, height: 240 },
+      browser: { mode: 'connect', browserURL: 'http://127.0.0.1:9222' }
+    },
+    invalidConfig: { display: { url: 'https://example.com' }, browser: { mode: 'connect' } }
+  });
+});
+
+describe('RemoteScreenshotProvider', () => {
+  const createProvider = (browser = {}) => new RemoteScreenshotProvider({
+    display: { url: 'https://example.com', width: 800, height: 480 },
+    browser: { mode: 'remote', remoteScreenshotUrl: 'https://worker.example.com', remoteApiKey: 'key', ...browser }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+      ok: true,
+      headers: { get: () => 'image/jpeg' },
+      arrayBuffer: async () => displayImage
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should request screenshots with query parameters', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+    await provider.captureScreenshot(['.clock']);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(options.method).toBe('GET');
+    expect(url).toContain('url=https%3A%2F%2Fexample.com');
+    expect(url).toContain('hideSelectors=.clock');
+  });
+
+  it('should request the capture size given per capture', async () => {
+    const provider = createProvider();
+    await provider.initialize();
+    await provider.captureScreenshot([], { width: 320, height: 240 });
+
+    const [url] = global.fetch.mock.calls[0];
+    expect(url).toContain('width=320&height=240');
+  });
+
+  it('should send auth settings in a POST body', async () => {
+    const provider = createProvider({ basicAuth: { username: 'viewer', password: 'secret' } });
+    await provider.initialize();
+    await provider.captureScreenshot([]);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://worker.example.com');
+    expect(options.method).toBe('POST');
+    expect(options.headers['X-API-Key']).toBe('key');
+    expect(JSON.parse(options.body)).toMatchObject({
+      url: 'https://example.com',
+      width: '800',
+      basicAuth: { username: 'viewer', password: 'secret' }
+    });
+  });
+
+  describeProviderConformance('RemoteScreenshotProvider', config => new RemoteScreenshotProvider(config), {
+    config: {
+      display: { url: 'https://example.com', width: 320, height: 240 },
+      browser: { mode: 'remote', remoteScreenshotUrl: 'https://worker.example.com' }
+    },
+    invalidConfig: { display: { url: 'https://example.com' }, browser: { mode: 'remote' } }
+  });
+});
+
+describe('ImageScreenshotProvider', () => {
+  const RED = { r: 255, g: 0, b: 0 };
+  const GREEN = { r: 0, g: 255, b: 0 };
+  const BLUE = { r: 0, g: 0, b: 255 };
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'web2fb-images-'));
+  const slidesDir = path.join(tmpDir, 'slides');
+
+  const solid = (width, height, background) => sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+
+  // RGB of one pixel in a (JPEG) screenshot
+  const pixelAt = async (image, x, y) => {
+    const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+    const offset = (y * info.width + x) * info.channels;
+    return { r: data[offset], g: data[offset + 1], b: data[offset + 2] };
+  };
+  // Matches a pixel within JPEG error (+/- 50 per channel)
+  const approx = ({ r, g, b }) => ({ r: expect.closeTo(r, -2), g: expect.closeTo(g, -2), b: expect.closeTo(b, -2) });
+
+  const createProvider = (url, image = {}) => new ImageScreenshotProvider({
+    display: { url, width: 320, height: 240 },
+    browser: { mode: 'image', image }
+  });
+  const fileUrl = name => pathToFileURL(path.join(tmpDir, name)).href;
+
+  beforeAll(async () => {
+    fs.mkdirSync(slidesDir);
+
+    fs.writeFileSync(path.join(tmpDir, 'wide.png'), await solid(640, 160, RED));
+    fs.writeFileSync(path.join(tmpDir, 'small.png'), await solid(100, 50, GREEN));
+    fs.writeFileSync(path.join(slidesDir, '1-red.png'), await solid(32, 24, RED));
+    fs.writeFileSync(path.join(slidesDir, '2-green.png'), await solid(32, 24, GREEN));
+    fs.writeFileSync(path.join(slidesDir, '10-blue.png'), await solid(32, 24, BLUE));
+    fs.writeFileSync(path.join(slidesDir, 'notes.txt'), 'not an image');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+      ok: true,
+      arrayBuffer: async () => displayImage
+    }));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should crop to fill the display with cover', async () => {
+    const provider = createProvider(fileUrl('wide.png'), { fit: 'cover' });
+    const screenshot = await provider.captureScreenshot();
+
+    expect(await pixelAt(screenshot, 5, 5)).toEqual(approx(RED));
+    expect(await sharp(screenshot).metadata()).toMatchObject({ format: 'jpeg', width: 320, height: 240 });
+  });
+
+  it('should fit to the capture size given per capture', async () => {
+    const provider = createProvider(fileUrl('wide.png'), { fit: 'cover' });
+    const screenshot = await provider.captureScreenshot([], { width: 64, height: 32 });
+
+    expect(await sharp(screenshot).metadata()).toMatchObject({ width: 64, height: 32 });
+  });
+
+  it('should fit the whole image with background bars with contain', async () => {
+    const provider = createProvider(fileUrl('wide.png'), { fit: 'contain', background: '#0000ff' });
+    const screenshot = await provider.captureScreenshot();
+
+    // 640x160 scales to 320x80, centered vertically
+    expect(await pixelAt(screenshot, 160, 10)).toEqual(approx(BLUE));
+    expect(await pixelAt(screenshot, 160, 120)).toEqual(approx(RED));
+  });
+
+  it('should not enlarge small images with letterbox', async () => {
+    const contained = await createProvider(fileUrl('small.png'), { fit: 'contain' }).captureScreenshot();
+    const letterboxed = await createProvider(fileUrl('small.png'), { fit: 'letterbox' }).captureScreenshot();
+
+    // contain scales 100x50 up to 320x160; letterbox keeps it at 100x50 in the middle
+    expect(await pixelAt(contained, 20, 120)).toEqual(approx(GREEN));
+    expect(await pixelAt(letterboxed, 20, 120)).toEqual(approx({ r: 0, g: 0, b: 0 }));
+    expect(await pixelAt(letterboxed, 160, 120)).toEqual(approx(GREEN));
+  });
+
+  it('should show directory images in name order, advancing after the duration', async () => {
+    jest.useFakeTimers();
+    const provider = createProvider(pathToFileURL(slidesDir).href, { duration: 60000 });
+    const onRefresh = jest.fn();
+    provider.on('refresh', onRefresh);
+
+    expect(await pixelAt(await provider.captureScreenshot(), 160, 120)).toEqual(approx(RED));
+
+    // Periodic refresh before the duration keeps the same slide
+    jest.advanceTimersByTime(30000);
+    expect(await pixelAt(await provider.captureScreenshot(), 160, 120)).toEqual(approx(RED));
+    expect(onRefresh).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(30000);
+    expect(onRefresh).toHaveBeenCalledWith('next slide');
+    expect(await pixelAt(await provider.captureScreenshot(), 160, 120)).toEqual(approx(GREEN));
+
+    jest.advanceTimersByTime(60000);
+    expect(await pixelAt(await provider.captureScreenshot(), 160, 120)).toEqual(approx(BLUE));
+
+    // Wraps around after a rescan
+    jest.advanceTimersByTime(60000);
+    expect(await pixelAt(await provider.captureScreenshot(), 160, 120)).toEqual(approx(RED));
+    expect(provider.getStatus().slideshows).toEqual([
+      { dir: slidesDir, image: path.join(slidesDir, '1-red.png'), count: 3 }
+    ]);
+
+    await provider.cleanup();
+  });
+
+  it('should download http(s) images', async () => {
+    const image = await solid(320, 240, GREEN);
+    global.fetch.mockImplementation(async () => ({
+      ok: true,
+      arrayBuffer: async () => image
+    }));
+
+    const provider = createProvider('https://camera.example.com/snapshot.jpg');
+    const screenshot = await provider.captureScreenshot([], { url: 'https://camera.example.com/other.jpg' });
+
+    expect(global.fetch).toHaveBeenCalledWith('https://camera.example.com/other.jpg', expect.any(Object));
+    expect(await pixelAt(screenshot, 160, 120)).toEqual(approx(GREEN));
+  });
+
+  it('should reject unsupported sources', async () => {
+    await expect(createProvider('ftp://example.com/a.png').captureScreenshot()).rejects.toThrow("Unsupported image source protocol 'ftp:'");
+    await expect(createProvider(fileUrl('missing.png')).initialize()).rejects.toThrow('ENOENT');
+    await expect(createProvider(fileUrl('wide.png'), { fit: 'stretch' }).initialize()).rejects.toThrow('browser.image.fit');
+  });
+
+  describeProviderConformance('ImageScreenshotProvider', config => new ImageScreenshotProvider(config), {
+    config: {
+      display: { url: fileUrl('wide.png'), width: 320, height: 240 },
+      browser: { mode: 'image' }
+    },
+    invalidConfig: { display: { url: 'file:///nonexistent/photo.jpg' }, browser: { mode: 'image' } }
+  });
+});
+
+describe('createScreenshotProvider', () => {
+  const examplesDir = path.join(__dirname, '../../examples');
+  const config = mode => ({ display: { url: 'https://example.com', width: 320, height: 240 }, browser: { mode } });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create the built-in providers', () => {
+    expect(createScreenshotProvider(config(undefined))).toBeInstanceOf(LocalScreenshotProvider);
+    expect(createScreenshotProvider(config('remote'))).toBeInstanceOf(RemoteScreenshotProvider);
+  });
+
+  it('should create registered providers', () => {
+    class StaticProvider extends ScreenshotProvider {}
+    registerScreenshotProvider('static-test', StaticProvider);
+
+    expect(getScreenshotProviderModes()).toEqual(expect.arrayContaining(['local', 'remote', 'static-test']));
+    expect(createScreenshotProvider(config('static-test'))).toBeInstanceOf(StaticProvider);
+  });
+
+  it('should load providers from a module path relative to the config directory', () => {
+    const provider = createScreenshotProvider(config('./providers/svg-template-provider.js'), { baseDir: examplesDir });
+
+    expect(provider).toBeInstanceOf(ScreenshotProvider);
+    expect(provider.getType()).toBe('svg-template');
+  });
+
+  it('should reject unknown modes and invalid modules', () => {
+    expect(() => createScreenshotProvider(config('lcoal')))
+      .toThrow("Unknown screenshot provider mode: lcoal. Must be one of 'local', 'remote'");
+    expect(() => createScreenshotProvider(config('./missing-provider.js'), { baseDir: examplesDir }))
+      .toThrow('Failed to load screenshot provider module');
+    expect(() => createScreenshotProvider(config('./playlist.yaml'), { baseDir: examplesDir }))
+      .toThrow('Failed to load screenshot provider module');
+  });
+
+  it('should reject providers missing contract methods', () => {
+    registerScreenshotProvider('incomplete-test', class {
+      async initialize() {}
+    });
+
+    expect(() => createScreenshotProvider(config('incomplete-test')))
+      .toThrow("Screenshot provider 'incomplete-test' is missing captureScreenshot, cleanup, getType, getStatus, on");
+  });
+
+  describeProviderConformance('svg-template-provider example', providerConfig => createScreenshotProvider(
+    { ...providerConfig, browser: { mode: './providers/svg-template-provider.js' } },
+    { baseDir: examplesDir }
+  ));
+});
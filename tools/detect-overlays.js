@@ -100,7 +100,8 @@ async function main() {
     const configPath = configArg.split('=')[1];
     console.log(`Loading configuration from: ${configPath}\n`);
 
-    const config = loadConfig(configPath);
+    // Overlays don't have their region/style yet, that's what this tool detects
+    const config = loadConfig(configPath, { ignoreRequired: ['region', 'style'] });
     url = config.display.url;
     overlayConfigs = config.overlays || [];
     options = {
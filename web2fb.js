@@ -13,16 +13,32 @@
 require('dotenv').config();
 
 const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
 const { execSync } = require('child_process');
-const { loadConfig, getEnabledOverlays } = require('./lib/config');
+const {
+  loadConfig,
+  reloadConfig,
+  checkConfig,
+  resolveConfigPath,
+  diffConfigs,
+  getEnabledOverlays,
+  getPages,
+  getOutputs
+} = require('./lib/config');
+const { clearTemplateCache, getChangedOverlays } = require('./lib/overlays');
+const { formatIssue } = require('./lib/config-validator');
 const { createScreenshotProvider } = require('./lib/screenshot-providers');
-const { generateOverlay } = require('./lib/overlays');
 const PerfMonitor = require('./lib/perf-monitor');
 const Framebuffer = require('./lib/framebuffer');
 const FramebufferQueue = require('./lib/framebuffer-queue');
 const FramebufferRenderer = require('./lib/framebuffer-renderer');
 const DisplayScheduler = require('./lib/display-scheduler');
-const { detectChangedRegions } = require('./lib/image-diff');
+const { detectChangedRegions, coalesceRegions } = require('./lib/image-diff');
+const { normalizeUpdateMode, isTickSecond, EpaperUpdatePolicy } = require('./lib/epaper');
+const { normalizeSchedule, getScheduleState, scheduleStateChanged } = require('./lib/schedule');
+const ControlServer = require('./lib/control-server');
+const { ControlError } = ControlServer;
 
 // Get current git commit hash
 function getGitCommit() {
@@ -41,8 +57,24 @@ const args = process.argv.slice(2);
 const configArg = args.find(arg => arg.startsWith('--config='));
 const configPath = configArg ? configArg.split('=')[1] : null;
 
+// Validate configuration and exit (web2fb --check-config)
+if (args.includes('--check-config')) {
+  const result = checkConfig(configPath);
+  result.warnings.forEach(issue => console.warn(`⚠️  ${formatIssue(issue, result.path)}`));
+  result.errors.forEach(issue => console.error(`❌ ${formatIssue(issue, result.path)}`));
+
+  if (result.errors.length > 0) {
+    console.error(`${result.errors.length} error(s) in ${result.path || 'configuration'}`);
+    process.exit(1);
+  }
+  console.log(`✓ ${result.path} is valid${result.warnings.length > 0 ? ` (${result.warnings.length} warning(s))` : ''}`);
+  process.exit(0);
+}
+
 // Load configuration
 const config = loadConfig(configPath);
+const configFilePath = resolveConfigPath(configPath); // Watched for hot reload
+let scheduleRules = normalizeSchedule(config.schedule);
 
 // Initialize performance monitor (enabled via DEBUG environment variable)
 const perfMonitor = new PerfMonitor({
@@ -58,55 +90,118 @@ console.log(`web2fb - Web to Framebuffer Renderer (${gitCommit})`);
 if (config.name) console.log(`Configuration: ${config.name}`);
 console.log('='.repeat(60));
 
+/**
+ * Create the state of one display (the top-level display, or an entry of `outputs:`)
+ * Each output has its own framebuffer, pages, queue, renderer and scheduler;
+ * the screenshot provider is shared and captures for all outputs run one at a time.
+ * @param {Object} entry - { name, config } from getOutputs()
+ */
+function createOutput({ name, config: outputConfig }) {
+  // E-paper refresh budget (kept across pipeline restarts, the panel doesn't forget)
+  const updateMode = normalizeUpdateMode(outputConfig.display);
+
+  return {
+    name,
+    config: outputConfig,
+    framebuffer: new Framebuffer(outputConfig, perfMonitor),
+    updateMode,
+    updatePolicy: updateMode.mode === 'epaper' ? new EpaperUpdatePolicy(updateMode, perfMonitor) : null,
+    pageStates: [], // [{ page, enabledOverlays, baseImageBuffer, overlayStates, capturedAt, diffState }]
+    activePage: null, // Page state currently on screen
+    pendingPage: null, // Page state whose base image awaits full update
+    pendingOverlayStates: null, // New overlay states awaiting full update
+    pendingBaseImageBuffer: null, // New base image awaiting full update
+    pendingCapturedAt: null, // Capture time of pending base (null = cached base reused)
+    pendingDiffState: null, // Tile hashes of the pending base (null = not diffed)
+    pendingEnabledOverlays: null, // Overlays the pending base was captured for
+    preRenderedFullUpdate: null, // Pre-rendered full update operation (raw format)
+    nextFullUpdateTick: null, // Display tick (ms) when next full update should occur
+    queue: null,
+    renderer: null,
+    scheduler: null,
+    refreshIntervalId: null, // Periodic refresh of the page on screen
+    rotationTimeoutId: null // Timer for next page in playlist mode
+  };
+}
+
 // Global state
 let screenshotProvider = null;
-let framebuffer = null;
-let baseImageBuffer = null;
-let overlayStates = new Map(); // name -> { overlay, region, style, baseRegionBuffer, rawMetadata }
-let pendingOverlayStates = null; // New overlay states awaiting full update
-let pendingBaseImageBuffer = null; // New base image awaiting full update
-let preRenderedFullUpdate = null; // Pre-rendered full update operation (raw format)
-let queue = null;
-let renderer = null;
-let scheduler = null;
+const outputs = getOutputs(config).map(createOutput);
+const mainOutput = outputs[0]; // Top-level display: URL overrides and the control API snapshot apply to it
 let intervals = [];
+let captureChain = Promise.resolve(); // Serializes captures (one browser at a time)
 let queueMaintainerRunning = false;
-let nextFullUpdateSecond = null; // Second when next full update should occur
+let maintainerGeneration = 0; // Incremented per (re)start so stopped maintainer loops can't resume
+let scheduleState = getScheduleState(scheduleRules); // Currently applied schedule state
+let scheduleIntervalId = null;
+let urlOverride = null; // URL set via control API (takes precedence over pages and schedule)
+const overlayOverrides = new Map(); // Overlay name -> enabled, set via control API
+let controlServer = null;
+let configWatcher = null;
+let reloadChain = Promise.resolve(); // Serializes config reloads
 
 /**
- * Restart screenshot provider (browser crashed or profile too large)
+ * Stop schedulers, queue maintainers and capture timers, and drop page state
+ * Used before re-initializing (provider restart) or when blanking the display.
  */
-async function _restartProvider(reason) {
-  console.log('\n' + '='.repeat(60));
-  console.log(`🔄 Restarting screenshot provider (${reason})`);
-  console.log('='.repeat(60));
+function stopPipeline() {
+  // Stop queue maintainers
+  queueMaintainerRunning = false;
 
-  try {
-    // Stop scheduler
-    if (scheduler) {
-      scheduler.stop();
-      scheduler = null;
-    }
+  // Clear all intervals
+  console.log(`Clearing ${intervals.length} interval(s)...`);
+  intervals.forEach(id => clearInterval(id));
+  intervals = [];
 
-    // Clear queue
-    if (queue) {
-      queue.clear();
-      queue = null;
-    }
+  outputs.forEach(stopOutput);
+}
 
-    // Stop queue maintainer
-    queueMaintainerRunning = false;
+/**
+ * Stop an output's scheduler and timers, and drop its page state
+ */
+function stopOutput(output) {
+  // Stop scheduler
+  if (output.scheduler) {
+    output.scheduler.stop();
+    output.scheduler = null;
+  }
 
-    // Clear all intervals
-    console.log(`Clearing ${intervals.length} interval(s)...`);
-    intervals.forEach(id => clearInterval(id));
-    intervals = [];
+  // Clear queue
+  if (output.queue) {
+    output.queue.clear();
+    output.queue = null;
+  }
 
-    // Clear pending state
-    nextFullUpdateSecond = null;
-    overlayStates.clear();
-    pendingOverlayStates = null;
-    pendingBaseImageBuffer = null;
+  clearInterval(output.refreshIntervalId);
+  output.refreshIntervalId = null;
+  clearTimeout(output.rotationTimeoutId);
+  output.rotationTimeoutId = null;
+
+  // Clear pending state
+  output.nextFullUpdateTick = null;
+  output.preRenderedFullUpdate = null;
+  output.pageStates = [];
+  output.activePage = null;
+  output.pendingPage = null;
+  output.pendingOverlayStates = null;
+  output.pendingBaseImageBuffer = null;
+  output.pendingCapturedAt = null;
+  output.pendingDiffState = null;
+  output.pendingEnabledOverlays = null;
+}
+
+/**
+ * Restart screenshot provider (browser crashed or profile too large, or config changed)
+ * @param {string} reason - Reason for logging
+ * @param {number} cooldown - Delay before re-initializing (ms)
+ */
+async function restartProvider(reason, cooldown = 30000) {
+  console.log('\n' + '='.repeat(60));
+  console.log(`🔄 Restarting screenshot provider (${reason})`);
+  console.log('='.repeat(60));
+
+  try {
+    stopPipeline();
 
     // Cleanup provider
     if (screenshotProvider) {
@@ -116,9 +211,10 @@ async function _restartProvider(reason) {
     }
 
     // Wait for cooldown
-    const cooldown = 30000; // 30 seconds
-    console.log(`Waiting ${cooldown}ms for system recovery...`);
-    await new Promise(resolve => setTimeout(resolve, cooldown));
+    if (cooldown > 0) {
+      console.log(`Waiting ${cooldown}ms for system recovery...`);
+      await new Promise(resolve => setTimeout(resolve, cooldown));
+    }
 
     console.log('✓ Recovery complete, re-initializing...\n');
 
@@ -131,13 +227,49 @@ async function _restartProvider(reason) {
   }
 }
 
+/**
+ * Restart a provider that reported it can't recover (e.g. persistent browser died)
+ * @param {Object} provider - Provider that emitted 'crash'
+ * @param {string} reason - Reason for logging
+ */
+function handleProviderCrash(provider, reason) {
+  // Ignore providers that were already replaced (restart or config reload)
+  runExclusive(async () => {
+    if (provider === screenshotProvider) {
+      await restartProvider(`browser crashed: ${reason}`);
+    }
+  });
+}
+
+/**
+ * Recapture when a provider reports new content (e.g. next slideshow image)
+ * @param {Object} provider - Provider that emitted 'refresh'
+ * @param {string} reason - Reason for logging
+ */
+function handleProviderRefresh(provider, reason) {
+  runExclusive(async () => {
+    if (provider === screenshotProvider) {
+      for (const output of outputs) {
+        await recaptureBaseImage(output, reason, output.pendingPage || output.activePage);
+      }
+    }
+  });
+}
+
+/**
+ * Name of the output for log messages (empty with a single display)
+ */
+function outputLabel(output) {
+  return outputs.length > 1 ? ` on output '${output.name}'` : '';
+}
+
 /**
  * Extract base regions for overlays from base image
  * @param {Buffer} baseImage - Base image buffer
- * @param {Array} overlays - Enabled overlays
- * @param {Map} targetStates - Map to store extracted states (defaults to overlayStates)
+ * @param {Array} overlays - Enabled overlays of the page the base image belongs to
+ * @param {Map} targetStates - Map to store extracted states (page or pending overlay states)
  */
-async function extractBaseRegions(baseImage, overlays, targetStates = overlayStates) {
+async function extractBaseRegions(baseImage, overlays, targetStates) {
   targetStates.clear();
 
   for (const overlay of overlays) {
@@ -183,195 +315,654 @@ async function extractBaseRegions(baseImage, overlays, targetStates = overlaySta
 }
 
 /**
- * Re-capture base image and schedule full update
+ * Run a capture-related task after any in-flight one finishes
+ * Page rotation and periodic refresh both capture; only one browser may run at a time.
  */
-async function recaptureBaseImage(reason, enabledOverlays) {
-  const perfOpId = perfMonitor.start('baseImage:recapture', { reason });
+function runExclusive(task) {
+  const run = captureChain.then(task);
+  captureChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Re-capture base image of a page and schedule full update
+ * @param {Object} output - Output the page is shown on
+ * @param {string} reason - Reason for logging
+ * @param {Object} pageState - Page to capture (defaults to the active page)
+ * @param {Object} options - Passed to scheduleBaseUpdate() (e.g. forceFull)
+ */
+async function recaptureBaseImage(output, reason, pageState = output.activePage, options = {}) {
+  if (!pageState || !screenshotProvider) {
+    return; // Display blanked or provider restarting
+  }
+
+  const perfOpId = perfMonitor.start('baseImage:recapture', { reason, output: output.name, page: pageState.page.name });
   const startTime = Date.now();
+  const enabledOverlays = getPageOverlays(pageState);
 
   try {
-    console.log(`\nRe-capturing base image (${reason})...`);
+    console.log(`\nRe-capturing base image for page '${pageState.page.name}'${outputLabel(output)} (${reason})...`);
 
     // Screenshot new page
     const hideSelectors = enabledOverlays.map(o => o.selector);
     const screenshotOpId = perfMonitor.start('baseImage:screenshot');
-    const newBaseImageBuffer = await screenshotProvider.captureScreenshot(hideSelectors);
+    const newBaseImageBuffer = await screenshotProvider.captureScreenshot(hideSelectors, getCaptureOptions(output, pageState));
     perfMonitor.end(screenshotOpId, { bufferSize: newBaseImageBuffer.length });
 
     // Validate sharp can process it
     const metadata = await sharp(newBaseImageBuffer).metadata();
     console.log(`Screenshot: ${metadata.format} ${metadata.width}x${metadata.height}`);
 
-    // Store new base and regions as PENDING (don't update active state yet)
-    pendingBaseImageBuffer = newBaseImageBuffer;
-
-    // Extract new base regions into PENDING state
+    // Extract new base regions into PENDING state (don't update active state yet)
+    const newOverlayStates = new Map();
     if (enabledOverlays.length > 0) {
-      pendingOverlayStates = new Map();
-      await extractBaseRegions(newBaseImageBuffer, enabledOverlays, pendingOverlayStates);
+      await extractBaseRegions(newBaseImageBuffer, enabledOverlays, newOverlayStates);
     }
 
     const duration = Date.now() - startTime;
     console.log(`✓ Base image recaptured in ${duration}ms`);
 
-    // Diff-based update: Compare old and new base images
-    let useDiffUpdate = false;
-    let changedRegions = null;
+    await scheduleBaseUpdate(output, pageState, newBaseImageBuffer, newOverlayStates, {
+      ...options,
+      capturedAt: Date.now(),
+      enabledOverlays
+    });
 
-    if (baseImageBuffer) {
-      console.log(`Detecting changed regions (diff-based optimization)...`);
-      const diffStart = Date.now();
+    perfMonitor.end(perfOpId, { success: true, duration });
 
-      const diffResult = await detectChangedRegions(baseImageBuffer, newBaseImageBuffer, {
-        threshold: 10,        // Pixel difference threshold
-        minRegionSize: 1000,  // Minimum 1000 pixels (e.g., 32x32 region)
-        mergeDist: 50         // Merge regions within 50 pixels
-      });
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    perfMonitor.end(perfOpId, { success: false, error: err.message, duration });
+    console.error(`Base image recapture failed after ${duration}ms:`, err.message);
+  }
+}
 
-      const diffDuration = Date.now() - diffStart;
-      console.log(`✓ Diff detection completed in ${diffDuration}ms`);
-      console.log(`  Changed: ${diffResult.changePercent.toFixed(1)}% of screen (${diffResult.changedPixels} pixels)`);
-
-      if (!diffResult.fullUpdateRecommended && diffResult.regions && diffResult.regions.length > 0) {
-        useDiffUpdate = true;
-        changedRegions = diffResult.regions;
-        console.log(`  Strategy: Partial updates for ${changedRegions.length} region(s)`);
-        changedRegions.forEach((r, i) => {
-          console.log(`    Region ${i + 1}: ${r.width}x${r.height} at (${r.x},${r.y})`);
-        });
-      } else {
-        console.log(`  Strategy: Full update (changes >= 70% or no distinct regions)`);
+/**
+ * Stage a page's base image as pending and pre-render the update that displays it
+ * Uses diff-based partial updates when the page is already on screen,
+ * otherwise a full update.
+ * @param {Object} output - Output the page is shown on
+ * @param {Object} pageState - Page the base image belongs to
+ * @param {Buffer} newBaseImageBuffer - Base image to display
+ * @param {Map} newOverlayStates - Overlay states extracted from the base image
+ * @param {Object} options
+ * @param {number|null} options.capturedAt - Capture time, or null when reusing a cached base
+ * @param {boolean} options.forceFull - Skip diff detection (e.g. brightness changed)
+ * @param {Array} options.enabledOverlays - Overlays the base was captured for (default: page's current)
+ * @param {boolean} options.flushQueue - Drop queued frames so the update shows within seconds (config reload)
+ */
+async function scheduleBaseUpdate(output, pageState, newBaseImageBuffer, newOverlayStates, options = {}) {
+  const { capturedAt = null, forceFull = false, flushQueue = false } = options;
+  const enabledOverlays = options.enabledOverlays || pageState.enabledOverlays;
+
+  if (!output.queue) {
+    console.log(`Display paused${outputLabel(output)}, discarding base image update`);
+    return;
+  }
+
+  // Store new base and regions as PENDING (don't update active state yet)
+  output.pendingPage = pageState;
+  output.pendingBaseImageBuffer = newBaseImageBuffer;
+  output.pendingOverlayStates = newOverlayStates;
+  output.pendingCapturedAt = capturedAt;
+  output.pendingEnabledOverlays = enabledOverlays;
+  output.pendingDiffState = null;
+
+  // Diff-based update: Compare old and new base images (only meaningful for the page on screen)
+  let useDiffUpdate = false;
+  let changedRegions = null;
+  const currentBase = output.activePage && output.activePage.baseImageBuffer;
+
+  if (pageState === output.activePage && currentBase && !forceFull) {
+    console.log(`Detecting changed regions (diff-based optimization)...`);
+    const diffStart = Date.now();
+
+    const diffResult = await detectChangedRegions(currentBase, newBaseImageBuffer, {
+      threshold: 10,        // Pixel difference threshold
+      minRegionSize: 1000,  // Minimum 1000 pixels (e.g., 32x32 region)
+      mergeDist: 50,        // Merge regions within 50 pixels
+      mode: 'tileHash',     // Only compare pixels of tiles whose hash changed
+      previous: output.activePage.diffState // Hashes of the base on screen, from its own diff
+    });
+    output.pendingDiffState = diffResult.state;
+
+    const diffDuration = Date.now() - diffStart;
+    const { tileMap } = diffResult;
+    const changedTiles = tileMap.changed.reduce((sum, changed) => sum + changed, 0);
+    console.log(`✓ Diff detection completed in ${diffDuration}ms`);
+    console.log(`  Changed: ${diffResult.changePercent.toFixed(1)}% of screen (${diffResult.changedPixels} pixels, ${changedTiles}/${tileMap.changed.length} tiles)`);
+
+    if (!diffResult.fullUpdateRecommended && diffResult.regions && diffResult.regions.length > 0) {
+      useDiffUpdate = true;
+      changedRegions = diffResult.regions;
+      if (output.updatePolicy && changedRegions.length > 1) {
+        // One panel refresh for all changes instead of one per frame
+        changedRegions = [coalesceRegions(changedRegions)];
+        console.log(`  E-paper: coalesced ${diffResult.regions.length} regions into one update`);
       }
+      console.log(`  Strategy: Partial updates for ${changedRegions.length} region(s)`);
+      changedRegions.forEach((r, i) => {
+        console.log(`    Region ${i + 1}: ${r.width}x${r.height} at (${r.x},${r.y})`);
+      });
     } else {
-      console.log(`First run: Using full update (no previous base image to compare)`);
+      console.log(`  Strategy: Full update (changes >= 70% or no distinct regions)`);
     }
+  } else if (!currentBase) {
+    console.log(`First run: Using full update (no previous base image to compare)`);
+  } else if (forceFull) {
+    console.log(`Forced full update`);
+  } else {
+    console.log(`Page change: Using full update ('${output.activePage.page.name}' → '${pageState.page.name}')`);
+  }
 
-    // Schedule update at the next unqueued second
-    const currentSecond = Math.floor(Date.now() / 1000);
-    const lastQueued = queue.getLastQueuedSecond();
-    const updateSecond = lastQueued ? lastQueued + 1 : currentSecond + 1;
-
-    if (useDiffUpdate) {
-      // Diff-based approach: Pre-render partial updates for changed regions
-      console.log(`Pre-rendering ${changedRegions.length} partial update(s) (raw format)...`);
-      const preRenderStart = Date.now();
-
-      const preRenderedPartials = [];
-      for (let i = 0; i < changedRegions.length; i++) {
-        const region = changedRegions[i];
-        const displayTime = (updateSecond + i) * 1000; // Stagger updates over multiple seconds
-
-        // Extract the changed region from the new base image
-        let regionImage = sharp(newBaseImageBuffer)
-          .extract({ left: region.x, top: region.y, width: region.width, height: region.height });
-
-        // CRITICAL: Composite overlays on top of the changed region
-        // Otherwise the clock overlay will disappear when base updates!
-        const composites = [];
-        for (const overlay of enabledOverlays) {
-          if (!overlay.enabled) continue;
-
-          const state = pendingOverlayStates ? pendingOverlayStates.get(overlay.name) : overlayStates.get(overlay.name);
-          if (!state || !state.region) continue;
-
-          // Check if overlay region overlaps with changed region
-          const overlayRegion = state.region;
-          const overlaps = !(
-            overlayRegion.x + overlayRegion.width <= region.x ||
-            overlayRegion.x >= region.x + region.width ||
-            overlayRegion.y + overlayRegion.height <= region.y ||
-            overlayRegion.y >= region.y + region.height
-          );
-
-          if (overlaps) {
-            // Generate overlay for this display time
-            const mergedOverlay = {
-              ...overlay,
-              style: state.style,
-              _renderTime: new Date(displayTime)
-            };
-
-            const overlayBuffer = generateOverlay(mergedOverlay, overlayRegion);
-
-            // Calculate position relative to the changed region
-            const relativeX = overlayRegion.x - region.x;
-            const relativeY = overlayRegion.y - region.y;
-
-            composites.push({
-              input: overlayBuffer,
-              left: relativeX,
-              top: relativeY
-            });
-          }
-        }
+  // E-paper: a ghosting clear (or changes skipped over budget) turns this into a full refresh
+  if (output.updatePolicy && output.updatePolicy.planUpdate(useDiffUpdate ? 'partial' : 'full') === 'full' && useDiffUpdate) {
+    console.log(`  E-paper: full refresh due, using full update instead`);
+    useDiffUpdate = false;
+  }
 
-        // Composite overlays if any overlap
-        if (composites.length > 0) {
-          regionImage = regionImage.composite(composites);
-        }
+  // Schedule update at the next unqueued tick
+  const { framePeriod } = output.queue;
+  const currentTick = output.queue.tickAt(Date.now());
+  let updateTick;
+  if (flushQueue) {
+    // Queued frames were rendered with the old config; leave the maintainer
+    // a couple of seconds to refill before the update displays. Overlays
+    // those frames drew never reach the screen.
+    output.queue.clear();
+    if (output.activePage) {
+      output.activePage.overlayStates.forEach(state => { state.renderedContent = undefined; });
+    }
+    updateTick = currentTick + 2000;
+  } else {
+    const lastQueued = output.queue.getLastQueuedTick();
+    updateTick = lastQueued ? lastQueued + framePeriod : currentTick + framePeriod;
+  }
+
+  if (useDiffUpdate) {
+    // Diff-based approach: Pre-render partial updates for changed regions
+    console.log(`Pre-rendering ${changedRegions.length} partial update(s) (raw format)...`);
+    const preRenderStart = Date.now();
+
+    const preRenderedPartials = [];
+    for (let i = 0; i < changedRegions.length; i++) {
+      const region = changedRegions[i];
+      const displayTime = updateTick + i * framePeriod; // Stagger updates over multiple frames
 
-        const regionBuffer = await regionImage.toBuffer();
+      // Overlays overlapping the region are composited on top
+      // Otherwise the clock overlay will disappear when base updates!
+      const operation = await output.renderer.renderRegionUpdate(
+        newBaseImageBuffer,
+        region,
+        enabledOverlays,
+        newOverlayStates,
+        displayTime
+      );
 
-        const operation = {
-          type: 'partial',
-          buffer: regionBuffer,
-          region,
-          displayTime
-        };
+      preRenderedPartials.push({
+        tick: displayTime,
+        operation
+      });
+    }
 
-        preRenderedPartials.push({
-          second: updateSecond + i,
-          operation
-        });
+    const preRenderDuration = Date.now() - preRenderStart;
+    console.log(`✓ ${changedRegions.length} partial update(s) pre-rendered in ${preRenderDuration}ms`);
+
+    // Store for queue maintainer to enqueue
+    output.preRenderedFullUpdate = {
+      type: 'diff',
+      partials: preRenderedPartials,
+      firstTick: updateTick,
+      lastTick: updateTick + (changedRegions.length - 1) * framePeriod
+    };
+    output.nextFullUpdateTick = updateTick;
+
+    console.log(`Diff-based updates scheduled from ${new Date(updateTick).toISOString()}, one per ${framePeriod}ms frame`);
+  } else {
+    // Full update approach (same as before)
+    output.nextFullUpdateTick = updateTick;
+    console.log(`Full update scheduled for ${new Date(output.nextFullUpdateTick).toISOString()}`);
+
+    console.log(`Pre-rendering full update (raw format)...`);
+    const preRenderStart = Date.now();
+    const displayTime = output.nextFullUpdateTick;
+
+    // Remove alpha channel if framebuffer is RGB or RGB565 (not RGBA)
+    const needsAlpha = output.framebuffer.info.bpp === 32;
+
+    output.preRenderedFullUpdate = await output.renderer.renderFullUpdate(
+      newBaseImageBuffer,
+      enabledOverlays,
+      newOverlayStates,
+      displayTime,
+      {
+        rawOutput: true,        // Use raw format for faster write
+        removeAlpha: !needsAlpha // Remove alpha if FB doesn't need it
       }
+    );
 
-      const preRenderDuration = Date.now() - preRenderStart;
-      console.log(`✓ ${changedRegions.length} partial update(s) pre-rendered in ${preRenderDuration}ms`);
+    const preRenderDuration = Date.now() - preRenderStart;
+    console.log(`✓ Full update pre-rendered in ${preRenderDuration}ms (raw: ${output.preRenderedFullUpdate.buffer.length} bytes)`);
+  }
 
-      // Store for queue maintainer to enqueue
-      preRenderedFullUpdate = {
-        type: 'diff',
-        partials: preRenderedPartials,
-        firstSecond: updateSecond,
-        lastSecond: updateSecond + changedRegions.length - 1
-      };
-      nextFullUpdateSecond = updateSecond;
+  console.log(`Old overlay states remain active until updates display`);
+}
 
-      console.log(`Diff-based updates scheduled for seconds ${updateSecond} to ${updateSecond + changedRegions.length - 1}`);
-    } else {
-      // Full update approach (same as before)
-      nextFullUpdateSecond = updateSecond;
-      console.log(`Full update scheduled for second ${nextFullUpdateSecond} (${new Date(nextFullUpdateSecond * 1000).toISOString()})`);
+/**
+ * Render the operation for a tick that has no pre-rendered update
+ * Overlays tick every frame period (display.framePeriod, default: every
+ * second), or once a minute in e-paper mode (the seconds in between hold the
+ * image on screen). A tick renders every overlay whose updateInterval elapsed
+ * and whose text differs from what it last drew, batched into one operation;
+ * ticks where nothing changes hold, so identical frames are never written.
+ * @param {Object} output - Output to render for
+ * @param {number} displayTime - Unix timestamp (ms) of the tick the operation displays at
+ */
+async function renderTick(output, displayTime) {
+  const { baseImageBuffer, enabledOverlays, overlayStates } = output.activePage;
 
-      console.log(`Pre-rendering full update (raw format)...`);
-      const preRenderStart = Date.now();
-      const displayTime = nextFullUpdateSecond * 1000;
+  // Without overlays the base image stays until the next base update
+  // (e-paper always runs at one frame per second, see lib/config.js)
+  if (enabledOverlays.length === 0 || !isTickSecond(displayTime / 1000, output.updateMode.mode)) {
+    return { type: 'hold', displayTime };
+  }
 
-      // Remove alpha channel if framebuffer is RGB or RGB565 (not RGBA)
-      const needsAlpha = framebuffer.info.bpp === 32;
+  // Overlays whose updateInterval elapsed and whose text changed since they
+  // last drew. No await before renderOverlayUpdates() records what they draw:
+  // the maintainer renders several ticks in parallel.
+  const tickMs = output.updatePolicy ? 60000 : output.queue.framePeriod;
+  const due = getChangedOverlays(enabledOverlays, overlayStates, displayTime, tickMs);
+  if (due.length === 0) {
+    return { type: 'hold', displayTime };
+  }
 
-      preRenderedFullUpdate = await renderer.renderFullUpdate(
-        newBaseImageBuffer,
-        enabledOverlays,
-        pendingOverlayStates || new Map(),
-        displayTime,
-        {
-          rawOutput: true,        // Use raw format for faster write
-          removeAlpha: !needsAlpha // Remove alpha if FB doesn't need it
+  if (output.updatePolicy && output.updatePolicy.planUpdate() === 'full') {
+    // E-paper: periodic full refresh to clear ghosting
+    return output.renderer.renderFullUpdate(baseImageBuffer, enabledOverlays, overlayStates, displayTime);
+  }
+
+  // All due overlays in one operation, written in the same frame
+  const operation = await output.renderer.renderOverlayUpdates(due, overlayStates, displayTime);
+  return operation || { type: 'hold', displayTime };
+}
+
+/**
+ * Swap pending page, base image and overlay states into active
+ * Called right before the update that displays them is enqueued.
+ */
+function swapPendingState(output) {
+  const samePage = !output.pendingPage || output.pendingPage === output.activePage;
+  if (output.pendingPage && output.pendingPage !== output.activePage) {
+    console.log(`✓ Page swapped${outputLabel(output)}: '${output.activePage.page.name}' → '${output.pendingPage.page.name}'`);
+    output.activePage.diffState = null; // Tile hashes are only kept for the page on screen
+    output.activePage = output.pendingPage;
+  }
+  output.pendingPage = null;
+
+  if (output.pendingBaseImageBuffer) {
+    output.activePage.baseImageBuffer = output.pendingBaseImageBuffer;
+    if (output.pendingCapturedAt !== null) {
+      output.activePage.capturedAt = output.pendingCapturedAt;
+    }
+    output.activePage.diffState = output.pendingDiffState;
+    output.pendingBaseImageBuffer = null;
+    output.pendingCapturedAt = null;
+    output.pendingDiffState = null;
+    console.log(`✓ Base image swapped: pending → active`);
+  }
+  if (output.pendingEnabledOverlays) {
+    output.activePage.enabledOverlays = output.pendingEnabledOverlays;
+    output.pendingEnabledOverlays = null;
+  }
+  if (output.pendingOverlayStates) {
+    if (samePage) {
+      // A diff update only redraws overlays inside its regions; the others
+      // still show what they last drew
+      for (const [name, state] of output.pendingOverlayStates) {
+        const previous = output.activePage.overlayStates.get(name);
+        if (state.renderedContent === undefined && previous) {
+          state.renderedContent = previous.renderedContent;
         }
-      );
+      }
+    }
+    output.activePage.overlayStates = output.pendingOverlayStates;
+    output.pendingOverlayStates = null;
+    console.log(`✓ Overlay states swapped: pending → active`);
+  }
+}
+
+/**
+ * Get the URL to capture for a page
+ * On the main output, the control API override wins over a schedule rule, which
+ * wins over the page's own URL. Other outputs always show their own pages.
+ */
+function getPageUrl(output, pageState) {
+  if (output === mainOutput) {
+    return urlOverride || scheduleState.url || pageState.page.url;
+  }
+  return pageState.page.url;
+}
+
+/**
+ * Get the captureScreenshot() options for a page: its URL, at the output's size
+ */
+function getCaptureOptions(output, pageState) {
+  return {
+    url: getPageUrl(output, pageState),
+    width: output.config.display.width,
+    height: output.config.display.height
+  };
+}
+
+/**
+ * Get a page's enabled overlays, applying control API toggles
+ */
+function getPageOverlays(pageState) {
+  const configured = getEnabledOverlays(pageState.page);
+
+  return (pageState.page.overlays || [])
+    .filter(overlay => overlayOverrides.has(overlay.name)
+      ? overlayOverrides.get(overlay.name)
+      : configured.includes(overlay))
+    .map(overlay => overlayOverrides.get(overlay.name) ? { ...overlay, enabled: true } : overlay);
+}
+
+/**
+ * Get the refresh interval of a page (ms)
+ */
+function getRefreshInterval(pageState) {
+  return pageState.page.refreshInterval || 300000; // Default 5 minutes
+}
+
+/**
+ * Switch the display to another page (playlist mode)
+ * Reuses the page's cached base image if it is younger than its refreshInterval,
+ * otherwise captures a fresh one.
+ */
+async function showPage(output, pageState, reason, options = {}) {
+  const age = pageState.capturedAt ? Date.now() - pageState.capturedAt : Infinity;
+
+  if (pageState.baseImageBuffer && age < getRefreshInterval(pageState)) {
+    console.log(`\nShowing page '${pageState.page.name}'${outputLabel(output)} from cache (${reason}, captured ${Math.round(age / 1000)}s ago)`);
+    await scheduleBaseUpdate(output, pageState, pageState.baseImageBuffer, pageState.overlayStates, options);
+  } else {
+    await recaptureBaseImage(output, reason, pageState, options);
+  }
+}
+
+/**
+ * Restart an output's periodic refresh timer for the page being displayed
+ */
+function restartRefreshTimer(output, pageState) {
+  clearInterval(output.refreshIntervalId);
+
+  const refreshInterval = getRefreshInterval(pageState);
+  console.log(`Setting up periodic refresh every ${refreshInterval}ms (page '${pageState.page.name}'${outputLabel(output)})`);
+
+  output.refreshIntervalId = setInterval(async () => {
+    // A page switch may still be waiting for its update to display
+    await runExclusive(() => recaptureBaseImage(output, 'periodic refresh', output.pendingPage || output.activePage));
+  }, refreshInterval);
+}
+
+/**
+ * Schedule the next page of an output's playlist after the current page's dwell time
+ */
+function scheduleNextPage(output, index) {
+  const current = output.pageStates[index];
+  const nextIndex = (index + 1) % output.pageStates.length;
+
+  output.rotationTimeoutId = setTimeout(async () => {
+    const next = output.pageStates[nextIndex];
+    await runExclusive(() => showPage(output, next, 'page rotation'));
+    restartRefreshTimer(output, next);
+    scheduleNextPage(output, nextIndex);
+  }, current.page.duration);
+}
+
+/**
+ * Start an output's page rotation unless a schedule rule pins it to one page/URL
+ */
+function startRotation(output, index) {
+  clearTimeout(output.rotationTimeoutId);
+  output.rotationTimeoutId = null;
+
+  const pinnedPage = output.pageStates.some(pageState => pageState.page.name === scheduleState.page);
+  const pinnedUrl = output === mainOutput && (scheduleState.url || urlOverride);
+  if (output.pageStates.length > 1 && !pinnedPage && !pinnedUrl) {
+    scheduleNextPage(output, index);
+  }
+}
+
+/**
+ * Rebuild page states after a config reload
+ * Cached screenshots are kept for pages whose URL, hidden overlay selectors and
+ * viewport are unchanged (overlay states are re-extracted from them). The page on
+ * screen is shown again with a full update, replacing frames queued with the old config.
+ */
+async function reloadPages(output, changes) {
+  const previous = new Map(output.pageStates.map(pageState => [pageState.page.name, pageState]));
+  const current = output.pendingPage || output.activePage;
+  const selectors = pageState => pageState.enabledOverlays.map(o => o.selector).join('\n');
+
+  const nextStates = [];
+  for (const page of getPages(output.config)) {
+    const pageState = { page, enabledOverlays: null, baseImageBuffer: null, overlayStates: new Map(), capturedAt: null };
+    pageState.enabledOverlays = getPageOverlays(pageState);
+
+    const old = previous.get(page.name);
+    if (old && old.baseImageBuffer && !changes.viewport &&
+        old.page.url === page.url && selectors(old) === selectors(pageState)) {
+      pageState.baseImageBuffer = old.baseImageBuffer;
+      pageState.capturedAt = old.capturedAt;
+      await extractBaseRegions(pageState.baseImageBuffer, pageState.enabledOverlays, pageState.overlayStates);
+    }
+
+    nextStates.push(pageState);
+  }
+
+  output.pageStates = nextStates;
+  const target = output.pageStates.find(pageState => pageState.page.name === current.page.name) || output.pageStates[0];
+
+  await showPage(output, target, 'config reload', { forceFull: true, flushQueue: true });
+  restartRefreshTimer(output, target);
+  startRotation(output, output.pageStates.indexOf(target));
+}
+
+/**
+ * Re-read the config file and apply changes in place (file watcher / SIGHUP)
+ * Invalid configs are rejected and the running config is kept.
+ */
+async function reloadConfiguration(reason) {
+  if (!configFilePath) {
+    console.warn('⚠️  Config reload requested, but no config file was loaded');
+    return;
+  }
+
+  console.log(`\n🔁 Reloading configuration from ${configFilePath} (${reason})...`);
+
+  let next;
+  try {
+    next = reloadConfig(configFilePath);
+  } catch (err) {
+    console.error(`❌ Config reload rejected, keeping current config: ${err.message}`);
+    return;
+  }
+
+  const changes = diffConfigs(config, next);
+  if (!changes.changed) {
+    console.log('Config unchanged');
+    return;
+  }
 
-      const preRenderDuration = Date.now() - preRenderStart;
-      console.log(`✓ Full update pre-rendered in ${preRenderDuration}ms (raw: ${preRenderedFullUpdate.buffer.length} bytes)`);
+  for (const key of changes.restartRequired) {
+    console.warn(`⚠️  ${key} changed; restart web2fb to apply it`);
+  }
+  next.display.framebufferDevice = config.display.framebufferDevice;
+  if (changes.restartRequired.includes('outputs')) {
+    next.outputs = config.outputs; // Keep the running outputs until restart
+  }
+
+  // Compare each output's pages, overlays and viewport before replacing its config
+  const nextOutputs = getOutputs(next);
+  const outputChanges = outputs.map((output, index) => {
+    nextOutputs[index].config.display.framebufferDevice = output.config.display.framebufferDevice;
+    return diffConfigs(output.config, nextOutputs[index].config);
+  });
+
+  // Replace contents in place: renderer, provider and framebuffer hold references to config
+  outputs.forEach((output, index) => {
+    const outputConfig = index === 0 ? next : nextOutputs[index].config;
+    Object.keys(output.config).forEach(key => delete output.config[key]);
+    Object.assign(output.config, outputConfig);
+  });
+  clearTemplateCache();
+
+  if (changes.schedule) {
+    scheduleRules = normalizeSchedule(config.schedule);
+  }
+  if (changes.control) {
+    await stopControlServer();
+    await startControlServer();
+  }
+
+  if (mainOutput.activePage && changes.browser) {
+    // Provider settings (mode, waits, executable...) need a fresh provider
+    await runExclusive(() => restartProvider('config reload', 0));
+  } else {
+    for (const [index, output] of outputs.entries()) {
+      const { pages, viewport, overlays } = outputChanges[index];
+      if (output.activePage && (pages || viewport || overlays)) {
+        await runExclusive(() => reloadPages(output, outputChanges[index]));
+      }
     }
+  }
 
-    console.log(`Old overlay states remain active until updates display`);
-    perfMonitor.end(perfOpId, { success: true, duration });
+  if (changes.schedule) {
+    await applySchedule();
+  }
 
+  console.log('✓ Configuration reloaded');
+}
+
+/**
+ * Queue a config reload (reloads never overlap)
+ */
+function requestConfigReload(reason) {
+  reloadChain = reloadChain
+    .then(() => reloadConfiguration(reason))
+    .catch(err => console.error('Error reloading configuration:', err.message));
+}
+
+/**
+ * Watch the config file for changes
+ * Watches the directory since editors often replace the file instead of writing it.
+ */
+function watchConfigFile() {
+  const fileName = path.basename(configFilePath);
+  let debounceId = null;
+
+  const watcher = fs.watch(path.dirname(path.resolve(configFilePath)), (eventType, changed) => {
+    if (changed !== fileName) return;
+
+    // Editors emit several events per save
+    clearTimeout(debounceId);
+    debounceId = setTimeout(() => requestConfigReload('file changed'), 500);
+  });
+
+  watcher.on('error', err => console.warn(`⚠️  Config file watcher failed: ${err.message}`));
+  console.log(`Watching ${configFilePath} for changes (SIGHUP also reloads)`);
+  return watcher;
+}
+
+/**
+ * Start the HTTP control API if enabled
+ */
+async function startControlServer() {
+  if (!config.control.enabled) {
+    return;
+  }
+
+  controlServer = new ControlServer(config.control, controlHandlers);
+  try {
+    const address = await controlServer.start();
+    console.log(`✓ Control API listening on ${address}${config.control.token ? ' (token required)' : ''}`);
   } catch (err) {
-    const duration = Date.now() - startTime;
-    perfMonitor.end(perfOpId, { success: false, error: err.message, duration });
-    console.error(`Base image recapture failed after ${duration}ms:`, err.message);
+    console.error('❌ Failed to start control API:', err.message);
+    controlServer = null;
+  }
+}
+
+/**
+ * Stop the HTTP control API if running
+ */
+async function stopControlServer() {
+  if (controlServer) {
+    await controlServer.stop();
+    controlServer = null;
+  }
+}
+
+/**
+ * Blank the display and stop all capture and rendering work
+ */
+async function enterBlank() {
+  console.log('\n🌙 Schedule: blanking display (captures paused)');
+  stopPipeline();
+  outputs.forEach(output => output.framebuffer.blank());
+
+  // Release the browser while blanked; initializeAndRun() creates a new one
+  if (screenshotProvider) {
+    await screenshotProvider.cleanup();
+    screenshotProvider = null;
+  }
+}
+
+/**
+ * Evaluate schedule rules and apply any change in display state
+ */
+async function applySchedule() {
+  const next = getScheduleState(scheduleRules);
+  if (!scheduleStateChanged(scheduleState, next)) {
+    return;
+  }
+
+  const previous = scheduleState;
+  scheduleState = next;
+  const active = next.rules.length > 0 ? next.rules.join(', ') : 'none';
+  console.log(`\n⏰ Schedule changed (active rules: ${active})`);
+
+  if (next.blank) {
+    if (!previous.blank) {
+      await runExclusive(() => enterBlank());
+    }
+    return;
+  }
+
+  if (previous.blank) {
+    console.log('☀️  Schedule: leaving blank, re-initializing display...');
+    await runExclusive(() => initializeAndRun());
+    return;
+  }
+
+  for (const output of outputs) {
+    if (!output.activePage) {
+      continue; // Output restarting, it picks up the new state when it starts
+    }
+
+    output.renderer.setBrightness(next.brightness);
+
+    // Pick the page to show: pinned page, or stay on the current one
+    const target = (next.page && output.pageStates.find(p => p.page.name === next.page)) || output.pendingPage || output.activePage;
+
+    if (output === mainOutput && next.url !== previous.url) {
+      // Cached base images were captured from a different URL
+      output.pageStates.forEach(p => { p.capturedAt = null; });
+    }
+
+    await runExclusive(() => showPage(output, target, 'schedule', { forceFull: true }));
+    restartRefreshTimer(output, target);
+    startRotation(output, output.pageStates.indexOf(target));
   }
 }
 
@@ -382,25 +973,77 @@ async function initializeAndRun() {
   console.log('Initializing screenshot provider...');
 
   // Create and initialize screenshot provider
-  screenshotProvider = createScreenshotProvider(config);
+  screenshotProvider = createScreenshotProvider(config, {
+    baseDir: configFilePath ? path.dirname(path.resolve(configFilePath)) : process.cwd()
+  });
+  screenshotProvider.on('crash', reason => handleProviderCrash(screenshotProvider, reason));
+  screenshotProvider.on('refresh', reason => handleProviderRefresh(screenshotProvider, reason));
   await screenshotProvider.initialize();
 
-  // Get enabled overlays
-  const enabledOverlays = getEnabledOverlays(config);
-  const hideSelectors = enabledOverlays.map(o => o.selector);
+  // Start each display (captures run one output after another)
+  queueMaintainerRunning = true;
+  const generation = ++maintainerGeneration;
+  for (const output of outputs) {
+    await startOutput(output, generation);
+  }
+
+  // Timers start once every output is up, so they can't capture alongside a startup capture
+  for (const output of outputs) {
+    // Set up periodic refresh of the page on screen
+    restartRefreshTimer(output, output.activePage);
+
+    // Rotate through pages (playlist mode)
+    startRotation(output, output.pageStates.indexOf(output.activePage));
+  }
+
+  // Log running status
+  console.log('='.repeat(60));
+  console.log(`web2fb is running (${gitCommit}). Press Ctrl+C to stop.`);
+  if (outputs.length > 1) {
+    console.log(`Outputs: ${outputs.map(output => `${output.name} (${output.framebuffer.backend.describe()})`).join(', ')}`);
+  }
+  if (perfMonitor.config.enabled) {
+    console.log('Performance monitoring: ENABLED (DEBUG=1)');
+  }
+  console.log('='.repeat(60));
+}
+
+/**
+ * Capture an output's first page, replace its splash screen and start its
+ * scheduler and queue maintainer
+ * @param {Object} output - Output from createOutput()
+ * @param {number} generation - Maintainer generation of this (re)start
+ */
+async function startOutput(output, generation) {
+  // Each page keeps its own base image and overlay states
+  output.pageStates = getPages(output.config).map(page => ({
+    page,
+    enabledOverlays: null,
+    baseImageBuffer: null,
+    overlayStates: new Map(),
+    capturedAt: null
+  }));
+  output.pageStates.forEach(pageState => { pageState.enabledOverlays = getPageOverlays(pageState); });
+  output.activePage = (scheduleState.page && output.pageStates.find(p => p.page.name === scheduleState.page)) || output.pageStates[0];
+  if (output.pageStates.length > 1) {
+    console.log(`Playlist mode${outputLabel(output)}: ${output.pageStates.length} pages (${output.pageStates.map(p => p.page.name).join(', ')})`);
+  }
+
+  const hideSelectors = output.activePage.enabledOverlays.map(o => o.selector);
 
   // Capture initial base image
-  console.log('Capturing base image...');
-  const screenshotOpId = perfMonitor.start('screenshot:capture');
-  baseImageBuffer = await screenshotProvider.captureScreenshot(hideSelectors);
-  perfMonitor.end(screenshotOpId, { bufferSize: baseImageBuffer.length });
+  console.log(`Capturing base image${outputLabel(output)}...`);
+  const screenshotOpId = perfMonitor.start('screenshot:capture', { output: output.name });
+  output.activePage.baseImageBuffer = await screenshotProvider.captureScreenshot(hideSelectors, getCaptureOptions(output, output.activePage));
+  output.activePage.capturedAt = Date.now();
+  perfMonitor.end(screenshotOpId, { bufferSize: output.activePage.baseImageBuffer.length });
   perfMonitor.sampleMemory('after-base-screenshot');
   console.log('Base image captured');
 
   // Extract base regions for overlays
-  if (enabledOverlays.length > 0) {
+  if (output.activePage.enabledOverlays.length > 0) {
     console.log('Extracting base regions for overlays...');
-    await extractBaseRegions(baseImageBuffer, enabledOverlays);
+    await extractBaseRegions(output.activePage.baseImageBuffer, output.activePage.enabledOverlays, output.activePage.overlayStates);
   }
 
   // Startup transition from splash screen to calendar
@@ -410,53 +1053,60 @@ async function initializeAndRun() {
 
   // Create queue-based rendering system
   // Use 15-second window for more buffer against slow rendering
-  queue = new FramebufferQueue(15);
-  renderer = new FramebufferRenderer(config, perfMonitor);
-  scheduler = new DisplayScheduler(queue, framebuffer, perfMonitor);
+  const framePeriod = output.config.display.framePeriod || 1000;
+  output.queue = new FramebufferQueue(Math.ceil(15000 / framePeriod), framePeriod);
+  output.renderer = new FramebufferRenderer(output.config, perfMonitor);
+  output.renderer.setBrightness(scheduleState.brightness);
+  output.renderer.setPixelFormat(output.framebuffer.info.format);
+  output.scheduler = new DisplayScheduler(output.queue, output.framebuffer, perfMonitor, {
+    updatePolicy: output.updatePolicy,
+    onDrop: operation => output.renderer.forgetOperation(operation) // Its overlays redraw on the next tick
+  });
+  if (output.updatePolicy) {
+    console.log(`E-paper mode: clock ticks once a minute, full refresh every ${output.updateMode.fullRefreshEvery} updates, at most ${output.updateMode.maxUpdatesPerHour} updates/hour`);
+  }
 
-  // Pre-render initial window of operations (10 seconds ahead)
-  const currentSecond = Math.floor(Date.now() / 1000);
-  console.log(`Pre-rendering operations for seconds ${currentSecond} to ${currentSecond + queue.windowSize - 1}...`);
+  // Pre-render initial window of operations (15 seconds ahead)
+  const currentTick = output.queue.tickAt(Date.now());
+  console.log(`Pre-rendering ${output.queue.windowSize} operations from ${new Date(currentTick).toISOString()} (one per ${framePeriod}ms)...`);
 
-  for (let i = 0; i < queue.windowSize; i++) {
-    const displaySecond = currentSecond + i;
-    const displayTime = displaySecond * 1000;
+  for (let i = 0; i < output.queue.windowSize; i++) {
+    const displayTick = currentTick + i * framePeriod;
 
     let operation;
-    if (i === 0 || enabledOverlays.length === 0) {
-      // First frame or no overlays: full update
-      operation = await renderer.renderFullUpdate(baseImageBuffer, enabledOverlays, overlayStates, displayTime);
+    if (i === 0) {
+      // First frame: full update
+      const { baseImageBuffer, enabledOverlays, overlayStates } = output.activePage;
+      output.updatePolicy?.planUpdate('full');
+      operation = await output.renderer.renderFullUpdate(baseImageBuffer, enabledOverlays, overlayStates, displayTick);
     } else {
-      // Subsequent frames with overlays: partial update (first overlay only for now)
-      const overlay = enabledOverlays[0];
-      const state = overlayStates.get(overlay.name);
-      operation = await renderer.renderPartialUpdate(overlay, state, displayTime);
+      // Subsequent frames: overlay ticks
+      operation = await renderTick(output, displayTick);
     }
 
-    queue.enqueue(displaySecond, operation);
+    output.queue.enqueue(displayTick, operation);
   }
 
   perfMonitor.sampleMemory('after-prerender');
-  console.log(`✓ ${queue.windowSize} operations pre-rendered and queued`);
+  console.log(`✓ ${output.queue.windowSize} operations pre-rendered and queued`);
 
   // Display first operation immediately (splash transition)
   console.log('\n' + '='.repeat(60));
-  console.log('🔄 TRANSITIONING FROM SPLASH TO CALENDAR');
+  console.log(`🔄 TRANSITIONING FROM SPLASH TO CALENDAR${outputLabel(output)}`);
   console.log('='.repeat(60));
-  await scheduler.displayFrame(currentSecond);
+  await output.scheduler.displayFrame(currentTick);
   perfMonitor.sampleMemory('after-initial-display');
   console.log('✓ Calendar displayed');
   console.log('='.repeat(60) + '\n');
 
-  // Start display scheduler (writes queued operations at second boundaries)
-  scheduler.start();
+  // Start display scheduler (writes queued operations at frame period boundaries)
+  output.scheduler.start();
 
   // Start queue maintainer loop (keeps queue filled)
-  queueMaintainerRunning = true;
   let lastCheckTime = Date.now();
 
   const maintainQueue = async () => {
-    while (queueMaintainerRunning) {
+    while (queueMaintainerRunning && generation === maintainerGeneration) {
       try {
         const now = Date.now();
         const timeSinceLastCheck = now - lastCheckTime;
@@ -467,12 +1117,12 @@ async function initializeAndRun() {
           console.warn(`⚠️  Queue maintainer delayed: ${timeSinceLastCheck}ms since last check (expect ~50ms)`);
         }
 
-        let currentSecond = Math.floor(now / 1000);
-        let status = queue.getStatus(currentSecond);
+        let currentTick = output.queue.tickAt(now);
+        let status = output.queue.getStatus(currentTick);
 
         // Warn if queue is running low
         if (status.secondsAhead < 5) {
-          console.warn(`⚠️  Queue running low: only ${status.secondsAhead}s ahead (${status.range})`);
+          console.warn(`⚠️  Queue running low${outputLabel(output)}: only ${status.secondsAhead}s ahead (${status.range})`);
         }
 
         // Batch render multiple frames when queue needs filling
@@ -481,107 +1131,88 @@ async function initializeAndRun() {
         let batchCount = 0;
         const MAX_PARALLEL = 5; // Limit parallelism to avoid memory pressure
 
-        while (queue.needsMore(currentSecond)) {
+        while (output.queue.needsMore(currentTick)) {
           if (batchStartTime === null) {
             batchStartTime = Date.now();
           }
 
           // CRITICAL: If there's a pre-rendered update, enqueue it (no rendering needed!)
           // The update was already rendered during idle time in recaptureBaseImage()
-          if (nextFullUpdateSecond !== null && nextFullUpdateSecond >= currentSecond && preRenderedFullUpdate) {
+          if (output.nextFullUpdateTick !== null && output.nextFullUpdateTick >= currentTick && output.preRenderedFullUpdate) {
             const startTime = Date.now();
 
-            if (preRenderedFullUpdate.type === 'diff') {
+            if (output.preRenderedFullUpdate.type === 'diff') {
               // Diff-based update: Enqueue all pre-rendered partial updates
-              console.log(`\nEnqueuing ${preRenderedFullUpdate.partials.length} pre-rendered partial update(s) (diff-based)`);
+              console.log(`\nEnqueuing ${output.preRenderedFullUpdate.partials.length} pre-rendered partial update(s) (diff-based)`);
 
               // Swap pending states into active BEFORE enqueueing any partials
-              if (pendingBaseImageBuffer) {
-                baseImageBuffer = pendingBaseImageBuffer;
-                pendingBaseImageBuffer = null;
-                console.log(`✓ Base image swapped: pending → active`);
-              }
-              if (pendingOverlayStates) {
-                overlayStates = pendingOverlayStates;
-                pendingOverlayStates = null;
-                console.log(`✓ Overlay states swapped: pending → active`);
-              }
+              swapPendingState(output);
 
               // Enqueue all partial updates
-              for (const { second, operation } of preRenderedFullUpdate.partials) {
-                const existingOp = queue.operations.get(second);
+              for (const { tick, operation } of output.preRenderedFullUpdate.partials) {
+                const existingOp = output.queue.operations.get(tick);
                 if (existingOp && perfMonitor.config.enabled) {
-                  console.warn(`⚠️  Overwriting existing ${existingOp.type} operation for second ${second}`);
+                  console.warn(`⚠️  Overwriting existing ${existingOp.type} operation for tick ${tick}`);
                 }
-                queue.enqueue(second, operation);
+                output.queue.enqueue(tick, operation);
                 batchCount++;
               }
 
-              console.log(`✓ ${preRenderedFullUpdate.partials.length} partial update(s) enqueued in ${Date.now() - startTime}ms`);
+              console.log(`✓ ${output.preRenderedFullUpdate.partials.length} partial update(s) enqueued in ${Date.now() - startTime}ms`);
 
               // Clear the pre-rendered operation
-              preRenderedFullUpdate = null;
-              nextFullUpdateSecond = null;
+              output.preRenderedFullUpdate = null;
+              output.nextFullUpdateTick = null;
 
             } else {
               // Full update (traditional approach)
-              const displaySecond = nextFullUpdateSecond;
-              console.log(`\nEnqueuing pre-rendered FULL update for second ${displaySecond} (already rendered!)`);
+              const displayTick = output.nextFullUpdateTick;
+              console.log(`\nEnqueuing pre-rendered FULL update for ${new Date(displayTick).toISOString()} (already rendered!)`);
 
               // Swap pending states into active
-              if (pendingBaseImageBuffer) {
-                baseImageBuffer = pendingBaseImageBuffer;
-                pendingBaseImageBuffer = null;
-                console.log(`✓ Base image swapped: pending → active`);
-              }
-              if (pendingOverlayStates) {
-                overlayStates = pendingOverlayStates;
-                pendingOverlayStates = null;
-                console.log(`✓ Overlay states swapped: pending → active`);
-              }
+              swapPendingState(output);
 
               // Check if overwriting
-              const existingOp = queue.operations.get(displaySecond);
+              const existingOp = output.queue.operations.get(displayTick);
               if (existingOp && perfMonitor.config.enabled) {
-                console.warn(`⚠️  Overwriting existing ${existingOp.type} operation for second ${displaySecond} with full`);
+                console.warn(`⚠️  Overwriting existing ${existingOp.type} operation for tick ${displayTick} with full`);
               }
 
               // Enqueue the pre-rendered operation
-              queue.enqueue(displaySecond, preRenderedFullUpdate);
+              output.queue.enqueue(displayTick, output.preRenderedFullUpdate);
               batchCount++;
 
               console.log(`✓ Full update enqueued in ${Date.now() - startTime}ms (no rendering - already done!)`);
 
               // Clear the pre-rendered operation
-              preRenderedFullUpdate = null;
-              nextFullUpdateSecond = null;
+              output.preRenderedFullUpdate = null;
+              output.nextFullUpdateTick = null;
             }
 
-            // CRITICAL: Recalculate currentSecond
-            currentSecond = Math.floor(Date.now() / 1000);
+            // CRITICAL: Recalculate currentTick
+            currentTick = output.queue.tickAt(Date.now());
             continue; // Continue loop to check if more frames needed
           }
 
           // Collect a batch of partial updates to render in parallel
           // Calculate how many frames we need to fill the queue
-          const status = queue.getStatus(currentSecond);
-          const framesNeeded = queue.windowSize - status.size;
+          const status = output.queue.getStatus(currentTick);
+          const framesNeeded = output.queue.windowSize - status.size;
           const batchSize = Math.min(MAX_PARALLEL, framesNeeded);
 
           const renderBatch = [];
           for (let i = 0; i < batchSize; i++) {
-            const displaySecond = queue.getNextUnqueuedSecond(currentSecond);
-            const displayTime = displaySecond * 1000;
+            const displayTick = output.queue.getNextUnqueuedTick(currentTick);
 
             // Check if this would be a full update - if so, stop batching
-            if (nextFullUpdateSecond !== null && displaySecond === nextFullUpdateSecond) {
+            if (output.nextFullUpdateTick !== null && displayTick === output.nextFullUpdateTick) {
               break;
             }
 
-            renderBatch.push({ displaySecond, displayTime });
+            renderBatch.push({ displayTick });
 
-            // Simulate queue being filled to prevent collecting duplicate seconds
-            queue.enqueue(displaySecond, { type: 'placeholder' });
+            // Simulate queue being filled to prevent collecting duplicate ticks
+            output.queue.enqueue(displayTick, { type: 'placeholder' });
           }
 
           if (renderBatch.length === 0) {
@@ -589,35 +1220,26 @@ async function initializeAndRun() {
           }
 
           // Render batch in parallel
-          const renderPromises = renderBatch.map(async ({ displaySecond, displayTime }) => {
-            let operation;
-            if (enabledOverlays.length === 0) {
-              // No overlays: full updates only (but reuse same base)
-              operation = await renderer.renderFullUpdate(baseImageBuffer, enabledOverlays, overlayStates, displayTime);
-            } else {
-              // Normal partial update (first overlay)
-              const overlay = enabledOverlays[0];
-              const state = overlayStates.get(overlay.name);
-              operation = await renderer.renderPartialUpdate(overlay, state, displayTime);
-            }
-            return { displaySecond, operation };
+          const renderPromises = renderBatch.map(async ({ displayTick }) => {
+            const operation = await renderTick(output, displayTick);
+            return { displayTick, operation };
           });
 
           const results = await Promise.all(renderPromises);
 
           // Enqueue all results (replacing placeholders)
-          for (const { displaySecond, operation } of results) {
-            queue.enqueue(displaySecond, operation);
+          for (const { displayTick, operation } of results) {
+            output.queue.enqueue(displayTick, operation);
             batchCount++;
 
-            if (perfMonitor.config.enabled && displaySecond % 10 === 0) {
-              const status = queue.getStatus(currentSecond);
+            if (perfMonitor.config.enabled && displayTick % 10000 === 0) {
+              const status = output.queue.getStatus(currentTick);
               console.log(`Queue: ${status.size} operations, ${status.secondsAhead}s ahead (${status.range})`);
             }
           }
 
-          // CRITICAL: Recalculate currentSecond after batch rendering
-          currentSecond = Math.floor(Date.now() / 1000);
+          // CRITICAL: Recalculate currentTick after batch rendering
+          currentTick = output.queue.tickAt(Date.now());
         }
 
         // Log batch rendering performance
@@ -641,65 +1263,182 @@ async function initializeAndRun() {
   maintainQueue().catch(err => {
     console.error('Queue maintainer fatal error:', err);
   });
+}
+
+/**
+ * Status of one output for the control API
+ */
+function getOutputStatus(output) {
+  const { activePage, queue } = output;
+  return {
+    running: !!activePage,
+    page: activePage ? activePage.page.name : null,
+    url: activePage ? getPageUrl(output, activePage) : null,
+    overlays: activePage ? activePage.enabledOverlays.map(o => o.name) : [],
+    capturedAt: activePage && activePage.capturedAt ? new Date(activePage.capturedAt).toISOString() : null,
+    queue: queue ? queue.getStatus(queue.tickAt(Date.now())) : null
+  };
+}
 
-  // Set up periodic refresh
-  const refreshInterval = config.refreshInterval || 300000; // Default 5 minutes
-  console.log(`Setting up periodic refresh every ${refreshInterval}ms`);
+/**
+ * Callbacks for the HTTP control API (lib/control-server.js)
+ * Capture work is queued behind runExclusive() and not awaited, so requests
+ * return immediately while the new base image is captured in the background.
+ */
+const controlHandlers = {
+  async recapture() {
+    if (!mainOutput.activePage) {
+      throw new ControlError(409, 'Display is blanked or restarting');
+    }
+    console.log('\n🎛️  Control API: recapture requested');
+    for (const output of outputs) {
+      runExclusive(() => recaptureBaseImage(output, 'control API', output.pendingPage || output.activePage))
+        .catch(err => console.error('Control API recapture failed:', err.message));
+    }
+  },
 
-  const refreshIntervalId = setInterval(async () => {
-    await recaptureBaseImage('periodic refresh', enabledOverlays);
-  }, refreshInterval);
-  intervals.push(refreshIntervalId);
+  async setUrl(url) {
+    urlOverride = url;
+    console.log(url ? `\n🎛️  Control API: switching to ${url}` : '\n🎛️  Control API: URL override cleared');
+    if (!mainOutput.activePage) {
+      return; // Applied on next initialization
+    }
 
-  // Log running status
-  console.log('='.repeat(60));
-  console.log(`web2fb is running (${gitCommit}). Press Ctrl+C to stop.`);
-  if (perfMonitor.config.enabled) {
-    console.log('Performance monitoring: ENABLED (DEBUG=1)');
+    // Cached base images were captured from a different URL
+    mainOutput.pageStates.forEach(p => { p.capturedAt = null; });
+
+    const target = mainOutput.pendingPage || mainOutput.activePage;
+    runExclusive(() => showPage(mainOutput, target, 'control API', { forceFull: true }))
+      .catch(err => console.error('Control API URL switch failed:', err.message));
+    restartRefreshTimer(mainOutput, target);
+    startRotation(mainOutput, mainOutput.pageStates.indexOf(target));
+  },
+
+  async setOverlayEnabled(name, enabled) {
+    const hasOverlay = output => getPages(output.config).some(page => (page.overlays || []).some(o => o.name === name));
+    const affected = outputs.filter(hasOverlay);
+    if (affected.length === 0) {
+      throw new ControlError(404, `Unknown overlay '${name}'`);
+    }
+
+    overlayOverrides.set(name, enabled);
+    console.log(`\n🎛️  Control API: overlay '${name}' ${enabled ? 'enabled' : 'disabled'}`);
+
+    for (const output of affected) {
+      if (!output.activePage) {
+        continue;
+      }
+
+      // Hidden elements differ, so every cached base image is stale
+      output.pageStates.forEach(p => { p.capturedAt = null; });
+      runExclusive(() => recaptureBaseImage(output, 'overlay toggled', output.pendingPage || output.activePage, { forceFull: true }))
+        .catch(err => console.error('Control API overlay toggle failed:', err.message));
+    }
+  },
+
+  getFramebufferPng(outputName) {
+    const output = outputName ? outputs.find(o => o.name === outputName) : mainOutput;
+    if (!output) {
+      throw new ControlError(404, `Unknown output '${outputName}'`);
+    }
+    return output.framebuffer.snapshot();
+  },
+
+  getStatus() {
+    return {
+      commit: gitCommit,
+      uptime: Math.round(process.uptime()),
+      ...getOutputStatus(mainOutput),
+      urlOverride,
+      schedule: scheduleState,
+      provider: screenshotProvider ? screenshotProvider.getStatus() : null,
+      outputs: outputs.map(output => ({
+        name: output.name,
+        device: output.framebuffer.backend.describe(),
+        ...getOutputStatus(output)
+      }))
+    };
+  },
+
+  getPerfStats() {
+    return perfMonitor.getAllStats();
   }
-  console.log('='.repeat(60));
-}
+};
 
 // Main entry point
 (async () => {
   perfMonitor.sampleMemory('startup');
   const initOpId = perfMonitor.start('init:total');
 
-  // Initialize framebuffer
-  framebuffer = new Framebuffer(config, perfMonitor);
+  // Initialize framebuffers
+  for (const output of outputs) {
+    const fbOpId = perfMonitor.start('init:framebuffer', { output: output.name });
+    if (!output.framebuffer.open()) {
+      console.error(`Failed to initialize framebuffer${outputLabel(output)}`);
+      process.exit(1);
+    }
+    perfMonitor.end(fbOpId);
 
-  const fbOpId = perfMonitor.start('init:framebuffer');
-  if (!framebuffer.open()) {
-    console.error('Failed to initialize framebuffer');
-    process.exit(1);
+    // Display splash screen (only on first startup)
+    const splashOpId = perfMonitor.start('init:splash', { output: output.name });
+    await output.framebuffer.displaySplashScreen();
+    perfMonitor.end(splashOpId);
   }
-  perfMonitor.end(fbOpId);
-
-  // Display splash screen (only on first startup)
-  const splashOpId = perfMonitor.start('init:splash');
-  await framebuffer.displaySplashScreen();
-  perfMonitor.end(splashOpId);
 
   perfMonitor.end(initOpId);
 
-  // Initialize browser and start main loop
-  await initializeAndRun();
+  // Initialize browser and start main loop (unless the schedule blanks the display)
+  if (scheduleState.blank) {
+    await enterBlank();
+  } else {
+    await initializeAndRun();
+  }
+
+  // Re-evaluate time-of-day schedule rules
+  if (scheduleRules.length > 0) {
+    console.log(`Schedule: ${scheduleRules.length} rule(s), checking every 30s`);
+    scheduleIntervalId = setInterval(() => {
+      applySchedule().catch(err => console.error('Error applying schedule:', err.message));
+    }, 30000);
+  }
+
+  // Start HTTP control API
+  await startControlServer();
+
+  // Hot reload: watch the config file and reload on SIGHUP
+  if (configFilePath && config.watchConfig) {
+    configWatcher = watchConfigFile();
+  }
+  process.on('SIGHUP', () => requestConfigReload('SIGHUP'));
 
   // Cleanup on exit
   const shutdown = async () => {
     console.log('\nShutting down...');
 
-    // Stop scheduler
-    if (scheduler) {
-      scheduler.stop();
-    }
+    // Stop schedulers
+    outputs.forEach(output => {
+      if (output.scheduler) {
+        output.scheduler.stop();
+      }
+    });
 
-    // Stop queue maintainer
+    // Stop queue maintainers
     queueMaintainerRunning = false;
 
     // Clear all intervals
     console.log(`Clearing ${intervals.length} interval(s)...`);
     intervals.forEach(id => clearInterval(id));
+    outputs.forEach(output => {
+      clearInterval(output.refreshIntervalId);
+      clearTimeout(output.rotationTimeoutId);
+    });
+    clearInterval(scheduleIntervalId);
+
+    // Stop config watcher and control API
+    if (configWatcher) {
+      configWatcher.close();
+    }
+    await stopControlServer();
 
     // Print final performance report if enabled
     if (perfMonitor.config.enabled) {
@@ -708,8 +1447,8 @@ async function initializeAndRun() {
       perfMonitor.close();
     }
 
-    // Close framebuffer
-    framebuffer.close();
+    // Close framebuffers
+    outputs.forEach(output => output.framebuffer.close());
 
     // Cleanup screenshot provider
     if (screenshotProvider) {